@@ -39,6 +39,8 @@ export default [
                 URLSearchParams: 'readonly',
                 WebSocket: 'readonly',
                 Response: 'readonly',
+                Headers: 'readonly',
+                FormData: 'readonly',
                 globalCache: 'readonly',
                 isStaticElement: 'readonly',
                 // Universal/shared globals
@@ -110,7 +112,14 @@ export default [
                 atob: 'readonly',
                 BroadcastChannel: 'readonly',
                 alert: 'readonly',
-                event: 'readonly'
+                event: 'readonly',
+                // Web streams, for Fetch-based runtimes
+                ReadableStream: 'readonly',
+                TextEncoder: 'readonly',
+                TextDecoder: 'readonly',
+                DOMException: 'readonly',
+                AbortController: 'readonly',
+                AbortSignal: 'readonly'
             }
         },
         rules: {
@@ -149,7 +158,8 @@ export default [
                 HTMLElement: 'readonly',
                 KeyboardEvent: 'readonly',
                 Event: 'readonly',
-                CustomEvent: 'readonly'
+                CustomEvent: 'readonly',
+                DOMParser: 'readonly'
             }
         },
         rules: {
@@ -199,7 +209,9 @@ export default [
                 Response: 'readonly',
                 Headers: 'readonly',
                 FormData: 'readonly',
-                fetch: 'readonly'
+                fetch: 'readonly',
+                ReadableStream: 'readonly',
+                AbortController: 'readonly'
             }
         },
         rules: {
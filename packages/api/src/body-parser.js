@@ -0,0 +1,533 @@
+/**
+ * Request Body Parsing for Coherent.js
+ * @fileoverview Parses JSON, urlencoded and multipart request bodies. File
+ * parts stream to disk or to a caller's sink as they arrive, and raw mode
+ * keeps the exact bytes for webhooks that check a signature.
+ */
+
+import { createWriteStream } from 'node:fs';
+import { unlink } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { randomBytes } from 'node:crypto';
+import { ApiError } from './errors.js';
+
+/**
+ * Largest body read into memory: the whole body for JSON, urlencoded and raw
+ * bodies, and the text fields of a multipart body
+ * @private
+ */
+const DEFAULT_LIMIT = 1024 * 1024; // 1MB
+
+/**
+ * Limits and storage of multipart file parts
+ * @private
+ */
+const DEFAULT_FILE_OPTIONS = {
+  maxFileSize: 10 * 1024 * 1024, // 10MB
+  maxTotalSize: 50 * 1024 * 1024, // 50MB
+  maxFiles: 10,
+  allowedTypes: null,
+  dest: null,
+  sink: null,
+  cleanup: true
+};
+
+/**
+ * Largest header block of a multipart part
+ * @private
+ */
+const MAX_PART_HEADER_SIZE = 16 * 1024;
+
+/**
+ * Leading bytes of the file formats sniffMimeType() recognises, as
+ * `[offset, bytes]` pairs that must all match
+ * @private
+ */
+const SIGNATURES = [
+  { type: 'image/png', match: [[0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]]] },
+  { type: 'image/jpeg', match: [[0, [0xff, 0xd8, 0xff]]] },
+  { type: 'image/gif', match: [[0, 'GIF87a']] },
+  { type: 'image/gif', match: [[0, 'GIF89a']] },
+  { type: 'image/webp', match: [[0, 'RIFF'], [8, 'WEBP']] },
+  { type: 'application/pdf', match: [[0, '%PDF-']] },
+  { type: 'application/zip', match: [[0, [0x50, 0x4b, 0x03, 0x04]]] },
+  { type: 'application/gzip', match: [[0, [0x1f, 0x8b]]] }
+];
+
+/**
+ * Bytes needed to tell every signature apart
+ * @private
+ */
+const SNIFF_LENGTH = 16;
+
+const SNIFFABLE_TYPES = new Set(SIGNATURES.map(signature => signature.type));
+
+/**
+ * Basic input sanitization
+ * @private
+ */
+function sanitizeInput(obj) {
+  if (typeof obj === 'string') {
+    // Basic XSS prevention
+    return obj.replace(/<script[^>]*>.*?<\/script>/gi, '')
+              .replace(/javascript:/gi, '')
+              .replace(/on\w+=/gi, '');
+  }
+  if (typeof obj !== 'object' || obj === null) return obj;
+  if (Array.isArray(obj)) return obj.map(sanitizeInput);
+
+  const sanitized = {};
+  for (const [key, value] of Object.entries(obj)) {
+    // Remove potentially dangerous keys
+    if (key.startsWith('__') || key.includes('prototype')) continue;
+
+    sanitized[key] = sanitizeInput(value);
+  }
+  return sanitized;
+}
+
+/**
+ * Add a form value; a name sent more than once collects its values. Only
+ * own keys count, so names like `constructor` or `valueOf` are plain fields.
+ * @private
+ */
+function addValue(values, key, value) {
+  if (!Object.prototype.hasOwnProperty.call(values, key)) {
+    values[key] = value;
+  } else {
+    values[key] = [].concat(values[key], value);
+  }
+}
+
+/**
+ * Identify a file from its first bytes
+ *
+ * @param {Buffer} bytes - Start of the file; 16 bytes tell every known format apart
+ * @returns {string|null} MIME type, or null when the format is not recognised
+ */
+function sniffMimeType(bytes) {
+  const matches = ([offset, expected]) => {
+    const signature = typeof expected === 'string' ? Buffer.from(expected, 'latin1') : expected;
+    if (bytes.length < offset + signature.length) return false;
+    for (let i = 0; i < signature.length; i++) {
+      if (bytes[offset + i] !== signature[i]) return false;
+    }
+    return true;
+  };
+
+  const found = SIGNATURES.find(signature => signature.match.every(matches));
+  return found ? found.type : null;
+}
+
+/**
+ * The type a file is checked against: what its bytes say, when they say
+ * anything. A client claiming a recognisable type whose bytes do not match
+ * gets `application/octet-stream`, so an HTML page sent as image/png is not
+ * taken for an image.
+ * @private
+ */
+function effectiveType(file) {
+  if (file.detectedType) return file.detectedType;
+  return SNIFFABLE_TYPES.has(file.mimetype) ? 'application/octet-stream' : file.mimetype;
+}
+
+/**
+ * Whether a type matches one of `allowedTypes`, where `image/*` matches
+ * every image type
+ * @private
+ */
+function isAllowedType(type, allowedTypes) {
+  return allowedTypes.some(allowed => (
+    allowed.endsWith('/*') ? type.startsWith(allowed.slice(0, -1)) : type === allowed
+  ));
+}
+
+/**
+ * Remove the temporary files of an upload
+ *
+ * Files a handler moved elsewhere are skipped, so calling this after a
+ * handler kept some of them is safe.
+ *
+ * @param {Array<Object>} files - Files from parseBody()
+ * @returns {Promise<void>}
+ */
+async function cleanupFiles(files = []) {
+  await Promise.all(files
+    .filter(file => file.path)
+    .map(file => unlink(file.path).catch(() => {})));
+}
+
+/**
+ * Read the whole body as it was sent
+ * @private
+ */
+function readRaw(req, limit) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        req.removeListener('data', onData);
+        reject(new ApiError('Request body too large', 413));
+        return;
+      }
+      chunks.push(chunk);
+    };
+
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse the headers of a multipart part
+ * @private
+ */
+function parsePartHeaders(block) {
+  const headers = {};
+  for (const line of block.split('\r\n')) {
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers[line.slice(0, colon).trim().toLowerCase()] = line.slice(colon + 1).trim();
+    }
+  }
+
+  const disposition = headers['content-disposition'] || '';
+  const param = name => {
+    // Browsers percent-encode quotes in names rather than escaping them, and
+    // old ones send Windows paths with raw backslashes
+    const match = disposition.match(new RegExp(`;\\s*${name}="([^"]*)"`, 'i'))
+      || disposition.match(new RegExp(`;\\s*${name}=([^;\\s]+)`, 'i'));
+    return match ? match[1] : null;
+  };
+
+  return {
+    name: param('name'),
+    filename: param('filename'),
+    contentType: headers['content-type'] || null
+  };
+}
+
+/**
+ * Stream a multipart/form-data body, collecting text fields and writing
+ * file parts to disk or to the sink as they arrive
+ * @private
+ */
+function parseMultipart(req, boundary, options) {
+  const fileOptions = { ...DEFAULT_FILE_OPTIONS, ...options.files };
+  const delimiter = Buffer.from(`\r\n--${boundary}`);
+
+  return new Promise((resolve, reject) => {
+    const fields = {};
+    const files = [];
+    const streams = [];
+    const writes = [];
+    let fieldBytes = 0;
+    let fileBytes = 0;
+    let failed = false;
+
+    // The first delimiter may open the body, without the CRLF before it
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+
+    function fail(error) {
+      if (failed) return;
+      failed = true;
+      req.removeListener('data', onData);
+      // Drain the rest so the client sees the response rather than a reset
+      req.resume();
+
+      // A file is only removed once its stream has closed; before that an
+      // unlink can run ahead of the stream opening the file
+      const closed = streams.map(stream => new Promise(resolveClose => {
+        if (stream.closed) {
+          resolveClose();
+          return;
+        }
+        stream.once('close', resolveClose);
+        stream.destroy();
+      }));
+      Promise.all(closed)
+        .then(() => cleanupFiles(files))
+        .finally(() => reject(error));
+    }
+
+    function write(data) {
+      if (!part.stream.write(data)) {
+        req.pause();
+        part.stream.once('drain', () => req.resume());
+      }
+    }
+
+    function openFile() {
+      const head = Buffer.concat(part.head);
+      const file = part.file;
+      file.detectedType = sniffMimeType(head);
+
+      if (fileOptions.allowedTypes && !isAllowedType(effectiveType(file), fileOptions.allowedTypes)) {
+        throw new ApiError(`File type ${effectiveType(file)} is not allowed`, 415);
+      }
+
+      if (fileOptions.sink) {
+        part.stream = fileOptions.sink({ ...file });
+      } else {
+        file.path = join(fileOptions.dest || tmpdir(), `coherent-upload-${randomBytes(12).toString('hex')}`);
+        part.stream = createWriteStream(file.path);
+      }
+      files.push(file);
+
+      const stream = part.stream;
+      streams.push(stream);
+      writes.push(new Promise((resolveWrite, rejectWrite) => {
+        stream.once('finish', resolveWrite);
+        stream.once('error', rejectWrite);
+      }));
+      stream.once('error', fail);
+
+      if (head.length) write(head);
+    }
+
+    function startPart(headers) {
+      if (!headers.name) {
+        part = { skip: true };
+      } else if (headers.filename !== null) {
+        part = {
+          file: {
+            fieldName: headers.name,
+            // Only the last path segment; some browsers send the full path
+            filename: headers.filename.split(/[\\/]/).pop(),
+            mimetype: headers.contentType || 'application/octet-stream',
+            detectedType: null,
+            size: 0,
+            path: null
+          },
+          head: [],
+          headBytes: 0,
+          stream: null
+        };
+      } else {
+        part = { name: headers.name, chunks: [] };
+      }
+    }
+
+    function partData(data) {
+      if (!data.length || part.skip) return;
+
+      if (!part.file) {
+        fieldBytes += data.length;
+        if (fieldBytes > options.limit) {
+          throw new ApiError('Request body too large', 413);
+        }
+        part.chunks.push(data);
+        return;
+      }
+
+      part.file.size += data.length;
+      fileBytes += data.length;
+      if (part.file.size > fileOptions.maxFileSize) {
+        throw new ApiError('File too large', 413);
+      }
+      if (fileBytes > fileOptions.maxTotalSize) {
+        throw new ApiError('Request body too large', 413);
+      }
+
+      if (part.stream) {
+        write(data);
+        return;
+      }
+
+      // Hold the start of the file until there is enough to sniff its type
+      part.head.push(data);
+      part.headBytes += data.length;
+      if (part.headBytes >= SNIFF_LENGTH) {
+        if (files.length >= fileOptions.maxFiles) {
+          throw new ApiError('Too many files', 413);
+        }
+        openFile();
+      }
+    }
+
+    function endPart() {
+      if (part.skip) return;
+
+      if (!part.file) {
+        addValue(fields, part.name, Buffer.concat(part.chunks).toString('utf-8'));
+        return;
+      }
+
+      if (!part.stream) {
+        // A file input left empty
+        if (part.file.size === 0 && part.file.filename === '') return;
+        if (files.length >= fileOptions.maxFiles) {
+          throw new ApiError('Too many files', 413);
+        }
+        openFile();
+      }
+      part.stream.end();
+    }
+
+    function consume() {
+      for (;;) {
+        if (state === 'preamble') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            buffer = buffer.subarray(Math.max(0, buffer.length - delimiter.length));
+            return;
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        } else if (state === 'delimiter') {
+          if (buffer.length < 2) return;
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            state = 'end';
+            return;
+          }
+          const eol = buffer.indexOf('\r\n');
+          if (eol === -1) return;
+          buffer = buffer.subarray(eol + 2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          const index = buffer.indexOf('\r\n\r\n');
+          if (index === -1) {
+            if (buffer.length > MAX_PART_HEADER_SIZE) {
+              throw new ApiError('Multipart headers too large', 400);
+            }
+            return;
+          }
+          startPart(parsePartHeaders(buffer.subarray(0, index).toString('utf-8')));
+          buffer = buffer.subarray(index + 4);
+          state = 'body';
+        } else if (state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // Keep what could be the start of a delimiter split across chunks
+            const safe = buffer.length - delimiter.length + 1;
+            if (safe > 0) {
+              partData(buffer.subarray(0, safe));
+              buffer = buffer.subarray(safe);
+            }
+            return;
+          }
+          partData(buffer.subarray(0, index));
+          endPart();
+          part = null;
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        } else {
+          return;
+        }
+      }
+    }
+
+    function onData(chunk) {
+      buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+      try {
+        consume();
+      } catch (_error) {
+        fail(_error);
+      }
+    }
+
+    req.on('data', onData);
+    req.on('error', fail);
+    req.on('end', () => {
+      if (failed) return;
+      if (state !== 'end') {
+        fail(new ApiError('Malformed multipart body', 400));
+        return;
+      }
+      Promise.all(writes).then(
+        () => resolve({ body: sanitizeInput(fields), files }),
+        fail
+      );
+    });
+  });
+}
+
+/**
+ * Parse a request body
+ *
+ * JSON and urlencoded bodies are parsed and sanitized. Multipart bodies
+ * stream file parts to a temporary file, or to the `files.sink` stream, as
+ * they arrive; their text fields become the body. Other content types give
+ * an empty body. GET and DELETE requests are not read.
+ *
+ * Failures reject with an ApiError: 413 over a limit, 415 for a file type
+ * that is not allowed, 400 for a malformed body. Files already written are
+ * removed first.
+ *
+ * @param {import('http').IncomingMessage} req - Request to read
+ * @param {Object} [options]
+ * @param {number} [options.limit=1048576] - Largest body read into memory, in bytes
+ * @param {string} [options.mode] - `'raw'` for the exact bytes as a Buffer,
+ *   `'stream'` to leave the request unread for the handler
+ * @param {Object} [options.files] - Multipart file handling
+ * @param {number} [options.files.maxFileSize=10485760] - Largest file, in bytes
+ * @param {number} [options.files.maxTotalSize=52428800] - Largest total of all files
+ * @param {number} [options.files.maxFiles=10] - Most files in one request
+ * @param {string[]} [options.files.allowedTypes] - Accepted MIME types, such as
+ *   `image/*`; checked against the type the file's bytes show when recognised
+ * @param {string} [options.files.dest=os.tmpdir()] - Directory of the temporary files
+ * @param {Function} [options.files.sink] - `(file) => Writable`; receives each
+ *   file instead of a temporary file
+ * @returns {Promise<{body: *, files: Array<Object>}>} The body, and the files
+ *   with `fieldName`, `filename`, `mimetype`, `detectedType`, `size` and `path`
+ */
+async function parseBody(req, options = {}) {
+  const limit = options.limit || DEFAULT_LIMIT;
+
+  if (options.mode === 'stream') {
+    return { body: null, files: [] };
+  }
+  if (req.method === 'GET' || req.method === 'DELETE') {
+    return { body: {}, files: [] };
+  }
+  if (options.mode === 'raw') {
+    return { body: await readRaw(req, limit), files: [] };
+  }
+
+  const contentType = (req.headers && req.headers['content-type']) || '';
+
+  if (contentType.includes('multipart/form-data')) {
+    const match = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!match) {
+      throw new ApiError('Missing multipart boundary', 400);
+    }
+    return parseMultipart(req, (match[1] || match[2]).trim(), { ...options, limit });
+  }
+
+  // Decoded once at the end, so a character split across chunks survives
+  const text = (await readRaw(req, limit)).toString('utf-8');
+
+  if (contentType.includes('application/json')) {
+    try {
+      const parsed = text ? JSON.parse(text) : {};
+      // Basic input sanitization
+      return { body: sanitizeInput(parsed), files: [] };
+    } catch {
+      throw new ApiError('Invalid JSON body', 400);
+    }
+  }
+
+  if (contentType.includes('application/x-www-form-urlencoded')) {
+    // Plain HTML form posts; a repeated name collects its values
+    const parsed = {};
+    for (const [key, value] of new URLSearchParams(text)) {
+      addValue(parsed, key, value);
+    }
+    return { body: sanitizeInput(parsed), files: [] };
+  }
+
+  return { body: {}, files: [] };
+}
+
+export {
+  parseBody,
+  cleanupFiles,
+  sniffMimeType
+};
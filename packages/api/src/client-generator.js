@@ -0,0 +1,446 @@
+/**
+ * API client generator for Coherent.js API framework
+ * @fileoverview Turns a router's routes into a dependency-free ES module with
+ * one function per route, and the TypeScript declarations of its params,
+ * query, body and responses, typed from the routes' validation schemas.
+ */
+
+import {
+  ApiError,
+  ValidationError,
+  AuthenticationError,
+  AuthorizationError,
+  NotFoundError,
+  ConflictError
+} from './errors.js';
+import { operationIdOf, toOpenApiPath } from './openapi.js';
+
+/**
+ * Error classes every client has, in the order a status code is matched
+ * @private
+ */
+const BUILT_IN_ERRORS = [ValidationError, AuthenticationError, AuthorizationError, NotFoundError, ConflictError];
+
+/**
+ * Methods whose requests carry a body even without a schema for it
+ * @private
+ */
+const BODY_METHODS = ['POST', 'PUT', 'PATCH'];
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/** A route name such as `users.show` as a function name, `usersShow` */
+function toIdentifier(name) {
+  const words = name.split(/[^A-Za-z0-9_$]+/).filter(Boolean);
+  const identifier = words.map((word, i) => (i === 0 ? word : capitalize(word))).join('');
+  return /^[0-9]/.test(identifier) ? `_${identifier}` : identifier;
+}
+
+/** A value as a JavaScript or TypeScript literal, strings single-quoted */
+function literal(value) {
+  if (typeof value !== 'string') return JSON.stringify(value);
+  return `'${JSON.stringify(value).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+}
+
+/** Text for a doc comment; a route such as /files/*\/raw would otherwise close it */
+function commentText(text) {
+  return String(text).replace(/\*\//g, '*\\/');
+}
+
+function propertyKey(name) {
+  return IDENTIFIER.test(name) ? name : literal(name);
+}
+
+/** Parenthesize a union inside an intersection or array */
+function group(type) {
+  return type.includes(' | ') ? `(${type})` : type;
+}
+
+/**
+ * The TypeScript type of a JSON Schema, as far as validateAgainstSchema()
+ * and OpenAPI use it
+ * @private
+ */
+function typeOf(schema, indent = '') {
+  if (!schema || typeof schema !== 'object') return 'unknown';
+  if ('const' in schema) return literal(schema.const);
+  if (Array.isArray(schema.enum)) {
+    return schema.enum.length > 0 ? schema.enum.map(literal).join(' | ') : 'never';
+  }
+  if (schema.oneOf || schema.anyOf) {
+    return (schema.oneOf || schema.anyOf).map(item => typeOf(item, indent)).join(' | ');
+  }
+  if (schema.allOf) {
+    return schema.allOf.map(item => group(typeOf(item, indent))).join(' & ');
+  }
+  if (Array.isArray(schema.type)) {
+    return schema.type.map(type => typeOf({ ...schema, type }, indent)).join(' | ');
+  }
+
+  switch (schema.type) {
+    case 'string':
+    case 'date':
+    case 'email':
+    case 'url':
+    case 'uuid':
+      return 'string';
+    case 'number':
+    case 'integer':
+      return 'number';
+    case 'boolean':
+      return 'boolean';
+    case 'null':
+      return 'null';
+    case 'array':
+      return `Array<${typeOf(schema.items, indent)}>`;
+    case 'object':
+      return objectType(schema, indent);
+    default:
+      return schema.properties ? objectType(schema, indent) : 'unknown';
+  }
+}
+
+function objectType(schema, indent) {
+  const inner = `${indent}  `;
+  const required = schema.required || [];
+  const lines = [];
+
+  for (const [name, property] of Object.entries(schema.properties || {})) {
+    if (property?.description) {
+      lines.push(`${inner}/** ${commentText(property.description)} */`);
+    }
+    const optional = required.includes(name) ? '' : '?';
+    lines.push(`${inner}${propertyKey(name)}${optional}: ${typeOf(property, inner)};`);
+  }
+  if (schema.additionalProperties) {
+    const value = schema.additionalProperties === true ? 'unknown' : typeOf(schema.additionalProperties, inner);
+    lines.push(`${inner}[key: string]: ${value};`);
+  }
+
+  return lines.length > 0 ? `{\n${lines.join('\n')}\n${indent}}` : 'Record<string, unknown>';
+}
+
+/**
+ * What the client needs of each route: its function name, path template and
+ * the types of its input and response
+ * @private
+ */
+function describeOperations(routes) {
+  const names = new Set();
+
+  return routes.map(route => {
+    const method = route.method.toUpperCase();
+    const schemas = route.schemas || {};
+    const openapi = route.openapi || {};
+    const { path, params } = toOpenApiPath(route.path);
+
+    const baseName = toIdentifier(route.name || openapi.operationId || operationIdOf(method, route.path));
+    let name = baseName;
+    for (let n = 2; names.has(name); n++) {
+      name = `${baseName}${n}`;
+    }
+    names.add(name);
+
+    const paramSchemas = schemas.params?.properties || {};
+    const paramsType = params.length > 0
+      ? `{\n${params.map(({ name: param }) => `  ${propertyKey(param)}: ${paramSchemas[param] ? typeOf(paramSchemas[param], '  ') : 'string | number'};`).join('\n')}\n}`
+      : null;
+
+    let bodyType = null;
+    if (schemas.body) {
+      bodyType = typeOf(schemas.body);
+    } else if (BODY_METHODS.includes(method)) {
+      bodyType = 'unknown';
+    }
+
+    return {
+      name,
+      typeName: capitalize(name),
+      method,
+      route: route.path,
+      path,
+      summary: openapi.summary,
+      paramsType,
+      queryType: schemas.query ? typeOf(schemas.query) : null,
+      queryRequired: Boolean(schemas.query?.required?.length),
+      bodyType,
+      bodyRequired: Boolean(schemas.body),
+      responseType: openapi.response ? typeOf(openapi.response) : 'unknown'
+    };
+  });
+}
+
+/**
+ * The error classes of the client: those of errors.js, then the ApiError
+ * subclasses routes list in `openapi.errors`, with the name, status code
+ * and default message of an instance
+ * @private
+ */
+function describeErrors(routes) {
+  const classes = [...BUILT_IN_ERRORS];
+  for (const route of routes) {
+    for (const entry of route.openapi?.errors || []) {
+      const ErrorClass = typeof entry === 'function' ? entry : entry.constructor;
+      if (ErrorClass !== ApiError && !classes.includes(ErrorClass) && IDENTIFIER.test(ErrorClass.name)) {
+        classes.push(ErrorClass);
+      }
+    }
+  }
+
+  const seen = new Set(['ApiError']);
+  return classes.flatMap(ErrorClass => {
+    if (seen.has(ErrorClass.name)) return [];
+    seen.add(ErrorClass.name);
+    const sample = ErrorClass === ValidationError ? new ValidationError([]) : new ErrorClass();
+    return [{ name: ErrorClass.name, statusCode: sample.statusCode || 500, message: sample.message }];
+  });
+}
+
+function errorClassSource({ name, statusCode, message }) {
+  if (name === 'ValidationError') {
+    return `export class ValidationError extends ApiError {
+  constructor(errors, message = ${literal(message)}) {
+    super(message, ${statusCode}, { errors });
+    this.name = 'ValidationError';
+  }
+}`;
+  }
+  return `export class ${name} extends ApiError {
+  constructor(message = ${literal(message)}) {
+    super(message, ${statusCode});
+    this.name = '${name}';
+  }
+}`;
+}
+
+function errorClassTypes({ name }) {
+  const args = name === 'ValidationError' ? 'errors?: unknown, message?: string' : 'message?: string';
+  return `export declare class ${name} extends ApiError {
+  constructor(${args});
+}`;
+}
+
+function operationComment(operation, indent) {
+  const lines = [operation.summary, `${operation.method} ${operation.route}`].filter(Boolean).map(commentText);
+  return lines.length === 1
+    ? `${indent}/** ${lines[0]} */`
+    : `${indent}/**\n${lines.map(line => `${indent} * ${line}`).join('\n')}\n${indent} */`;
+}
+
+function clientSource(operations, errors, baseUrl) {
+  const methods = operations.map(operation => [
+    operationComment(operation, '    '),
+    `    ${operation.name}: (input, init) => request(${literal(operation.method)}, ${literal(operation.path)}, input, init)`
+  ].join('\n')).join(',\n');
+
+  return `// Generated by generateClient() from @coherent.js/api. Do not edit: run
+// \`coherent generate client\` again after changing the routes.
+
+export class ApiError extends Error {
+  constructor(message, statusCode = 500, details = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+
+  toJSON() {
+    return { _error: this.name, message: this.message, statusCode: this.statusCode, details: this.details };
+  }
+}
+
+${errors.map(errorClassSource).join('\n\n')}
+
+// [class, status code, default message]; an error answer becomes the first
+// class of its status whose message matches, or else the first of its status
+const ERRORS = [
+${errors.map(({ name, statusCode, message }) => `  [${name}, ${statusCode}, ${literal(message)}]`).join(',\n')}
+];
+
+function toError(status, data) {
+  const message = (data && data._error) || \`Request failed with status \${status}\`;
+  const candidates = ERRORS.filter(([, code]) => code === status);
+  const match = candidates.find(([, , text]) => text === message) || candidates[0];
+  if (!match) return new ApiError(message, status, data && typeof data === 'object' ? data : {});
+  const [ErrorClass] = match;
+  return ErrorClass === ValidationError ? new ValidationError((data && data.errors) || [], message) : new ErrorClass(message);
+}
+
+function queryString(query = {}) {
+  const search = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    for (const item of [].concat(value)) {
+      if (item !== undefined && item !== null) search.append(key, String(item));
+    }
+  }
+  const text = search.toString();
+  return text ? \`?\${text}\` : '';
+}
+
+async function readBody(response) {
+  if (response.status === 204) return undefined;
+  const type = response.headers.get('content-type') || '';
+  const text = await response.text();
+  if (!text) return undefined;
+  return type.includes('json') ? JSON.parse(text) : text;
+}
+
+export function createClient(options = {}) {
+  const baseUrl = (options.baseUrl ?? ${literal(baseUrl)}).replace(/\\/$/, '');
+  const fetchImpl = options.fetch || globalThis.fetch;
+
+  async function request(method, path, input = {}, init = {}) {
+    const url = baseUrl + path.replace(/\\{(\\w+)\\}/g, (match, name) => {
+      const value = input.params && input.params[name];
+      if (value === undefined || value === null) {
+        throw new TypeError(\`Missing path parameter "\${name}" for \${method} \${path}\`);
+      }
+      // A wildcard keeps its slashes
+      return name === 'splat'
+        ? String(value).split('/').map(encodeURIComponent).join('/')
+        : encodeURIComponent(value);
+    }) + queryString(input.query);
+
+    const shared = typeof options.headers === 'function' ? await options.headers() : options.headers;
+    const headers = { Accept: 'application/json', ...shared, ...init.headers };
+    let body;
+    if (input.body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+      body = JSON.stringify(input.body);
+    }
+
+    const response = await fetchImpl(url, { method, headers, body, signal: init.signal, credentials: options.credentials });
+    const data = await readBody(response);
+    if (!response.ok) throw toError(response.status, data);
+    return data;
+  }
+
+  return {
+${methods}
+  };
+}
+`;
+}
+
+function clientTypes(operations, errors, baseUrl) {
+  const declarations = operations.map(operation => {
+    const { typeName } = operation;
+    const lines = [];
+    const fields = [];
+
+    if (operation.paramsType) {
+      lines.push(`export type ${typeName}Params = ${operation.paramsType};`);
+      fields.push(`  params: ${typeName}Params;`);
+    }
+    if (operation.queryType) {
+      lines.push(`export type ${typeName}Query = ${operation.queryType};`);
+      fields.push(`  query${operation.queryRequired ? '' : '?'}: ${typeName}Query;`);
+    } else {
+      fields.push('  query?: Record<string, QueryValue>;');
+    }
+    if (operation.bodyType) {
+      lines.push(`export type ${typeName}Body = ${operation.bodyType};`);
+      fields.push(`  body${operation.bodyRequired ? '' : '?'}: ${typeName}Body;`);
+    }
+    lines.push(`export type ${typeName}Response = ${operation.responseType};`);
+    lines.push(`export interface ${typeName}Input {\n${fields.join('\n')}\n}`);
+
+    return lines.join('\n');
+  });
+
+  const methods = operations.map(operation => {
+    const required = operation.paramsType || operation.queryRequired || operation.bodyRequired;
+    return [
+      operationComment(operation, '  '),
+      `  ${operation.name}(input${required ? '' : '?'}: ${operation.typeName}Input, options?: RequestOptions): Promise<${operation.typeName}Response>;`
+    ].join('\n');
+  });
+
+  return `// Generated by generateClient() from @coherent.js/api. Do not edit: run
+// \`coherent generate client\` again after changing the routes.
+
+export interface ClientOptions {
+  /** Prefix of every request URL; ${literal(baseUrl)} by default */
+  baseUrl?: string;
+  /** fetch implementation; globalThis.fetch by default */
+  fetch?: typeof fetch;
+  /** Headers of every request, or a function returning them */
+  headers?: Record<string, string> | (() => Record<string, string> | Promise<Record<string, string>>);
+  /** Whether requests send cookies, as for fetch() */
+  credentials?: RequestCredentials;
+}
+
+export interface RequestOptions {
+  headers?: Record<string, string>;
+  signal?: AbortSignal;
+}
+
+export type QueryValue = string | number | boolean | null | undefined | Array<string | number | boolean>;
+
+export declare class ApiError extends Error {
+  constructor(message: string, statusCode?: number, details?: Record<string, unknown>);
+  statusCode: number;
+  details: Record<string, unknown>;
+  toJSON(): { _error: string; message: string; statusCode: number; details: Record<string, unknown> };
+}
+
+${errors.map(errorClassTypes).join('\n\n')}
+
+${declarations.join('\n\n')}
+
+export interface ApiClient {
+${methods.join('\n')}
+}
+
+export declare function createClient(options?: ClientOptions): ApiClient;
+`;
+}
+
+/**
+ * Generate an API client for a router's routes
+ *
+ * The client is a dependency-free ES module: `createClient(options)` returns
+ * one function per route, named after the route's name (as generateUrl()
+ * knows it) or made of its method and path. Each takes
+ * `{ params, query, body }`, sends the body as JSON, and resolves with the
+ * response body or rejects with the error class of the status code: the same
+ * classes as errors.js, plus the ApiError subclasses routes list in
+ * `openapi.errors`.
+ *
+ * The declarations type params, query and body from the routes' validation
+ * schemas, and responses from their `openapi.response` schema.
+ *
+ * @param {Object|Array} routes - A router, or its getRoutes()
+ * @param {Object} [options]
+ * @param {string} [options.baseUrl=''] - Default prefix of request URLs
+ * @returns {{source: string, types: string}} The module and its .d.ts
+ *
+ * @example
+ * const { source, types } = generateClient(router, { baseUrl: '/api' });
+ * await writeFile('src/api-client.js', source);
+ * await writeFile('src/api-client.d.ts', types);
+ *
+ * // In the browser
+ * import { createClient, NotFoundError } from './api-client.js';
+ * const api = createClient();
+ * const user = await api.getUser({ params: { id: 7 } });
+ */
+export function generateClient(routes = [], options = {}) {
+  const { baseUrl = '' } = options;
+  const list = typeof routes.getRoutes === 'function' ? routes.getRoutes() : routes;
+  const operations = describeOperations(list);
+  const errors = describeErrors(list);
+
+  return {
+    source: clientSource(operations, errors, baseUrl),
+    types: clientTypes(operations, errors, baseUrl)
+  };
+}
+
+export default {
+  generateClient
+};
@@ -0,0 +1,299 @@
+/**
+ * Cookies for Coherent.js API framework
+ * @fileoverview Cookie parsing and serialization, signed cookies with secret
+ * rotation, and the middleware that adds `req.cookies`, `res.cookie()` and
+ * `res.clearCookie()`.
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+
+/**
+ * Prefix marking a signed cookie value
+ */
+export const SIGNED_PREFIX = 's:';
+
+/**
+ * Cookie names are HTTP tokens (RFC 6265 section 4.1.1)
+ * @private
+ */
+const COOKIE_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+/**
+ * Attribute values may not end the attribute or the header
+ * @private
+ */
+const ATTRIBUTE_VALUE = /^[^;\r\n]*$/;
+
+const SAME_SITE = { strict: 'Strict', lax: 'Lax', none: 'None' };
+
+/**
+ * Secrets as a list, the first one signing and all of them verifying
+ * @private
+ */
+function toSecrets(secret) {
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  if (secrets.length === 0) {
+    throw new TypeError('A cookie secret is required to sign cookies');
+  }
+  return secrets;
+}
+
+function hmac(value, secret) {
+  return createHmac('sha256', secret).update(value).digest('base64url');
+}
+
+function decode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Parse a Cookie request header
+ *
+ * The first occurrence of a name wins, as browsers send the most specific
+ * cookie first. Values are URI-decoded and may be quoted.
+ *
+ * @param {string} [header] - Cookie header value
+ * @returns {Object<string, string>} Cookie values by name
+ */
+export function parseCookies(header) {
+  const cookies = Object.create(null);
+  if (!header) return cookies;
+
+  for (const pair of String(header).split(';')) {
+    const index = pair.indexOf('=');
+    if (index === -1) continue;
+
+    const name = pair.slice(0, index).trim();
+    if (!name || name in cookies) continue;
+
+    let value = pair.slice(index + 1).trim();
+    if (value.length > 1 && value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    cookies[name] = decode(value);
+  }
+
+  return cookies;
+}
+
+/**
+ * Serialize a cookie for a Set-Cookie header
+ *
+ * @param {string} name - Cookie name
+ * @param {string} value - Cookie value; URI-encoded
+ * @param {Object} [options]
+ * @param {number} [options.maxAge] - Lifetime in milliseconds; sets both
+ *   Max-Age and Expires
+ * @param {Date} [options.expires] - Expiry date
+ * @param {string} [options.domain] - Domain attribute
+ * @param {string} [options.path='/'] - Path attribute
+ * @param {boolean} [options.httpOnly=false] - Hide the cookie from scripts
+ * @param {boolean} [options.secure=false] - Send the cookie over HTTPS only
+ * @param {boolean|string} [options.sameSite] - 'strict', 'lax' or 'none';
+ *   true means strict
+ * @param {boolean} [options.partitioned=false] - Partitioned attribute (CHIPS)
+ * @returns {string} Set-Cookie header value
+ * @throws {TypeError} When the name or an attribute value is invalid
+ */
+export function serializeCookie(name, value, options = {}) {
+  if (!COOKIE_NAME.test(name)) {
+    throw new TypeError(`Invalid cookie name: ${name}`);
+  }
+
+  const { maxAge, expires, domain, path = '/', httpOnly, secure, sameSite, partitioned } = options;
+  const parts = [`${name}=${encodeURIComponent(value)}`];
+
+  if (maxAge !== undefined && maxAge !== null) {
+    if (!Number.isFinite(maxAge)) {
+      throw new TypeError(`Invalid cookie maxAge: ${maxAge}`);
+    }
+    parts.push(`Max-Age=${Math.floor(maxAge / 1000)}`);
+    parts.push(`Expires=${new Date(Date.now() + maxAge).toUTCString()}`);
+  } else if (expires) {
+    parts.push(`Expires=${new Date(expires).toUTCString()}`);
+  }
+
+  for (const [attribute, attributeValue] of [['Domain', domain], ['Path', path]]) {
+    if (!attributeValue) continue;
+    if (!ATTRIBUTE_VALUE.test(attributeValue)) {
+      throw new TypeError(`Invalid cookie ${attribute.toLowerCase()}: ${attributeValue}`);
+    }
+    parts.push(`${attribute}=${attributeValue}`);
+  }
+
+  if (httpOnly) parts.push('HttpOnly');
+  if (secure) parts.push('Secure');
+
+  if (sameSite) {
+    const policy = sameSite === true ? 'Strict' : SAME_SITE[String(sameSite).toLowerCase()];
+    if (!policy) {
+      throw new TypeError(`Invalid cookie sameSite: ${sameSite}`);
+    }
+    parts.push(`SameSite=${policy}`);
+  }
+
+  if (partitioned) parts.push('Partitioned');
+
+  return parts.join('; ');
+}
+
+/**
+ * Sign a cookie value with HMAC-SHA256
+ *
+ * @param {string} value - Value to sign
+ * @param {string|string[]} secret - Secret, or secrets of which the first signs
+ * @returns {string} `value.signature`
+ */
+export function signCookie(value, secret) {
+  const [current] = toSecrets(secret);
+  return `${value}.${hmac(String(value), current)}`;
+}
+
+/**
+ * Verify a value signed by signCookie()
+ *
+ * Every secret is tried, so a value signed before a secret was rotated out
+ * of first place still verifies.
+ *
+ * @param {string} signed - Signed value
+ * @param {string|string[]} secret - Secret, or current and previous secrets
+ * @returns {string|false} The original value, or false when the signature
+ *   does not match any secret
+ */
+export function unsignCookie(signed, secret) {
+  const secrets = toSecrets(secret);
+  if (typeof signed !== 'string') return false;
+
+  const dot = signed.lastIndexOf('.');
+  if (dot === -1) return false;
+
+  const value = signed.slice(0, dot);
+  const signature = Buffer.from(signed.slice(dot + 1));
+
+  for (const candidate of secrets) {
+    const expected = Buffer.from(hmac(value, candidate));
+    if (expected.length === signature.length && timingSafeEqual(expected, signature)) {
+      return value;
+    }
+  }
+  return false;
+}
+
+/**
+ * Append a Set-Cookie header, keeping the ones already set
+ *
+ * @param {Object} res - HTTP response
+ * @param {string} cookie - Set-Cookie header value
+ */
+export function appendSetCookie(res, cookie) {
+  const previous = res.getHeader('Set-Cookie');
+  const cookies = previous === undefined ? [] : [].concat(previous);
+  res.setHeader('Set-Cookie', [...cookies, cookie]);
+}
+
+/**
+ * Add cookie support to a request and response
+ *
+ * Sets `req.cookies` and `req.signedCookies`, `res.cookie()` and
+ * `res.clearCookie()`. Signed cookies whose signature does not verify are
+ * left out of both.
+ *
+ * @param {Object} req - HTTP request
+ * @param {Object} res - HTTP response
+ * @param {Object} [options]
+ * @param {string|string[]} [options.secret] - Signing secret, or a list of
+ *   secrets of which the first signs and all verify
+ * @param {Object} [options.defaults] - Default res.cookie() options
+ * @private
+ */
+function attachCookies(req, res, options = {}) {
+  const { secret, defaults = {} } = options;
+  const secrets = secret ? toSecrets(secret) : [];
+
+  req.cookies = Object.create(null);
+  req.signedCookies = Object.create(null);
+
+  for (const [name, value] of Object.entries(parseCookies(req.headers.cookie))) {
+    if (!value.startsWith(SIGNED_PREFIX)) {
+      req.cookies[name] = value;
+      continue;
+    }
+
+    const unsigned = secrets.length > 0 ? unsignCookie(value.slice(SIGNED_PREFIX.length), secrets) : false;
+    if (unsigned !== false) req.signedCookies[name] = unsigned;
+  }
+
+  /**
+   * Set a cookie
+   * @param {string} name - Cookie name
+   * @param {string} value - Cookie value
+   * @param {Object} [cookieOptions] - serializeCookie() options, plus
+   *   `signed` to sign the value with the first secret
+   * @returns {Object} The response
+   */
+  res.cookie = (name, value, cookieOptions = {}) => {
+    const { signed = false, ...attributes } = { ...defaults, ...cookieOptions };
+    let cookieValue = String(value);
+    if (signed) {
+      if (secrets.length === 0) {
+        throw new TypeError('A cookie secret is required to sign cookies');
+      }
+      cookieValue = SIGNED_PREFIX + signCookie(cookieValue, secrets);
+    }
+    appendSetCookie(res, serializeCookie(name, cookieValue, attributes));
+    return res;
+  };
+
+  /**
+   * Remove a cookie; path and domain must match the ones it was set with
+   * @param {string} name - Cookie name
+   * @param {Object} [cookieOptions] - Path and domain of the cookie
+   * @returns {Object} The response
+   */
+  res.clearCookie = (name, cookieOptions = {}) => {
+    const { signed: _signed, maxAge: _maxAge, ...attributes } = { ...defaults, ...cookieOptions };
+    appendSetCookie(res, serializeCookie(name, '', { ...attributes, expires: new Date(0) }));
+    return res;
+  };
+}
+
+/**
+ * Cookie middleware
+ *
+ * @param {Object} [options]
+ * @param {string|string[]} [options.secret] - Signing secret. Pass a list to
+ *   rotate secrets: the first signs new cookies, and the others keep
+ *   verifying cookies signed before the rotation.
+ * @param {Object} [options.defaults] - Default res.cookie() options, such as
+ *   `{ httpOnly: true, sameSite: 'lax' }`
+ * @returns {Function} Middleware function
+ *
+ * @example
+ * router.use(withCookies({ secret: [process.env.COOKIE_SECRET, process.env.OLD_COOKIE_SECRET] }));
+ *
+ * router.get('/theme', (req, res) => {
+ *   res.cookie('theme', 'dark', { maxAge: 365 * 24 * 3600 * 1000 });
+ *   return { theme: req.cookies.theme };
+ * });
+ */
+export function withCookies(options = {}) {
+  if (options.secret) toSecrets(options.secret);
+
+  return (req, res) => {
+    attachCookies(req, res, options);
+    return null; // Continue to next middleware
+  };
+}
+
+export default {
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  withCookies
+};
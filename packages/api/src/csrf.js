@@ -0,0 +1,149 @@
+/**
+ * CSRF protection for Coherent.js API framework
+ * @fileoverview Rejects state-changing requests that do not carry the token
+ * the server handed out, kept either in the session (synchronizer token) or
+ * in a signed cookie (double-submit cookie).
+ */
+
+import { randomBytes, timingSafeEqual } from 'node:crypto';
+import { Buffer } from 'node:buffer';
+import { AuthorizationError } from './errors.js';
+import { SIGNED_PREFIX, appendSetCookie, parseCookies, serializeCookie, signCookie, unsignCookie } from './cookies.js';
+
+/**
+ * Methods that do not change state, and so carry no token
+ * @private
+ */
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Session key of the synchronizer token
+ * @private
+ */
+const SESSION_KEY = 'csrfToken';
+
+function createToken() {
+  return randomBytes(32).toString('base64url');
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * CSRF middleware
+ *
+ * Adds `req.csrfToken()`, which returns the request's token, creating it on
+ * first use, and `req.csrf`, the `{ token, fieldName, headerName }` object
+ * forms read from the render context:
+ *
+ *     render(Page(), { context: { csrf: req.csrf } })
+ *
+ * buildForm() from @coherent.js/forms then renders the token as a hidden
+ * field, and formAction() sends it as a header.
+ *
+ * Requests with other methods than GET, HEAD and OPTIONS must send the token
+ * in the header or the form field, or are rejected with a 403
+ * AuthorizationError before the handler runs.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.mode='synchronizer'] - 'synchronizer' keeps the
+ *   token in `req.session`, so withSession() must run first;
+ *   'double-submit' keeps it in a signed cookie, for apps without sessions
+ * @param {string|string[]} [options.secret] - Secret signing the token cookie;
+ *   required in double-submit mode. A list rotates secrets as withCookies() does.
+ * @param {string} [options.fieldName='_csrf'] - Form field carrying the token
+ * @param {string} [options.headerName='X-CSRF-Token'] - Header carrying the token
+ * @param {string} [options.cookieName='coherent.csrf'] - Token cookie, in
+ *   double-submit mode
+ * @param {Object} [options.cookie] - Token cookie attributes (serializeCookie()
+ *   options); `httpOnly: true`, `sameSite: 'lax'` and `path: '/'` by default
+ * @param {string[]} [options.ignoreMethods] - Methods not checked
+ * @returns {Function} Middleware function
+ *
+ * @example
+ * router.use(withSession({ secret: process.env.SESSION_SECRET }));
+ * router.use(withCsrf());
+ *
+ * router.get('/todos/new', (req) => render(NewTodoPage(), { context: { csrf: req.csrf } }));
+ * router.post('/todos', formActionHandler(createTodo));
+ */
+export function withCsrf(options = {}) {
+  const {
+    mode = 'synchronizer',
+    secret,
+    fieldName = '_csrf',
+    headerName = 'X-CSRF-Token',
+    cookieName = 'coherent.csrf',
+    cookie = {},
+    ignoreMethods = SAFE_METHODS
+  } = options;
+
+  if (mode !== 'synchronizer' && mode !== 'double-submit') {
+    throw new TypeError(`Unknown CSRF mode: ${mode}`);
+  }
+  if (mode === 'double-submit' && !secret) {
+    throw new TypeError('withCsrf requires a secret in double-submit mode');
+  }
+
+  const ignored = ignoreMethods.map(method => method.toUpperCase());
+  const cookieOptions = { httpOnly: true, sameSite: 'lax', path: '/', ...cookie };
+
+  /** The token the server handed this client, if any */
+  function expectedToken(req) {
+    if (mode === 'synchronizer') {
+      return req.session[SESSION_KEY];
+    }
+    const raw = parseCookies(req.headers.cookie)[cookieName];
+    if (!raw || !raw.startsWith(SIGNED_PREFIX)) return undefined;
+    const token = unsignCookie(raw.slice(SIGNED_PREFIX.length), secret);
+    return token === false ? undefined : token;
+  }
+
+  /** The token the request sent back */
+  function submittedToken(req) {
+    const header = req.headers[headerName.toLowerCase()];
+    if (header) return Array.isArray(header) ? header[0] : header;
+    const body = req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body[fieldName] : undefined;
+    return Array.isArray(body) ? body[0] : body;
+  }
+
+  return (req, res) => {
+    if (mode === 'synchronizer' && !req.session) {
+      throw new Error('withCsrf in synchronizer mode needs withSession() to run first');
+    }
+
+    let token = expectedToken(req);
+
+    req.csrfToken = () => {
+      if (token) return token;
+      token = createToken();
+      if (mode === 'synchronizer') {
+        req.session[SESSION_KEY] = token;
+      } else if (!res.headersSent) {
+        appendSetCookie(res, serializeCookie(cookieName, SIGNED_PREFIX + signCookie(token, secret), cookieOptions));
+      }
+      return token;
+    };
+
+    Object.defineProperty(req, 'csrf', {
+      configurable: true,
+      get: () => ({ token: req.csrfToken(), fieldName, headerName })
+    });
+
+    if (ignored.includes(req.method)) return null;
+
+    if (!tokensMatch(token, submittedToken(req))) {
+      throw new AuthorizationError('Invalid CSRF token');
+    }
+
+    return null; // Continue to next middleware
+  };
+}
+
+export default {
+  withCsrf
+};
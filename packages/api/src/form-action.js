@@ -0,0 +1,166 @@
+/**
+ * Form Action Handlers for Coherent.js
+ * @fileoverview Route handlers for forms that work with and without JavaScript
+ *
+ * A form posts to one route either natively, as a plain browser POST, or with
+ * fetch through formAction() from @coherent.js/forms. formActionHandler()
+ * runs the same handler for both and answers each the way it expects: JSON
+ * for fetch, a redirect or a re-rendered page for the browser.
+ */
+
+import { ApiError, ValidationError } from './errors.js';
+import { validateAgainstSchema } from './validation.js';
+
+/**
+ * Header formAction() sends with fetch submissions (Node lowercases names)
+ * @private
+ */
+const FORM_ACTION_HEADER = 'x-coherent-action';
+
+/**
+ * Field errors as `{ name: message }`, from the `[{ field, message }]` list
+ * validation produces or an object already in that shape
+ * @private
+ */
+function fieldErrors(errors) {
+  if (!Array.isArray(errors)) return { ...errors };
+
+  const byField = {};
+  for (const { field, message } of errors) {
+    if (!(field in byField)) byField[field] = message;
+  }
+  return byField;
+}
+
+/**
+ * Whether formAction() sent the request, rather than a plain form post
+ * @private
+ */
+function isFetchSubmission(req) {
+  const headers = req.headers || {};
+  return Boolean(headers[FORM_ACTION_HEADER]) || (headers.accept || '').includes('application/json');
+}
+
+/**
+ * The page a plain form post came from, to send the browser back to. The
+ * header is sent by the client, so only a page of this site is trusted: a
+ * path, or a URL on the request's own host. Anything else goes to `/`.
+ * @private
+ */
+function referrer(req) {
+  const headers = req.headers || {};
+  const value = headers.referer || headers.referrer;
+  if (!value) return '/';
+
+  // `//host` and `/\host` are other sites to a browser
+  if (/^\/(?![/\\])/.test(value)) return value;
+
+  try {
+    const url = new URL(value);
+    if ((url.protocol === 'http:' || url.protocol === 'https:') && headers.host && url.host === headers.host) {
+      return url.href;
+    }
+  } catch {
+    // Not a URL
+  }
+  return '/';
+}
+
+/**
+ * Write a whole response
+ * @private
+ */
+function send(res, statusCode, body, headers = {}) {
+  res.writeHead(statusCode, headers);
+  res.end(body);
+}
+
+/**
+ * Create a route handler for a form action
+ *
+ * The handler receives the submitted fields and returns the action's result,
+ * or throws: a ValidationError's errors are reported against their fields,
+ * and any other ApiError with its status.
+ *
+ * @param {Function} handler - `(values, req, res) => result`
+ * @param {Object} [options]
+ * @param {Object} [options.validation] - Schema the values are validated
+ *   against before the handler runs
+ * @param {string|Function} [options.redirect] - Where a plain form post goes
+ *   after success, or `(result, req) => url`; the referring page by default
+ * @param {Function} [options.render] - `({ values, errors, message }, req) => html`;
+ *   renders the page again with the errors after a failed plain form post.
+ *   Without it the browser is sent back to the form.
+ * @returns {Function} Route handler for the api router
+ *
+ * @example
+ * router.post('/todos', formActionHandler(async ({ title }) => {
+ *   if (!title) throw new ValidationError({ title: 'Give the todo a title' });
+ *   return todos.add(title);
+ * }, { redirect: '/todos' }));
+ */
+function formActionHandler(handler, options = {}) {
+  if (typeof handler !== 'function') {
+    throw new TypeError('formActionHandler requires a handler function');
+  }
+
+  const formAction = async (req, res) => {
+    const values = req.body || {};
+    const isFetch = isFetchSubmission(req);
+
+    let result;
+    try {
+      if (options.validation) {
+        const validation = validateAgainstSchema(options.validation, values);
+        if (!validation.valid) {
+          throw new ValidationError(validation.errors);
+        }
+      }
+
+      result = await handler(values, req, res);
+    } catch (_error) {
+      const statusCode = _error instanceof ApiError ? _error.statusCode : 500;
+      const message = _error instanceof ApiError ? _error.message : 'Internal server error';
+      const errors = _error instanceof ValidationError ? fieldErrors(_error.details.errors) : {};
+
+      if (statusCode >= 500) {
+        console.error('Form action failed:', _error);
+      }
+      if (res.headersSent) return;
+
+      if (isFetch) {
+        send(res, statusCode, JSON.stringify({ _error: message, errors }), { 'Content-Type': 'application/json' });
+      } else if (options.render) {
+        const html = await options.render({ values, errors, message }, req);
+        send(res, statusCode, html, { 'Content-Type': 'text/html' });
+      } else {
+        send(res, 303, '', { Location: referrer(req) });
+      }
+      return;
+    }
+
+    // The handler answered the request itself
+    if (res.headersSent) return;
+
+    const redirect = typeof options.redirect === 'function'
+      ? await options.redirect(result, req)
+      : options.redirect;
+
+    if (isFetch) {
+      const body = { data: result === undefined ? null : result };
+      if (redirect) body.redirect = redirect;
+      send(res, 200, JSON.stringify(body), { 'Content-Type': 'application/json' });
+    } else {
+      // 303 so the browser follows with a GET and a reload does not repost
+      send(res, 303, '', { Location: redirect || referrer(req) });
+    }
+  };
+
+  // Documented like withValidation() by generateOpenApiSpec()
+  if (options.validation) {
+    formAction.validation = { source: 'body', schema: options.validation };
+  }
+  return formAction;
+}
+
+export { formActionHandler };
@@ -8,6 +8,13 @@ import { ApiError, ValidationError, AuthenticationError, AuthorizationError, Not
 import { validateAgainstSchema, validateField, withValidation, withQueryValidation, withParamsValidation } from './validation.js';
 import { serializeDate, deserializeDate, serializeMap, deserializeMap, serializeSet, deserializeSet, withSerialization, serializeForJSON } from './serialization.js';
 import { withAuth, withRole, hashPassword, verifyPassword, generateToken, withInputValidation } from './security.js';
+import { formActionHandler } from './form-action.js';
+import { parseBody, cleanupFiles, sniffMimeType } from './body-parser.js';
+import { parseCookies, serializeCookie, signCookie, unsignCookie, withCookies } from './cookies.js';
+import { withSession, MemorySessionStore, FileSessionStore } from './session.js';
+import { withCsrf } from './csrf.js';
+import { withOpenApi, generateOpenApiSpec, createOpenApiHandler, createSwaggerUIHandler } from './openapi.js';
+import { generateClient } from './client-generator.js';
 
 export {
   createRouter,
@@ -37,7 +44,25 @@ export {
   hashPassword,
   verifyPassword,
   generateToken,
-  withInputValidation
+  withInputValidation,
+  formActionHandler,
+  parseBody,
+  cleanupFiles,
+  sniffMimeType,
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  withCookies,
+  withSession,
+  MemorySessionStore,
+  FileSessionStore,
+  withCsrf,
+  withOpenApi,
+  generateOpenApiSpec,
+  createOpenApiHandler,
+  createSwaggerUIHandler,
+  generateClient
 };
 
 export default {
@@ -68,5 +93,23 @@ export default {
   hashPassword,
   verifyPassword,
   generateToken,
-  withInputValidation
+  withInputValidation,
+  formActionHandler,
+  parseBody,
+  cleanupFiles,
+  sniffMimeType,
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  withCookies,
+  withSession,
+  MemorySessionStore,
+  FileSessionStore,
+  withCsrf,
+  withOpenApi,
+  generateOpenApiSpec,
+  createOpenApiHandler,
+  createSwaggerUIHandler,
+  generateClient
 };
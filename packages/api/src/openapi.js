@@ -1,107 +1,370 @@
 /**
  * OpenAPI/Swagger integration for Coherent.js API framework
+ * @fileoverview Derives an OpenAPI 3.1 document from the router: path
+ * parameters from the route patterns, parameters and request bodies from the
+ * schemas of withValidation() and its query and params variants, and error
+ * responses from the ApiError classes a route declares.
  */
 
+import { ValidationError } from './errors.js';
+
+/**
+ * OpenAPI version of the generated documents
+ * @private
+ */
+const OPENAPI_VERSION = '3.1.0';
+
+/**
+ * Route parameters as compileRoute() reads them: `:name`, `:name(regex)`,
+ * an optional `?`, and the `*` and `**` wildcards, both named `splat`
+ * @private
+ */
+const PARAM_PATTERN = /:([^(/?]+)(?:\(([^)]+)\))?\??|\*\*?/g;
+
+/**
+ * Media types the router parses into `req.body` for a validated body
+ * @private
+ */
+const BODY_MEDIA_TYPES = ['application/json', 'application/x-www-form-urlencoded', 'multipart/form-data'];
+
+/**
+ * Media types a route accepts: those the router parses, or any bytes when
+ * its `body` option is `'raw'` or `'stream'`
+ * @private
+ */
+function bodyMediaTypes(body) {
+  const mode = typeof body === 'string' ? body : body && body.mode;
+  return mode === 'raw' || mode === 'stream' ? ['application/octet-stream'] : BODY_MEDIA_TYPES;
+}
+
+/**
+ * Body of every error response: the router answers `{ _error: message }`
+ * @private
+ */
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    _error: { type: 'string', description: 'Error message' },
+    errors: {
+      type: 'object',
+      description: 'Messages by field, from form actions',
+      additionalProperties: { type: 'string' }
+    }
+  },
+  required: ['_error']
+};
+
 /**
  * Create OpenAPI documentation middleware
+ *
+ * Does nothing at request time: the router records the options on the route,
+ * and generateOpenApiSpec() merges them over what it derives.
+ *
  * @param {Object} options - OpenAPI options
- * @param {string} options.summary - Endpoint summary
- * @param {string} options.description - Endpoint description
- * @param {Object} options.responses - Response schemas
- * @param {Object} options.requestBody - Request body schema
- * @param {Object} options.parameters - Path/query parameters
+ * @param {string} [options.summary] - Endpoint summary
+ * @param {string} [options.description] - Endpoint description
+ * @param {string} [options.operationId] - Operation ID; the route name or one
+ *   made of the method and path by default
+ * @param {string[]} [options.tags] - Operation tags
+ * @param {boolean} [options.deprecated] - Mark the operation deprecated
+ * @param {Object} [options.response] - JSON Schema of the success response body
+ * @param {Function[]} [options.errors] - ApiError classes the route throws,
+ *   documented as responses with their status codes
+ * @param {Object} [options.responses] - Response objects by status code, over
+ *   the generated ones
+ * @param {Object} [options.requestBody] - Request body schema, for routes
+ *   without withValidation()
+ * @param {Array} [options.parameters] - Parameter objects, over the generated ones
  * @returns {Function} Middleware function
  */
 export function withOpenApi(options = {}) {
-  return (req, res, next) => {
-    // Add OpenAPI metadata to request for documentation generation
-    if (!req.openapi) {
-      req.openapi = {};
+  const middleware = (req, res, next) => {
+    if (typeof next === 'function') {
+      next();
     }
-    
-    // Store endpoint metadata
-    req.openapi[req.method + req.url] = {
-      summary: options.summary || '',
-      description: options.description || '',
-      responses: options.responses || {},
-      requestBody: options.requestBody,
-      parameters: options.parameters || []
-    };
-    
-    next();
+    return null;
   };
+  middleware.openapi = options;
+  return middleware;
+}
+
+/**
+ * Copy a schema as plain JSON Schema: functions are dropped and regular
+ * expressions become their source
+ * @private
+ */
+function toJsonSchema(value) {
+  if (value instanceof RegExp) return value.source;
+  if (Array.isArray(value)) return value.map(toJsonSchema);
+  if (value && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (typeof item !== 'function' && item !== undefined) {
+        copy[key] = toJsonSchema(item);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/** `some-word_list` as `SomeWordList` */
+function pascalCase(text) {
+  return text.split(/[^A-Za-z0-9]+/).filter(Boolean).map(capitalize).join('');
+}
+
+/**
+ * A route path as an OpenAPI path template, `/users/:id(\\d+)/**` as
+ * `/users/{id}/{splat}`, and its path parameters. Also used by the client
+ * generator; not part of the package exports.
+ * @param {string} path - Route pattern
+ * @returns {{path: string, params: Array<{name: string, pattern?: string, wildcard?: string}>}}
+ */
+export function toOpenApiPath(path) {
+  const params = [];
+  const template = path.replace(PARAM_PATTERN, (match, name, pattern) => {
+    if (match.startsWith('*')) {
+      params.push({ name: 'splat', wildcard: match });
+      return '{splat}';
+    }
+    params.push(pattern ? { name, pattern } : { name });
+    return `{${name}}`;
+  });
+  return { path: template, params };
+}
+
+/**
+ * Operation ID made of the method and path: `GET /users/:id` is `getUsersById`.
+ * Also used by the client generator; not part of the package exports.
+ * @param {string} method - HTTP method
+ * @param {string} path - Route pattern
+ * @returns {string}
+ */
+export function operationIdOf(method, path) {
+  const words = path.split('/').filter(Boolean).map(segment => {
+    if (segment.startsWith('*')) return 'Splat';
+    if (segment.startsWith(':')) {
+      return `By${pascalCase(segment.slice(1).replace(/\(.*$/, ''))}`;
+    }
+    return pascalCase(segment);
+  });
+  return method.toLowerCase() + words.join('');
+}
+
+/**
+ * Parameter objects of a route's path and query
+ * @private
+ */
+function parametersOf(params, schemas) {
+  const paramSchemas = schemas.params?.properties || {};
+  const parameters = params.map(({ name, pattern, wildcard }) => {
+    let schema = paramSchemas[name] ? toJsonSchema(paramSchemas[name]) : { type: 'string' };
+    if (pattern && !schema.pattern) {
+      schema = { ...schema, pattern: `^(?:${pattern})$` };
+    }
+    const parameter = { name, in: 'path', required: true, schema };
+    if (wildcard) {
+      parameter.description = wildcard === '**' ? 'Rest of the path' : 'One path segment';
+    }
+    return parameter;
+  });
+
+  const query = schemas.query;
+  const required = query?.required || [];
+  for (const [name, schema] of Object.entries(query?.properties || {})) {
+    parameters.push({ name, in: 'query', required: required.includes(name), schema: toJsonSchema(schema) });
+  }
+
+  return parameters;
+}
+
+/**
+ * Hand-written parameters replace the generated ones of the same name and place
+ * @private
+ */
+function mergeParameters(generated, written = []) {
+  const key = parameter => `${parameter.in}:${parameter.name}`;
+  const replaced = new Set(written.map(key));
+  return [...generated.filter(parameter => !replaced.has(key(parameter))), ...written];
+}
+
+/**
+ * Error responses of the ApiError classes (or instances) a route throws,
+ * by status code
+ * @private
+ */
+function errorResponses(errors, components) {
+  const byStatus = new Map();
+
+  for (const entry of errors) {
+    const error = typeof entry === 'function' ? new entry() : entry;
+    const name = error.constructor.name;
+    const status = String(error.statusCode || 500);
+
+    components.responses[name] = {
+      description: error.message || name,
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    };
+    if (!byStatus.has(status)) byStatus.set(status, []);
+    if (!byStatus.get(status).includes(name)) byStatus.get(status).push(name);
+  }
+
+  const responses = {};
+  for (const [status, names] of byStatus) {
+    responses[status] = names.length === 1
+      ? { $ref: `#/components/responses/${names[0]}` }
+      : {
+        description: names.map(name => components.responses[name].description).join(', or '),
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      };
+  }
+  return responses;
+}
+
+/**
+ * Put a schema in components.schemas and return a reference to it. The same
+ * schema used by several routes is stored once; a name already taken by
+ * another schema gets a number.
+ * @private
+ */
+function addSchema(components, name, schema) {
+  const json = JSON.stringify(schema);
+  for (const [existing, stored] of Object.entries(components.schemas)) {
+    if (JSON.stringify(stored) === json) {
+      return { $ref: `#/components/schemas/${existing}` };
+    }
+  }
+
+  let unique = name;
+  for (let n = 2; components.schemas[unique]; n++) {
+    unique = `${name}${n}`;
+  }
+  components.schemas[unique] = schema;
+  return { $ref: `#/components/schemas/${unique}` };
 }
 
 /**
- * Generate OpenAPI specification from registered routes
+ * Generate an OpenAPI 3.1 document from registered routes
+ *
+ * Each route is documented from what it already declares:
+ * - path parameters from its pattern (`:id(\\d+)` becomes `{id}` with a
+ *   pattern), or from withParamsValidation() when it has a schema for them
+ * - query parameters from withQueryValidation()
+ * - the request body from withValidation(), the `validation` of an object
+ *   route or formActionHandler(), stored in `components.schemas`
+ * - a 400 ValidationError response when any of those validate, and the
+ *   responses of the ApiError classes listed in its `openapi.errors`
+ *
+ * Metadata from withOpenApi() or the route's `openapi` option is merged over
+ * the result.
+ *
  * @param {Object} appInfo - Application information
  * @param {string} appInfo.title - Application title
  * @param {string} appInfo.version - Application version
  * @param {string} appInfo.description - Application description
- * @param {Array} routes - Registered routes
+ * @param {Array} [appInfo.servers] - Server objects
+ * @param {Object|Array} routes - A router, or its getRoutes()
  * @returns {Object} OpenAPI specification
+ *
+ * @example
+ * router.get('/users/:id', getUser, {
+ *   name: 'getUser',
+ *   middleware: [withParamsValidation(userParams)],
+ *   openapi: { summary: 'Get a user', response: userSchema, errors: [NotFoundError] }
+ * });
+ *
+ * const spec = generateOpenApiSpec({ title: 'Users', version: '1.0.0' }, router);
  */
 export function generateOpenApiSpec(appInfo = {}, routes = []) {
+  const { title, version, description, servers, ...info } = appInfo;
   const spec = {
-    openapi: '3.0.0',
+    openapi: OPENAPI_VERSION,
     info: {
-      title: appInfo.title || 'Coherent.js API',
-      version: appInfo.version || '1.0.0',
-      description: appInfo.description || 'API documentation for Coherent.js application'
+      title: title || 'Coherent.js API',
+      version: version || '1.0.0',
+      description: description || 'API documentation for Coherent.js application',
+      ...info
     },
     paths: {}
   };
-  
-  // Process each route
-  routes.forEach(route => {
-    const path = normalizePath(route.path);
+  if (servers) {
+    spec.servers = servers;
+  }
+
+  const components = { schemas: { Error: ERROR_SCHEMA }, responses: {} };
+  const operationIds = new Set();
+  const list = typeof routes.getRoutes === 'function' ? routes.getRoutes() : routes;
+
+  for (const route of list) {
     const method = route.method.toLowerCase();
-    
-    if (!spec.paths[path]) {
-      spec.paths[path] = {};
+    const { path, params } = toOpenApiPath(route.path);
+    const schemas = route.schemas || {};
+    const openapi = route.openapi || {};
+
+    const baseId = openapi.operationId || route.name || operationIdOf(method, route.path);
+    let operationId = baseId;
+    for (let n = 2; operationIds.has(operationId); n++) {
+      operationId = `${baseId}${n}`;
     }
-    
-    // Add operation
-    spec.paths[path][method] = {
-      summary: route.openapi?.summary || '',
-      description: route.openapi?.description || '',
-      parameters: route.openapi?.parameters || [],
-      responses: route.openapi?.responses || {
-        '200': {
-          description: 'Successful response'
-        }
-      }
-    };
-    
-    // Add request body if specified
-    if (route.openapi?.requestBody) {
-      spec.paths[path][method].requestBody = {
-        content: {
-          'application/json': {
-            schema: route.openapi.requestBody
-          }
-        }
+    operationIds.add(operationId);
+
+    const operation = { operationId };
+    for (const key of ['summary', 'description', 'tags', 'deprecated']) {
+      if (openapi[key] !== undefined) operation[key] = openapi[key];
+    }
+
+    const parameters = mergeParameters(parametersOf(params, schemas), openapi.parameters);
+    if (parameters.length > 0) {
+      operation.parameters = parameters;
+    }
+
+    const bodySchema = schemas.body || openapi.requestBody;
+    if (bodySchema) {
+      const schema = toJsonSchema(bodySchema);
+      const ref = addSchema(components, schema.title || `${capitalize(operationId)}Body`, schema);
+      operation.requestBody = {
+        required: Array.isArray(schema.required) && schema.required.length > 0,
+        content: Object.fromEntries(bodyMediaTypes(route.body).map(type => [type, { schema: ref }]))
       };
     }
-  });
-  
-  return spec;
-}
 
-/**
- * Normalize path for OpenAPI
- * @param {string} path - Route path
- * @returns {string} Normalized path
- */
-function normalizePath(path) {
-  // Convert Express-style params (:id) to OpenAPI style ({id})
-  return path.replace(/:(\w+)/g, '{$1}');
+    const success = { description: 'Successful response' };
+    if (openapi.response) {
+      const schema = toJsonSchema(openapi.response);
+      success.content = {
+        'application/json': { schema: addSchema(components, schema.title || `${capitalize(operationId)}Response`, schema) }
+      };
+    }
+
+    const validates = Boolean(schemas.body || schemas.query || schemas.params);
+    const errors = [...(validates ? [ValidationError] : []), ...(openapi.errors || [])];
+
+    operation.responses = {
+      '200': success,
+      ...errorResponses(errors, components),
+      ...openapi.responses
+    };
+
+    spec.paths[path] = { ...spec.paths[path], [method]: operation };
+  }
+
+  if (Object.keys(components.responses).length === 0) {
+    delete components.responses;
+  }
+  spec.components = components;
+
+  return spec;
 }
 
 /**
  * Create OpenAPI documentation endpoint
  * @param {Object} appInfo - Application information
- * @param {Array} routes - Registered routes
+ * @param {Object|Array} routes - A router, or its getRoutes(); read on every
+ *   request, so routes added later are documented too
  * @returns {Function} Handler function
  */
 export function createOpenApiHandler(appInfo = {}, routes = []) {
@@ -124,11 +387,11 @@ export function createSwaggerUIHandler() {
 <head>
   <meta charset="UTF-8">
   <title>Coherent.js API Documentation</title>
-  <link rel="stylesheet" type="text/css" href="https://unpkg.com/swagger-ui-dist@4/swagger-ui-bundle.css" />
+  <link rel="stylesheet" type="text/css" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css" />
 </head>
 <body>
   <div id="swagger-ui"></div>
-  <script src="https://unpkg.com/swagger-ui-dist@4/swagger-ui-bundle.js"></script>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
   <script>
     SwaggerUIBundle({
       url: '/api/docs/json',
@@ -13,6 +13,7 @@ import { createHash, randomBytes } from 'node:crypto';
 
 import { withValidation } from './validation.js';
 import { withErrorHandling } from './errors.js';
+import { parseBody, cleanupFiles } from './body-parser.js';
 import { createServer } from 'node:http';
 import { parse as parseUrl } from 'node:url';
 
@@ -23,71 +24,32 @@ import { parse as parseUrl } from 'node:url';
 const HTTP_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
 
 /**
- * Parse JSON request body with security limits
+ * Body parser options of a route: the router's, with the route's `body`
+ * option on top. A string route option is the parser mode.
  * @private
  */
-function parseBody(req, maxSize = 1024 * 1024) { // 1MB limit
-  return new Promise((resolve, reject) => {
-    if (req.method === 'GET' || req.method === 'DELETE') {
-      resolve({});
-      return;
-    }
-
-    let body = '';
-    let size = 0;
-
-    req.on('data', chunk => {
-      size += chunk.length;
-      if (size > maxSize) {
-        reject(new Error('Request body too large'));
-        return;
-      }
-      body += chunk.toString();
-    });
-
-    req.on('end', () => {
-      try {
-        const contentType = req.headers['content-type'] || '';
-        if (contentType.includes('application/json')) {
-          const parsed = body ? JSON.parse(body) : {};
-          // Basic input sanitization
-          resolve(sanitizeInput(parsed));
-        } else {
-          resolve({});
-        }
-      } catch {
-        reject(new Error('Invalid JSON body'));
-      }
-    });
-
-    req.on('_error', reject);
-  });
+function resolveBodyOptions(options, routeBody) {
+  const base = options.body || {};
+  const route = typeof routeBody === 'string' ? { mode: routeBody } : (routeBody || {});
+  return {
+    limit: options.maxBodySize,
+    ...base,
+    ...route,
+    files: { ...base.files, ...route.files }
+  };
 }
 
 /**
- * Basic input sanitization
+ * Remove an upload's temporary files once the response is done, or hand
+ * them to the `cleanup` hook; `false` keeps them
  * @private
  */
-function sanitizeInput(obj) {
-  if (typeof obj !== 'object' || obj === null) return obj;
-
-  const sanitized = {};
-  for (const [key, value] of Object.entries(obj)) {
-    // Remove potentially dangerous keys
-    if (key.startsWith('__') || key.includes('prototype')) continue;
-
-    if (typeof value === 'string') {
-      // Basic XSS prevention
-      sanitized[key] = value.replace(/<script[^>]*>.*?<\/script>/gi, '')
-                           .replace(/javascript:/gi, '')
-                           .replace(/on\w+=/gi, '');
-    } else if (typeof value === 'object') {
-      sanitized[key] = sanitizeInput(value);
-    } else {
-      sanitized[key] = value;
-    }
-  }
-  return sanitized;
+function registerCleanup(res, files, cleanup = true) {
+  if (cleanup === false || typeof res.once !== 'function') return;
+  res.once('close', () => {
+    const done = typeof cleanup === 'function' ? cleanup(files) : cleanupFiles(files);
+    Promise.resolve(done).catch(_error => console.error('Upload cleanup failed:', _error));
+  });
 }
 
 /**
@@ -253,6 +215,36 @@ function processRoutes(routeObj, router, basePath = '') {
   });
 }
 
+/**
+ * Request schemas and OpenAPI metadata carried by a route's middleware and
+ * handler: withValidation() and its query and params variants record their
+ * schema as `validation`, withOpenApi() its options as `openapi`. The route's
+ * own `schemas` and `openapi` options win.
+ * @private
+ * @param {Function[]} fns - Middleware and handlers of the route
+ * @param {Object} [options] - Route options
+ * @returns {{schemas: Object, openapi: Object|undefined}}
+ */
+function describeRoute(fns, options = {}) {
+  const schemas = {};
+  let openapi;
+
+  for (const fn of fns) {
+    if (!fn) continue;
+    if (fn.validation) {
+      schemas[fn.validation.source] = fn.validation.schema;
+    }
+    if (fn.openapi) {
+      openapi = { ...openapi, ...fn.openapi };
+    }
+  }
+
+  if (options.openapi) {
+    openapi = { ...openapi, ...options.openapi };
+  }
+  return { schemas: { ...schemas, ...options.schemas }, openapi };
+}
+
 /**
  * Registers a single route with middleware chain
  *
@@ -269,7 +261,8 @@ function registerRoute(method, config, router, path) {
     middleware,
     errorHandling = true,
     path: customPath,
-    name
+    name,
+    body
   } = config;
 
   const routePath = customPath || path || '/';
@@ -295,6 +288,9 @@ function registerRoute(method, config, router, path) {
     return;
   }
 
+  // Read before wrapping, which hides what the functions carry
+  const description = describeRoute(chain, config);
+
   // Apply _error handling
   if (errorHandling) {
     chain.forEach((fn, i) => {
@@ -314,6 +310,9 @@ function registerRoute(method, config, router, path) {
         }
       }
 
+      // A handler that wrote the response itself returns nothing
+      if (res.headersSent) return;
+
       if (result && typeof result === 'object') {
         res.writeHead(200, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify(result));
@@ -326,7 +325,7 @@ function registerRoute(method, config, router, path) {
       res.writeHead(statusCode, { 'Content-Type': 'application/json' });
       res.end(JSON.stringify({ _error: _error.message }));
     }
-  }, { name });
+  }, { name, body, ...description });
 }
 
 /**
@@ -439,6 +438,12 @@ class SimpleRouter {
    * @param {Array} [options.middleware] - Route-specific middleware
    * @param {string} [options.name] - Named route for URL generation
    * @param {string} [options.version] - API version for this route
+   * @param {string|Object} [options.body] - Body parser options for this route,
+   *   or `'raw'` for the exact bytes and `'stream'` to leave the body unread
+   * @param {Object} [options.schemas] - `{ body, query, params }` schemas of
+   *   the request, over those of validation middleware; for documentation only
+   * @param {Object} [options.openapi] - OpenAPI metadata of the operation
+   *   (summary, description, tags, response, errors...), over withOpenApi()'s
    *
    * @example
    * router.addRoute('GET', '/users/:id', (req, res) => {
@@ -454,6 +459,7 @@ class SimpleRouter {
     const groupMiddleware = this.getCurrentGroupMiddleware();
     const routeMiddleware = options.middleware || [];
     const allMiddleware = [...this.globalMiddleware, ...groupMiddleware, ...routeMiddleware];
+    const { schemas, openapi } = describeRoute([...allMiddleware, handler], options);
 
     const route = {
       method: method.toUpperCase(),
@@ -461,7 +467,10 @@ class SimpleRouter {
       handler,
       middleware: allMiddleware,
       name: options.name,
-      version: options.version || this.defaultVersion
+      version: options.version || this.defaultVersion,
+      body: options.body,
+      schemas,
+      openapi
     };
 
     // Compile route pattern if compilation is enabled
@@ -1401,7 +1410,10 @@ class SimpleRouter {
       middlewareCount: route.middleware ? route.middleware.length : 0,
       compiled: !!route.compiled,
       compiledPattern: route.compiled ? route.compiled.regex.source : null,
-      paramNames: route.compiled ? route.compiled.paramNames : null
+      paramNames: route.compiled ? route.compiled.paramNames : null,
+      body: route.body || null,
+      schemas: route.schemas || {},
+      openapi: route.openapi || null
     }));
   }
 
@@ -1550,17 +1562,6 @@ class SimpleRouter {
       req.query = parsedUrl.query || {};
     }
 
-    // Parse request body with size limits
-    try {
-      req.body = await parseBody(req, options.maxBodySize);
-    } catch (_error) {
-      if (this.enableMetrics) this.metrics.errors++;
-      const statusCode = _error.message.includes('too large') ? 413 : 400;
-      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({ _error: _error.message }));
-      return;
-    }
-
     // Check route cache first
     const cacheKey = `${req.method}:${pathname}`;
     let matchedRoute = this.routeCache.get(cacheKey);
@@ -1656,6 +1657,23 @@ class SimpleRouter {
         this.metrics.routeMatches.set(routeKey, (this.metrics.routeMatches.get(routeKey) || 0) + 1);
       }
 
+      // Parse request body with size limits, and the route's own body options
+      const bodyOptions = resolveBodyOptions(options, matchedRoute.route.body);
+      try {
+        const { body, files } = await parseBody(req, bodyOptions);
+        req.body = body;
+        if (files.length > 0) {
+          req.files = files;
+          registerCleanup(res, files, bodyOptions.files.cleanup);
+        }
+      } catch (_error) {
+        if (this.enableMetrics) this.metrics.errors++;
+        const statusCode = _error.statusCode || (_error.message.includes('too large') ? 413 : 400);
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ _error: _error.message }));
+        return;
+      }
+
       try {
         // Execute middleware chain
         if (matchedRoute.route.middleware && matchedRoute.route.middleware.length > 0) {
@@ -1700,7 +1718,8 @@ class SimpleRouter {
       } catch (_error) {
         if (this.enableMetrics) this.metrics.errors++;
         if (!res.headersSent) {
-          res.writeHead(500, { 'Content-Type': 'application/json' });
+          // Middleware rejects a request by throwing an ApiError with its status
+          res.writeHead(_error.statusCode || 500, { 'Content-Type': 'application/json' });
           res.end(JSON.stringify({ _error: _error.message }));
         }
         return;
@@ -1811,7 +1830,7 @@ class SimpleRouter {
  * Creates an object-based router from nested route definitions
  *
  * @param {Object} routes - Nested route definition object
- * @param {Object} options - Router options (corsOrigin, rateLimit, maxBodySize)
+ * @param {Object} options - Router options (corsOrigin, rateLimit, maxBodySize, body)
  * @returns {Object} Configured router instance
  *
  * @example
@@ -0,0 +1,454 @@
+/**
+ * Sessions for Coherent.js API framework
+ * @fileoverview Server-side sessions behind a signed cookie, with a memory
+ * store, a file store and the interface other stores implement.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { mkdir, readFile, readdir, rename, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { SIGNED_PREFIX, parseCookies, serializeCookie, signCookie, unsignCookie, appendSetCookie } from './cookies.js';
+
+/**
+ * A session store
+ *
+ * Stores keep one value per session ID and forget it once its time to live
+ * has passed. Values are plain JSON-serializable objects.
+ *
+ * @typedef {Object} SessionStore
+ * @property {function(string): Promise<Object|null>} get - The value of a
+ *   session, or null when there is none or it has expired
+ * @property {function(string, Object, number): Promise<void>} set - Save a
+ *   value with a time to live in milliseconds
+ * @property {function(string): Promise<void>} destroy - Remove a session
+ */
+
+/**
+ * Default session lifetime: one day
+ * @private
+ */
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Session IDs are base64url, which also keeps them safe as file names
+ * @private
+ */
+const SESSION_ID = /^[A-Za-z0-9_-]{1,128}$/;
+
+function createSessionId() {
+  return randomBytes(32).toString('base64url');
+}
+
+/**
+ * Run prune() every `interval` milliseconds without keeping the process alive
+ * @private
+ */
+function schedulePrune(store, interval) {
+  if (!interval) return null;
+  const timer = setInterval(() => {
+    Promise.resolve(store.prune()).catch(() => {});
+  }, interval);
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  return timer;
+}
+
+/**
+ * In-memory session store
+ *
+ * Sessions live as long as the process and are not shared between processes,
+ * which suits development and single-instance deployments.
+ */
+export class MemorySessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.pruneInterval=600000] - How often to drop expired
+   *   sessions, in milliseconds; 0 to only drop them when read
+   */
+  constructor(options = {}) {
+    const { pruneInterval = 10 * 60 * 1000 } = options;
+    this.sessions = new Map();
+    this.timer = schedulePrune(this, pruneInterval);
+  }
+
+  async get(id) {
+    const entry = this.sessions.get(id);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      this.sessions.delete(id);
+      return null;
+    }
+    // A copy, so changes to the session only count once saved
+    return JSON.parse(entry.value);
+  }
+
+  async set(id, value, ttl) {
+    this.sessions.set(id, { value: JSON.stringify(value), expires: Date.now() + ttl });
+  }
+
+  async destroy(id) {
+    this.sessions.delete(id);
+  }
+
+  /**
+   * Drop expired sessions
+   * @returns {number} Number of sessions dropped
+   */
+  prune() {
+    const now = Date.now();
+    let pruned = 0;
+    for (const [id, entry] of this.sessions) {
+      if (entry.expires <= now) {
+        this.sessions.delete(id);
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /** Stop pruning, so the store can be dropped */
+  close() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * File session store
+ *
+ * Keeps each session in a JSON file named after its ID, so sessions survive
+ * restarts and are shared by the processes of one machine.
+ */
+export class FileSessionStore {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir] - Directory for the session files; a
+   *   `coherent-sessions` directory in the system temp directory by default
+   * @param {number} [options.pruneInterval=3600000] - How often to delete
+   *   expired session files, in milliseconds; 0 to only delete them when read
+   */
+  constructor(options = {}) {
+    const { dir = join(tmpdir(), 'coherent-sessions'), pruneInterval = 60 * 60 * 1000 } = options;
+    this.dir = dir;
+    this.ready = null;
+    this.timer = schedulePrune(this, pruneInterval);
+  }
+
+  /**
+   * Path of a session's file; null for IDs that could escape the directory
+   * @private
+   */
+  file(id) {
+    return SESSION_ID.test(id) ? join(this.dir, `${id}.json`) : null;
+  }
+
+  /** @private */
+  async read(file) {
+    try {
+      return JSON.parse(await readFile(file, 'utf8'));
+    } catch (_error) {
+      // A missing file is an unknown session; an unreadable one is dropped
+      if (_error.code !== 'ENOENT') await rm(file, { force: true });
+      return null;
+    }
+  }
+
+  async get(id) {
+    const file = this.file(id);
+    if (!file) return null;
+
+    const entry = await this.read(file);
+    if (!entry) return null;
+    if (entry.expires <= Date.now()) {
+      await rm(file, { force: true });
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(id, value, ttl) {
+    const file = this.file(id);
+    if (!file) {
+      throw new TypeError(`Invalid session ID: ${id}`);
+    }
+
+    if (!this.ready) {
+      this.ready = mkdir(this.dir, { recursive: true, mode: 0o700 });
+    }
+    await this.ready;
+
+    // Write then rename, so a concurrent read never sees half a file
+    const temp = `${file}.${randomBytes(6).toString('hex')}.tmp`;
+    await writeFile(temp, JSON.stringify({ value, expires: Date.now() + ttl }), { mode: 0o600 });
+    await rename(temp, file);
+  }
+
+  async destroy(id) {
+    const file = this.file(id);
+    if (file) await rm(file, { force: true });
+  }
+
+  /**
+   * Delete expired session files
+   * @returns {Promise<number>} Number of sessions deleted
+   */
+  async prune() {
+    let names;
+    try {
+      names = await readdir(this.dir);
+    } catch {
+      return 0;
+    }
+
+    const now = Date.now();
+    let pruned = 0;
+    for (const name of names) {
+      if (!name.endsWith('.json')) continue;
+      const file = join(this.dir, name);
+      const entry = await this.read(file);
+      if (entry && entry.expires <= now) {
+        await rm(file, { force: true });
+        pruned++;
+      }
+    }
+    return pruned;
+  }
+
+  /** Stop pruning, so the store can be dropped */
+  close() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+/**
+ * What withSession() tracks about each request's session
+ * @private
+ */
+const sessionState = new WeakMap();
+
+/**
+ * A request's session: its own enumerable properties are the session data
+ *
+ * The ID and methods are not enumerable, so `{ ...req.session }` and
+ * JSON.stringify(req.session) give only the data. `id`, `expires` and the
+ * method names are reserved and cannot hold data.
+ */
+class Session {
+  constructor(id, data, state) {
+    Object.defineProperty(this, 'id', { value: id, writable: true, enumerable: false });
+    for (const [key, value] of Object.entries(data)) {
+      if (key !== 'id' && !(key in Session.prototype)) this[key] = value;
+    }
+    sessionState.set(this, state);
+  }
+
+  /** When the session expires, as of this request */
+  get expires() {
+    return new Date(sessionState.get(this).expires);
+  }
+
+  /**
+   * Move the session to a new ID, keeping its data
+   *
+   * Call it when the user signs in or their privileges change, so an ID
+   * known before then (session fixation) is worth nothing after.
+   *
+   * @returns {Promise<Session>} The session
+   */
+  async regenerate() {
+    const state = sessionState.get(this);
+    await state.store.destroy(this.id);
+    this.id = createSessionId();
+    state.regenerated = true;
+    state.destroyed = false;
+    return this;
+  }
+
+  /**
+   * End the session: remove it from the store, clear its data and the cookie
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    const state = sessionState.get(this);
+    await state.store.destroy(this.id);
+    for (const key of Object.keys(this)) {
+      delete this[key];
+    }
+    state.destroyed = true;
+  }
+
+  /**
+   * Extend the session's lifetime on this response, as rolling sessions do
+   * on every response
+   * @returns {Session} The session
+   */
+  touch() {
+    sessionState.get(this).touched = true;
+    return this;
+  }
+}
+
+/**
+ * Session middleware
+ *
+ * Sets `req.session`, loaded from the store by the ID in a signed cookie.
+ * Properties set on it are saved when the response ends, and a cookie is only
+ * sent once the session holds something (or `saveUninitialized` is set).
+ *
+ * Unlike withAuth(), which reads a JWT from the Authorization header, this
+ * keeps the state on the server, which suits server-rendered pages and forms.
+ *
+ * @param {Object} options
+ * @param {string|string[]} options.secret - Secret signing the session
+ *   cookie. Pass a list to rotate secrets: the first signs, the others still
+ *   verify, and cookies signed with them are signed again.
+ * @param {SessionStore} [options.store] - Where sessions live; a
+ *   MemorySessionStore by default
+ * @param {string} [options.name='coherent.sid'] - Cookie name
+ * @param {number} [options.maxAge=86400000] - Session lifetime in milliseconds
+ * @param {boolean} [options.rolling=false] - Restart the lifetime on every
+ *   response, so sessions expire after `maxAge` of inactivity rather than
+ *   `maxAge` after they started
+ * @param {boolean} [options.saveUninitialized=false] - Save and send a cookie
+ *   for new sessions that hold no data
+ * @param {Object} [options.cookie] - Cookie attributes (serializeCookie()
+ *   options); `httpOnly: true`, `sameSite: 'lax'` and `path: '/'` by default
+ * @returns {Function} Middleware function
+ *
+ * @example
+ * const sessions = withSession({
+ *   secret: process.env.SESSION_SECRET,
+ *   store: new FileSessionStore({ dir: './.sessions' }),
+ *   rolling: true
+ * });
+ *
+ * router.post('/login', async (req) => {
+ *   const user = await authenticate(req.body);
+ *   await req.session.regenerate();
+ *   req.session.userId = user.id;
+ *   return { ok: true };
+ * }, { middleware: [sessions] });
+ */
+export function withSession(options = {}) {
+  const {
+    secret,
+    store = new MemorySessionStore(),
+    name = 'coherent.sid',
+    maxAge = DEFAULT_MAX_AGE,
+    rolling = false,
+    saveUninitialized = false,
+    cookie = {}
+  } = options;
+
+  const secrets = (Array.isArray(secret) ? secret : [secret]).filter(Boolean);
+  if (secrets.length === 0) {
+    throw new TypeError('withSession requires a secret');
+  }
+  for (const method of ['get', 'set', 'destroy']) {
+    if (typeof store[method] !== 'function') {
+      throw new TypeError(`Session store must implement ${method}()`);
+    }
+  }
+
+  const cookieOptions = { httpOnly: true, sameSite: 'lax', path: '/', ...cookie };
+
+  /** The session ID in the request's cookie, and whether it needs re-signing */
+  function readCookie(req) {
+    const raw = parseCookies(req.headers.cookie)[name];
+    if (!raw || !raw.startsWith(SIGNED_PREFIX)) return {};
+
+    const signed = raw.slice(SIGNED_PREFIX.length);
+    const id = unsignCookie(signed, secrets);
+    if (id === false) return {};
+    return { id, stale: unsignCookie(signed, secrets[0]) === false };
+  }
+
+  return async (req, res) => {
+    if (req.session) return null;
+
+    const now = Date.now();
+    const { id: cookieId, stale = false } = readCookie(req);
+    const record = cookieId ? await store.get(cookieId) : null;
+    const loaded = record && record.expires > now ? record : null;
+
+    const state = {
+      store,
+      isNew: !loaded,
+      snapshot: JSON.stringify(loaded ? loaded.data : {}),
+      expires: loaded ? loaded.expires : now + maxAge,
+      regenerated: false,
+      destroyed: false,
+      touched: false
+    };
+    const session = new Session(loaded ? cookieId : createSessionId(), loaded ? loaded.data : {}, state);
+    req.session = session;
+
+    let pendingSave = null;
+
+    /**
+     * Decide what the response does with the session, once: which cookie to
+     * send, while headers can still be set, and what to save
+     */
+    function commit() {
+      if (pendingSave) return pendingSave;
+
+      if (state.destroyed) {
+        if (!state.isNew && !res.headersSent) {
+          appendSetCookie(res, serializeCookie(name, '', { ...cookieOptions, maxAge: undefined, expires: new Date(0) }));
+        }
+        pendingSave = Promise.resolve();
+        return pendingSave;
+      }
+
+      const data = { ...session };
+      const changed = JSON.stringify(data) !== state.snapshot;
+      const extend = rolling || state.touched || state.regenerated;
+
+      if (state.isNew && !changed && !saveUninitialized && !state.regenerated) {
+        pendingSave = Promise.resolve();
+        return pendingSave;
+      }
+
+      if (extend) state.expires = Date.now() + maxAge;
+
+      if ((state.isNew || extend || stale) && !res.headersSent) {
+        const value = SIGNED_PREFIX + signCookie(session.id, secrets);
+        appendSetCookie(res, serializeCookie(name, value, { ...cookieOptions, maxAge: undefined, expires: new Date(state.expires) }));
+      }
+
+      pendingSave = changed || state.isNew || extend
+        ? Promise.resolve(store.set(session.id, { data, expires: state.expires }, state.expires - Date.now()))
+        : Promise.resolve();
+      return pendingSave;
+    }
+
+    // The cookie goes out with the headers; the response only ends once the
+    // session is saved, so the next request sees it
+    const writeHead = res.writeHead;
+    res.writeHead = function (...args) {
+      commit();
+      return writeHead.apply(this, args);
+    };
+
+    const end = res.end;
+    res.end = function (...args) {
+      commit()
+        .catch((_error) => {
+          console.error('Failed to save session:', _error);
+        })
+        .then(() => end.apply(this, args));
+      return this;
+    };
+
+    return null; // Continue to next middleware
+  };
+}
+
+export default {
+  MemorySessionStore,
+  FileSessionStore,
+  withSession
+};
@@ -149,21 +149,42 @@ function validateField(schema, value, fieldName) {
 }
 
 /**
- * Create validation middleware
+ * Create middleware validating one part of the request
+ *
+ * The schema stays readable on the middleware as `validation`, so the router
+ * can record it on the route and generateOpenApiSpec() can document it.
+ *
+ * @private
+ * @param {string} source - Request property validated: body, query or params
  * @param {Object} schema - JSON Schema for validation
  * @returns {Function} Middleware function
  */
-function withValidation(schema) {
-  return (req, res, next) => {
-    const data = req.body || {};
+function validationMiddleware(source, schema) {
+  const middleware = (req, res, next) => {
+    const data = req[source] || {};
     const result = validateAgainstSchema(schema, data);
 
     if (!result.valid) {
       throw new ValidationError(result.errors);
     }
 
-    next();
+    // The router runs middleware without next; Express passes it
+    if (typeof next === 'function') {
+      next();
+    }
+    return null;
   };
+  middleware.validation = { source, schema };
+  return middleware;
+}
+
+/**
+ * Create validation middleware
+ * @param {Object} schema - JSON Schema for validation
+ * @returns {Function} Middleware function
+ */
+function withValidation(schema) {
+  return validationMiddleware('body', schema);
 }
 
 /**
@@ -172,16 +193,7 @@ function withValidation(schema) {
  * @returns {Function} Middleware function
  */
 function withQueryValidation(schema) {
-  return (req, res, next) => {
-    const data = req.query || {};
-    const result = validateAgainstSchema(schema, data);
-
-    if (!result.valid) {
-      throw new ValidationError(result.errors);
-    }
-
-    next();
-  };
+  return validationMiddleware('query', schema);
 }
 
 /**
@@ -190,16 +202,7 @@ function withQueryValidation(schema) {
  * @returns {Function} Middleware function
  */
 function withParamsValidation(schema) {
-  return (req, res, next) => {
-    const data = req.params || {};
-    const result = validateAgainstSchema(schema, data);
-
-    if (!result.valid) {
-      throw new ValidationError(result.errors);
-    }
-
-    next();
-  };
+  return validationMiddleware('params', schema);
 }
 
 // Export validation utilities
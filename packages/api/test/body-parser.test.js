@@ -0,0 +1,298 @@
+/**
+ * Tests for request body parsing
+ *
+ * Bodies arrive as streams in small chunks here, so multipart delimiters and
+ * multibyte characters get split across chunk boundaries as they do on a
+ * real socket.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { Readable, Writable } from 'node:stream';
+import { EventEmitter } from 'node:events';
+import { existsSync, mkdtempSync, readdirSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { parseBody, cleanupFiles, sniffMimeType } from '../src/body-parser.js';
+import { createRouter } from '../src/router.js';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52, 1, 2, 3]);
+const BOUNDARY = '----coherent7MA4YWxkTrZu0gW';
+
+/** A request streaming `body` in chunks of `chunkSize` bytes */
+function createReq(body, headers, { method = 'POST', url = '/', chunkSize = 7 } = {}) {
+  const bytes = Buffer.isBuffer(body) ? body : Buffer.from(body);
+  const chunks = [];
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    chunks.push(bytes.subarray(i, i + chunkSize));
+  }
+  const req = Readable.from(chunks);
+  Object.assign(req, { method, url, headers, connection: { remoteAddress: '127.0.0.1' } });
+  return req;
+}
+
+/** A multipart body from `[name, value]` and `[name, { filename, type, content }]` parts */
+function multipart(parts) {
+  const pieces = [];
+  for (const [name, value] of parts) {
+    pieces.push(Buffer.from(`--${BOUNDARY}\r\n`));
+    if (typeof value === 'string') {
+      pieces.push(Buffer.from(`Content-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`));
+    } else {
+      pieces.push(Buffer.from(
+        `Content-Disposition: form-data; name="${name}"; filename="${value.filename}"\r\n` +
+        `Content-Type: ${value.type}\r\n\r\n`
+      ));
+      pieces.push(Buffer.from(value.content));
+      pieces.push(Buffer.from('\r\n'));
+    }
+  }
+  pieces.push(Buffer.from(`--${BOUNDARY}--\r\n`));
+  return Buffer.concat(pieces);
+}
+
+const MULTIPART = { 'content-type': `multipart/form-data; boundary=${BOUNDARY}` };
+
+let dest;
+
+function uploadDir() {
+  dest = mkdtempSync(join(tmpdir(), 'coherent-body-'));
+  return dest;
+}
+
+afterEach(() => {
+  if (dest) rmSync(dest, { recursive: true, force: true });
+  dest = null;
+});
+
+describe('parseBody', () => {
+  it('parses JSON and urlencoded bodies', async () => {
+    const json = await parseBody(createReq('{"name":"Zoë","tags":["a"]}', { 'content-type': 'application/json' }, { chunkSize: 11 }));
+    expect(json).toEqual({ body: { name: 'Zoë', tags: ['a'] }, files: [] });
+
+    const form = await parseBody(createReq('name=Zo%C3%AB&tag=a&tag=b', { 'content-type': 'application/x-www-form-urlencoded' }));
+    expect(form.body).toEqual({ name: 'Zoë', tag: ['a', 'b'] });
+  });
+
+  it('keeps form names that Object.prototype also has as plain fields', async () => {
+    const form = await parseBody(createReq('constructor=a&toString=b&toString=c', { 'content-type': 'application/x-www-form-urlencoded' }));
+    expect(form.body).toEqual({ constructor: 'a', toString: ['b', 'c'] });
+
+    const fields = await parseBody(createReq(multipart([['valueOf', 'x'], ['hasOwnProperty', 'y']]), MULTIPART));
+    expect(fields.body).toEqual({ valueOf: 'x', hasOwnProperty: 'y' });
+  });
+
+  it('rejects invalid JSON and bodies over the limit', async () => {
+    await expect(parseBody(createReq('{nope', { 'content-type': 'application/json' })))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Invalid JSON body' });
+    await expect(parseBody(createReq('{"a":"0123456789"}', { 'content-type': 'application/json' }), { limit: 8 }))
+      .rejects.toMatchObject({ statusCode: 413, message: 'Request body too large' });
+  });
+
+  it('does not read GET and DELETE requests', async () => {
+    expect(await parseBody(createReq('a=1', {}, { method: 'GET' }))).toEqual({ body: {}, files: [] });
+  });
+
+  it('streams multipart files to temporary files and collects the fields', async () => {
+    const body = multipart([
+      ['title', 'Holiday ✈'],
+      ['tag', 'sea'],
+      ['tag', 'sun'],
+      ['photo', { filename: 'C:\\Users\\zoe\\beach.png', type: 'image/png', content: PNG }],
+      ['notes', { filename: 'notes.txt', type: 'text/plain', content: 'x'.repeat(200) }]
+    ]);
+
+    const { body: fields, files } = await parseBody(createReq(body, MULTIPART), { files: { dest: uploadDir() } });
+
+    expect(fields).toEqual({ title: 'Holiday ✈', tag: ['sea', 'sun'] });
+    expect(files).toHaveLength(2);
+    expect(files[0]).toMatchObject({
+      fieldName: 'photo',
+      filename: 'beach.png',
+      mimetype: 'image/png',
+      detectedType: 'image/png',
+      size: PNG.length
+    });
+    expect(files[0].path.startsWith(dest)).toBe(true);
+    expect(readFileSync(files[0].path)).toEqual(PNG);
+    expect(files[1]).toMatchObject({ filename: 'notes.txt', detectedType: null, size: 200 });
+    expect(readFileSync(files[1].path, 'utf-8')).toBe('x'.repeat(200));
+
+    await cleanupFiles(files);
+    expect(readdirSync(dest)).toEqual([]);
+  });
+
+  it('skips a file input left empty', async () => {
+    const body = multipart([['photo', { filename: '', type: 'application/octet-stream', content: '' }]]);
+
+    const { files } = await parseBody(createReq(body, MULTIPART), { files: { dest: uploadDir() } });
+
+    expect(files).toEqual([]);
+  });
+
+  it('hands files to a sink instead of the disk', async () => {
+    const received = [];
+    const sink = (file) => {
+      const chunks = [];
+      received.push({ file, chunks });
+      return new Writable({
+        write(chunk, encoding, callback) {
+          chunks.push(chunk);
+          callback();
+        }
+      });
+    };
+
+    const { files } = await parseBody(
+      createReq(multipart([['photo', { filename: 'beach.png', type: 'image/png', content: PNG }]]), MULTIPART),
+      { files: { sink } }
+    );
+
+    expect(received[0].file).toMatchObject({ fieldName: 'photo', filename: 'beach.png', detectedType: 'image/png' });
+    expect(Buffer.concat(received[0].chunks)).toEqual(PNG);
+    expect(files[0].path).toBeNull();
+  });
+
+  it('enforces the per-file, total and count limits and removes what was written', async () => {
+    const big = multipart([
+      ['a', { filename: 'a.txt', type: 'text/plain', content: 'a'.repeat(40) }],
+      ['b', { filename: 'b.txt', type: 'text/plain', content: 'b'.repeat(40) }]
+    ]);
+
+    await expect(parseBody(createReq(big, MULTIPART), { files: { dest: uploadDir(), maxFileSize: 30 } }))
+      .rejects.toMatchObject({ statusCode: 413, message: 'File too large' });
+    await expect(parseBody(createReq(big, MULTIPART), { files: { dest, maxTotalSize: 60 } }))
+      .rejects.toMatchObject({ statusCode: 413, message: 'Request body too large' });
+    await expect(parseBody(createReq(big, MULTIPART), { files: { dest, maxFiles: 1 } }))
+      .rejects.toMatchObject({ statusCode: 413, message: 'Too many files' });
+
+    expect(readdirSync(dest)).toEqual([]);
+  });
+
+  it('checks allowed types against what the bytes show', async () => {
+    const options = { files: { dest: uploadDir(), allowedTypes: ['image/*'] } };
+
+    const png = await parseBody(createReq(multipart([['photo', { filename: 'a.png', type: 'image/png', content: PNG }]]), MULTIPART), options);
+    expect(png.files[0].detectedType).toBe('image/png');
+    await cleanupFiles(png.files);
+
+    const disguised = multipart([['photo', { filename: 'a.png', type: 'image/png', content: '<html><script>alert(1)</script></html>' }]]);
+    await expect(parseBody(createReq(disguised, MULTIPART), options))
+      .rejects.toMatchObject({ statusCode: 415, message: 'File type application/octet-stream is not allowed' });
+
+    expect(readdirSync(dest)).toEqual([]);
+  });
+
+  it('rejects malformed multipart bodies', async () => {
+    await expect(parseBody(createReq('no boundary here', { 'content-type': 'multipart/form-data' })))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Missing multipart boundary' });
+
+    const truncated = multipart([['title', 'Holiday']]).subarray(0, 60);
+    await expect(parseBody(createReq(truncated, MULTIPART)))
+      .rejects.toMatchObject({ statusCode: 400, message: 'Malformed multipart body' });
+  });
+
+  it('keeps the exact bytes in raw mode', async () => {
+    const payload = '{ "event": "paid",  "amount": 100 }';
+
+    const { body } = await parseBody(createReq(payload, { 'content-type': 'application/json' }), { mode: 'raw' });
+
+    expect(Buffer.isBuffer(body)).toBe(true);
+    expect(body.toString()).toBe(payload);
+  });
+
+  it('leaves the request unread in stream mode', async () => {
+    const req = createReq('a=1', { 'content-type': 'application/x-www-form-urlencoded' });
+
+    expect(await parseBody(req, { mode: 'stream' })).toEqual({ body: null, files: [] });
+    expect((await req.toArray()).join('')).toBe('a=1');
+  });
+});
+
+describe('sniffMimeType', () => {
+  it('recognises common formats from their first bytes', () => {
+    expect(sniffMimeType(PNG)).toBe('image/png');
+    expect(sniffMimeType(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(sniffMimeType(Buffer.from('GIF89a...'))).toBe('image/gif');
+    expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+    expect(sniffMimeType(Buffer.from('%PDF-1.7'))).toBe('application/pdf');
+    expect(sniffMimeType(Buffer.from('hello'))).toBeNull();
+  });
+});
+
+describe('router body options', () => {
+  function createMockRes() {
+    const res = new EventEmitter();
+    Object.assign(res, {
+      statusCode: 200,
+      body: '',
+      headersSent: false,
+      setHeader() {},
+      writeHead(code) {
+        res.statusCode = code;
+        res.headersSent = true;
+      },
+      end(data = '') {
+        res.body = data;
+        res.emit('close');
+      }
+    });
+    return res;
+  }
+
+  function uploadRouter(routeBody, handler) {
+    const router = createRouter({}, { enableSecurityHeaders: false });
+    const body = typeof routeBody === 'string'
+      ? routeBody
+      : { ...routeBody, files: { dest: uploadDir(), ...routeBody?.files } };
+    router.post('/upload', handler, { body });
+    return router;
+  }
+
+  it('gives handlers the files and removes them after the response', async () => {
+    let seen;
+    const router = uploadRouter(undefined, (req) => {
+      seen = req.files;
+      expect(existsSync(req.files[0].path)).toBe(true);
+      return { title: req.body.title };
+    });
+
+    const res = createMockRes();
+    await router.handle(createReq(multipart([['title', 'Holiday'], ['photo', { filename: 'a.png', type: 'image/png', content: PNG }]]), MULTIPART, { url: '/upload' }), res);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(JSON.parse(res.body)).toEqual({ title: 'Holiday' });
+    expect(seen).toHaveLength(1);
+    expect(existsSync(seen[0].path)).toBe(false);
+  });
+
+  it('passes the files to a cleanup hook instead', async () => {
+    let cleaned;
+    const router = uploadRouter({ files: { cleanup: (files) => { cleaned = files; } } }, () => ({ ok: true }));
+
+    await router.handle(createReq(multipart([['photo', { filename: 'a.png', type: 'image/png', content: PNG }]]), MULTIPART, { url: '/upload' }), createMockRes());
+
+    expect(cleaned).toHaveLength(1);
+    expect(existsSync(cleaned[0].path)).toBe(true);
+    expect(cleaned[0].path.startsWith(dest)).toBe(true);
+  });
+
+  it('answers limit and type failures with their status', async () => {
+    const router = uploadRouter({ files: { allowedTypes: ['text/plain'] } }, () => ({ ok: true }));
+
+    const res = createMockRes();
+    await router.handle(createReq(multipart([['photo', { filename: 'a.png', type: 'image/png', content: PNG }]]), MULTIPART, { url: '/upload' }), res);
+
+    expect(res.statusCode).toBe(415);
+    expect(JSON.parse(res.body)._error).toBe('File type image/png is not allowed');
+  });
+
+  it('gives a raw route the exact bytes', async () => {
+    const payload = '{"event":"paid"}';
+    const router = uploadRouter('raw', (req) => ({ raw: req.body.toString('base64') }));
+
+    const res = createMockRes();
+    await router.handle(createReq(payload, { 'content-type': 'application/json' }, { url: '/upload' }), res);
+
+    expect(Buffer.from(JSON.parse(res.body).raw, 'base64').toString()).toBe(payload);
+  });
+});
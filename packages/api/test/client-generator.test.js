@@ -0,0 +1,190 @@
+/**
+ * Tests for the API client generator
+ *
+ * The generated module is written to disk, imported, and called against the
+ * router it was generated from, served over HTTP.
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { execFileSync } from 'node:child_process';
+import { createRequire } from 'node:module';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { createRouter } from '../src/router.js';
+import { withValidation, withQueryValidation } from '../src/validation.js';
+import { ApiError, NotFoundError } from '../src/errors.js';
+import { generateClient } from '../src/client-generator.js';
+
+class GoneError extends ApiError {
+  constructor(message = 'Todo archived') {
+    super(message, 410);
+    this.name = 'GoneError';
+  }
+}
+
+const todoSchema = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    priority: { enum: ['low', 'high'] }
+  },
+  required: ['title']
+};
+
+function todoRouter() {
+  const todos = new Map([['1', { id: 1, title: 'Write docs' }]]);
+  const router = createRouter({}, { enableSecurityHeaders: false });
+
+  router.get('/todos', req => ({ todos: [...todos.values()].slice(0, Number(req.query.limit) || undefined) }), {
+    name: 'todos.list',
+    middleware: [withQueryValidation({ type: 'object', properties: { limit: { type: 'string' } } })]
+  });
+  router.get('/todos/:id', req => {
+    if (req.params.id === '9') throw new GoneError();
+    const todo = todos.get(req.params.id);
+    if (!todo) throw new NotFoundError('No such todo');
+    return todo;
+  }, {
+    name: 'getTodo',
+    openapi: {
+      summary: 'Get a todo',
+      response: { type: 'object', properties: { id: { type: 'number' }, title: { type: 'string' } }, required: ['id', 'title'] },
+      errors: [NotFoundError, GoneError]
+    }
+  });
+  router.post('/todos', req => {
+    const todo = { id: todos.size + 1, ...req.body };
+    todos.set(String(todo.id), todo);
+    return todo;
+  }, { name: 'createTodo', middleware: [withValidation(todoSchema)] });
+  router.get('/files/**', req => ({ path: req.params.splat }));
+  router.delete('/todos/:id', (req, res) => {
+    res.writeHead(204);
+    res.end();
+  });
+
+  return router;
+}
+
+describe('generateClient', () => {
+  let dir;
+  let server;
+  let api;
+  let client;
+
+  beforeAll(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'coherent-client-test-'));
+    const router = todoRouter();
+    const { source } = generateClient(router, { baseUrl: '/api' });
+    await writeFile(join(dir, 'client.js'), source);
+    client = await import(pathToFileURL(join(dir, 'client.js')).href);
+
+    server = router.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    api = client.createClient({ baseUrl: `http://127.0.0.1:${server.address().port}` });
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('has one function per route, named after the route', () => {
+    expect(Object.keys(api)).toEqual(['todosList', 'getTodo', 'createTodo', 'getFilesSplat', 'deleteTodosById']);
+  });
+
+  it('sends params, query and body and resolves with the response', async () => {
+    expect(await api.getTodo({ params: { id: 1 } })).toEqual({ id: 1, title: 'Write docs' });
+    expect(await api.createTodo({ body: { title: 'Ship it' } })).toEqual({ id: 2, title: 'Ship it' });
+    expect(await api.todosList({ query: { limit: 1 } })).toEqual({ todos: [{ id: 1, title: 'Write docs' }] });
+    expect(await api.getFilesSplat({ params: { splat: 'docs/read me.md' } })).toEqual({ path: 'docs/read%20me.md' });
+    expect(await api.deleteTodosById({ params: { id: 1 } })).toBeUndefined();
+  });
+
+  it('rejects with the error class of the status code', async () => {
+    const missing = await api.getTodo({ params: { id: 404 } }).catch(error => error);
+    const gone = await api.getTodo({ params: { id: 9 } }).catch(error => error);
+    const invalid = await api.createTodo({ body: {} }).catch(error => error);
+
+    expect(missing).toBeInstanceOf(client.NotFoundError);
+    expect(missing).toBeInstanceOf(client.ApiError);
+    expect(missing).toMatchObject({ name: 'NotFoundError', message: 'No such todo', statusCode: 404 });
+    expect(gone).toBeInstanceOf(client.GoneError);
+    expect(gone.statusCode).toBe(410);
+    expect(invalid).toBeInstanceOf(client.ValidationError);
+    expect(invalid.statusCode).toBe(400);
+  });
+
+  it('refuses to call a route without its path parameters', async () => {
+    await expect(api.getTodo({})).rejects.toThrow('Missing path parameter "id" for GET /todos/{id}');
+  });
+
+  it('sends the client headers and the default base URL', async () => {
+    const calls = [];
+    const fetch = async (url, init) => {
+      calls.push({ url, init });
+      return new Response(JSON.stringify({ id: 1, title: 'Write docs' }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    };
+    const withToken = client.createClient({ fetch, headers: async () => ({ Authorization: 'Bearer t' }) });
+
+    await withToken.getTodo({ params: { id: 1 } }, { headers: { 'X-Request-Id': 'r1' } });
+
+    expect(calls[0].url).toBe('/api/todos/1');
+    expect(calls[0].init.headers).toEqual({ Accept: 'application/json', Authorization: 'Bearer t', 'X-Request-Id': 'r1' });
+  });
+
+  it('types params, query, body and responses from the schemas', () => {
+    const { types } = generateClient(todoRouter());
+
+    expect(types).toContain(`export type CreateTodoBody = {
+  title: string;
+  priority?: 'low' | 'high';
+};`);
+    expect(types).toContain(`export type GetTodoResponse = {
+  id: number;
+  title: string;
+};`);
+    expect(types).toContain('getTodo(input: GetTodoInput, options?: RequestOptions): Promise<GetTodoResponse>;');
+    expect(types).toContain('todosList(input?: TodosListInput, options?: RequestOptions): Promise<TodosListResponse>;');
+    expect(types).toContain('export declare class GoneError extends ApiError {');
+  });
+
+  it('writes declarations that type-check against their use', async () => {
+    const { types } = generateClient(todoRouter());
+    await writeFile(join(dir, 'client.d.ts'), types);
+    await writeFile(join(dir, 'use.ts'), `
+      import { createClient, NotFoundError } from './client.js';
+      const api = createClient();
+      export async function main() {
+        const todo = await api.getTodo({ params: { id: 1 } });
+        const title: string = todo.title;
+        await api.createTodo({ body: { title, priority: 'low' } });
+        // @ts-expect-error the body needs a title
+        await api.createTodo({ body: {} });
+        return new NotFoundError().statusCode;
+      }
+    `);
+
+    await writeFile(join(dir, 'tsconfig.json'), JSON.stringify({
+      compilerOptions: {
+        noEmit: true,
+        strict: true,
+        target: 'ES2022',
+        module: 'ESNext',
+        moduleResolution: 'Bundler',
+        lib: ['ES2022', 'DOM'],
+        types: []
+      },
+      files: ['use.ts']
+    }));
+
+    // tsc exits non-zero and prints the diagnostics when the check fails
+    const tsc = join(dirname(createRequire(import.meta.url).resolve('typescript/package.json')), 'bin', 'tsc');
+    expect(() => execFileSync(process.execPath, [tsc, '-p', dir], { encoding: 'utf-8' })).not.toThrow();
+  }, 30000);
+});
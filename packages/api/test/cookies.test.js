@@ -0,0 +1,159 @@
+/**
+ * Tests for cookie parsing, serialization and signing
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRouter } from '../src/router.js';
+import {
+  parseCookies,
+  serializeCookie,
+  signCookie,
+  unsignCookie,
+  withCookies
+} from '../src/cookies.js';
+
+function createMockReq(url, headers = {}) {
+  return {
+    method: 'GET',
+    url,
+    headers,
+    connection: { remoteAddress: '127.0.0.1' }
+  };
+}
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false,
+    getHeader: name => res.headers[name],
+    setHeader: (name, value) => { res.headers[name] = value; },
+    writeHead: (code, headers = {}) => {
+      res.statusCode = code;
+      Object.assign(res.headers, headers);
+      res.headersSent = true;
+    },
+    end: (data = '') => { res.body = data; }
+  };
+  return res;
+}
+
+async function get(router, url, headers) {
+  const res = createMockRes();
+  await router.handle(createMockReq(url, headers), res);
+  return res;
+}
+
+describe('parseCookies', () => {
+  it('reads names and decoded values', () => {
+    expect({ ...parseCookies('theme=dark; cart=a%20b; quoted="x"') }).toEqual({
+      theme: 'dark',
+      cart: 'a b',
+      quoted: 'x'
+    });
+  });
+
+  it('keeps the first of repeated names and skips malformed pairs', () => {
+    expect({ ...parseCookies('id=1; junk; id=2; bad=%E0%A4%A') }).toEqual({ id: '1', bad: '%E0%A4%A' });
+  });
+
+  it('returns an empty object without a header', () => {
+    expect({ ...parseCookies(undefined) }).toEqual({});
+  });
+});
+
+describe('serializeCookie', () => {
+  it('writes the attributes', () => {
+    const cookie = serializeCookie('theme', 'dark mode', {
+      maxAge: 3600 * 1000,
+      domain: 'example.com',
+      httpOnly: true,
+      secure: true,
+      sameSite: 'lax'
+    });
+
+    expect(cookie).toMatch(/^theme=dark%20mode; Max-Age=3600; Expires=[^;]+ GMT; Domain=example.com; Path=\/; HttpOnly; Secure; SameSite=Lax$/);
+  });
+
+  it('rejects names and attributes that would break the header', () => {
+    expect(() => serializeCookie('bad name', 'x')).toThrow(TypeError);
+    expect(() => serializeCookie('ok', 'x', { path: '/; Secure' })).toThrow(TypeError);
+    expect(() => serializeCookie('ok', 'x', { sameSite: 'sometimes' })).toThrow(TypeError);
+  });
+});
+
+describe('signCookie / unsignCookie', () => {
+  it('round-trips a value', () => {
+    const signed = signCookie('user-1', 'secret');
+    expect(signed.startsWith('user-1.')).toBe(true);
+    expect(unsignCookie(signed, 'secret')).toBe('user-1');
+  });
+
+  it('rejects a tampered value or a wrong secret', () => {
+    const signed = signCookie('user-1', 'secret');
+    expect(unsignCookie(signed.replace('user-1', 'user-2'), 'secret')).toBe(false);
+    expect(unsignCookie(signed, 'other')).toBe(false);
+    expect(unsignCookie('unsigned', 'secret')).toBe(false);
+  });
+
+  it('signs with the first secret and verifies with any', () => {
+    const old = signCookie('user-1', 'old');
+    const rotated = signCookie('user-1', ['new', 'old']);
+
+    expect(rotated).toBe(signCookie('user-1', 'new'));
+    expect(unsignCookie(old, ['new', 'old'])).toBe('user-1');
+  });
+
+  it('requires a secret', () => {
+    expect(() => signCookie('user-1', [])).toThrow(TypeError);
+  });
+});
+
+describe('withCookies', () => {
+  function cookieRouter(options, handler) {
+    const router = createRouter({}, { enableSecurityHeaders: false });
+    router.get('/', handler, { middleware: [withCookies(options)] });
+    return router;
+  }
+
+  it('exposes request cookies and verified signed cookies', async () => {
+    const signed = `s:${signCookie('42', 'secret')}`;
+    const forged = `s:${signCookie('1', 'guess')}`;
+    const router = cookieRouter({ secret: 'secret' }, req => ({
+      cookies: { ...req.cookies },
+      signedCookies: { ...req.signedCookies }
+    }));
+
+    const res = await get(router, '/', {
+      cookie: `theme=dark; uid=${encodeURIComponent(signed)}; admin=${encodeURIComponent(forged)}`
+    });
+
+    expect(JSON.parse(res.body)).toEqual({ cookies: { theme: 'dark' }, signedCookies: { uid: '42' } });
+  });
+
+  it('sets and clears cookies with the defaults applied', async () => {
+    const router = cookieRouter({ secret: ['new', 'old'], defaults: { httpOnly: true } }, (req, res) => {
+      res.cookie('theme', 'dark').cookie('uid', '42', { signed: true });
+      res.clearCookie('legacy');
+      return { ok: true };
+    });
+
+    const res = await get(router, '/');
+    const [theme, uid, legacy] = res.headers['Set-Cookie'];
+
+    expect(theme).toBe('theme=dark; Path=/; HttpOnly');
+    expect(uid).toBe(`uid=${encodeURIComponent(`s:${signCookie('42', 'new')}`)}; Path=/; HttpOnly`);
+    expect(legacy).toBe('legacy=; Expires=Thu, 01 Jan 1970 00:00:00 GMT; Path=/; HttpOnly');
+  });
+
+  it('refuses to sign without a secret', async () => {
+    const router = cookieRouter({}, (req, res) => {
+      res.cookie('uid', '42', { signed: true });
+    });
+
+    const res = await get(router, '/');
+
+    expect(res.statusCode).toBe(500);
+  });
+});
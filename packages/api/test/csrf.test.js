@@ -0,0 +1,190 @@
+/**
+ * Tests for CSRF protection
+ *
+ * Each mode hands out a token on a GET and then expects it back, in the
+ * X-CSRF-Token header or the _csrf form field, on requests that change state.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { Readable } from 'node:stream';
+import { createRouter } from '../src/router.js';
+import { withSession, MemorySessionStore } from '../src/session.js';
+import { withCsrf } from '../src/csrf.js';
+
+function createMockReq(method, url, headers = {}, body = '') {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  Object.assign(req, {
+    method,
+    url,
+    headers,
+    connection: { remoteAddress: '127.0.0.1' }
+  });
+  return req;
+}
+
+function createMockRes() {
+  let ended;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false,
+    ended: new Promise(resolve => { ended = resolve; }),
+    getHeader: name => res.headers[name],
+    setHeader: (name, value) => { res.headers[name] = value; },
+    writeHead: (code, headers = {}) => {
+      res.statusCode = code;
+      Object.assign(res.headers, headers);
+      res.headersSent = true;
+    },
+    end: (data = '') => {
+      res.body = data;
+      ended();
+    }
+  };
+  return res;
+}
+
+/** The cookies a response set, as a Cookie request header */
+function cookiesOf(res) {
+  return [].concat(res.headers['Set-Cookie'] || []).map(cookie => cookie.split(';')[0]).join('; ');
+}
+
+async function request(router, method, url, { headers = {}, body } = {}) {
+  const res = createMockRes();
+  await router.handle(createMockReq(method, url, headers, body), res);
+  await res.ended;
+  return res;
+}
+
+/**
+ * A router whose form page hands out the token and whose POST route records
+ * that it ran
+ */
+function csrfRouter(middleware) {
+  const router = createRouter({}, { enableSecurityHeaders: false });
+  const created = vi.fn(() => ({ created: true }));
+
+  router.get('/todos/new', req => req.csrf, { middleware });
+  router.post('/todos', created, { middleware });
+
+  return { router, created };
+}
+
+describe('withCsrf', () => {
+  describe('synchronizer token mode', () => {
+    function sessionCsrfRouter() {
+      return csrfRouter([
+        withSession({ secret: 'session-secret', store: new MemorySessionStore({ pruneInterval: 0 }) }),
+        withCsrf()
+      ]);
+    }
+
+    it('hands out a token kept in the session', async () => {
+      const { router } = sessionCsrfRouter();
+
+      const page = await request(router, 'GET', '/todos/new');
+      const csrf = JSON.parse(page.body);
+      const again = await request(router, 'GET', '/todos/new', { headers: { cookie: cookiesOf(page) } });
+
+      expect(csrf).toEqual({ token: expect.any(String), fieldName: '_csrf', headerName: 'X-CSRF-Token' });
+      expect(JSON.parse(again.body).token).toBe(csrf.token);
+    });
+
+    it('accepts the token in the header or the form field', async () => {
+      const { router, created } = sessionCsrfRouter();
+      const page = await request(router, 'GET', '/todos/new');
+      const { token } = JSON.parse(page.body);
+      const cookie = cookiesOf(page);
+
+      const viaHeader = await request(router, 'POST', '/todos', {
+        headers: { cookie, 'x-csrf-token': token }
+      });
+      const viaField = await request(router, 'POST', '/todos', {
+        headers: { cookie, 'content-type': 'application/x-www-form-urlencoded' },
+        body: `title=Write+docs&_csrf=${token}`
+      });
+
+      expect(viaHeader.statusCode).toBe(200);
+      expect(viaField.statusCode).toBe(200);
+      expect(created).toHaveBeenCalledTimes(2);
+    });
+
+    it('rejects a missing or wrong token before the handler runs', async () => {
+      const { router, created } = sessionCsrfRouter();
+      const page = await request(router, 'GET', '/todos/new');
+      const cookie = cookiesOf(page);
+
+      const missing = await request(router, 'POST', '/todos', { headers: { cookie } });
+      const wrong = await request(router, 'POST', '/todos', { headers: { cookie, 'x-csrf-token': 'guess' } });
+      const noSession = await request(router, 'POST', '/todos', {
+        headers: { 'x-csrf-token': JSON.parse(page.body).token }
+      });
+
+      for (const res of [missing, wrong, noSession]) {
+        expect(res.statusCode).toBe(403);
+        expect(JSON.parse(res.body)).toEqual({ _error: 'Invalid CSRF token' });
+      }
+      expect(created).not.toHaveBeenCalled();
+    });
+
+    it('needs withSession to run first', async () => {
+      const { router } = csrfRouter([withCsrf()]);
+
+      const res = await request(router, 'GET', '/todos/new');
+
+      expect(res.statusCode).toBe(500);
+    });
+  });
+
+  describe('double-submit cookie mode', () => {
+    function cookieCsrfRouter(options) {
+      return csrfRouter([withCsrf({ mode: 'double-submit', secret: 'csrf-secret', ...options })]);
+    }
+
+    it('hands out a token in a signed cookie and accepts it back', async () => {
+      const { router, created } = cookieCsrfRouter();
+
+      const page = await request(router, 'GET', '/todos/new');
+      const { token } = JSON.parse(page.body);
+      const res = await request(router, 'POST', '/todos', {
+        headers: { cookie: cookiesOf(page), 'x-csrf-token': token }
+      });
+
+      expect(page.headers['Set-Cookie'][0]).toMatch(/^coherent\.csrf=s%3A.+; Path=\/; HttpOnly; SameSite=Lax$/);
+      expect(res.statusCode).toBe(200);
+      expect(created).toHaveBeenCalledTimes(1);
+    });
+
+    it('rejects a cookie it did not sign', async () => {
+      const { router: other } = cookieCsrfRouter({ secret: 'another-secret' });
+      const page = await request(other, 'GET', '/todos/new');
+      const { router, created } = cookieCsrfRouter();
+
+      const res = await request(router, 'POST', '/todos', {
+        headers: { cookie: cookiesOf(page), 'x-csrf-token': JSON.parse(page.body).token }
+      });
+
+      expect(res.statusCode).toBe(403);
+      expect(created).not.toHaveBeenCalled();
+    });
+
+    it('uses the configured field and header names', async () => {
+      const { router } = cookieCsrfRouter({ fieldName: 'authenticity_token', headerName: 'X-XSRF-Token' });
+      const page = await request(router, 'GET', '/todos/new');
+      const csrf = JSON.parse(page.body);
+
+      const res = await request(router, 'POST', '/todos', {
+        headers: { cookie: cookiesOf(page), 'x-xsrf-token': csrf.token }
+      });
+
+      expect(csrf).toMatchObject({ fieldName: 'authenticity_token', headerName: 'X-XSRF-Token' });
+      expect(res.statusCode).toBe(200);
+    });
+  });
+
+  it('validates its options', () => {
+    expect(() => withCsrf({ mode: 'origin' })).toThrow('Unknown CSRF mode: origin');
+    expect(() => withCsrf({ mode: 'double-submit' })).toThrow('withCsrf requires a secret in double-submit mode');
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for form action handlers
+ *
+ * One handler answers a form posted natively by the browser and the same form
+ * submitted with fetch by formAction() from @coherent.js/forms.
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { Readable } from 'node:stream';
+import { createRouter } from '../src/router.js';
+import { formActionHandler } from '../src/form-action.js';
+import { ConflictError, ValidationError } from '../src/errors.js';
+
+const NATIVE = { 'content-type': 'application/x-www-form-urlencoded', host: 'localhost', referer: 'http://localhost/todos/new' };
+const FETCH = { ...NATIVE, 'x-coherent-action': '1', accept: 'application/json' };
+
+/** A POST request whose body the router reads as a stream */
+function createPostReq(url, body, headers) {
+  const req = Readable.from([Buffer.from(body)]);
+  Object.assign(req, {
+    method: 'POST',
+    url,
+    headers,
+    connection: { remoteAddress: '127.0.0.1' }
+  });
+  return req;
+}
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false,
+    setHeader: (name, value) => { res.headers[name] = value; },
+    writeHead: (code, headers = {}) => {
+      res.statusCode = code;
+      Object.assign(res.headers, headers);
+      res.headersSent = true;
+    },
+    end: (data = '') => { res.body = data; }
+  };
+  return res;
+}
+
+async function post(router, body, headers) {
+  const res = createMockRes();
+  await router.handle(createPostReq('/todos', body, headers), res);
+  return res;
+}
+
+function todoRouter(handler, options) {
+  const router = createRouter({}, { enableSecurityHeaders: false });
+  router.post('/todos', formActionHandler(handler, options));
+  return router;
+}
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('formActionHandler', () => {
+  it('redirects a native form post after success', async () => {
+    const handler = vi.fn(() => ({ id: 1 }));
+    const router = todoRouter(handler, { redirect: '/todos' });
+
+    const res = await post(router, 'title=Write+docs&tags=a&tags=b', NATIVE);
+
+    expect(handler.mock.calls[0][0]).toEqual({ title: 'Write docs', tags: ['a', 'b'] });
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.Location).toBe('/todos');
+  });
+
+  it('sends a native form post back where it came from by default', async () => {
+    const router = todoRouter(() => ({ id: 1 }));
+
+    const res = await post(router, 'title=Write+docs', NATIVE);
+
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.Location).toBe('http://localhost/todos/new');
+  });
+
+  it('answers a fetch submission with the result as JSON', async () => {
+    const router = todoRouter(({ title }) => ({ id: 1, title }), {
+      redirect: (todo) => `/todos/${todo.id}`
+    });
+
+    const res = await post(router, 'title=Write+docs', FETCH);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(res.body)).toEqual({ data: { id: 1, title: 'Write docs' }, redirect: '/todos/1' });
+  });
+
+  it('reports validation errors against their fields', async () => {
+    const router = todoRouter(() => {
+      throw new ValidationError({ title: 'A todo with this title exists' });
+    });
+
+    const res = await post(router, 'title=Write+docs', FETCH);
+
+    expect(res.statusCode).toBe(400);
+    expect(JSON.parse(res.body)).toEqual({
+      _error: 'Validation failed',
+      errors: { title: 'A todo with this title exists' }
+    });
+  });
+
+  it('validates the values against a schema before the handler runs', async () => {
+    const handler = vi.fn();
+    const router = todoRouter(handler, {
+      validation: {
+        type: 'object',
+        required: ['title'],
+        properties: { title: { type: 'string', minLength: 3 } }
+      }
+    });
+
+    const res = await post(router, 'title=ab', FETCH);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(JSON.parse(res.body).errors).toEqual({ title: 'String must be at least 3 characters' });
+  });
+
+  it('passes the status of other API errors through', async () => {
+    const router = todoRouter(() => {
+      throw new ConflictError('This list is archived');
+    });
+
+    const res = await post(router, 'title=Write+docs', FETCH);
+
+    expect(res.statusCode).toBe(409);
+    expect(JSON.parse(res.body)).toEqual({ _error: 'This list is archived', errors: {} });
+  });
+
+  it('does not leak the message of unexpected errors', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const router = todoRouter(() => {
+      throw new Error('connection refused at 10.0.0.3');
+    });
+
+    const res = await post(router, 'title=Write+docs', FETCH);
+
+    expect(res.statusCode).toBe(500);
+    expect(JSON.parse(res.body)._error).toBe('Internal server error');
+  });
+
+  it('renders the page again with the errors after a failed native post', async () => {
+    const router = todoRouter(() => {
+      throw new ValidationError({ title: 'A todo with this title exists' });
+    }, {
+      render: ({ values, errors }) => `<p>${values.title}: ${errors.title}</p>`
+    });
+
+    const res = await post(router, 'title=Write+docs', NATIVE);
+
+    expect(res.statusCode).toBe(400);
+    expect(res.headers['Content-Type']).toBe('text/html');
+    expect(res.body).toBe('<p>Write docs: A todo with this title exists</p>');
+  });
+
+  it('only sends the browser back to pages of this site', async () => {
+    const handler = vi.fn(() => ({ id: 1 }));
+    const router = todoRouter(handler);
+    const location = async referer => (await post(router, 'title=x', { ...NATIVE, referer })).headers.Location;
+
+    expect(await location('/todos/new?draft=1')).toBe('/todos/new?draft=1');
+    expect(await location('https://evil.example/phish')).toBe('/');
+    expect(await location('//evil.example/phish')).toBe('/');
+    expect(await location('/\\evil.example/phish')).toBe('/');
+    expect(await location('javascript:alert(1)')).toBe('/');
+    expect(await location('http://localhost.evil.example/todos')).toBe('/');
+  });
+
+  it('sends a failed native post back to the form without render', async () => {
+    const router = todoRouter(() => {
+      throw new ValidationError({ title: 'A todo with this title exists' });
+    });
+
+    const res = await post(router, 'title=Write+docs', NATIVE);
+
+    expect(res.statusCode).toBe(303);
+    expect(res.headers.Location).toBe('http://localhost/todos/new');
+  });
+
+  it('leaves the response alone when the handler wrote it', async () => {
+    const router = todoRouter((values, req, res) => {
+      res.writeHead(201, { 'Content-Type': 'text/plain' });
+      res.end('created');
+    });
+
+    const res = await post(router, 'title=Write+docs', FETCH);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body).toBe('created');
+  });
+
+  it('works as the handler of an object route', async () => {
+    const router = createRouter({
+      todos: {
+        post: { handler: formActionHandler(({ title }) => ({ title })) }
+      }
+    }, { enableSecurityHeaders: false });
+
+    const res = await post(router, 'title=Write+docs', FETCH);
+
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ data: { title: 'Write docs' } });
+  });
+
+  it('requires a handler', () => {
+    expect(() => formActionHandler()).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Tests for OpenAPI generation
+ *
+ * The document is derived from what routes already declare: their patterns,
+ * the schemas of their validation middleware and the errors they list.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'node:stream';
+import { createRouter } from '../src/router.js';
+import { withValidation, withQueryValidation, withParamsValidation } from '../src/validation.js';
+import { formActionHandler } from '../src/form-action.js';
+import { NotFoundError, ConflictError, ApiError } from '../src/errors.js';
+import { withOpenApi, generateOpenApiSpec, createOpenApiHandler } from '../src/openapi.js';
+
+const todoSchema = {
+  title: 'NewTodo',
+  type: 'object',
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    done: { type: 'boolean' }
+  },
+  required: ['title']
+};
+
+function createRouterFor() {
+  return createRouter({}, { enableSecurityHeaders: false });
+}
+
+function createMockReq(method, url, headers = {}, body = '') {
+  const req = Readable.from(body ? [Buffer.from(body)] : []);
+  Object.assign(req, {
+    method,
+    url,
+    headers,
+    connection: { remoteAddress: '127.0.0.1' }
+  });
+  return req;
+}
+
+function createMockRes() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false,
+    setHeader: (name, value) => { res.headers[name] = value; },
+    writeHead: (code, headers = {}) => {
+      res.statusCode = code;
+      Object.assign(res.headers, headers);
+      res.headersSent = true;
+    },
+    end: (data = '') => { res.body = data; }
+  };
+  return res;
+}
+
+describe('generateOpenApiSpec', () => {
+  it('emits an OpenAPI 3.1 document for a router', () => {
+    const router = createRouterFor();
+    router.get('/health', () => ({ ok: true }));
+
+    const spec = generateOpenApiSpec({ title: 'Todos', version: '2.0.0', servers: [{ url: '/api' }] }, router);
+
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.info).toMatchObject({ title: 'Todos', version: '2.0.0' });
+    expect(spec.servers).toEqual([{ url: '/api' }]);
+    expect(spec.paths['/health'].get).toEqual({
+      operationId: 'getHealth',
+      responses: { '200': { description: 'Successful response' } }
+    });
+  });
+
+  it('documents path parameters from the route pattern', () => {
+    const router = createRouterFor();
+    router.get('/users/:id(\\d+)/files/**', () => ({}));
+    router.get('/tags/:tag/*', () => ({}));
+
+    const { paths } = generateOpenApiSpec({}, router);
+
+    expect(paths['/users/{id}/files/{splat}'].get.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^(?:\\d+)$' } },
+      { name: 'splat', in: 'path', required: true, schema: { type: 'string' }, description: 'Rest of the path' }
+    ]);
+    expect(paths['/tags/{tag}/{splat}'].get.operationId).toBe('getTagsByTagSplat');
+  });
+
+  it('documents query and path parameters from their validation schemas', () => {
+    const router = createRouterFor();
+    router.get('/todos/:id', () => ({}), {
+      middleware: [
+        withParamsValidation({ type: 'object', properties: { id: { type: 'string', format: 'uuid' } } }),
+        withQueryValidation({
+          type: 'object',
+          properties: { limit: { type: 'number', minimum: 1 }, sort: { type: 'string' } },
+          required: ['limit']
+        })
+      ]
+    });
+
+    const operation = generateOpenApiSpec({}, router).paths['/todos/{id}'].get;
+
+    expect(operation.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } },
+      { name: 'limit', in: 'query', required: true, schema: { type: 'number', minimum: 1 } },
+      { name: 'sort', in: 'query', required: false, schema: { type: 'string' } }
+    ]);
+    expect(operation.responses['400']).toEqual({ $ref: '#/components/responses/ValidationError' });
+  });
+
+  it('stores request bodies in components.schemas once', () => {
+    const router = createRouterFor();
+    router.post('/todos', () => ({}), { middleware: [withValidation(todoSchema)] });
+    router.put('/todos/:id', () => ({}), { middleware: [withValidation(todoSchema)] });
+    router.post('/todos/:id/comments', () => ({}), {
+      name: 'addComment',
+      middleware: [withValidation({ type: 'object', properties: { text: { type: 'string' } } })]
+    });
+
+    const spec = generateOpenApiSpec({}, router);
+
+    expect(spec.paths['/todos'].post.requestBody).toEqual({
+      required: true,
+      content: {
+        'application/json': { schema: { $ref: '#/components/schemas/NewTodo' } },
+        'application/x-www-form-urlencoded': { schema: { $ref: '#/components/schemas/NewTodo' } },
+        'multipart/form-data': { schema: { $ref: '#/components/schemas/NewTodo' } }
+      }
+    });
+    expect(spec.paths['/todos/{id}'].put.requestBody.content['application/json'].schema.$ref).toBe('#/components/schemas/NewTodo');
+    expect(Object.keys(spec.components.schemas)).toEqual(['Error', 'NewTodo', 'AddCommentBody']);
+    expect(spec.components.schemas.NewTodo).toEqual(todoSchema);
+  });
+
+  it('derives the media types and whether a body is required from the route', () => {
+    const router = createRouterFor();
+    router.post('/todos', () => ({}), { middleware: [withValidation(todoSchema)] });
+    router.post('/todos/:id/comments', () => ({}), {
+      middleware: [withValidation({ type: 'object', properties: { text: { type: 'string' } } })]
+    });
+    router.post('/webhooks', () => ({}), {
+      body: 'raw',
+      openapi: { requestBody: { title: 'Webhook', type: 'object', required: ['event'] } }
+    });
+
+    const { paths } = generateOpenApiSpec({}, router);
+
+    expect(paths['/todos'].post.requestBody.required).toBe(true);
+    expect(Object.keys(paths['/todos'].post.requestBody.content)).toEqual([
+      'application/json',
+      'application/x-www-form-urlencoded',
+      'multipart/form-data'
+    ]);
+    expect(paths['/todos/{id}/comments'].post.requestBody.required).toBe(false);
+    expect(paths['/webhooks'].post.requestBody).toEqual({
+      required: true,
+      content: { 'application/octet-stream': { schema: { $ref: '#/components/schemas/Webhook' } } }
+    });
+  });
+
+  it('reads the validation of object routes and form actions', () => {
+    const router = createRouter({
+      api: {
+        todos: {
+          POST: { validation: todoSchema, handler: () => ({}) }
+        }
+      }
+    }, { enableSecurityHeaders: false });
+    router.post('/forms/todos', formActionHandler(() => ({}), { validation: todoSchema }));
+
+    const { paths } = generateOpenApiSpec({}, router);
+
+    expect(paths['/api/todos'].post.requestBody.content['application/json'].schema.$ref).toBe('#/components/schemas/NewTodo');
+    expect(paths['/forms/todos'].post.requestBody.content['application/json'].schema.$ref).toBe('#/components/schemas/NewTodo');
+  });
+
+  it('documents the ApiError classes a route declares', () => {
+    class GoneError extends ApiError {
+      constructor() {
+        super('Todo archived', 404);
+      }
+    }
+    const router = createRouterFor();
+    router.get('/todos/:id', () => ({}), { openapi: { errors: [NotFoundError, GoneError] } });
+    router.put('/todos/:id', () => ({}), { openapi: { errors: [NotFoundError, ConflictError] } });
+
+    const spec = generateOpenApiSpec({}, router);
+
+    expect(spec.paths['/todos/{id}'].get.responses['404']).toEqual({
+      description: 'Resource not found, or Todo archived',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+    expect(spec.paths['/todos/{id}'].put.responses).toMatchObject({
+      '404': { $ref: '#/components/responses/NotFoundError' },
+      '409': { $ref: '#/components/responses/ConflictError' }
+    });
+    expect(spec.components.responses.ConflictError).toEqual({
+      description: 'Resource conflict',
+      content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+    });
+  });
+
+  it('merges withOpenApi() and the openapi option over what it derives', () => {
+    const router = createRouterFor();
+    router.get('/todos', () => ({}), {
+      name: 'listTodos',
+      middleware: [
+        withQueryValidation({ type: 'object', properties: { limit: { type: 'number' } } }),
+        withOpenApi({ summary: 'List todos', tags: ['todos'] })
+      ],
+      openapi: {
+        response: { title: 'TodoList', type: 'array', items: { type: 'object' } },
+        parameters: [{ name: 'limit', in: 'query', description: 'Page size', schema: { type: 'integer' } }],
+        responses: { '304': { description: 'Not modified' } }
+      }
+    });
+
+    const operation = generateOpenApiSpec({}, router).paths['/todos'].get;
+
+    expect(operation).toMatchObject({ operationId: 'listTodos', summary: 'List todos', tags: ['todos'] });
+    expect(operation.parameters).toEqual([{ name: 'limit', in: 'query', description: 'Page size', schema: { type: 'integer' } }]);
+    expect(operation.responses['200'].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/TodoList' });
+    expect(operation.responses['304']).toEqual({ description: 'Not modified' });
+  });
+
+  it('keeps operation IDs unique', () => {
+    const router = createRouterFor();
+    router.get('/todos', () => ({}), { openapi: { operationId: 'todos' } });
+    router.post('/todos', () => ({}), { openapi: { operationId: 'todos' } });
+
+    const { paths } = generateOpenApiSpec({}, router);
+
+    expect(paths['/todos'].get.operationId).toBe('todos');
+    expect(paths['/todos'].post.operationId).toBe('todos2');
+  });
+
+  it('serves the document of routes added later', () => {
+    const router = createRouterFor();
+    const handler = createOpenApiHandler({ title: 'Todos' }, router);
+    router.get('/todos', () => ({}));
+
+    const spec = handler(createMockReq('GET', '/openapi.json'), createMockRes());
+
+    expect(Object.keys(spec.paths)).toEqual(['/todos']);
+  });
+});
+
+describe('validation middleware in the router', () => {
+  it('lets valid requests through and rejects invalid ones', async () => {
+    const router = createRouterFor();
+    router.get('/todos', req => ({ limit: req.query.limit }), {
+      middleware: [withQueryValidation({ type: 'object', required: ['limit'] })]
+    });
+    router.post('/todos', req => ({ title: req.body.title }), { middleware: [withValidation(todoSchema)] });
+
+    const listed = createMockRes();
+    await router.handle(createMockReq('GET', '/todos?limit=5'), listed);
+    const created = createMockRes();
+    await router.handle(createMockReq('POST', '/todos', { 'content-type': 'application/json' }, '{"title":"Write docs"}'), created);
+    const rejected = createMockRes();
+    await router.handle(createMockReq('POST', '/todos', { 'content-type': 'application/json' }, '{}'), rejected);
+
+    expect(listed.statusCode).toBe(200);
+    expect(JSON.parse(listed.body)).toEqual({ limit: '5' });
+    expect(JSON.parse(created.body)).toEqual({ title: 'Write docs' });
+    expect(rejected.statusCode).toBe(400);
+  });
+
+  it('records its schemas on the route', () => {
+    const router = createRouterFor();
+    router.post('/todos', () => ({}), { middleware: [withValidation(todoSchema)] });
+
+    expect(router.getRoutes()[0].schemas).toEqual({ body: todoSchema });
+  });
+});
@@ -3,6 +3,7 @@
  */
 
 import { describe, it, expect } from 'vitest';
+import { Readable } from 'node:stream';
 import { createRouter } from '../src/router.js';
 
 // Mock request and response objects for Node.js HTTP server
@@ -149,4 +150,26 @@ describe('Enhanced Object Router', () => {
     expect(typeof metrics.requests).toBe('number');
     expect(typeof metrics.averageResponseTime).toBe('number');
   });
-});
\ No newline at end of file
+});
+
+describe('JSON request bodies', () => {
+  it('keeps arrays as arrays and sanitizes the strings inside them', async () => {
+    const router = createRouter({}, { enableSecurityHeaders: false });
+    let received;
+    router.post('/tags', (req) => {
+      received = req.body;
+      return { ok: true };
+    });
+
+    const payload = JSON.stringify({ tags: ['news', '<script>alert(1)</script>sports'], items: [{ name: 'javascript:x' }] });
+    const req = Object.assign(Readable.from([Buffer.from(payload)]), {
+      method: 'POST',
+      url: '/tags',
+      headers: { 'content-type': 'application/json' },
+      connection: { remoteAddress: '127.0.0.1' }
+    });
+    await router.handle(req, createMockRes());
+
+    expect(received).toEqual({ tags: ['news', 'sports'], items: [{ name: 'x' }] });
+  });
+});
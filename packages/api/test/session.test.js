@@ -0,0 +1,269 @@
+/**
+ * Tests for server sessions
+ *
+ * Sessions are saved when the response ends, so each request here waits for
+ * end() before reading the response.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { createRouter } from '../src/router.js';
+import { signCookie } from '../src/cookies.js';
+import { withSession, MemorySessionStore, FileSessionStore } from '../src/session.js';
+
+const SECRET = 'session-secret';
+
+/** A request with an empty body, which POST routes read as a stream */
+function createMockReq(method, url, headers = {}) {
+  const req = Readable.from([]);
+  Object.assign(req, {
+    method,
+    url,
+    headers,
+    connection: { remoteAddress: '127.0.0.1' }
+  });
+  return req;
+}
+
+function createMockRes() {
+  let ended;
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: '',
+    headersSent: false,
+    ended: new Promise(resolve => { ended = resolve; }),
+    getHeader: name => res.headers[name],
+    setHeader: (name, value) => { res.headers[name] = value; },
+    writeHead: (code, headers = {}) => {
+      res.statusCode = code;
+      Object.assign(res.headers, headers);
+      res.headersSent = true;
+    },
+    end: (data = '') => {
+      res.body = data;
+      ended();
+    }
+  };
+  return res;
+}
+
+/** The session cookie a response set, as a Cookie request header */
+function sessionCookie(res) {
+  const cookie = [].concat(res.headers['Set-Cookie'] || []).find(value => value.startsWith('coherent.sid='));
+  return cookie ? cookie.split(';')[0] : undefined;
+}
+
+/**
+ * A router counting visits in the session, with routes to sign in, sign out
+ * and read the session ID
+ */
+function sessionRouter(options) {
+  const router = createRouter({}, { enableSecurityHeaders: false });
+  const middleware = [withSession({ secret: SECRET, ...options })];
+
+  router.get('/visits', req => {
+    req.session.visits = (req.session.visits || 0) + 1;
+    return { visits: req.session.visits };
+  }, { middleware });
+  router.get('/peek', req => ({ id: req.session.id, data: { ...req.session } }), { middleware });
+  router.post('/login', async (req) => {
+    await req.session.regenerate();
+    req.session.userId = 7;
+    return { id: req.session.id };
+  }, { middleware });
+  router.post('/logout', async (req) => {
+    await req.session.destroy();
+    return { ok: true };
+  }, { middleware });
+
+  return router;
+}
+
+async function request(router, method, url, cookie) {
+  const res = createMockRes();
+  await router.handle(createMockReq(method, url, cookie ? { cookie } : {}), res);
+  await res.ended;
+  return res;
+}
+
+describe('withSession', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemorySessionStore({ pruneInterval: 0 });
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('keeps data between requests of one client', async () => {
+    const router = sessionRouter({ store });
+
+    const first = await request(router, 'GET', '/visits');
+    const cookie = sessionCookie(first);
+    const second = await request(router, 'GET', '/visits', cookie);
+
+    expect(JSON.parse(first.body)).toEqual({ visits: 1 });
+    expect(JSON.parse(second.body)).toEqual({ visits: 2 });
+    expect(first.headers['Set-Cookie'][0]).toMatch(/; Expires=[^;]+; Path=\/; HttpOnly; SameSite=Lax$/);
+    // The cookie is not sent again while it stays valid
+    expect(sessionCookie(second)).toBeUndefined();
+  });
+
+  it('does not create sessions that hold nothing', async () => {
+    const router = sessionRouter({ store });
+
+    const res = await request(router, 'GET', '/peek');
+
+    expect(sessionCookie(res)).toBeUndefined();
+    expect(store.sessions.size).toBe(0);
+  });
+
+  it('starts over when the cookie signature does not verify', async () => {
+    const router = sessionRouter({ store });
+    const cookie = sessionCookie(await request(router, 'GET', '/visits'));
+    const forged = `coherent.sid=${encodeURIComponent(`s:${signCookie('someone-else', 'guess')}`)}`;
+
+    expect(JSON.parse((await request(router, 'GET', '/visits', forged)).body)).toEqual({ visits: 1 });
+    expect(JSON.parse((await request(router, 'GET', '/visits', cookie)).body)).toEqual({ visits: 2 });
+  });
+
+  it('moves the session to a new ID on regenerate', async () => {
+    const router = sessionRouter({ store });
+    const before = sessionCookie(await request(router, 'GET', '/visits'));
+    const { id: oldId } = JSON.parse((await request(router, 'GET', '/peek', before)).body);
+
+    const login = await request(router, 'POST', '/login', before);
+    const after = sessionCookie(login);
+    const { id: newId } = JSON.parse(login.body);
+
+    expect(after).not.toBe(before);
+    expect(newId).not.toBe(oldId);
+    expect(await store.get(oldId)).toBeNull();
+    // The data carries over; the old cookie no longer finds it
+    expect(JSON.parse((await request(router, 'GET', '/peek', after)).body).data).toEqual({ visits: 1, userId: 7 });
+    expect(JSON.parse((await request(router, 'GET', '/peek', before)).body).data).toEqual({});
+  });
+
+  it('clears the session and its cookie on destroy', async () => {
+    const router = sessionRouter({ store });
+    const cookie = sessionCookie(await request(router, 'GET', '/visits'));
+
+    const res = await request(router, 'POST', '/logout', cookie);
+
+    expect(res.headers['Set-Cookie'][0]).toMatch(/^coherent\.sid=; Expires=Thu, 01 Jan 1970/);
+    expect(store.sessions.size).toBe(0);
+  });
+
+  it('expires sessions after maxAge from their start', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const router = sessionRouter({ store, maxAge: 60_000 });
+    const cookie = sessionCookie(await request(router, 'GET', '/visits'));
+
+    vi.advanceTimersByTime(40_000);
+    expect(JSON.parse((await request(router, 'GET', '/visits', cookie)).body)).toEqual({ visits: 2 });
+
+    vi.advanceTimersByTime(40_000);
+    expect(JSON.parse((await request(router, 'GET', '/visits', cookie)).body)).toEqual({ visits: 1 });
+  });
+
+  it('restarts the lifetime on every response when rolling', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const router = sessionRouter({ store, maxAge: 60_000, rolling: true });
+    const cookie = sessionCookie(await request(router, 'GET', '/visits'));
+
+    vi.advanceTimersByTime(40_000);
+    const res = await request(router, 'GET', '/peek', cookie);
+    expect(sessionCookie(res)).toBe(cookie);
+
+    vi.advanceTimersByTime(40_000);
+    expect(JSON.parse((await request(router, 'GET', '/visits', cookie)).body)).toEqual({ visits: 2 });
+  });
+
+  it('signs the cookie again after a secret rotation', async () => {
+    const cookie = sessionCookie(await request(sessionRouter({ store }), 'GET', '/visits'));
+    const router = sessionRouter({ store, secret: ['next-secret', SECRET] });
+
+    const res = await request(router, 'GET', '/visits', cookie);
+
+    expect(JSON.parse(res.body)).toEqual({ visits: 2 });
+    const resigned = sessionCookie(res);
+    expect(resigned).not.toBe(cookie);
+    expect(decodeURIComponent(resigned)).toContain(signCookie(JSON.parse((await request(router, 'GET', '/peek', resigned)).body).id, 'next-secret'));
+  });
+
+  it('validates its options', () => {
+    expect(() => withSession({})).toThrow('withSession requires a secret');
+    expect(() => withSession({ secret: SECRET, store: {} })).toThrow('Session store must implement get()');
+  });
+
+  it('ends the response even when the store fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(store, 'set').mockRejectedValue(new Error('disk full'));
+    const router = sessionRouter({ store });
+
+    const res = await request(router, 'GET', '/visits');
+
+    expect(JSON.parse(res.body)).toEqual({ visits: 1 });
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('FileSessionStore', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'coherent-session-test-'));
+    store = new FileSessionStore({ dir, pruneInterval: 0 });
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('stores sessions as files that outlive the store', async () => {
+    await store.set('abc', { data: { userId: 7 } }, 60_000);
+
+    expect(await readdir(dir)).toEqual(['abc.json']);
+    expect(await new FileSessionStore({ dir, pruneInterval: 0 }).get('abc')).toEqual({ data: { userId: 7 } });
+
+    await store.destroy('abc');
+    expect(await store.get('abc')).toBeNull();
+  });
+
+  it('drops expired and unreadable sessions', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    await store.set('old', { data: {} }, 1_000);
+    await store.set('new', { data: {} }, 60_000);
+    await writeFile(join(dir, 'broken.json'), '{');
+
+    vi.advanceTimersByTime(5_000);
+
+    expect(await store.prune()).toBe(1);
+    expect(await store.get('broken')).toBeNull();
+    expect((await readdir(dir)).sort()).toEqual(['new.json']);
+  });
+
+  it('never reads or writes outside its directory', async () => {
+    expect(await store.get('../secrets')).toBeNull();
+    await expect(store.set('../secrets', {}, 1_000)).rejects.toThrow(TypeError);
+  });
+
+  it('backs withSession', async () => {
+    const router = sessionRouter({ store });
+    const cookie = sessionCookie(await request(router, 'GET', '/visits'));
+
+    const res = await request(router, 'GET', '/visits', cookie);
+
+    expect(JSON.parse(res.body)).toEqual({ visits: 2 });
+    expect(await readdir(dir)).toHaveLength(1);
+  });
+});
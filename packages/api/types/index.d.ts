@@ -61,6 +61,8 @@ export interface ApiRequest extends IncomingMessage {
   query: QueryParams;
   params: UrlParams;
   body: RequestBody;
+  /** Files of a multipart body, stored by the body parser */
+  files?: UploadedFile[];
   originalUrl?: string;
   path?: string;
   protocol?: string;
@@ -72,9 +74,16 @@ export interface ApiRequest extends IncomingMessage {
   stale?: boolean;
   xhr?: boolean;
   user?: any;
-  session?: any;
+  /** Set by withSession() */
+  session?: Session;
+  /** Set by withCookies() */
   cookies?: Record<string, string>;
+  /** Signed cookies whose signature verified, set by withCookies() */
   signedCookies?: Record<string, string>;
+  /** The request's CSRF token, created on first use; set by withCsrf() */
+  csrfToken?: () => string;
+  /** What forms read from the render context; set by withCsrf() */
+  csrf?: CsrfContext;
 }
 
 /** Enhanced API response object */
@@ -102,6 +111,10 @@ export interface ApiResponse extends ServerResponse {
   render(view: string, locals?: any, callback?: Function): void;
   /** Render a CoherentNode component to HTML */
   renderCoherent(component: CoherentNode, options?: RenderOptions): void;
+  /** Set a cookie; added by withCookies() */
+  cookie?(name: string, value: string, options?: CookieOptions & { signed?: boolean }): ApiResponse;
+  /** Remove a cookie; added by withCookies() */
+  clearCookie?(name: string, options?: CookieOptions): ApiResponse;
 }
 
 // ============================================================================
@@ -153,6 +166,10 @@ export interface RouteDefinition {
   HEAD?: RouteHandler;
   middleware?: Middleware | Middleware[];
   validation?: ValidationSchema;
+  /** Request schemas documented by generateOpenApiSpec(), over those of `validation` */
+  schemas?: RouteSchemas;
+  /** OpenAPI metadata of the operation */
+  openapi?: OpenApiRouteOptions;
   serialization?: SerializationConfig;
   auth?: AuthConfig;
   rateLimit?: RateLimitConfig;
@@ -180,6 +197,37 @@ export interface RouteRegistrationOptions {
   middleware?: Middleware[];
   name?: string;
   version?: string;
+  /**
+   * Body parser options for this route, over the router's: `'raw'` for the
+   * exact bytes, `'stream'` to leave the body unread
+   */
+  body?: BodyMode | BodyOptions;
+  /** Request schemas documented by generateOpenApiSpec(), over those of validation middleware */
+  schemas?: RouteSchemas;
+  /** OpenAPI metadata of the operation, over withOpenApi()'s */
+  openapi?: OpenApiRouteOptions;
+}
+
+/** Request schemas of a route, as validation middleware records them */
+export interface RouteSchemas {
+  body?: ValidationSchema;
+  query?: ValidationSchema;
+  params?: ValidationSchema;
+}
+
+/** A registered route, as getRoutes() describes it */
+export interface RouteInfo {
+  method: string;
+  path: string;
+  name: string | null;
+  hasMiddleware: boolean;
+  middlewareCount: number;
+  compiled: boolean;
+  compiledPattern: string | null;
+  paramNames: string[] | null;
+  body: BodyMode | BodyOptions | null;
+  schemas: RouteSchemas;
+  openapi: OpenApiRouteOptions | null;
 }
 
 /** Object router interface */
@@ -214,9 +262,10 @@ export interface ObjectRouter {
       corsOrigin?: string;
       rateLimit?: { windowMs?: number; maxRequests?: number };
       maxBodySize?: number;
+      body?: BodyOptions;
     }
   ): Promise<void>;
-  getRoutes(): RouteObject;
+  getRoutes(): RouteInfo[];
   mount(app: any): void;
 }
 
@@ -528,6 +577,55 @@ export interface CorsConfig {
   optionsSuccessStatus?: number;
 }
 
+/** How a route reads its body: the exact bytes, or not at all */
+export type BodyMode = 'raw' | 'stream';
+
+/** Handling of multipart file parts */
+export interface FileUploadOptions {
+  /** Largest file, in bytes (default 10MB) */
+  maxFileSize?: number;
+  /** Largest total of all files in a request, in bytes (default 50MB) */
+  maxTotalSize?: number;
+  /** Most files in one request (default 10) */
+  maxFiles?: number;
+  /**
+   * Accepted MIME types, such as `image/*`. Checked against the type the
+   * file's bytes show when they are recognised.
+   */
+  allowedTypes?: string[];
+  /** Directory of the temporary files (default the OS temp directory) */
+  dest?: string;
+  /** Receives each file instead of a temporary file */
+  sink?: (file: UploadedFile) => import('stream').Writable;
+  /**
+   * What the router does with the temporary files once the response is done:
+   * remove them (default), keep them (`false`), or hand them to a function
+   */
+  cleanup?: boolean | ((files: UploadedFile[]) => void | Promise<void>);
+}
+
+/** Options of parseBody() and of the router's body parsing */
+export interface BodyOptions {
+  /** Largest body read into memory, in bytes (default 1MB) */
+  limit?: number;
+  mode?: BodyMode;
+  files?: FileUploadOptions;
+}
+
+/** A file part of a multipart body */
+export interface UploadedFile {
+  fieldName: string;
+  /** Name the client gave, without any directory */
+  filename: string;
+  /** Type the client declared */
+  mimetype: string;
+  /** Type the file's first bytes show, or null when not recognised */
+  detectedType: string | null;
+  size: number;
+  /** Temporary file; null when a sink received the file */
+  path: string | null;
+}
+
 /** Body parser options */
 export interface BodyParserOptions {
   limit?: string;
@@ -752,6 +850,31 @@ export interface OpenAPIServer {
   variables?: Record<string, OpenAPIServerVariable>;
 }
 
+/** OpenAPI metadata of a route: withOpenApi() options or the route's `openapi` option */
+export interface OpenApiRouteOptions {
+  summary?: string;
+  description?: string;
+  /** The route name, or one made of the method and path, by default */
+  operationId?: string;
+  tags?: string[];
+  deprecated?: boolean;
+  /** JSON Schema of the success response body */
+  response?: OpenAPISchema;
+  /** ApiError classes the route throws, documented with their status codes */
+  errors?: Array<(new () => ApiError) | ApiError>;
+  /** Response objects by status code, over the generated ones */
+  responses?: OpenAPIResponses;
+  /** Request body schema, for routes without withValidation() */
+  requestBody?: OpenAPISchema;
+  /** Parameter objects, over the generated ones */
+  parameters?: OpenAPIParameter[];
+}
+
+/** Application information of a generated OpenAPI document */
+export interface OpenApiAppInfo extends Partial<OpenAPIInfo> {
+  servers?: OpenAPIServer[];
+}
+
 /** OpenAPI server variable */
 export interface OpenAPIServerVariable {
   enum?: string[];
@@ -759,6 +882,154 @@ export interface OpenAPIServerVariable {
   description?: string;
 }
 
+// ============================================================================
+// Form Actions
+// ============================================================================
+
+/** What a failed plain form post renders the page again with */
+export interface FormActionFailure<T = Record<string, any>> {
+  /** The submitted values */
+  values: T;
+  /** Field errors, by field name */
+  errors: Record<string, string>;
+  message: string;
+}
+
+/** Options of formActionHandler() */
+export interface FormActionOptions<T = Record<string, any>, R = any> {
+  /** Schema the values are validated against before the handler runs */
+  validation?: ValidationSchema;
+  /** Where a plain form post goes after success; the referring page by default */
+  redirect?: string | ((result: R, req: ApiRequest) => string | Promise<string>);
+  /**
+   * Render the page again with the errors after a failed plain form post.
+   * Without it the browser is sent back to the form.
+   */
+  render?: (failure: FormActionFailure<T>, req: ApiRequest) => string | Promise<string>;
+}
+
+// ============================================================================
+// Cookies and Sessions
+// ============================================================================
+
+/** Set-Cookie attributes */
+export interface CookieOptions {
+  /** Lifetime in milliseconds; sets both Max-Age and Expires */
+  maxAge?: number;
+  expires?: Date;
+  domain?: string;
+  /** Defaults to '/' */
+  path?: string;
+  httpOnly?: boolean;
+  secure?: boolean;
+  /** true means strict */
+  sameSite?: boolean | 'strict' | 'lax' | 'none' | 'Strict' | 'Lax' | 'None';
+  partitioned?: boolean;
+}
+
+/** Options of withCookies() */
+export interface CookieMiddlewareOptions {
+  /** Signing secret; with a list, the first signs and all verify */
+  secret?: string | string[];
+  /** Default res.cookie() options */
+  defaults?: CookieOptions & { signed?: boolean };
+}
+
+/**
+ * Where sessions live. Stores forget a value once its time to live has
+ * passed; values are plain JSON-serializable objects.
+ */
+export interface SessionStore {
+  get(id: string): Promise<any | null>;
+  /** Save a value with a time to live in milliseconds */
+  set(id: string, value: any, ttl: number): Promise<void>;
+  destroy(id: string): Promise<void>;
+}
+
+/** In-memory session store, for development and single-instance deployments */
+export class MemorySessionStore implements SessionStore {
+  constructor(options?: { pruneInterval?: number });
+  get(id: string): Promise<any | null>;
+  set(id: string, value: any, ttl: number): Promise<void>;
+  destroy(id: string): Promise<void>;
+  /** Drop expired sessions; returns how many */
+  prune(): number;
+  /** Stop pruning */
+  close(): void;
+}
+
+/** Session store keeping each session in a JSON file */
+export class FileSessionStore implements SessionStore {
+  constructor(options?: { dir?: string; pruneInterval?: number });
+  readonly dir: string;
+  get(id: string): Promise<any | null>;
+  set(id: string, value: any, ttl: number): Promise<void>;
+  destroy(id: string): Promise<void>;
+  /** Delete expired session files; resolves to how many */
+  prune(): Promise<number>;
+  /** Stop pruning */
+  close(): void;
+}
+
+/** A request's session; its own properties are the session data */
+export interface Session {
+  [key: string]: any;
+  readonly id: string;
+  /** When the session expires, as of this request */
+  readonly expires: Date;
+  /** Move the session to a new ID, keeping its data; call it on sign-in */
+  regenerate(): Promise<Session>;
+  /** Remove the session from the store, clear its data and the cookie */
+  destroy(): Promise<void>;
+  /** Extend the session's lifetime on this response */
+  touch(): Session;
+}
+
+/** Options of withSession() */
+export interface SessionOptions {
+  /** Signing secret; with a list, the first signs and all verify */
+  secret: string | string[];
+  /** Defaults to a MemorySessionStore */
+  store?: SessionStore;
+  /** Cookie name (default 'coherent.sid') */
+  name?: string;
+  /** Session lifetime in milliseconds (default one day) */
+  maxAge?: number;
+  /** Restart the lifetime on every response */
+  rolling?: boolean;
+  /** Save and send a cookie for new sessions that hold no data */
+  saveUninitialized?: boolean;
+  /** Cookie attributes; httpOnly, sameSite 'lax' and path '/' by default */
+  cookie?: Omit<CookieOptions, 'maxAge' | 'expires'>;
+}
+
+/** The CSRF token and where a request sends it back */
+export interface CsrfContext {
+  token: string;
+  fieldName: string;
+  headerName: string;
+}
+
+/** Options of withCsrf() */
+export interface CsrfOptions {
+  /**
+   * 'synchronizer' keeps the token in req.session (withSession() first);
+   * 'double-submit' keeps it in a signed cookie
+   */
+  mode?: 'synchronizer' | 'double-submit';
+  /** Signs the token cookie; required in double-submit mode */
+  secret?: string | string[];
+  /** Form field carrying the token (default '_csrf') */
+  fieldName?: string;
+  /** Header carrying the token (default 'X-CSRF-Token') */
+  headerName?: string;
+  /** Token cookie in double-submit mode (default 'coherent.csrf') */
+  cookieName?: string;
+  cookie?: Omit<CookieOptions, 'maxAge' | 'expires'>;
+  /** Methods not checked (default GET, HEAD, OPTIONS) */
+  ignoreMethods?: string[];
+}
+
 // ============================================================================
 // Main Functions
 // ============================================================================
@@ -822,6 +1093,84 @@ export function withInputValidation(schema: {
   params?: ValidationSchema;
 }): Middleware;
 
+/**
+ * Parse a request body: JSON, urlencoded, or multipart with files streamed
+ * to disk or a sink. Rejects with an ApiError (413, 415 or 400).
+ */
+export function parseBody(
+  req: IncomingMessage,
+  options?: BodyOptions
+): Promise<{ body: any; files: UploadedFile[] }>;
+
+/** Remove the temporary files of an upload; moved files are skipped */
+export function cleanupFiles(files?: UploadedFile[]): Promise<void>;
+
+/** Identify a file from its first bytes; null when not recognised */
+export function sniffMimeType(bytes: Uint8Array): string | null;
+
+/**
+ * Route handler for a form submitted natively or with formAction() from
+ * @coherent.js/forms: JSON for fetch, a redirect or a page for the browser.
+ */
+export function formActionHandler<T = Record<string, any>, R = any>(
+  handler: (values: T, req: ApiRequest, res: ApiResponse) => R | Promise<R>,
+  options?: FormActionOptions<T, R>
+): RouteHandler;
+
+/** Parse a Cookie header */
+export function parseCookies(header?: string): Record<string, string>;
+
+/** Serialize a cookie for a Set-Cookie header */
+export function serializeCookie(name: string, value: string, options?: CookieOptions): string;
+
+/** Sign a value with HMAC-SHA256; with a list of secrets, the first signs */
+export function signCookie(value: string, secret: string | string[]): string;
+
+/** Verify a signed value against every secret; false when none matches */
+export function unsignCookie(signed: string, secret: string | string[]): string | false;
+
+/** Cookie middleware: req.cookies, req.signedCookies, res.cookie(), res.clearCookie() */
+export function withCookies(options?: CookieMiddlewareOptions): Middleware;
+
+/** Session middleware: req.session, loaded from the store by a signed cookie */
+export function withSession(options: SessionOptions): Middleware;
+
+/** CSRF middleware: rejects unsafe requests without the token with a 403 */
+export function withCsrf(options?: CsrfOptions): Middleware;
+
+/** OpenAPI metadata middleware; does nothing at request time */
+export function withOpenApi(options?: OpenApiRouteOptions): Middleware;
+
+/**
+ * Generate an OpenAPI 3.1 document from a router's routes, their validation
+ * schemas and the ApiError classes they declare
+ */
+export function generateOpenApiSpec(appInfo?: OpenApiAppInfo, routes?: ObjectRouter | RouteInfo[]): OpenAPISpec;
+
+/** Route handler answering the OpenAPI document */
+export function createOpenApiHandler(appInfo?: OpenApiAppInfo, routes?: ObjectRouter | RouteInfo[]): RouteHandler;
+
+/** Route handler answering a Swagger UI page for /api/docs/json */
+export function createSwaggerUIHandler(): RouteHandler;
+
+/** Options of generateClient() */
+export interface ClientGeneratorOptions {
+  /** Default prefix of the client's request URLs; '' by default */
+  baseUrl?: string;
+}
+
+/** A generated API client: the ES module and its declarations */
+export interface GeneratedClient {
+  source: string;
+  types: string;
+}
+
+/**
+ * Generate a dependency-free ES module client with one function per route,
+ * typed from the routes' validation schemas, and its .d.ts
+ */
+export function generateClient(routes: ObjectRouter | RouteInfo[], options?: ClientGeneratorOptions): GeneratedClient;
+
 /** Hash password */
 export function hashPassword(password: string, saltRounds?: number): Promise<string>;
 
@@ -889,6 +1238,24 @@ declare const coherentApi: {
   verifyPassword: typeof verifyPassword;
   generateToken: typeof generateToken;
   withInputValidation: typeof withInputValidation;
+  formActionHandler: typeof formActionHandler;
+  parseBody: typeof parseBody;
+  cleanupFiles: typeof cleanupFiles;
+  sniffMimeType: typeof sniffMimeType;
+  parseCookies: typeof parseCookies;
+  serializeCookie: typeof serializeCookie;
+  signCookie: typeof signCookie;
+  unsignCookie: typeof unsignCookie;
+  withCookies: typeof withCookies;
+  withSession: typeof withSession;
+  MemorySessionStore: typeof MemorySessionStore;
+  FileSessionStore: typeof FileSessionStore;
+  withCsrf: typeof withCsrf;
+  withOpenApi: typeof withOpenApi;
+  generateOpenApiSpec: typeof generateOpenApiSpec;
+  createOpenApiHandler: typeof createOpenApiHandler;
+  createSwaggerUIHandler: typeof createSwaggerUIHandler;
+  generateClient: typeof generateClient;
 };
 
 export default coherentApi;
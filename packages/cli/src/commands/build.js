@@ -8,6 +8,7 @@ import picocolors from 'picocolors';
 import { execSync } from 'child_process';
 import { existsSync, readFileSync } from 'fs';
 import { dirname, join, parse } from 'path';
+import { buildServiceWorker } from './service-worker.js';
 
 const COHERENT_PACKAGES = ['@coherent.js/core', 'coherentjs'];
 
@@ -124,6 +125,7 @@ export const buildCommand = new Command('build')
   .option('--analyze', 'analyze bundle size')
   .option('--no-minify', 'disable minification')
   .option('--no-optimize', 'disable optimizations')
+  .option('--sw', 'generate a service worker into dist/ after building')
   .action(async (options) => {
     console.log(picocolors.cyan('🏗️  Building Coherent.js project...'));
     console.log();
@@ -224,6 +226,13 @@ export const buildCommand = new Command('build')
         }
       }
 
+      if (options.sw) {
+        spinner.text = 'Generating service worker...';
+        const serviceWorker = await buildServiceWorker();
+        spinner.info(`Service worker written with ${serviceWorker.assets} precached assets`);
+        spinner.start();
+      }
+
       spinner.succeed('Build completed successfully!');
 
       // Show build info
@@ -9,18 +9,21 @@ import picocolors from 'picocolors';
 import { generateComponent } from '../generators/component-generator.js';
 import { generatePage } from '../generators/page-generator.js';
 import { generateAPI } from '../generators/api-generator.js';
+import { generateApiClient } from '../generators/client-generator.js';
 import { validateComponentName } from '../utils/validation.js';
 import { requireInteractive } from '../utils/interactive.js';
 
 export const generateCommand = new Command('generate')
   .alias('g')
-  .description('Generate components, pages, and APIs')
-  .argument('[type]', 'type to generate (component, page, api)')
+  .description('Generate components, pages, APIs, and API clients')
+  .argument('[type]', 'type to generate (component, page, api, client)')
   .argument('[name]', 'name of the item to generate')
   .option('-p, --path <path>', 'custom output path')
   .option('-t, --template <template>', 'template to use')
   .option('--skip-test', 'skip generating test file')
   .option('--skip-story', 'skip generating story file')
+  .option('-r, --routes <module>', 'module exporting the router, for a client (default: src/routes.js)')
+  .option('--base-url <url>', 'default base URL of a client')
   .action(async (type, name, options) => {
     let generationType = type;
     let itemName = name;
@@ -37,6 +40,7 @@ export const generateCommand = new Command('generate')
           { title: '🧩 Component', value: 'component', description: 'Reusable UI component' },
           { title: '📄 Page', value: 'page', description: 'Full page with routing' },
           { title: '🔌 API Route', value: 'api', description: 'API endpoint with validation' },
+          { title: '🌐 API Client', value: 'client', description: 'Typed fetch client of the API routes' },
           { title: '📊 Database Model', value: 'model', description: 'Database model with migrations' },
           { title: '🔄 Middleware', value: 'middleware', description: 'Express/Fastify middleware' }
         ]
@@ -50,6 +54,12 @@ export const generateCommand = new Command('generate')
       generationType = response.type;
     }
 
+    // A client is a module file named after the API, not a component
+    const isClient = generationType === 'client';
+    if (isClient && !itemName) {
+      itemName = 'api-client';
+    }
+
     // Interactive name input if not provided
     if (!itemName) {
       requireInteractive(
@@ -73,7 +83,7 @@ export const generateCommand = new Command('generate')
     }
 
     // Validate name
-    const nameValidation = validateComponentName(itemName);
+    const nameValidation = isClient ? true : validateComponentName(itemName);
     if (nameValidation !== true) {
       console.error(picocolors.red('❌ Invalid name:'), nameValidation);
       process.exit(1);
@@ -112,6 +122,10 @@ export const generateCommand = new Command('generate')
           result = await generateAPI(itemName, options);
           break;
 
+        case 'client':
+          result = await generateApiClient(itemName, options);
+          break;
+
         case 'model':
         case 'm':
           result = await generateModel(itemName, options);
@@ -0,0 +1,91 @@
+/**
+ * OpenAPI command - Writes the OpenAPI document of an API
+ *
+ * Loads the project's router and writes the OpenAPI 3.1 document that
+ * generateOpenApiSpec() from @coherent.js/api derives from its routes and
+ * their validation schemas.
+ */
+
+import { Command } from 'commander';
+import ora from 'ora';
+import picocolors from 'picocolors';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, relative, resolve } from 'path';
+import { loadApiRoutes } from '../utils/project.js';
+
+/** The name, version and description of the project's package.json */
+function readPackageInfo(cwd) {
+  const file = join(cwd, 'package.json');
+  if (!existsSync(file)) {
+    return {};
+  }
+  try {
+    const { name, version, description } = JSON.parse(readFileSync(file, 'utf-8'));
+    return { title: name, version, description };
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Write the OpenAPI document of the project at `cwd`
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {string} [options.routes] - Module whose default export, `routes` or
+ *   `router` is a router, its getRoutes() or an object route definition;
+ *   src/routes.js or src/router.js by default
+ * @param {string} [options.output='openapi.json'] - File written, relative to the project
+ * @param {string} [options.title] - API title; the package name by default
+ * @param {string} [options.apiVersion] - API version; the package version by default
+ * @param {string} [options.description] - API description; the package's by default
+ * @param {string[]} [options.server] - Server URLs
+ * @returns {Promise<{file: string, spec: Object, operations: number}>}
+ */
+export async function buildOpenApi(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const file = resolve(cwd, options.output || 'openapi.json');
+
+  const { api, routes } = await loadApiRoutes(cwd, options.routes);
+
+  const pkg = readPackageInfo(cwd);
+  const spec = api.generateOpenApiSpec({
+    title: options.title || pkg.title,
+    version: options.apiVersion || pkg.version,
+    description: options.description || pkg.description,
+    servers: options.server?.map(url => ({ url }))
+  }, routes);
+
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, `${JSON.stringify(spec, null, 2)}\n`);
+
+  const operations = Object.values(spec.paths).reduce((count, item) => count + Object.keys(item).length, 0);
+  return { file, spec, operations };
+}
+
+export const openapiCommand = new Command('openapi')
+  .description('Write the OpenAPI document of the API routes')
+  .option('-r, --routes <module>', 'module exporting the router or routes (default: src/routes.js)')
+  .option('-o, --output <file>', 'file to write', 'openapi.json')
+  .option('--title <title>', 'API title (default: the package name)')
+  .option('--api-version <version>', 'API version (default: the package version)')
+  .option('--description <text>', 'API description (default: the package description)')
+  .option('--server <url...>', 'server URLs')
+  .action(async (options) => {
+    const spinner = ora('Generating OpenAPI document...').start();
+
+    try {
+      const result = await buildOpenApi(options);
+      spinner.succeed('OpenAPI document generated!');
+
+      console.log();
+      console.log(picocolors.gray('📄 File:'), relative(process.cwd(), result.file));
+      console.log(picocolors.gray('🧭 Operations:'), result.operations);
+      console.log(picocolors.gray('🧩 Schemas:'), Object.keys(result.spec.components.schemas).length);
+      console.log();
+    } catch (_error) {
+      spinner.fail('Failed to generate the OpenAPI document');
+      console.error(picocolors.red('❌ Error:'), _error.message);
+      process.exit(1);
+    }
+  });
@@ -0,0 +1,149 @@
+/**
+ * Service worker command - Generates the service worker of an offline-capable app
+ *
+ * Reads the router's route table, the build's asset manifest and an offline
+ * page component from the project, and writes the service worker that
+ * generateServiceWorker() from @coherent.js/client makes of them.
+ */
+
+import { Command } from 'commander';
+import ora from 'ora';
+import picocolors from 'picocolors';
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { pathToFileURL } from 'url';
+import { DEFAULT_ROUTES, findModule, importFromProject, loadRouteTable } from '../utils/project.js';
+
+/** Asset manifests looked for in the output directory, in order */
+export const MANIFEST_FILES = ['.vite/manifest.json', 'manifest.json', 'asset-manifest.json'];
+
+/** Modules looked for when no --offline is given */
+const DEFAULT_OFFLINE = ['src/offline.js'];
+
+/** Every file under `dir`, as a path relative to it with forward slashes */
+function listFiles(dir, root = dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path, root) : [relative(root, path).split(sep).join('/')];
+  });
+}
+
+/**
+ * Read the asset manifest of the build, or list the built files when there
+ * is none
+ *
+ * @param {string} outDir - Build output directory
+ * @param {Object} [options]
+ * @param {string} [options.manifest] - Path of the manifest; looked for in `outDir` by default
+ * @param {string} [options.filename='sw.js'] - Service worker, left out of the listing
+ * @returns {Object|string[]} The manifest, or the files relative to `outDir`
+ */
+export function readAssetManifest(outDir, options = {}) {
+  const file = options.manifest || MANIFEST_FILES.map(name => join(outDir, name)).find(existsSync);
+  if (file) {
+    if (!existsSync(file)) {
+      throw new Error(`Cannot find the asset manifest ${file}`);
+    }
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  }
+  if (!existsSync(outDir)) {
+    return [];
+  }
+  // Pages request neither source maps nor the service worker itself
+  const filename = options.filename || 'sw.js';
+  return listFiles(outDir).filter(path => !path.endsWith('.map') && path !== filename);
+}
+
+/**
+ * Generate the service worker of the project at `cwd`
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {string} [options.outDir='dist'] - Build output directory
+ * @param {string} [options.filename='sw.js'] - File name of the service worker
+ * @param {string} [options.routes] - Module whose default export, `routes` or
+ *   `router` is a router or a route array; src/routes.js or src/router.js by default
+ * @param {string} [options.manifest] - Asset manifest, relative to the project
+ * @param {string} [options.offline] - Module whose default export is the
+ *   offline page component; src/offline.js by default
+ * @param {string} [options.base='/'] - Public path of the built assets
+ * @param {string} [options.version] - Cache version
+ * @returns {Promise<{file: string, routes: number, assets: number, offline: boolean}>}
+ */
+export async function buildServiceWorker(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const outDir = resolve(cwd, options.outDir || 'dist');
+  const file = join(outDir, options.filename || 'sw.js');
+  const { generateServiceWorker, assetsFromManifest } = await importFromProject('@coherent.js/client/service-worker', cwd);
+
+  let routes = [];
+  const routesModule = findModule(cwd, options.routes, DEFAULT_ROUTES);
+  if (routesModule) {
+    const table = await loadRouteTable(routesModule, cwd);
+    routes = typeof table.getRoutes === 'function' ? table.getRoutes() : table;
+  }
+
+  let offline;
+  const offlineModule = findModule(cwd, options.offline, DEFAULT_OFFLINE);
+  if (offlineModule) {
+    const { render } = await importFromProject('@coherent.js/core', cwd);
+    const { default: OfflinePage } = await import(pathToFileURL(offlineModule).href);
+    if (!OfflinePage) {
+      throw new Error(`${relative(cwd, offlineModule)} has no default export`);
+    }
+    offline = `<!DOCTYPE html>${render(OfflinePage)}`;
+  }
+
+  const manifest = readAssetManifest(outDir, {
+    manifest: options.manifest && resolve(cwd, options.manifest),
+    filename: options.filename
+  });
+  const assets = assetsFromManifest(manifest, options.base || '/');
+
+  const source = generateServiceWorker({
+    routes,
+    assets,
+    base: options.base,
+    offline,
+    version: options.version
+  });
+
+  mkdirSync(dirname(file), { recursive: true });
+  writeFileSync(file, source);
+
+  return { file, routes: Array.isArray(routes) ? routes.length : Object.keys(routes).length, assets: assets.length, offline: Boolean(offline) };
+}
+
+export const serviceWorkerCommand = new Command('service-worker')
+  .alias('sw')
+  .description('Generate a service worker from the routes and the build output')
+  .option('-o, --out-dir <dir>', 'build output directory', 'dist')
+  .option('-f, --filename <name>', 'service worker file name', 'sw.js')
+  .option('-r, --routes <module>', 'module exporting the router or routes (default: src/routes.js)')
+  .option('-m, --manifest <file>', 'asset manifest of the build (default: looked for in the output directory)')
+  .option('--offline <module>', 'module exporting the offline page component (default: src/offline.js)')
+  .option('--base <path>', 'public path of the built assets', '/')
+  .option('--cache-version <version>', 'cache version (default: a hash of the configuration)')
+  .action(async (options) => {
+    const spinner = ora('Generating service worker...').start();
+
+    try {
+      const result = await buildServiceWorker({ ...options, version: options.cacheVersion });
+      spinner.succeed('Service worker generated!');
+
+      console.log();
+      console.log(picocolors.gray('📄 File:'), relative(process.cwd(), result.file));
+      console.log(picocolors.gray('🧭 Routes:'), result.routes);
+      console.log(picocolors.gray('📦 Precached assets:'), result.assets);
+      console.log(picocolors.gray('📴 Offline page:'), result.offline ? 'yes' : 'no');
+      console.log();
+      console.log(picocolors.cyan('Next steps:'));
+      console.log(picocolors.gray('  Register it in the browser:'));
+      console.log(picocolors.gray(`  registerServiceWorker('/${options.filename}') from @coherent.js/client/service-worker`));
+      console.log();
+    } catch (_error) {
+      spinner.fail('Failed to generate the service worker');
+      console.error(picocolors.red('❌ Error:'), _error.message);
+      process.exit(1);
+    }
+  });
@@ -0,0 +1,51 @@
+/**
+ * API client generator
+ *
+ * Writes the typed fetch client that generateClient() from @coherent.js/api
+ * makes of the project's router.
+ */
+
+import { writeFileSync, mkdirSync } from 'fs';
+import { join, relative, resolve } from 'path';
+import { loadApiRoutes } from '../utils/project.js';
+
+/**
+ * Generate the API client of the project's routes
+ *
+ * @param {string} [name='api-client'] - File name of the client, without extension
+ * @param {Object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {string} [options.path='src'] - Directory the client is written to
+ * @param {string} [options.routes] - Module exporting the router or routes;
+ *   src/routes.js or src/router.js by default
+ * @param {string} [options.baseUrl] - Default prefix of the request URLs
+ * @returns {Promise<{files: string[], nextSteps: string[]}>}
+ */
+export async function generateApiClient(name = 'api-client', options = {}) {
+  const { cwd = process.cwd(), path = 'src', routes: routesModule, baseUrl } = options;
+
+  if (!/^[a-zA-Z][a-zA-Z0-9-_.]*$/.test(name)) {
+    throw new Error('Client name must start with a letter and contain only letters, numbers, dots, hyphens, and underscores');
+  }
+
+  const { api, routes } = await loadApiRoutes(cwd, routesModule);
+  const { source, types } = api.generateClient(routes, { baseUrl });
+
+  const outputDir = resolve(cwd, path);
+  mkdirSync(outputDir, { recursive: true });
+
+  const clientPath = join(outputDir, `${name}.js`);
+  const typesPath = join(outputDir, `${name}.d.ts`);
+  writeFileSync(clientPath, source);
+  writeFileSync(typesPath, types);
+
+  const importPath = `./${relative(cwd, clientPath).split('\\').join('/')}`;
+  return {
+    files: [clientPath, typesPath],
+    nextSteps: [
+      `Import the client: import { createClient } from '${importPath}'`,
+      'Call a route: await createClient().<route name>({ params, query, body })',
+      'Run `coherent generate client` again after changing the routes'
+    ]
+  };
+}
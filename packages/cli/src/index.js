@@ -15,6 +15,8 @@ import { generateCommand } from './commands/generate.js';
 import { buildCommand } from './commands/build.js';
 import { devCommand } from './commands/dev.js';
 import { debugCommand } from './commands/debug.js';
+import { serviceWorkerCommand } from './commands/service-worker.js';
+import { openapiCommand } from './commands/openapi.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -53,7 +55,9 @@ ${picocolors.cyan('  ╚══════════════════
     .addCommand(generateCommand)
     .addCommand(buildCommand)
     .addCommand(devCommand)
-    .addCommand(debugCommand);
+    .addCommand(debugCommand)
+    .addCommand(serviceWorkerCommand)
+    .addCommand(openapiCommand);
 
   // Custom help
   program.configureHelp({
@@ -64,6 +68,9 @@ ${picocolors.gray('Examples:')}
   ${picocolors.green('coherent generate component Button')} Generate a component  
   ${picocolors.green('coherent generate page Home')}       Generate a page
   ${picocolors.green('coherent build')}                   Build for production
+  ${picocolors.green('coherent build --sw')}              Build and generate a service worker
+  ${picocolors.green('coherent openapi')}                 Write openapi.json from the API routes
+  ${picocolors.green('coherent generate client')}         Generate a typed client of the API routes
   ${picocolors.green('coherent dev')}                     Start development server
   ${picocolors.green('coherent debug component')}         Analyze component performance
   ${picocolors.green('coherent debug performance')}       Profile application performance
@@ -89,4 +96,4 @@ ${picocolors.gray('Learn more:')} ${picocolors.blue('https://github.com/Tomdrouv
 }
 
 // Export for direct usage
-export { createCommand, generateCommand, buildCommand, devCommand, debugCommand };
\ No newline at end of file
+export { createCommand, generateCommand, buildCommand, devCommand, debugCommand, serviceWorkerCommand };
\ No newline at end of file
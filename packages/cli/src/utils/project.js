@@ -0,0 +1,85 @@
+/**
+ * Project Loading Utility
+ * Loads packages and modules from the user's project, for commands that
+ * read the app's own code: its routes, pages and @coherent.js packages
+ */
+
+import { createRequire } from 'module';
+import { existsSync } from 'fs';
+import { join, relative, resolve } from 'path';
+import { pathToFileURL } from 'url';
+
+/** Modules looked for when no routes module is given */
+export const DEFAULT_ROUTES = ['src/routes.js', 'src/router.js'];
+
+/**
+ * Import a package as the project at `cwd` resolves it, so a global CLI uses
+ * the project's own @coherent.js packages
+ * @param {string} specifier - Package or package subpath
+ * @param {string} cwd - Project directory
+ * @returns {Promise<Object>} The module namespace
+ */
+export async function importFromProject(specifier, cwd) {
+  let path;
+  try {
+    path = createRequire(join(cwd, 'package.json')).resolve(specifier);
+  } catch {
+    throw new Error(`Cannot find ${specifier}. Is it installed in this project?`);
+  }
+  return import(pathToFileURL(path).href);
+}
+
+/**
+ * The module named on the command line, or the first default that exists
+ * @param {string} cwd - Project directory
+ * @param {string} [explicit] - Module given on the command line
+ * @param {string[]} defaults - Modules looked for otherwise
+ * @returns {string|null} Absolute path of the module
+ */
+export function findModule(cwd, explicit, defaults) {
+  if (explicit) {
+    const path = resolve(cwd, explicit);
+    if (!existsSync(path)) {
+      throw new Error(`Cannot find ${explicit}`);
+    }
+    return path;
+  }
+  return defaults.map(file => join(cwd, file)).find(path => existsSync(path)) || null;
+}
+
+/**
+ * Import the route table of a module: its default export, `routes` or
+ * `router` export, a router or a route array
+ * @param {string} path - Absolute path of the module
+ * @param {string} cwd - Project directory, for error messages
+ * @returns {Promise<Object|Array>} The router or routes
+ */
+export async function loadRouteTable(path, cwd) {
+  const loaded = await import(pathToFileURL(path).href);
+  const table = loaded.default || loaded.routes || loaded.router;
+  if (!table) {
+    throw new Error(`${relative(cwd, path)} exports no router or routes`);
+  }
+  return table;
+}
+
+/**
+ * Load the project's API router: the routes module named on the command
+ * line, or src/routes.js or src/router.js. An object route definition is
+ * turned into the router it describes.
+ * @param {string} cwd - Project directory
+ * @param {string} [explicit] - Routes module given on the command line
+ * @returns {Promise<{api: Object, routes: Object|Array}>} The project's
+ *   @coherent.js/api module, and the router or its routes
+ */
+export async function loadApiRoutes(cwd, explicit) {
+  const routesModule = findModule(cwd, explicit, DEFAULT_ROUTES);
+  if (!routesModule) {
+    throw new Error(`Cannot find the routes. Pass --routes or add ${DEFAULT_ROUTES.join(' or ')}`);
+  }
+
+  const api = await importFromProject('@coherent.js/api', cwd);
+  const table = await loadRouteTable(routesModule, cwd);
+  const routes = Array.isArray(table) || typeof table.getRoutes === 'function' ? table : api.createRouter(table);
+  return { api, routes };
+}
@@ -0,0 +1,88 @@
+/**
+ * API client generator tests
+ *
+ * `coherent generate client` loads the project's router and writes the
+ * client @coherent.js/api generates from it.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { mkdirSync, readFileSync, symlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { generateApiClient } from '../src/generators/client-generator.js';
+
+const PACKAGES = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const tempDirs = [];
+
+async function makeProject(files) {
+  const root = await mkdtemp(join(tmpdir(), 'coherent-client-'));
+  tempDirs.push(root);
+
+  writeFileSync(join(root, 'package.json'), JSON.stringify({ name: 'todo-app', type: 'module' }));
+  mkdirSync(join(root, 'node_modules', '@coherent.js'), { recursive: true });
+  symlinkSync(join(PACKAGES, 'api'), join(root, 'node_modules', '@coherent.js', 'api'), 'dir');
+  for (const [relative, contents] of Object.entries(files)) {
+    const target = join(root, relative);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, contents);
+  }
+  return root;
+}
+
+afterEach(async () => {
+  while (tempDirs.length) {
+    await rm(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('generateApiClient', () => {
+  const ROUTER = `
+    import { createRouter } from '@coherent.js/api';
+
+    export default createRouter({
+      todos: {
+        POST: {
+          name: 'createTodo',
+          validation: { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] },
+          handler: () => ({})
+        }
+      }
+    });
+  `;
+
+  it('writes the client and its declarations', async () => {
+    const root = await makeProject({ 'src/routes.js': ROUTER });
+
+    const result = await generateApiClient(undefined, { cwd: root, baseUrl: '/api' });
+
+    expect(result.files).toEqual([join(root, 'src', 'api-client.js'), join(root, 'src', 'api-client.d.ts')]);
+    expect(result.nextSteps[0]).toBe("Import the client: import { createClient } from './src/api-client.js'");
+    const source = readFileSync(result.files[0], 'utf-8');
+    expect(source).toContain("createTodo: (input, init) => request('POST', '/todos', input, init)");
+    expect(source).toContain("'/api'");
+    expect(readFileSync(result.files[1], 'utf-8')).toContain('createTodo(input: CreateTodoInput, options?: RequestOptions)');
+  });
+
+  it('names the file and directory as asked', async () => {
+    const root = await makeProject({ 'server/router.js': ROUTER });
+
+    const result = await generateApiClient('todos-api', { cwd: root, path: 'web/lib', routes: 'server/router.js' });
+
+    expect(result.files).toEqual([join(root, 'web', 'lib', 'todos-api.js'), join(root, 'web', 'lib', 'todos-api.d.ts')]);
+  });
+
+  it('rejects names that are not file names', async () => {
+    const root = await makeProject({ 'src/routes.js': ROUTER });
+
+    await expect(generateApiClient('../client', { cwd: root })).rejects.toThrow('Client name must start with a letter');
+  });
+
+  it('fails without routes', async () => {
+    const root = await makeProject({});
+
+    await expect(generateApiClient('api-client', { cwd: root })).rejects.toThrow('Cannot find the routes');
+  });
+});
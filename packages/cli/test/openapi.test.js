@@ -0,0 +1,95 @@
+/**
+ * OpenAPI command tests
+ *
+ * `coherent openapi` loads the project's router and writes the document
+ * @coherent.js/api generates from it.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { mkdirSync, readFileSync, symlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { buildOpenApi } from '../src/commands/openapi.js';
+
+const PACKAGES = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const tempDirs = [];
+
+async function makeProject(files) {
+  const root = await mkdtemp(join(tmpdir(), 'coherent-openapi-'));
+  tempDirs.push(root);
+
+  writeFileSync(join(root, 'package.json'), JSON.stringify({ name: 'todo-api', version: '0.3.0', type: 'module' }));
+  mkdirSync(join(root, 'node_modules', '@coherent.js'), { recursive: true });
+  symlinkSync(join(PACKAGES, 'api'), join(root, 'node_modules', '@coherent.js', 'api'), 'dir');
+  for (const [relative, contents] of Object.entries(files)) {
+    const target = join(root, relative);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, contents);
+  }
+  return root;
+}
+
+afterEach(async () => {
+  while (tempDirs.length) {
+    await rm(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('buildOpenApi', () => {
+  it('writes the document of the project router', async () => {
+    const root = await makeProject({
+      'src/router.js': `
+        import { createRouter, withValidation, NotFoundError } from '@coherent.js/api';
+
+        export const router = createRouter({});
+        router.get('/todos/:id', () => ({}), { name: 'getTodo', openapi: { errors: [NotFoundError] } });
+        router.post('/todos', () => ({}), {
+          middleware: [withValidation({ title: 'NewTodo', type: 'object', required: ['title'] })]
+        });
+      `
+    });
+
+    const result = await buildOpenApi({ cwd: root });
+    const spec = JSON.parse(readFileSync(join(root, 'openapi.json'), 'utf-8'));
+
+    expect(result.operations).toBe(2);
+    expect(spec.openapi).toBe('3.1.0');
+    expect(spec.info).toMatchObject({ title: 'todo-api', version: '0.3.0' });
+    expect(spec.paths['/todos/{id}'].get.responses['404']).toEqual({ $ref: '#/components/responses/NotFoundError' });
+    expect(spec.components.schemas.NewTodo).toEqual({ title: 'NewTodo', type: 'object', required: ['title'] });
+  });
+
+  it('accepts an object route definition and the command line options', async () => {
+    const root = await makeProject({
+      'api/routes.js': `
+        export default {
+          todos: { GET: { handler: () => ({ todos: [] }) } }
+        };
+      `
+    });
+
+    const result = await buildOpenApi({
+      cwd: root,
+      routes: 'api/routes.js',
+      output: 'docs/openapi.json',
+      title: 'Todos',
+      apiVersion: '1.0.0',
+      server: ['https://api.example.com']
+    });
+
+    expect(result.file).toBe(join(root, 'docs', 'openapi.json'));
+    expect(result.spec.info).toMatchObject({ title: 'Todos', version: '1.0.0' });
+    expect(result.spec.servers).toEqual([{ url: 'https://api.example.com' }]);
+    expect(Object.keys(result.spec.paths)).toEqual(['/todos']);
+  });
+
+  it('fails without routes', async () => {
+    const root = await makeProject({});
+
+    await expect(buildOpenApi({ cwd: root })).rejects.toThrow('Cannot find the routes');
+    await expect(buildOpenApi({ cwd: root, routes: 'src/missing.js' })).rejects.toThrow('Cannot find src/missing.js');
+  });
+});
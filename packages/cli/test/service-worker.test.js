@@ -0,0 +1,105 @@
+/**
+ * Service worker command tests
+ *
+ * `coherent service-worker` (and `coherent build --sw`) read the route table,
+ * the asset manifest and the offline page from the project and write the
+ * service worker @coherent.js/client generates.
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { mkdtemp, rm } from 'fs/promises';
+import { mkdirSync, readFileSync, symlinkSync, writeFileSync } from 'fs';
+import { dirname, join, resolve } from 'path';
+import { tmpdir } from 'os';
+import { fileURLToPath } from 'url';
+import { buildServiceWorker, readAssetManifest } from '../src/commands/service-worker.js';
+
+const PACKAGES = resolve(dirname(fileURLToPath(import.meta.url)), '../..');
+
+const tempDirs = [];
+
+async function makeProject(files) {
+  const root = await mkdtemp(join(tmpdir(), 'coherent-sw-'));
+  tempDirs.push(root);
+
+  writeFileSync(join(root, 'package.json'), JSON.stringify({ name: 'app', type: 'module' }));
+  mkdirSync(join(root, 'node_modules', '@coherent.js'), { recursive: true });
+  symlinkSync(join(PACKAGES, 'client'), join(root, 'node_modules', '@coherent.js', 'client'), 'dir');
+  symlinkSync(join(PACKAGES, 'core'), join(root, 'node_modules', '@coherent.js', 'core'), 'dir');
+  for (const [relative, contents] of Object.entries(files)) {
+    const target = join(root, relative);
+    mkdirSync(dirname(target), { recursive: true });
+    writeFileSync(target, typeof contents === 'string' ? contents : JSON.stringify(contents));
+  }
+  return root;
+}
+
+afterEach(async () => {
+  while (tempDirs.length) {
+    await rm(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+describe('buildServiceWorker', () => {
+  it('generates the service worker from the routes, the manifest and the offline page', async () => {
+    const root = await makeProject({
+      'src/routes.js': "export default [{ path: '/' }, { path: '/docs/*', cache: 'cache-first' }];",
+      'src/offline.js': "export default () => ({ main: { children: [{ h1: { text: 'You are offline' } }] } });",
+      'dist/.vite/manifest.json': { 'src/main.js': { file: 'assets/main-4f2a.js', css: ['assets/main-9c1d.css'] } }
+    });
+
+    const result = await buildServiceWorker({ cwd: root, version: 'v1' });
+
+    expect(result).toEqual({ file: join(root, 'dist', 'sw.js'), routes: 2, assets: 2, offline: true });
+    const source = readFileSync(result.file, 'utf-8');
+    expect(source).toContain('"/assets/main-4f2a.js"');
+    expect(source).toContain('"/assets/main-9c1d.css"');
+    expect(source).toContain('"strategy": "cache-first"');
+    expect(source).toContain('<!DOCTYPE html><main><h1>You are offline</h1></main>');
+    expect(source).toContain('"version": "v1"');
+  });
+
+  it('precaches the built files when there is no manifest', async () => {
+    const root = await makeProject({
+      'build/index.js': '',
+      'build/index.js.map': '',
+      'build/styles/app.css': '',
+      'build/worker.js': ''
+    });
+
+    const result = await buildServiceWorker({ cwd: root, outDir: 'build', filename: 'worker.js', base: '/static/' });
+
+    const source = readFileSync(result.file, 'utf-8');
+    expect(source).toContain('"/static/index.js"');
+    expect(source).toContain('"/static/styles/app.css"');
+    expect(source).not.toContain('index.js.map');
+    expect(source).not.toContain('/static/worker.js');
+    expect(result.offline).toBe(false);
+  });
+
+  it('reads the routes of an exported router', async () => {
+    const root = await makeProject({
+      'src/app-routes.js': "export const router = { getRoutes: () => [{ path: '/account', cache: 'network-only' }] };"
+    });
+
+    await buildServiceWorker({ cwd: root, routes: 'src/app-routes.js' });
+
+    expect(readFileSync(join(root, 'dist', 'sw.js'), 'utf-8')).toContain('"strategy": "network-only"');
+  });
+
+  it('explains what is missing', async () => {
+    const root = await makeProject({ 'src/routes.js': 'export const other = 1;' });
+    await expect(buildServiceWorker({ cwd: root })).rejects.toThrow('src/routes.js exports no router or routes');
+    await expect(buildServiceWorker({ cwd: root, routes: 'src/app-routes.js' })).rejects.toThrow('Cannot find src/app-routes.js');
+  });
+});
+
+describe('readAssetManifest', () => {
+  it('prefers a manifest given on the command line', async () => {
+    const root = await makeProject({ 'assets.json': { 'main.js': '/main.js' }, 'dist/manifest.json': { 'other.js': '/other.js' } });
+
+    expect(readAssetManifest(join(root, 'dist'), { manifest: join(root, 'assets.json') })).toEqual({ 'main.js': '/main.js' });
+    expect(readAssetManifest(join(root, 'dist'))).toEqual({ 'other.js': '/other.js' });
+    expect(readAssetManifest(join(root, 'missing'))).toEqual([]);
+  });
+});
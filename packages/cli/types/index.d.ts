@@ -428,3 +428,6 @@ export const devCommand: CoherentCommand;
 
 /** `coherent debug` — profile components and application performance */
 export const debugCommand: CoherentCommand;
+
+/** `coherent service-worker` — generate a service worker from the routes and the build output */
+export const serviceWorkerCommand: CoherentCommand;
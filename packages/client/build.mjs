@@ -8,7 +8,8 @@ const result = await build({
     'src/index.js',
     'src/events/index.js',
     'src/router.js',
-    'src/hmr.js'
+    'src/hmr.js',
+    'src/service-worker.js'
   ],
   bundle: true,
   splitting: true,
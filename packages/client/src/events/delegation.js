@@ -8,6 +8,24 @@
 
 import { handlerRegistry as defaultRegistry } from './registry.js';
 import { wrapEvent } from './wrapper.js';
+import { invokeWithModifiers, parseEventProp } from './modifiers.js';
+import { enableReferences, isAllowedReference, parseHandlerRef, referencedHandler } from './resumable.js';
+
+/**
+ * Events that do not bubble. They are caught in the capture phase at the
+ * root and only reach a handler on their target element itself.
+ */
+const NON_BUBBLING_EVENTS = new Set([
+  'focus', 'blur', 'mouseenter', 'mouseleave', 'pointerenter', 'pointerleave',
+  'scroll', 'scrollend', 'load', 'error', 'abort', 'toggle', 'invalid',
+  // Media events
+  'play', 'pause', 'playing', 'ended', 'timeupdate', 'volumechange', 'ratechange',
+  'durationchange', 'seeking', 'seeked', 'waiting', 'canplay', 'canplaythrough',
+  'loadstart', 'loadeddata', 'loadedmetadata', 'progress', 'stalled', 'suspend', 'emptied',
+]);
+
+/** Events whose root listener is passive, so scrolling never waits on it */
+const PASSIVE_EVENTS = new Set(['touchstart', 'touchmove', 'wheel', 'mousewheel']);
 
 /**
  * EventDelegation class
@@ -23,9 +41,12 @@ export class EventDelegation {
     this.root = null;
     this.boundHandlers = new Map();
 
+    /** Handlers for module references, by event type and reference */
+    this.references = new Map();
+
     /**
-     * Event types to delegate
-     * Focus/blur use capture phase because they don't bubble
+     * Event types delegated from initialization; others are added by
+     * listen() when a handler for them is registered
      */
     this.eventTypes = [
       'click',
@@ -55,24 +76,34 @@ export class EventDelegation {
     }
 
     this.root = root;
+    this.initialized = true;
 
     for (const eventType of this.eventTypes) {
-      const handler = (event) => this.handleEvent(event, eventType);
-
-      // Focus and blur don't bubble - must use capture phase
-      const useCapture = eventType === 'focus' || eventType === 'blur';
-
-      // Submit needs preventDefault capability, others can be passive
-      const options = {
-        capture: useCapture,
-        passive: eventType !== 'submit',
-      };
+      this.listen(eventType);
+    }
+  }
 
-      root.addEventListener(eventType, handler, options);
-      this.boundHandlers.set(eventType, { handler, options });
+  /**
+   * Start delegating an event type, if not done yet
+   *
+   * Events that don't bubble use the capture phase; touch and wheel
+   * listeners are passive.
+   *
+   * @param {string} eventType - Event type, e.g. 'mouseenter'
+   */
+  listen(eventType) {
+    if (!this.initialized || this.boundHandlers.has(eventType)) {
+      return;
     }
 
-    this.initialized = true;
+    const handler = (event) => this.handleEvent(event, eventType);
+    const options = {
+      capture: NON_BUBBLING_EVENTS.has(eventType),
+      passive: PASSIVE_EVENTS.has(eventType),
+    };
+
+    this.root.addEventListener(eventType, handler, options);
+    this.boundHandlers.set(eventType, { handler, options });
   }
 
   /**
@@ -86,29 +117,62 @@ export class EventDelegation {
       return;
     }
 
-    // Find the nearest element with the appropriate data attribute
+    // Find the nearest element with the appropriate data attribute; an event
+    // that doesn't bubble only counts on its target
     const attrName = `data-coherent-${eventType}`;
     const delegateTarget = target.closest(`[${attrName}]`);
 
-    if (!delegateTarget) {
+    if (!delegateTarget || (NON_BUBBLING_EVENTS.has(eventType) && delegateTarget !== target)) {
       return;
     }
 
-    // Get the handler ID from the attribute
-    const handlerId = delegateTarget.getAttribute(attrName);
-    if (!handlerId) {
+    // Get the handler IDs from the attribute; an element may have several
+    // handlers for one event type, e.g. onKeydown.enter and onKeydown.esc
+    const handlerIds = delegateTarget.getAttribute(attrName);
+    if (!handlerIds) {
       return;
     }
 
-    // Look up the handler in the registry
-    const entry = this.registry.get(handlerId);
-    if (!entry) {
-      return;
+    for (const handlerId of handlerIds.split(/\s+/)) {
+      // Look up the handler in the registry, or the module a server-rendered
+      // reference names
+      const entry = this.registry.get(handlerId) || this.resolveReference(handlerId, eventType);
+      if (!entry) {
+        continue;
+      }
+
+      // Wrap the event with component context and call the handler
+      const wrappedEvent = wrapEvent(event, delegateTarget, entry.componentRef);
+      invokeWithModifiers(entry.handler, entry.modifiers ?? null, event, delegateTarget, wrappedEvent);
     }
+  }
 
-    // Wrap the event with component context and call the handler
-    const wrappedEvent = wrapEvent(event, delegateTarget, entry.componentRef);
-    entry.handler(wrappedEvent);
+  /**
+   * Handler entry for a `module#export` reference, created on first use
+   * @param {string} reference - Reference, with optional modifier suffixes
+   * @param {string} eventType - Event type it is delegated for
+   * @returns {{handler: Function, componentRef: null, modifiers: object|null}|null}
+   *   The entry, or null when `reference` is not a module reference that
+   *   resume() allows
+   */
+  resolveReference(reference, eventType) {
+    const ref = parseHandlerRef(reference);
+    if (!ref || !isAllowedReference(ref.module)) {
+      return null;
+    }
+
+    const key = `${eventType} ${reference}`;
+    if (!this.references.has(key)) {
+      const suffixes = ref.suffixes.map((suffix) => `.${suffix}`).join('');
+      const { handler, modifiers } = parseEventProp(`on${eventType}${suffixes}`, referencedHandler(ref, eventType));
+      this.references.set(key, {
+        handler,
+        componentRef: null,
+        // `once` is tracked per reference
+        modifiers: modifiers && { ...modifiers, prop: reference },
+      });
+    }
+    return this.references.get(key);
   }
 
   /**
@@ -126,6 +190,7 @@ export class EventDelegation {
     }
 
     this.boundHandlers.clear();
+    this.references.clear();
     this.registry.clear();
     this.initialized = false;
     this.root = null;
@@ -145,3 +210,31 @@ export class EventDelegation {
  * Use this for global event delegation
  */
 export const eventDelegation = new EventDelegation();
+
+/**
+ * Start the event delegation on a page whose handlers are server-rendered
+ * `module#export` references, without hydrating it
+ *
+ * The default event types are listened for; add others with `events`.
+ * References in the DOM are only followed after resume(), and only to
+ * modules of the page's origin unless `allow` lists other URL prefixes.
+ *
+ * @param {Object} [options]
+ * @param {Document|Element} [options.root=document] - Element to listen on
+ * @param {Function} [options.importModule] - Loads a module specifier,
+ *   `(specifier) => import(specifier)` by default
+ * @param {string[]} [options.allow] - URL prefixes referenced modules must
+ *   start with, e.g. `['/js/', 'https://cdn.example.com/app/']`
+ * @param {string[]} [options.events] - Further event types to listen for
+ * @returns {EventDelegation} The started delegation
+ *
+ * @example
+ * resume({ events: ['mouseenter'] });
+ */
+export function resume(options = {}) {
+  const { root, importModule, allow, events = [] } = options;
+  enableReferences({ importModule, allow });
+  eventDelegation.initialize(root);
+  events.forEach((eventType) => eventDelegation.listen(eventType));
+  return eventDelegation;
+}
@@ -6,6 +6,7 @@
  * @module @coherent.js/client/events
  */
 
-export { EventDelegation, eventDelegation } from './delegation.js';
+export { EventDelegation, eventDelegation, resume } from './delegation.js';
 export { HandlerRegistry, handlerRegistry } from './registry.js';
 export { wrapEvent } from './wrapper.js';
+export { parseEventProp } from './modifiers.js';
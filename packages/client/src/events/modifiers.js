@@ -0,0 +1,168 @@
+/**
+ * Event Modifiers for Coherent.js Event Delegation
+ *
+ * Event props accept modifiers, either on an object value or as dotted
+ * suffixes of the prop name:
+ *
+ *   onClick: { handler, prevent: true, stop: true, once: true, debounce: 200 }
+ *   'onKeydown.enter': submit
+ *   'onKeydown.ctrl.s.prevent': save
+ *
+ * `debounce` takes its delay in the suffix form as `debounce-200`. Their
+ * state (`once`, `debounce`) is kept per element, so it carries over when a
+ * re-render patches the element in place.
+ */
+
+import { isResumable, resumableHandler } from './resumable.js';
+
+/** Boolean modifiers, usable as object keys and as dotted suffixes */
+const FLAGS = ['prevent', 'stop', 'once', 'passive', 'self'];
+
+/** Dotted suffix setting a debounce delay, e.g. `debounce-200` */
+const DEBOUNCE_SUFFIX = /^debounce-(\d+)$/;
+
+/** Modifier keys a keyboard or mouse event must have pressed */
+const SYSTEM_KEYS = ['ctrl', 'alt', 'shift', 'meta'];
+
+/** Key filter aliases, matched against KeyboardEvent.key */
+const KEY_ALIASES = {
+  enter: ['Enter'],
+  esc: ['Escape', 'Esc'],
+  escape: ['Escape', 'Esc'],
+  space: [' ', 'Spacebar'],
+  tab: ['Tab'],
+  up: ['ArrowUp', 'Up'],
+  down: ['ArrowDown', 'Down'],
+  left: ['ArrowLeft', 'Left'],
+  right: ['ArrowRight', 'Right'],
+  delete: ['Delete', 'Del', 'Backspace'],
+  backspace: ['Backspace'],
+};
+
+/**
+ * Per-element modifier state: element → Map(prop → { fired, timer })
+ * @private
+ */
+const elementState = new WeakMap();
+
+/**
+ * @private
+ */
+function stateFor(element, prop) {
+  let props = elementState.get(element);
+  if (!props) {
+    props = new Map();
+    elementState.set(element, props);
+  }
+  let state = props.get(prop);
+  if (!state) {
+    state = { fired: false, timer: null };
+    props.set(prop, state);
+  }
+  return state;
+}
+
+/**
+ * Read an event prop into its event type, handler and modifiers
+ *
+ * @param {string} key - Prop name, e.g. `onClick` or `onKeydown.enter`
+ * @param {*} value - Handler function, or `{ handler, ...modifiers }`; a
+ *   handler from `resumable()` imports its module when first called
+ * @returns {{eventType: string, handler: Function, modifiers: Object|null}|null}
+ *   The parsed prop, or null when it is not an event prop
+ */
+export function parseEventProp(key, value) {
+  if (typeof key !== 'string' || !key.startsWith('on') || key.length < 3) {
+    return null;
+  }
+
+  let handler = value;
+  let modifiers = null;
+  if (value && typeof value === 'object' && (typeof value.handler === 'function' || isResumable(value.handler))) {
+    ({ handler, ...modifiers } = value);
+  }
+  if (isResumable(handler)) {
+    handler = resumableHandler(handler);
+  }
+  if (typeof handler !== 'function') {
+    return null;
+  }
+
+  const [name, ...suffixes] = key.slice(2).split('.');
+  if (suffixes.length > 0) {
+    modifiers = { ...modifiers };
+    for (const suffix of suffixes.map((part) => part.toLowerCase())) {
+      const debounce = DEBOUNCE_SUFFIX.exec(suffix);
+      if (FLAGS.includes(suffix) || SYSTEM_KEYS.includes(suffix)) {
+        modifiers[suffix] = true;
+      } else if (debounce) {
+        modifiers.debounce = Number(debounce[1]);
+      } else {
+        modifiers.keys = [...(modifiers.keys || []), suffix];
+      }
+    }
+  }
+
+  if (modifiers) {
+    modifiers.prop = key;
+  }
+  return { eventType: name.toLowerCase(), handler, modifiers };
+}
+
+/**
+ * Whether a keyboard event's key matches a filter: an alias such as `enter`
+ * or `esc`, or a key value compared case-insensitively, such as `s` or `F2`
+ * @private
+ */
+function matchesKey(event, filter) {
+  const key = event.key;
+  if (typeof key !== 'string') return false;
+  const aliases = KEY_ALIASES[filter.toLowerCase()];
+  if (aliases) return aliases.includes(key);
+  return key.toLowerCase() === filter.toLowerCase();
+}
+
+/**
+ * Call `handler` for `event` as its modifiers say
+ *
+ * @param {Function} handler - Registered handler
+ * @param {Object|null} modifiers - Modifiers from parseEventProp()
+ * @param {Event} event - Native DOM event
+ * @param {Element} element - Element the handler belongs to
+ * @param {Object} wrappedEvent - Event passed to the handler
+ * @returns {boolean} Whether the handler ran or was scheduled
+ */
+export function invokeWithModifiers(handler, modifiers, event, element, wrappedEvent) {
+  if (!modifiers) {
+    handler(wrappedEvent);
+    return true;
+  }
+
+  if (modifiers.self && event.target !== element) return false;
+  if (modifiers.keys && !modifiers.keys.some((filter) => matchesKey(event, filter))) return false;
+  if (SYSTEM_KEYS.some((name) => modifiers[name] && !event[`${name}Key`])) return false;
+
+  const state = stateFor(element, modifiers.prop);
+  if (modifiers.once) {
+    if (state.fired) return false;
+    state.fired = true;
+  }
+
+  if (modifiers.prevent && !modifiers.passive) event.preventDefault();
+  if (modifiers.stop) event.stopPropagation();
+
+  // A passive handler promises not to cancel the event
+  const delivered = modifiers.passive ? { ...wrappedEvent, preventDefault() {} } : wrappedEvent;
+
+  if (modifiers.debounce > 0) {
+    clearTimeout(state.timer);
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      handler(delivered);
+    }, modifiers.debounce);
+    return true;
+  }
+
+  handler(delivered);
+  return true;
+}
@@ -12,7 +12,7 @@
  */
 export class HandlerRegistry {
   constructor() {
-    /** @type {Map<string, {handler: Function, componentRef: object|null}>} */
+    /** @type {Map<string, {handler: Function, componentRef: object|null, modifiers: object|null}>} */
     this.handlers = new Map();
   }
 
@@ -21,12 +21,13 @@ export class HandlerRegistry {
    * @param {string} handlerId - Unique identifier for the handler
    * @param {Function} handler - The event handler function
    * @param {object|null} componentRef - Optional component reference with state/setState
+   * @param {object|null} [modifiers] - Event modifiers from parseEventProp()
    */
-  register(handlerId, handler, componentRef = null) {
+  register(handlerId, handler, componentRef = null, modifiers = null) {
     if (typeof handler !== 'function') {
       throw new Error(`Handler must be a function, received: ${typeof handler}`);
     }
-    this.handlers.set(handlerId, { handler, componentRef });
+    this.handlers.set(handlerId, { handler, componentRef, modifiers });
   }
 
   /**
@@ -41,7 +42,7 @@ export class HandlerRegistry {
   /**
    * Get a handler entry by ID
    * @param {string} handlerId - The handler ID to look up
-   * @returns {{handler: Function, componentRef: object|null}|undefined} Handler entry or undefined
+   * @returns {{handler: Function, componentRef: object|null, modifiers: object|null}|undefined} Handler entry or undefined
    */
   get(handlerId) {
     return this.handlers.get(handlerId);
@@ -0,0 +1,211 @@
+/**
+ * Resumable Event Handlers for Coherent.js Event Delegation
+ *
+ * The server can render a handler as a reference to the module that holds
+ * it, `data-coherent-click="/js/menu.js#toggle"`, instead of a handler id.
+ * The delegation system imports that module on the first event and calls
+ * the export with the event and the element's state for it, so a widget
+ * costs no JavaScript until someone uses it:
+ *
+ *   // /js/menu.js
+ *   export function toggle(event, state) {
+ *     state.open = !state.open;
+ *     event.target.setAttribute('aria-expanded', String(state.open));
+ *   }
+ *
+ * The state comes from `data-coherent-click-state`, as JSON, and is read
+ * once per element and event type, so changes a handler makes to it are
+ * seen by the next call. Modifiers follow the export as dotted suffixes,
+ * `/js/form.js#submit.enter.prevent`.
+ *
+ * References in the DOM are only followed once resume() has enabled them,
+ * and only to modules of the page's origin or the prefixes it allows.
+ */
+
+/** `module#export` followed by optional `.modifier` suffixes */
+const REF_PATTERN = /^([^\s#]+)#([A-Za-z_$][\w$]*)((?:\.[^\s.]+)*)$/;
+
+/** Loads a module; replaced through enableReferences() */
+let importModule = (specifier) => import(/* @vite-ignore */ specifier);
+
+/**
+ * URL prefixes a referenced module must start with, or null for the page's
+ * own origin; references in the DOM are ignored while `enabled` is false
+ */
+const policy = { enabled: false, allow: null };
+
+/** Module specifier → Promise of the module */
+const modules = new Map();
+
+/**
+ * Element → Map(event type → state)
+ * @private
+ */
+const elementState = new WeakMap();
+
+/**
+ * Check whether a value is a resumable handler from `resumable()` in
+ * @coherent.js/core
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for resumable handlers
+ */
+export function isResumable(value) {
+  return value !== null && typeof value === 'object' && value.__resumable === true && typeof value.ref === 'string';
+}
+
+/**
+ * Split a handler reference into its module, export and modifier suffixes
+ *
+ * @param {string} entry - Reference, e.g. `/js/form.js#submit.enter`
+ * @returns {{module: string, exportName: string, suffixes: string[]}|null}
+ *   The parts, or null when `entry` is not a reference
+ */
+export function parseHandlerRef(entry) {
+  const match = typeof entry === 'string' ? REF_PATTERN.exec(entry) : null;
+  if (!match) {
+    return null;
+  }
+  const [, module, exportName, suffixes] = match;
+  return { module, exportName, suffixes: suffixes ? suffixes.slice(1).split('.') : [] };
+}
+
+/**
+ * Import the function a reference names
+ *
+ * Each module is imported once; events that arrive while it loads wait for
+ * the same import.
+ *
+ * @param {string} module - Module specifier
+ * @param {string} exportName - Name of the export
+ * @returns {Promise<Function>} The handler
+ * @throws {Error} When the module has no function of that name
+ */
+export async function loadHandler(module, exportName) {
+  if (!modules.has(module)) {
+    const loading = Promise.resolve().then(() => importModule(module));
+    // A failed import may be retried on the next event
+    loading.catch(() => modules.delete(module));
+    modules.set(module, loading);
+  }
+
+  const namespace = await modules.get(module);
+  const handler = namespace[exportName];
+  if (typeof handler !== 'function') {
+    throw new Error(`Module "${module}" has no exported function "${exportName}"`);
+  }
+  return handler;
+}
+
+/**
+ * State of the resumable handlers of one element for one event type
+ * @private
+ */
+function readElementState(element, eventType) {
+  let states = elementState.get(element);
+  if (!states) {
+    states = new Map();
+    elementState.set(element, states);
+  }
+  if (!states.has(eventType)) {
+    const text = element.getAttribute ? element.getAttribute(`data-coherent-${eventType}-state`) : null;
+    let state;
+    try {
+      state = text === null ? undefined : JSON.parse(text);
+    } catch (_error) {
+      console.error(`[Coherent.js] Invalid data-coherent-${eventType}-state:`, _error);
+    }
+    states.set(eventType, state);
+  }
+  return states.get(eventType);
+}
+
+/**
+ * Create a handler that imports the referenced function and calls it
+ *
+ * @param {string} module - Module specifier
+ * @param {string} exportName - Name of the export
+ * @param {Function} getState - Returns the state for the wrapped event
+ * @returns {Function} `(wrappedEvent) => Promise<void>`
+ * @private
+ */
+function lazyHandler(module, exportName, getState) {
+  return async (wrappedEvent) => {
+    try {
+      const handler = await loadHandler(module, exportName);
+      await handler(wrappedEvent, getState(wrappedEvent));
+    } catch (_error) {
+      console.error(`[Coherent.js] Handler "${module}#${exportName}" failed:`, _error);
+    }
+  };
+}
+
+/**
+ * Handler for a reference rendered into the DOM, reading its state from
+ * the element it is delegated for
+ *
+ * @param {{module: string, exportName: string}} ref - Parsed reference
+ * @param {string} eventType - Event type the reference is registered for
+ * @returns {Function} `(wrappedEvent) => Promise<void>`
+ */
+export function referencedHandler({ module, exportName }, eventType) {
+  return lazyHandler(module, exportName, (wrappedEvent) => readElementState(wrappedEvent.target, eventType));
+}
+
+/**
+ * Handler for a resumable value in a virtual DOM tree, e.g. one a hydrated
+ * component renders again
+ *
+ * @param {{ref: string, state: *}} value - Resumable handler
+ * @returns {Function} `(wrappedEvent) => Promise<void>`
+ */
+export function resumableHandler(value) {
+  const { module, exportName } = parseHandlerRef(value.ref);
+  return lazyHandler(module, exportName, () => value.state);
+}
+
+/**
+ * Follow `module#export` references rendered into the DOM. Until this is
+ * called, a `data-coherent-<event>` value is only ever a handler id, so
+ * markup the app did not write cannot make the page import a module.
+ *
+ * @param {Object} [options]
+ * @param {Function} [options.importModule] - `(specifier) => Promise<module>`
+ * @param {string[]} [options.allow] - URL prefixes referenced modules must
+ *   start with; modules of the page's own origin by default
+ */
+export function enableReferences({ importModule: loader, allow } = {}) {
+  if (loader) {
+    importModule = loader;
+    modules.clear();
+  }
+  policy.enabled = true;
+  policy.allow = allow ? [...allow] : null;
+}
+
+/**
+ * Check whether a reference in the DOM may be followed: references are
+ * enabled and its module resolves to an allowed URL
+ *
+ * @param {string} specifier - Module specifier of the reference
+ * @returns {boolean} True when the module may be imported
+ */
+export function isAllowedReference(specifier) {
+  if (!policy.enabled) {
+    return false;
+  }
+
+  const base = typeof location !== 'undefined' && location.href ? location.href : 'http://localhost/';
+  let url;
+  try {
+    // Resolving also folds `..` segments, so `/js/../x.js` cannot leave a prefix
+    url = new URL(specifier, base);
+  } catch {
+    return false;
+  }
+
+  if (policy.allow) {
+    return policy.allow.some((prefix) => url.href.startsWith(new URL(prefix, base).href));
+  }
+  return url.origin === new URL(base).origin;
+}
@@ -1,14 +1,24 @@
 /**
  * Clean hydrate() API for Coherent.js
  *
- * Integrates event delegation, state serialization, and mismatch detection
- * into a simple function: hydrate(component, container, options)
+ * Integrates event delegation, state serialization, mismatch detection and
+ * signal bindings into a simple function: hydrate(component, container, options)
  *
  * @module @coherent.js/client/hydrate
  */
 
-import { eventDelegation, handlerRegistry } from './events/index.js';
-import { extractState, detectMismatch, reportMismatches } from './hydration/index.js';
+import { eventDelegation, handlerRegistry, parseEventProp } from './events/index.js';
+import { extractState, reportMismatches } from './hydration/index.js';
+import { recoverMismatches } from './hydration/recovery.js';
+import {
+  patchDOM,
+  readSignal,
+  normalizeChildren,
+  getElementChildren,
+  getSignificantDOMChildren,
+} from './hydration/reconciler.js';
+import { collectPortals, findPortalOutlet, patchPortals } from './hydration/portals.js';
+import { bindSignals } from './hydration/bindings.js';
 
 /**
  * Hydrate a server-rendered component
@@ -17,8 +27,14 @@ import { extractState, detectMismatch, reportMismatches } from './hydration/inde
  * @param {HTMLElement} container - DOM element containing server-rendered HTML
  * @param {Object} [options] - Hydration options
  * @param {Object} [options.initialState] - Initial state to override extracted state
- * @param {boolean} [options.detectMismatch=true] - Enable mismatch detection (dev mode)
- * @param {boolean} [options.strict=false] - Throw on mismatch instead of warning
+ * @param {Object<string, Function>} [options.revivers] - Revivers for custom types in the extracted state
+ * @param {boolean} [options.detectMismatch=true] - Enable mismatch detection (dev mode, or
+ *   whenever `recovery` is not 'warn')
+ * @param {string} [options.recovery='warn'] - On mismatch: 'warn' leaves the server DOM,
+ *   'patch' renders the mismatched subtrees again, 'remount' renders the whole component again
+ * @param {Function} [options.onRecover] - Called with `{ component, path, recovery, mismatches }`
+ *   for each recovery, also dispatched as a `coherent:hydration-mismatch` DOM event
+ * @param {boolean} [options.strict=false] - Throw on mismatch instead of warning ('warn' only)
  * @param {Function} [options.onMismatch] - Custom mismatch handler
  * @param {Object} [options.props] - Additional props to pass to component
  * @returns {Object} Control object with unmount(), rerender(), getState(), setState()
@@ -45,15 +61,19 @@ export function hydrate(component, container, options = {}) {
   // Extract options with defaults
   const {
     initialState: providedState,
+    recovery = 'warn',
     // eslint-disable-next-line no-restricted-globals -- statically replaced by esbuild `define` at build time
-    detectMismatch: shouldDetectMismatch = process.env.NODE_ENV !== 'production',
+    detectMismatch: shouldDetectMismatch = recovery !== 'warn' || process.env.NODE_ENV !== 'production',
     strict = false,
     onMismatch,
+    onRecover,
     props: additionalProps = {},
+    revivers,
   } = options;
 
-  // Extract state from DOM data-state attribute, or use provided initial state
-  let state = providedState ?? extractState(container) ?? {};
+  // Extract state from the data-state attribute or the page-level state
+  // script, or use provided initial state
+  let state = providedState ?? extractState(container, { revivers }) ?? {};
 
   // Store event listeners for cleanup
   const eventListeners = [];
@@ -79,45 +99,72 @@ export function hydrate(component, container, options = {}) {
   const componentProps = { ...additionalProps, ...state };
   let virtualDOM = component(componentProps);
 
-  // Detect mismatches if enabled
+  // Detect mismatches if enabled, and recover from them before anything
+  // binds to the server DOM
   if (shouldDetectMismatch) {
-    const mismatches = detectMismatch(container, virtualDOM);
+    const componentName = component.name || 'Anonymous';
+    const mismatches = recoverMismatches(container, virtualDOM, { recovery, componentName, onRecover });
 
     if (mismatches.length > 0) {
       if (onMismatch) {
         onMismatch(mismatches);
-      } else {
+      // eslint-disable-next-line no-restricted-globals -- statically replaced by esbuild `define` at build time
+      } else if (recovery === 'warn' || process.env.NODE_ENV !== 'production') {
         reportMismatches(mismatches, {
-          componentName: component.name || 'Anonymous',
-          strict,
+          componentName,
+          strict: strict && recovery === 'warn',
         });
       }
     }
   }
 
+  // Portal content lives in its outlets; mount it where the server did not
+  let portals = collectPortals(virtualDOM);
+  patchPortals(portals, portals);
+
   // Walk virtual DOM and register event handlers
   registerEventHandlers(container, virtualDOM, componentRef, registeredHandlerIds);
+  registerPortalHandlers(portals, componentRef, registeredHandlerIds);
+
+  // Signals update their own text, attributes and lists; content they bring
+  // in gets its event handlers registered like the rest of the tree
+  const onSignalPatch = (element, children) => {
+    registerChildHandlers(element, children, componentRef, registeredHandlerIds);
+  };
+  let disposeBindings = bindSignals(container, virtualDOM, onSignalPatch);
 
   /**
    * Re-render the component with current state
    */
   function doRerender() {
     const newProps = { ...additionalProps, ...state };
+    const previousDOM = virtualDOM;
     virtualDOM = component(newProps);
 
-    // Update DOM with new virtual DOM
-    // For now, we do a simple patch - just update text content and attributes
-    // Full reconciliation would be in a separate module
-    patchDOM(container, virtualDOM);
+    // Keyed diff against the previous tree: inserts, removes and moves nodes
+    disposeBindings();
+    patchDOM(container, previousDOM, virtualDOM);
+    disposeBindings = bindSignals(container, virtualDOM, onSignalPatch);
 
-    // Re-register event handlers after DOM update
+    const previousPortals = portals;
+    portals = collectPortals(virtualDOM);
+    patchPortals(previousPortals, portals);
+
+    // Handlers from the previous render are replaced, not accumulated
+    for (const handlerId of registeredHandlerIds) {
+      handlerRegistry.unregister(handlerId);
+    }
+    registeredHandlerIds.clear();
     registerEventHandlers(container, virtualDOM, componentRef, registeredHandlerIds);
+    registerPortalHandlers(portals, componentRef, registeredHandlerIds);
   }
 
   /**
    * Unmount the component and clean up
    */
   function unmount() {
+    disposeBindings();
+
     // Remove registered event handlers
     for (const handlerId of registeredHandlerIds) {
       handlerRegistry.unregister(handlerId);
@@ -178,148 +225,80 @@ export function hydrate(component, container, options = {}) {
  * @private
  */
 function registerEventHandlers(domElement, vNode, componentRef, handlerIds) {
-  if (!vNode || typeof vNode !== 'object' || Array.isArray(vNode)) {
+  if (Array.isArray(vNode)) {
+    // A root array renders straight into the container
+    registerChildHandlers(domElement, normalizeChildren(vNode), componentRef, handlerIds);
+    return;
+  }
+
+  if (!vNode || typeof vNode !== 'object') {
     return;
   }
 
   const tagName = Object.keys(vNode)[0];
-  const props = vNode[tagName];
+  const props = readSignal(vNode[tagName]);
 
   if (!props || typeof props !== 'object') {
     return;
   }
 
-  // Look for event handler props (on* functions)
-  const eventProps = Object.keys(props).filter(
-    (key) => key.startsWith('on') && typeof props[key] === 'function'
-  );
+  // Look for event handler props (on* functions or { handler, ...modifiers })
+  const handlerIdsByType = new Map();
+
+  for (const [key, value] of Object.entries(props)) {
+    const eventProp = parseEventProp(key, value);
+    if (!eventProp) continue;
 
-  for (const eventProp of eventProps) {
-    const eventType = eventProp.slice(2).toLowerCase(); // onClick -> click
-    const handler = props[eventProp];
+    const { eventType, handler, modifiers } = eventProp; // onClick -> click
 
     // Generate unique handler ID
     const handlerId = `${tagName}-${eventType}-${Math.random().toString(36).slice(2, 9)}`;
 
     // Register handler
-    handlerRegistry.register(handlerId, handler, componentRef);
+    handlerRegistry.register(handlerId, handler, componentRef, modifiers);
     handlerIds.add(handlerId);
+    eventDelegation.listen(eventType);
 
-    // Set data attribute on DOM element for delegation
-    const attrName = `data-coherent-${eventType}`;
+    if (!handlerIdsByType.has(eventType)) handlerIdsByType.set(eventType, []);
+    handlerIdsByType.get(eventType).push(handlerId);
+  }
+
+  // Set data attribute on DOM element for delegation
+  for (const [eventType, ids] of handlerIdsByType) {
     if (domElement.setAttribute) {
-      domElement.setAttribute(attrName, handlerId);
+      domElement.setAttribute(`data-coherent-${eventType}`, ids.join(' '));
     }
   }
 
   // Recursively process children
-  const children = getVNodeChildren(props);
-  const domChildren = getSignificantDOMChildren(domElement);
-
-  children.forEach((child, index) => {
-    if (child && typeof child === 'object' && !Array.isArray(child) && domChildren[index]) {
-      registerEventHandlers(domChildren[index], child, componentRef, handlerIds);
-    }
-  });
+  registerChildHandlers(domElement, getElementChildren(vNode), componentRef, handlerIds);
 }
 
 /**
- * Simple DOM patching for re-renders
+ * Register handlers for the content of each portal outlet
  * @private
  */
-function patchDOM(domElement, vNode) {
-  if (!vNode || !domElement) {
-    return;
-  }
-
-  // Handle text/number
-  if (typeof vNode === 'string' || typeof vNode === 'number') {
-    if (domElement.textContent !== String(vNode)) {
-      domElement.textContent = String(vNode);
+function registerPortalHandlers(portals, componentRef, handlerIds) {
+  for (const [target, children] of portals) {
+    const outlet = findPortalOutlet(target);
+    if (outlet) {
+      registerChildHandlers(outlet, children, componentRef, handlerIds);
     }
-    return;
   }
-
-  // Handle arrays
-  if (Array.isArray(vNode)) {
-    return; // Array patching would need reconciliation
-  }
-
-  if (typeof vNode !== 'object') {
-    return;
-  }
-
-  const tagName = Object.keys(vNode)[0];
-  const props = vNode[tagName] || {};
-
-  // Update attributes
-  const attributeMap = {
-    className: 'class',
-    htmlFor: 'for',
-  };
-
-  for (const [key, value] of Object.entries(props)) {
-    if (key === 'children' || key === 'text' || key.startsWith('on')) {
-      continue;
-    }
-
-    const attrName = attributeMap[key] || key;
-
-    if (value === true) {
-      domElement.setAttribute(attrName, '');
-    } else if (value === false || value === null || value === undefined) {
-      domElement.removeAttribute(attrName);
-    } else if (domElement.getAttribute(attrName) !== String(value)) {
-      domElement.setAttribute(attrName, String(value));
-    }
-  }
-
-  // Handle text content
-  if (props.text !== undefined) {
-    const textContent = String(props.text);
-    if (domElement.textContent !== textContent) {
-      domElement.textContent = textContent;
-    }
-    return;
-  }
-
-  // Recursively patch children
-  const children = getVNodeChildren(props);
-  const domChildren = getSignificantDOMChildren(domElement);
-
-  children.forEach((child, index) => {
-    if (domChildren[index]) {
-      patchDOM(domChildren[index], child);
-    }
-  });
 }
 
 /**
- * Get children from virtual node props
+ * Register handlers for normalized children, which line up one-to-one with
+ * the significant DOM children
  * @private
  */
-function getVNodeChildren(props) {
-  if (!props) return [];
-  if (props.children) {
-    return Array.isArray(props.children) ? props.children : [props.children];
-  }
-  return [];
-}
+function registerChildHandlers(domElement, children, componentRef, handlerIds) {
+  const domChildren = getSignificantDOMChildren(domElement);
 
-/**
- * Get significant DOM children (elements and non-whitespace text)
- * @private
- */
-function getSignificantDOMChildren(element) {
-  if (!element || !element.childNodes) return [];
-
-  return Array.from(element.childNodes).filter((node) => {
-    if (node.nodeType === 1) return true; // Element
-    if (node.nodeType === 3) {
-      // Text node
-      return node.textContent && node.textContent.trim().length > 0;
+  children.forEach((child, index) => {
+    if (typeof child === 'object' && domChildren[index]) {
+      registerEventHandlers(domChildren[index], child, componentRef, handlerIds);
     }
-    return false;
   });
 }
 
@@ -0,0 +1,172 @@
+/**
+ * Signal bindings for Coherent.js hydration
+ *
+ * Signals from @coherent.js/core can stand in a virtual DOM tree as an
+ * attribute value, as the `text` or `children` of an element, or as a child.
+ * These helpers subscribe to each of them so a change updates that attribute,
+ * or the children of that one element, without running the component again.
+ */
+
+import {
+  isSignal,
+  readSignal,
+  patchAttribute,
+  normalizeChildren,
+  getElementChildren,
+  getSignificantDOMChildren,
+  reconcileChildren,
+} from './reconciler.js';
+
+const CONTENT_PROPS = ['children', 'text', 'html', 'key'];
+
+/**
+ * Subscribe to a signal, skipping the call subscribe() makes straight away
+ * @private
+ */
+function watch(source, onChange) {
+  let initial = true;
+  return source.subscribe(() => {
+    if (initial) {
+      initial = false;
+      return;
+    }
+    onChange();
+  });
+}
+
+/**
+ * Collect the signals that decide which children a parent holds: signals
+ * among the children themselves, not those inside child elements
+ * @private
+ */
+function collectChildSignals(value, out) {
+  if (isSignal(value)) {
+    out.push(value);
+    collectChildSignals(value.peek(), out);
+  } else if (Array.isArray(value)) {
+    value.forEach((child) => collectChildSignals(child, out));
+  } else if (value && typeof value === 'object' && (value.__fragment === true || value.__suspense === true)) {
+    collectChildSignals(value.children, out);
+  }
+  return out;
+}
+
+/**
+ * Keep the children of `parent` in sync with the signals among them
+ * @private
+ */
+function bindContent(parent, readChildren, readSignals, disposers, onPatch) {
+  let children = readChildren();
+  let disposeNested = bindChildren(parent, children, onPatch);
+  let sources = [];
+  let subscriptions = [];
+
+  function subscribe() {
+    const next = readSignals();
+    if (next.length === sources.length && next.every((source, index) => source === sources[index])) {
+      return;
+    }
+    subscriptions.forEach((stop) => stop());
+    sources = next;
+    subscriptions = sources.map((source) => watch(source, update));
+  }
+
+  function update() {
+    const next = readChildren();
+    reconcileChildren(parent, children, next);
+    children = next;
+
+    disposeNested();
+    disposeNested = bindChildren(parent, children, onPatch);
+    if (onPatch) onPatch(parent, children);
+
+    // A signal's new value may hold other signals
+    subscribe();
+  }
+
+  subscribe();
+  disposers.push(() => {
+    subscriptions.forEach((stop) => stop());
+    disposeNested();
+  });
+}
+
+/**
+ * Bind normalized children, which line up one-to-one with the significant
+ * DOM children of `parent`
+ * @private
+ */
+function bindChildren(parent, children, onPatch) {
+  const disposers = [];
+  const domChildren = getSignificantDOMChildren(parent);
+
+  children.forEach((child, index) => {
+    if (typeof child === 'object' && domChildren[index]) {
+      bindElement(domChildren[index], child, disposers, onPatch);
+    }
+  });
+  return () => disposers.splice(0).forEach((dispose) => dispose());
+}
+
+/**
+ * Bind the signals of one virtual element and of its subtree
+ * @private
+ */
+function bindElement(element, vNode, disposers, onPatch) {
+  const tagName = Object.keys(vNode)[0];
+  const content = vNode[tagName];
+  const props = readSignal(content);
+
+  if (props && typeof props === 'object') {
+    for (const [key, value] of Object.entries(props)) {
+      if (isSignal(value) && !CONTENT_PROPS.includes(key)) {
+        disposers.push(watch(value, () => patchAttribute(element, key, value.peek())));
+      }
+    }
+  }
+
+  const readSignals = () => {
+    const current = readSignal(content);
+    const sources = isSignal(content) ? [content] : [];
+    if (current && typeof current === 'object') {
+      if (isSignal(current.text)) sources.push(current.text);
+      collectChildSignals(current.children, sources);
+    }
+    return sources;
+  };
+
+  if (readSignals().length > 0) {
+    bindContent(element, () => getElementChildren(vNode), readSignals, disposers, onPatch);
+  } else {
+    disposers.push(bindChildren(element, getElementChildren(vNode), onPatch));
+  }
+}
+
+/**
+ * Bind every signal in a virtual DOM tree to the DOM rendered from it
+ *
+ * `container` is the element the root virtual node was rendered as, or the
+ * parent of its items when the root is an array, as for patchDOM().
+ *
+ * @param {Element} container - DOM element holding the rendered tree
+ * @param {*} vNode - Virtual DOM the container reflects
+ * @param {Function} [onPatch] - Called with (element, children) after a signal changed the children of `element`
+ * @returns {Function} Unsubscribes every binding
+ */
+export function bindSignals(container, vNode, onPatch) {
+  const disposers = [];
+
+  if (Array.isArray(vNode) || isSignal(vNode)) {
+    bindContent(
+      container,
+      () => normalizeChildren(vNode),
+      () => collectChildSignals(vNode, []),
+      disposers,
+      onPatch
+    );
+  } else if (vNode && typeof vNode === 'object') {
+    bindElement(container, vNode, disposers, onPatch);
+  }
+
+  return () => disposers.splice(0).forEach((dispose) => dispose());
+}
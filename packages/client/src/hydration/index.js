@@ -2,11 +2,17 @@ export {
   serializeState,
   deserializeState,
   extractState,
-  serializeStateWithWarning
+  serializeStateWithWarning,
+  stateScript,
+  readStateScript
 } from './state-serializer.js';
 
+export { stringifyState, parseState } from './state-codec.js';
+
 export {
   detectMismatch,
   reportMismatches,
   formatPath
 } from './mismatch-detector.js';
+
+export { recoverMismatches, MISMATCH_EVENT } from './recovery.js';
@@ -5,6 +5,8 @@
  * hydration mismatches in development mode.
  */
 
+import { isSignal, readSignal } from './reconciler.js';
+
 /**
  * Format path segments into readable string
  * @param {Array} segments - Path segments
@@ -24,19 +26,42 @@ function getVNodeChildren(vNode) {
     return [];
   }
   const tagName = Object.keys(vNode)[0];
-  const props = vNode[tagName];
+  const props = readSignal(vNode[tagName]);
+  // Shorthand: { p: 'Hello' }
+  if (typeof props === 'string' || typeof props === 'number') {
+    return String(props).trim() ? [String(props)] : [];
+  }
   if (!props || typeof props !== 'object') {
     return [];
   }
   if (props.children) {
-    return Array.isArray(props.children) ? props.children : [props.children];
+    const children = readSignal(props.children);
+    return expandFragments(Array.isArray(children) ? children : [children]);
   }
   if (props.text !== undefined) {
-    return [String(props.text)];
+    return [String(readSignal(props.text))];
   }
   return [];
 }
 
+/**
+ * Replace fragments with their children and drop portals, whose content is
+ * rendered into an outlet elsewhere
+ * @private
+ */
+function expandFragments(children) {
+  return children.flatMap((child) => {
+    if (!child || typeof child !== 'object') return [child];
+    if (isSignal(child)) return expandFragments([].concat(child.peek() ?? []));
+    if (child.__portal === true) return [];
+    if (child.__fragment === true) {
+      const inner = child.children;
+      return expandFragments(Array.isArray(inner) ? inner : inner === null || inner === undefined ? [] : [inner]);
+    }
+    return [child];
+  });
+}
+
 /**
  * Detect mismatches between DOM and virtual DOM
  *
@@ -46,11 +71,41 @@ function getVNodeChildren(vNode) {
  * @returns {Array} - Array of mismatch objects
  */
 export function detectMismatch(domElement, virtualNode, path = []) {
-  const mismatches = [];
+  return locateMismatches(domElement, virtualNode, path).map((entry) => entry.mismatch);
+}
+
+/**
+ * Detect mismatches along with the subtree that has to be rendered again to
+ * fix each one: the nearest element that differs, or whose children do
+ *
+ * @param {Element} domElement - Real DOM element
+ * @param {Object|string|number} virtualNode - Virtual DOM node
+ * @param {Array} path - Current path for error reporting
+ * @returns {Array<{mismatch: Object, node: Node, vNode: *, path: Array}>} - Each
+ *   mismatch with the DOM node to render again, the virtual node to render
+ *   it from and the path segments of that node
+ */
+export function locateMismatches(domElement, virtualNode, path = []) {
+  return compareNode(domElement, virtualNode, path, { node: domElement, vNode: virtualNode, path });
+}
+
+/**
+ * Compare one node; mismatches of text go to the subtree of `owner`, the
+ * element holding it
+ * @private
+ */
+function compareNode(domElement, virtualNode, path, owner) {
+  const located = [];
+  const report = (mismatch, subtree = owner) => located.push({ mismatch, ...subtree });
 
   // Handle null/undefined virtual node
   if (virtualNode === null || virtualNode === undefined) {
-    return mismatches;
+    return located;
+  }
+
+  // A signal is compared by its current value
+  if (isSignal(virtualNode)) {
+    return compareNode(domElement, virtualNode.peek(), path, owner);
   }
 
   // Handle text nodes (string or number in virtual DOM)
@@ -67,7 +122,7 @@ export function detectMismatch(domElement, virtualNode, path = []) {
     }
 
     if (actualText !== expectedText) {
-      mismatches.push({
+      report({
         path: formatPath(path),
         type: 'text',
         expected: expectedText,
@@ -75,7 +130,7 @@ export function detectMismatch(domElement, virtualNode, path = []) {
         domPath: getDOMPath(domElement)
       });
     }
-    return mismatches;
+    return located;
   }
 
   // Handle arrays
@@ -83,14 +138,9 @@ export function detectMismatch(domElement, virtualNode, path = []) {
     virtualNode.forEach((child, index) => {
       const domChild = getDOMChildAtIndex(domElement, index);
       if (domChild) {
-        const childMismatches = detectMismatch(
-          domChild,
-          child,
-          [...path, `[${index}]`]
-        );
-        mismatches.push(...childMismatches);
+        located.push(...compareNode(domChild, child, [...path, `[${index}]`], owner));
       } else {
-        mismatches.push({
+        report({
           path: formatPath([...path, `[${index}]`]),
           type: 'missing_element',
           expected: describeVNode(child),
@@ -99,29 +149,32 @@ export function detectMismatch(domElement, virtualNode, path = []) {
         });
       }
     });
-    return mismatches;
+    return located;
   }
 
   // Handle element nodes
   if (typeof virtualNode !== 'object') {
-    return mismatches;
+    return located;
   }
 
   const tagName = Object.keys(virtualNode)[0];
-  const props = virtualNode[tagName] || {};
+  const props = readSignal(virtualNode[tagName]) || {};
+
+  // The rest concerns this element and its children, fixed by rendering it again
+  const subtree = { node: domElement, vNode: virtualNode, path };
 
   // Check tag name
   const domTagName = domElement.tagName?.toLowerCase();
   if (domTagName !== tagName.toLowerCase()) {
-    mismatches.push({
+    report({
       path: formatPath(path),
       type: 'tagName',
       expected: tagName,
       actual: domTagName,
       domPath: getDOMPath(domElement)
-    });
+    }, subtree);
     // Can't continue comparing if tag is different
-    return mismatches;
+    return located;
   }
 
   // Check critical attributes
@@ -137,7 +190,7 @@ export function detectMismatch(domElement, virtualNode, path = []) {
   ];
 
   attributeChecks.forEach(({ virtual, dom }) => {
-    const expectedValue = props[virtual];
+    const expectedValue = readSignal(props[virtual]);
     if (expectedValue === undefined) return;
 
     const actualValue = domElement.getAttribute(dom);
@@ -147,25 +200,25 @@ export function detectMismatch(domElement, virtualNode, path = []) {
     if (typeof expectedValue === 'boolean') {
       const actualBool = actualValue !== null;
       if (expectedValue !== actualBool) {
-        mismatches.push({
+        report({
           path: formatPath([...path, `@${dom}`]),
           type: 'attribute',
           expected: expectedValue,
           actual: actualBool,
           domPath: getDOMPath(domElement)
-        });
+        }, subtree);
       }
       return;
     }
 
     if (expectedStr !== actualValue) {
-      mismatches.push({
+      report({
         path: formatPath([...path, `@${dom}`]),
         type: 'attribute',
         expected: expectedStr,
         actual: actualValue,
         domPath: getDOMPath(domElement)
-      });
+      }, subtree);
     }
   });
 
@@ -175,13 +228,13 @@ export function detectMismatch(domElement, virtualNode, path = []) {
 
   // Check for child count mismatch
   if (vChildren.length !== dChildren.length) {
-    mismatches.push({
+    report({
       path: formatPath([...path, 'children']),
       type: 'children_count',
       expected: vChildren.length,
       actual: dChildren.length,
       domPath: getDOMPath(domElement)
-    });
+    }, subtree);
   }
 
   // Compare each child
@@ -191,32 +244,27 @@ export function detectMismatch(domElement, virtualNode, path = []) {
     const dChild = dChildren[i];
 
     if (vChild && dChild) {
-      const childMismatches = detectMismatch(
-        dChild,
-        vChild,
-        [...path, `children[${i}]`]
-      );
-      mismatches.push(...childMismatches);
+      located.push(...compareNode(dChild, vChild, [...path, `children[${i}]`], subtree));
     } else if (vChild && !dChild) {
-      mismatches.push({
+      report({
         path: formatPath([...path, `children[${i}]`]),
         type: 'missing_dom_child',
         expected: describeVNode(vChild),
         actual: null,
         domPath: getDOMPath(domElement)
-      });
+      }, subtree);
     } else if (!vChild && dChild) {
-      mismatches.push({
+      report({
         path: formatPath([...path, `children[${i}]`]),
         type: 'extra_dom_child',
         expected: null,
         actual: describeNode(dChild),
         domPath: getDOMPath(domElement)
-      });
+      }, subtree);
     }
   }
 
-  return mismatches;
+  return located;
 }
 
 /**
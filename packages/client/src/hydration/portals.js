@@ -0,0 +1,106 @@
+/**
+ * Portal outlets for Coherent.js hydration
+ *
+ * Portal() content is not rendered where it stands in the tree but inside
+ * the `[data-coherent-portal-outlet]` element of the same name. These helpers
+ * collect that content from a virtual DOM tree and keep each outlet in sync
+ * with it, the same way the root container is kept in sync.
+ */
+
+import { normalizeChildren, patchDOM } from './reconciler.js';
+
+const OUTLET_ATTRIBUTE = 'data-coherent-portal-outlet';
+
+/**
+ * Walk a virtual DOM tree for portals
+ * @private
+ */
+function walk(value, portals) {
+  if (value === null || value === undefined) return;
+
+  if (Array.isArray(value)) {
+    value.forEach((child) => walk(child, portals));
+    return;
+  }
+  if (typeof value === 'function') {
+    // Function children are components rendered without props
+    if (value.length === 0) walk(value(), portals);
+    return;
+  }
+  if (typeof value !== 'object') return;
+
+  if (value.__portal === true) {
+    if (!portals.has(value.target)) portals.set(value.target, []);
+    portals.get(value.target).push(value.children);
+    walk(value.children, portals);
+    return;
+  }
+  if (value.__fragment === true || value.__suspense === true) {
+    walk(value.children, portals);
+    return;
+  }
+
+  const props = value[Object.keys(value)[0]];
+  if (props && typeof props === 'object') {
+    walk(props.children, portals);
+  }
+}
+
+/**
+ * Collect the content of every portal in a virtual DOM tree, by target
+ *
+ * @param {*} vNode - Virtual DOM tree
+ * @returns {Map<string, Array<Object|string>>} Normalized children of each outlet
+ */
+export function collectPortals(vNode) {
+  const portals = new Map();
+  walk(vNode, portals);
+
+  const outlets = new Map();
+  for (const [target, children] of portals) {
+    outlets.set(target, normalizeChildren(children));
+  }
+  return outlets;
+}
+
+/**
+ * Find the outlet element named `name`
+ *
+ * @param {string} name - Outlet name
+ * @param {boolean} [create=false] - Append a new outlet to `<body>` when there is none
+ * @returns {Element|null}
+ */
+export function findPortalOutlet(name, create = false) {
+  for (const element of document.querySelectorAll(`[${OUTLET_ATTRIBUTE}]`)) {
+    if (element.getAttribute(OUTLET_ATTRIBUTE) === name) return element;
+  }
+  if (!create) return null;
+
+  const outlet = document.createElement('div');
+  outlet.setAttribute(OUTLET_ATTRIBUTE, name);
+  document.body.appendChild(outlet);
+  return outlet;
+}
+
+/**
+ * Patch every outlet from the portals of one render to those of the next.
+ * Outlets that do not exist yet are created and their content mounted, so
+ * passing the same map twice hydrates server-rendered outlets and mounts
+ * missing ones.
+ *
+ * @param {Map<string, Array>} previous - collectPortals() of the rendered tree
+ * @param {Map<string, Array>} next - collectPortals() of the tree to render
+ */
+export function patchPortals(previous, next) {
+  const targets = new Set([...previous.keys(), ...next.keys()]);
+
+  for (const target of targets) {
+    const children = next.get(target) || [];
+    const existing = findPortalOutlet(target);
+    if (!existing && children.length === 0) continue;
+
+    // A new outlet is empty, whatever the previous render held
+    const outlet = existing || findPortalOutlet(target, true);
+    patchDOM(outlet, existing ? previous.get(target) || [] : [], children);
+  }
+}
@@ -0,0 +1,569 @@
+/**
+ * DOM reconciliation for Coherent.js re-renders
+ *
+ * Patches server-rendered (or previously patched) DOM from one virtual DOM
+ * tree to the next. Children are matched by their `key` prop when they have
+ * one and by position among unkeyed siblings otherwise, so list items can be
+ * inserted, removed and moved without rebuilding their neighbours.
+ *
+ * The previous virtual DOM is the source of keys: `key` is never rendered as
+ * an attribute, so the DOM alone cannot tell which item is which.
+ */
+
+import { parseEventProp } from '../events/modifiers.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+const ATTRIBUTE_MAP = {
+  className: 'class',
+  htmlFor: 'for',
+};
+
+// Attributes that stop reflecting the live value once the user interacts
+const LIVE_PROPERTIES = new Set(['value', 'checked', 'selected']);
+
+/**
+ * Check whether a value is a signal from @coherent.js/core
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isSignal(value) {
+  return Boolean(value) && typeof value === 'object' && value.__signal === true;
+}
+
+/**
+ * The current value of a signal, or `value` itself when it is not one
+ *
+ * @param {*} value - Signal or plain value
+ * @returns {*}
+ */
+export function readSignal(value) {
+  return isSignal(value) ? value.peek() : value;
+}
+
+/**
+ * Check whether a DOM node takes part in reconciliation
+ * (elements and non-whitespace text)
+ * @private
+ */
+function isSignificantNode(node) {
+  if (node.nodeType === 1) return true; // Element
+  if (node.nodeType === 3) {
+    // Text node
+    return Boolean(node.textContent) && node.textContent.trim().length > 0;
+  }
+  return false;
+}
+
+/**
+ * Get significant DOM children (elements and non-whitespace text)
+ *
+ * @param {Node} element - Parent DOM node
+ * @returns {Array<Node>}
+ */
+export function getSignificantDOMChildren(element) {
+  if (!element || !element.childNodes) return [];
+  return Array.from(element.childNodes).filter(isSignificantNode);
+}
+
+/**
+ * Split a virtual element into its tag name and props
+ * @private
+ */
+function readElement(vNode) {
+  const tagName = Object.keys(vNode)[0];
+  const content = readSignal(vNode[tagName]);
+
+  if (content && typeof content === 'object') {
+    return { tagName, props: content };
+  }
+  if (content === null || content === undefined) {
+    return { tagName, props: {} };
+  }
+  // Shorthand: { p: 'Hello' }
+  return { tagName, props: { text: content } };
+}
+
+/**
+ * Flatten a children value into `out`, skipping anything that renders nothing
+ * @private
+ */
+function flattenChildren(value, out) {
+  if (value === null || value === undefined || typeof value === 'boolean') {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((child) => flattenChildren(child, out));
+    return;
+  }
+  if (typeof value === 'function') {
+    // Function children are components rendered without props
+    if (value.length === 0) flattenChildren(value(), out);
+    return;
+  }
+  if (typeof value === 'object') {
+    if (isSignal(value)) {
+      flattenChildren(value.peek(), out);
+    } else if (value.__suspense === true) {
+      flattenChildren(value.children, out);
+    } else if (value.__fragment === true) {
+      flattenFragment(value, out);
+    } else if (value.__portal === true) {
+      // Rendered into its outlet, not in place
+    } else if (Object.keys(value).length > 0) {
+      out.push(value);
+    }
+    return;
+  }
+  out.push(String(value));
+}
+
+/**
+ * Flatten a Fragment() into `out`. The elements of a keyed fragment get keys
+ * prefixed with the fragment's, so the group moves as one when reordered.
+ * @private
+ */
+function flattenFragment(fragment, out) {
+  if (fragment.key === undefined || fragment.key === null) {
+    flattenChildren(fragment.children, out);
+    return;
+  }
+
+  const items = [];
+  flattenChildren(fragment.children, items);
+  items.forEach((item, index) => {
+    if (typeof item === 'string') {
+      out.push(item);
+      return;
+    }
+    const { tagName, props } = readElement(item);
+    const key = `${fragment.key}:${props.key ?? index}`;
+    out.push({ [tagName]: { ...props, key } });
+  });
+}
+
+/**
+ * Normalize virtual children into the list the DOM holds after rendering:
+ * nested arrays flattened, function children called, empty values dropped and
+ * adjacent strings merged into one text node. Whitespace-only text is dropped
+ * because it is not significant on the DOM side either.
+ *
+ * @param {*} children - Children value (array, single node or fragment)
+ * @param {*} [text] - `text` prop rendered before the children
+ * @returns {Array<Object|string>}
+ */
+export function normalizeChildren(children, text) {
+  text = readSignal(text);
+  const flat = [];
+  if (text !== undefined && text !== null && typeof text !== 'object') {
+    flat.push(String(typeof text === 'function' ? text() : text));
+  }
+  flattenChildren(children, flat);
+
+  const merged = [];
+  for (const child of flat) {
+    const last = merged.length - 1;
+    if (typeof child === 'string' && typeof merged[last] === 'string') {
+      merged[last] += child;
+    } else {
+      merged.push(child);
+    }
+  }
+  return merged.filter((child) => typeof child !== 'string' || child.trim().length > 0);
+}
+
+/**
+ * Get the normalized children of a virtual element
+ *
+ * @param {Object} vNode - Virtual element
+ * @returns {Array<Object|string>}
+ */
+export function getElementChildren(vNode) {
+  const { props } = readElement(vNode);
+  if (getRawHTML(props) !== undefined) return [];
+  return normalizeChildren(props.children, props.text);
+}
+
+/**
+ * Raw HTML set through the `html` prop or trusted `text`, if any
+ * @private
+ */
+function getRawHTML(props) {
+  let raw = props.html;
+  if (raw === undefined && props.text && typeof props.text === 'object' && '__html' in props.text) {
+    raw = props.text;
+  }
+  if (raw === undefined) return undefined;
+  if (typeof raw === 'function') raw = raw();
+  return raw && typeof raw === 'object' && '__html' in raw ? String(raw.__html) : String(raw);
+}
+
+/**
+ * @private
+ */
+function getKey(vNode) {
+  if (typeof vNode !== 'object') return undefined;
+  const key = readElement(vNode).props.key;
+  return key === null ? undefined : key;
+}
+
+/**
+ * Check whether `domNode` can be patched in place to represent `vNode`
+ * @private
+ */
+function canPatch(domNode, vNode) {
+  if (typeof vNode === 'string') {
+    return domNode.nodeType === 3;
+  }
+  return domNode.nodeType === 1 &&
+    typeof domNode.tagName === 'string' &&
+    domNode.tagName.toLowerCase() === readElement(vNode).tagName.toLowerCase();
+}
+
+/**
+ * Resolve a prop into the attribute string to render, or null to omit it
+ * @private
+ */
+function toAttributeValue(name, value) {
+  value = readSignal(value);
+  if (typeof value === 'function') {
+    value = value();
+  }
+  if (name === 'style' && value && typeof value === 'object') {
+    return Object.entries(value)
+      .map(([prop, val]) => `${prop.replace(/[A-Z]/g, (m) => `-${m.toLowerCase()}`)}: ${val}`)
+      .join('; ');
+  }
+  if (value === true) return '';
+  if (value === false || value === null || value === undefined) return null;
+  return String(value);
+}
+
+/**
+ * Fold a `viewTransitionName` prop into the style, as the server renders it
+ * @private
+ */
+function withViewTransitionName(props) {
+  if (!Object.prototype.hasOwnProperty.call(props, 'viewTransitionName')) {
+    return props;
+  }
+
+  const { viewTransitionName, ...rest } = props;
+  const name = readSignal(viewTransitionName);
+  if (name === null || name === undefined || name === false || name === '') {
+    return rest;
+  }
+
+  const style = readSignal(rest.style);
+  if (style && typeof style === 'object') {
+    rest.style = { ...style, viewTransitionName: name };
+  } else if (style) {
+    rest.style = `${String(style).replace(/;\s*$/, '')}; view-transition-name: ${name}`;
+  } else {
+    rest.style = `view-transition-name: ${name}`;
+  }
+  return rest;
+}
+
+/**
+ * Bring the attributes of `element` from `oldProps` to `newProps`
+ * @private
+ */
+function patchAttributes(element, oldProps, newProps) {
+  oldProps = withViewTransitionName(oldProps);
+  newProps = withViewTransitionName(newProps);
+  for (const [key, oldValue] of Object.entries(oldProps)) {
+    if (key in newProps && newProps[key] !== undefined) continue;
+
+    const eventProp = parseEventProp(key, oldValue);
+    if (eventProp) {
+      // The delegated handler attribute is re-bound after patching
+      element.removeAttribute(`data-coherent-${eventProp.eventType}`);
+    } else if (!['children', 'text', 'html', 'key'].includes(key)) {
+      element.removeAttribute(ATTRIBUTE_MAP[key] || key);
+    }
+  }
+
+  for (const [key, value] of Object.entries(newProps)) {
+    if (['children', 'text', 'html', 'key'].includes(key) || parseEventProp(key, value)) {
+      continue;
+    }
+    patchAttribute(element, key, value);
+  }
+}
+
+/**
+ * Set the attribute rendered for prop `key` on `element`, or remove it when
+ * the value renders no attribute
+ *
+ * @param {Element} element - DOM element
+ * @param {string} key - Prop name, e.g. `className` or `disabled`
+ * @param {*} value - Prop value
+ */
+export function patchAttribute(element, key, value) {
+  if (key === 'viewTransitionName') {
+    // A signal bound to the name updates the style property alone
+    if (element.style) {
+      element.style.setProperty('view-transition-name', readSignal(value) || '');
+    }
+    return;
+  }
+
+  const attrName = ATTRIBUTE_MAP[key] || key;
+  const attrValue = toAttributeValue(attrName, value);
+
+  if (attrValue === null) {
+    element.removeAttribute(attrName);
+  } else if (element.getAttribute(attrName) !== attrValue) {
+    element.setAttribute(attrName, attrValue);
+  }
+
+  if (LIVE_PROPERTIES.has(key) && key in element) {
+    const live = typeof element[key] === 'boolean' ? attrValue !== null : attrValue ?? '';
+    if (element[key] !== live) element[key] = live;
+  }
+}
+
+/**
+ * Create a DOM node for a virtual node
+ * @private
+ */
+function createNode(vNode, namespace) {
+  if (typeof vNode === 'string') {
+    return document.createTextNode(vNode);
+  }
+
+  const { tagName, props } = readElement(vNode);
+  const ns = tagName === 'svg' ? SVG_NAMESPACE : namespace;
+  const element = ns
+    ? document.createElementNS(ns, tagName)
+    : document.createElement(tagName);
+
+  patchAttributes(element, {}, props);
+
+  const rawHTML = getRawHTML(props);
+  if (rawHTML !== undefined) {
+    element.innerHTML = rawHTML;
+  } else {
+    const childNamespace = tagName === 'foreignObject' ? null : ns;
+    for (const child of normalizeChildren(props.children, props.text)) {
+      element.appendChild(createNode(child, childNamespace));
+    }
+  }
+
+  return element;
+}
+
+/**
+ * Next sibling that takes part in reconciliation, or null
+ * @private
+ */
+function nextSignificantSibling(node) {
+  let sibling = node.nextSibling;
+  while (sibling && !isSignificantNode(sibling)) {
+    sibling = sibling.nextSibling;
+  }
+  return sibling || null;
+}
+
+/**
+ * Namespace new children of `parent` are created in
+ * @private
+ */
+function getChildNamespace(parent) {
+  if (parent.namespaceURI !== SVG_NAMESPACE) return null;
+  return parent.tagName === 'foreignObject' ? null : SVG_NAMESPACE;
+}
+
+/**
+ * Reconcile the significant children of `parent` from `oldChildren` to
+ * `newChildren`. Both lists must already be normalized.
+ *
+ * @param {Node} parent - DOM node whose children are patched
+ * @param {Array<Object|string>} oldChildren - Children it was rendered from
+ * @param {Array<Object|string>} newChildren - Children to render
+ */
+export function reconcileChildren(parent, oldChildren, newChildren) {
+  const domChildren = getSignificantDOMChildren(parent);
+  const keyed = new Map();
+  const unkeyed = [];
+
+  domChildren.forEach((node, index) => {
+    const entry = { node, vNode: oldChildren[index], used: false };
+    const key = entry.vNode === undefined ? undefined : getKey(entry.vNode);
+    if (key !== undefined && !keyed.has(key)) {
+      keyed.set(key, entry);
+    } else {
+      unkeyed.push(entry);
+    }
+  });
+
+  const namespace = getChildNamespace(parent);
+  let unkeyedIndex = 0;
+
+  const nodes = newChildren.map((vNode) => {
+    const key = getKey(vNode);
+    let entry;
+    if (key !== undefined) {
+      entry = keyed.get(key);
+      keyed.delete(key);
+    } else {
+      entry = unkeyed[unkeyedIndex++];
+    }
+
+    if (entry && entry.vNode !== undefined && canPatch(entry.node, vNode)) {
+      entry.used = true;
+      patchNode(entry.node, entry.vNode, vNode);
+      return entry.node;
+    }
+    return createNode(vNode, namespace);
+  });
+
+  // Drop nodes nothing matched before placing, so they never act as anchors
+  for (const entry of [...keyed.values(), ...unkeyed]) {
+    if (!entry.used && entry.node.parentNode === parent) {
+      parent.removeChild(entry.node);
+    }
+  }
+
+  // Walk backwards so each node only moves when it is not already directly
+  // in front of the node that should follow it.
+  let anchor = null;
+  for (let i = nodes.length - 1; i >= 0; i--) {
+    const node = nodes[i];
+    if (node.parentNode !== parent || nextSignificantSibling(node) !== anchor) {
+      parent.insertBefore(node, anchor);
+    }
+    anchor = node;
+  }
+}
+
+/**
+ * Patch `domNode` in place from `oldVNode` to `newVNode`. The caller makes
+ * sure the node can represent the new virtual node (same node type and tag).
+ * @private
+ */
+function patchNode(domNode, oldVNode, newVNode) {
+  if (typeof newVNode === 'string') {
+    if (domNode.textContent !== newVNode) {
+      domNode.textContent = newVNode;
+    }
+    return;
+  }
+
+  const { props: oldProps } = readElement(oldVNode);
+  const { props: newProps } = readElement(newVNode);
+
+  patchAttributes(domNode, oldProps, newProps);
+
+  const rawHTML = getRawHTML(newProps);
+  if (rawHTML !== undefined) {
+    if (rawHTML !== getRawHTML(oldProps) || domNode.innerHTML !== rawHTML) {
+      domNode.innerHTML = rawHTML;
+    }
+    return;
+  }
+
+  const oldChildren = getRawHTML(oldProps) === undefined
+    ? normalizeChildren(oldProps.children, oldProps.text)
+    : [];
+  const newChildren = normalizeChildren(newProps.children, newProps.text);
+
+  // Text-only before and after: one textContent write covers it
+  if (isTextOnly(oldChildren) && isTextOnly(newChildren) && newChildren.length === 1) {
+    if (domNode.textContent !== newChildren[0]) {
+      domNode.textContent = newChildren[0];
+    }
+    return;
+  }
+
+  reconcileChildren(domNode, oldChildren, newChildren);
+}
+
+/**
+ * @private
+ */
+function isTextOnly(children) {
+  return children.length <= 1 && children.every((child) => typeof child === 'string');
+}
+
+/**
+ * Patch the DOM rendered from `oldVNode` so it matches `newVNode`
+ *
+ * `container` is the element the root virtual node was rendered as. When the
+ * root is an array, its items are the container's children instead.
+ *
+ * @param {Element} container - DOM element holding the rendered tree
+ * @param {*} oldVNode - Virtual DOM the container currently reflects
+ * @param {*} newVNode - Virtual DOM to render
+ */
+export function patchDOM(container, oldVNode, newVNode) {
+  if (!container || newVNode === null || newVNode === undefined) {
+    return;
+  }
+
+  if (Array.isArray(newVNode) || typeof newVNode !== 'object') {
+    const oldChildren = Array.isArray(oldVNode) || typeof oldVNode !== 'object'
+      ? normalizeChildren(oldVNode)
+      : [];
+    reconcileChildren(container, oldChildren, normalizeChildren(newVNode));
+    return;
+  }
+
+  const oldElement = oldVNode && typeof oldVNode === 'object' && !Array.isArray(oldVNode)
+    ? oldVNode
+    : { [readElement(newVNode).tagName]: {} };
+
+  // The container itself is never replaced, even if the root tag changes
+  patchNode(container, oldElement, newVNode);
+}
+
+/**
+ * Render `vNode` from scratch into `node`, discarding the DOM it holds
+ *
+ * The children of `node` are created again. `node` itself is kept when it
+ * can represent `vNode`, with the attributes of `vNode` set on it, and
+ * replaced otherwise. A container is always kept, as in patchDOM(); when
+ * `vNode` is an array or text, its items become the container's children.
+ *
+ * @param {Node} node - DOM node rendered from `vNode`, or the container
+ * @param {*} vNode - Virtual DOM to render
+ * @param {Object} [options]
+ * @param {boolean} [options.container=false] - Whether `node` is the hydration container
+ * @returns {Node} The node now representing `vNode`
+ */
+export function remountNode(node, vNode, options = {}) {
+  const { container = false } = options;
+  vNode = readSignal(vNode);
+  const isElement = vNode !== null && typeof vNode === 'object' && !Array.isArray(vNode);
+
+  if (!container && (!isElement || !canPatch(node, vNode))) {
+    const [replacement] = normalizeChildren(vNode).map((child) => createNode(child, getChildNamespace(node.parentNode)));
+    if (replacement && node.parentNode) {
+      node.parentNode.replaceChild(replacement, node);
+      return replacement;
+    }
+    return node;
+  }
+
+  Array.from(node.childNodes).forEach((child) => node.removeChild(child));
+
+  if (!isElement) {
+    const namespace = getChildNamespace(node);
+    normalizeChildren(vNode).forEach((child) => node.appendChild(createNode(child, namespace)));
+    return node;
+  }
+
+  const { props } = readElement(vNode);
+  patchAttributes(node, {}, props);
+
+  const rawHTML = getRawHTML(props);
+  if (rawHTML !== undefined) {
+    node.innerHTML = rawHTML;
+  } else {
+    const namespace = getChildNamespace(node);
+    normalizeChildren(props.children, props.text).forEach((child) => node.appendChild(createNode(child, namespace)));
+  }
+  return node;
+}
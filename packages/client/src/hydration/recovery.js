@@ -0,0 +1,110 @@
+/**
+ * Hydration mismatch recovery for Coherent.js
+ *
+ * When the server DOM does not match what the component renders on the
+ * client, hydrate() can leave it and warn, render the mismatched subtrees
+ * again, or render the whole component again. Either way it reports a
+ * structured event, so production telemetry can count mismatches.
+ */
+
+import { formatPath, locateMismatches } from './mismatch-detector.js';
+import { remountNode } from './reconciler.js';
+
+/** Name of the DOM event dispatched on the container for each recovery */
+export const MISMATCH_EVENT = 'coherent:hydration-mismatch';
+
+const POLICIES = ['warn', 'patch', 'remount'];
+
+/**
+ * Subtrees to render again: one per mismatched node, leaving out those
+ * inside another one
+ * @private
+ */
+function outermostSubtrees(located) {
+  const subtrees = [];
+
+  for (const entry of located) {
+    let subtree = subtrees.find((candidate) => candidate.node === entry.node);
+    if (!subtree) {
+      subtree = { node: entry.node, vNode: entry.vNode, path: entry.path, mismatches: [] };
+      subtrees.push(subtree);
+    }
+    subtree.mismatches.push(entry.mismatch);
+  }
+
+  const contains = (outer, inner) => outer !== inner &&
+    outer.path.length < inner.path.length &&
+    outer.path.every((segment, index) => inner.path[index] === segment);
+
+  return subtrees.filter((subtree) => {
+    const outer = subtrees.find((candidate) => contains(candidate, subtree));
+    if (outer) outer.mismatches.push(...subtree.mismatches);
+    return !outer;
+  });
+}
+
+/**
+ * Tell the `onRecover` callback and listeners of the container's DOM event
+ * @private
+ */
+function emit(container, detail, onRecover) {
+  if (onRecover) onRecover(detail);
+
+  if (typeof container.dispatchEvent === 'function' && typeof CustomEvent === 'function') {
+    container.dispatchEvent(new CustomEvent(MISMATCH_EVENT, { detail, bubbles: true }));
+  }
+}
+
+/**
+ * Detect mismatches between the server DOM of a component and its virtual
+ * DOM, and recover from them
+ *
+ * Policies:
+ * - `'warn'` leaves the DOM as the server rendered it
+ * - `'patch'` renders each mismatched subtree again on the client and
+ *   replaces it, keeping the rest of the server DOM
+ * - `'remount'` discards the server DOM of the component and renders it again
+ *
+ * Each recovery reports an event `{ component, path, recovery, mismatches }`
+ * to `onRecover` and as a bubbling `coherent:hydration-mismatch` DOM event on
+ * the container, whose `detail` is that object. `'patch'` reports one per
+ * subtree it replaced, the others one for the component.
+ *
+ * @param {Element} container - Element the component was rendered into
+ * @param {*} vNode - Virtual DOM of the component
+ * @param {Object} [options]
+ * @param {string} [options.recovery='warn'] - 'warn', 'patch' or 'remount'
+ * @param {string} [options.componentName='Anonymous'] - Component name for the events
+ * @param {Function} [options.onRecover] - Called with each event
+ * @returns {Array} - The mismatches found, as detectMismatch() returns them
+ */
+export function recoverMismatches(container, vNode, options = {}) {
+  const { recovery = 'warn', componentName = 'Anonymous', onRecover } = options;
+
+  if (!POLICIES.includes(recovery)) {
+    throw new Error(`Unknown hydration recovery "${recovery}"; expected one of: ${POLICIES.join(', ')}`);
+  }
+
+  const located = locateMismatches(container, vNode);
+  const mismatches = located.map((entry) => entry.mismatch);
+  if (mismatches.length === 0) return mismatches;
+
+  if (recovery === 'patch') {
+    for (const subtree of outermostSubtrees(located)) {
+      remountNode(subtree.node, subtree.vNode, { container: subtree.node === container });
+      emit(container, {
+        component: componentName,
+        path: formatPath(subtree.path),
+        recovery,
+        mismatches: subtree.mismatches,
+      }, onRecover);
+    }
+    return mismatches;
+  }
+
+  if (recovery === 'remount') {
+    remountNode(container, vNode, { container: true });
+  }
+  emit(container, { component: componentName, path: formatPath([]), recovery, mismatches }, onRecover);
+  return mismatches;
+}
@@ -0,0 +1,271 @@
+/**
+ * Typed JSON format for Coherent.js state
+ *
+ * JSON loses everything but plain objects, arrays, strings, finite numbers,
+ * booleans and null. This format keeps `Date`, `Map`, `Set`, `BigInt`,
+ * `RegExp`, `URL`, `undefined`, `NaN`, `Infinity` and `-0`, and values
+ * referenced more than once, cycles included, come back as one value.
+ *
+ * The payload is a JSON array holding every distinct value once; the value
+ * at index 0 is the root. Arrays and objects hold the indexes of their items,
+ * typed values are arrays starting with their type name, and the constants
+ * JSON cannot express are negative indexes:
+ *
+ *   { when: new Date(0), tags: new Set(['a']) }
+ *   → [{"when":1,"tags":2},["Date","1970-01-01T00:00:00.000Z"],["Set",3],"a"]
+ *
+ * The `Island()` wrapper of @coherent.js/core writes the same format. A state
+ * that is a plain JSON object, as written before this format, parses as it is.
+ */
+
+const UNDEFINED = -1;
+const HOLE = -2;
+const NAN = -3;
+const POSITIVE_INFINITY = -4;
+const NEGATIVE_INFINITY = -5;
+const NEGATIVE_ZERO = -6;
+
+const CONSTANTS = {
+  [UNDEFINED]: undefined,
+  [NAN]: NaN,
+  [POSITIVE_INFINITY]: Infinity,
+  [NEGATIVE_INFINITY]: -Infinity,
+  [NEGATIVE_ZERO]: -0,
+};
+
+/**
+ * Characters escaped so the payload can sit in a `<script>` element
+ * @private
+ */
+const SCRIPT_UNSAFE = /[<\u2028\u2029]/g;
+const SCRIPT_ESCAPES = { '<': '\\u003c', '\u2028': '\\u2028', '\u2029': '\\u2029' };
+
+/**
+ * Value of a negative index
+ * @private
+ */
+function readConstant(index) {
+  if (!(index in CONSTANTS)) {
+    throw new Error(`Invalid state payload: no value at index ${index}`);
+  }
+  return CONSTANTS[index];
+}
+
+/**
+ * Whether a value is left out of objects, like JSON.stringify() does
+ * @private
+ */
+function isOmitted(value) {
+  return typeof value === 'function' || typeof value === 'symbol';
+}
+
+/**
+ * Index of a constant JSON cannot express, or null
+ * @private
+ */
+function constantIndex(value) {
+  if (value === undefined || isOmitted(value)) return UNDEFINED;
+  if (typeof value !== 'number') return null;
+  if (Number.isNaN(value)) return NAN;
+  if (value === Infinity) return POSITIVE_INFINITY;
+  if (value === -Infinity) return NEGATIVE_INFINITY;
+  if (Object.is(value, -0)) return NEGATIVE_ZERO;
+  return null;
+}
+
+/**
+ * Flatten a value into the list of its distinct values
+ * @private
+ */
+function flatten(root, reducers) {
+  const values = [];
+  const indexes = new Map();
+
+  function add(value) {
+    const constant = constantIndex(value);
+    if (constant !== null) return constant;
+    if (indexes.has(value)) return indexes.get(value);
+
+    const index = values.length;
+    values.push(null);
+    indexes.set(value, index);
+    values[index] = describe(value);
+    return index;
+  }
+
+  function describe(value) {
+    if (typeof value === 'bigint') return ['BigInt', String(value)];
+    if (value === null || typeof value !== 'object') return value;
+
+    for (const [name, reduce] of Object.entries(reducers)) {
+      const data = reduce(value);
+      if (data !== undefined) return [name, add(data)];
+    }
+
+    if (value instanceof Date) {
+      return ['Date', Number.isNaN(value.getTime()) ? null : value.toISOString()];
+    }
+    if (value instanceof RegExp) return ['RegExp', value.source, value.flags];
+    if (typeof URL !== 'undefined' && value instanceof URL) return ['URL', value.href];
+    if (value instanceof Map) {
+      const entries = ['Map'];
+      value.forEach((item, key) => entries.push(add(key), add(item)));
+      return entries;
+    }
+    if (value instanceof Set) {
+      const items = ['Set'];
+      value.forEach((item) => items.push(add(item)));
+      return items;
+    }
+    if (Array.isArray(value)) {
+      return Array.from({ length: value.length }, (_, index) => (
+        index in value ? add(value[index]) : HOLE
+      ));
+    }
+    if (typeof value.toJSON === 'function') {
+      return describe(value.toJSON());
+    }
+
+    const object = {};
+    for (const key of Object.keys(value)) {
+      if (!isOmitted(value[key])) object[key] = add(value[key]);
+    }
+    return object;
+  }
+
+  const rootIndex = add(root);
+  return rootIndex < 0 ? rootIndex : values;
+}
+
+/**
+ * Rebuild a value from the list flatten() produced
+ * @private
+ */
+function unflatten(values, revivers) {
+  const revived = new Map();
+
+  function get(index) {
+    if (index < 0) return readConstant(index);
+    if (!Number.isInteger(index) || index >= values.length) {
+      throw new Error(`Invalid state payload: no value at index ${index}`);
+    }
+    if (revived.has(index)) return revived.get(index);
+
+    const entry = values[index];
+    if (entry === null || typeof entry !== 'object') {
+      revived.set(index, entry);
+      return entry;
+    }
+    if (Array.isArray(entry) && typeof entry[0] === 'string') {
+      return revive(index, entry);
+    }
+
+    const container = Array.isArray(entry) ? new Array(entry.length) : {};
+    revived.set(index, container);
+    for (const [key, item] of Object.entries(entry)) {
+      if (item === HOLE) continue;
+      // Define rather than assign, so a "__proto__" key stays a plain key
+      Object.defineProperty(container, key, {
+        value: get(item),
+        enumerable: true,
+        writable: true,
+        configurable: true,
+      });
+    }
+    return container;
+  }
+
+  function revive(index, [type, ...data]) {
+    if (Object.prototype.hasOwnProperty.call(revivers, type)) {
+      const value = revivers[type](get(data[0]));
+      revived.set(index, value);
+      return value;
+    }
+
+    let value;
+    switch (type) {
+      case 'Date':
+        value = new Date(data[0] ?? NaN);
+        break;
+      case 'RegExp':
+        value = new RegExp(data[0], data[1]);
+        break;
+      case 'URL':
+        value = new URL(data[0]);
+        break;
+      case 'BigInt':
+        value = BigInt(data[0]);
+        break;
+      case 'Map':
+        value = new Map();
+        revived.set(index, value);
+        for (let i = 0; i < data.length; i += 2) {
+          value.set(get(data[i]), get(data[i + 1]));
+        }
+        return value;
+      case 'Set':
+        value = new Set();
+        revived.set(index, value);
+        data.forEach((item) => value.add(get(item)));
+        return value;
+      default:
+        throw new Error(`Invalid state payload: no reviver for type "${type}"`);
+    }
+    revived.set(index, value);
+    return value;
+  }
+
+  return get(0);
+}
+
+/**
+ * Write a value in the typed state format
+ *
+ * The result is JSON text that is also safe inside a `<script>` element.
+ * Functions and symbols are left out of objects and become `undefined` in
+ * arrays and Maps. Objects of other classes are written as plain objects,
+ * through their `toJSON()` when they have one, unless a reducer claims them.
+ *
+ * @param {*} value - Value to write
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.reducers] - Custom types by name:
+ *   each reducer returns the data to write for a value of its type, or
+ *   undefined for other values. Pair each with a reviver of the same name.
+ * @returns {string} JSON text
+ *
+ * @example
+ * stringifyState({ total: new Money(5, 'EUR') }, {
+ *   reducers: { Money: (value) => value instanceof Money ? [value.amount, value.currency] : undefined }
+ * });
+ */
+export function stringifyState(value, options = {}) {
+  const { reducers = {} } = options;
+  return JSON.stringify(flatten(value, reducers))
+    .replace(SCRIPT_UNSAFE, (char) => SCRIPT_ESCAPES[char]);
+}
+
+/**
+ * Read a value written by stringifyState()
+ *
+ * Plain JSON objects, the format state was written in before, parse as they
+ * are.
+ *
+ * @param {string} text - JSON text
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.revivers] - Custom types by name:
+ *   each reviver turns the data its reducer wrote back into a value
+ * @returns {*} The value
+ * @throws {Error} When the text is not valid, or uses a type no reviver handles
+ *
+ * @example
+ * parseState(text, { revivers: { Money: ([amount, currency]) => new Money(amount, currency) } });
+ */
+export function parseState(text, options = {}) {
+  const { revivers = {} } = options;
+  const payload = JSON.parse(text);
+
+  if (typeof payload === 'number') return readConstant(payload);
+  if (!Array.isArray(payload)) return payload;
+  return unflatten(payload, revivers);
+}
+
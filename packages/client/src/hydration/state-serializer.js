@@ -1,35 +1,44 @@
 /**
  * State serialization utilities for Coherent.js hydration
  *
- * Uses base64 encoding to safely embed state in data attributes
- * without escaping issues.
+ * State is written in the typed format of state-codec.js, so Dates, Maps,
+ * Sets, BigInts and shared references survive the trip. It travels either in
+ * a `data-state` attribute, base64-encoded by serializeState() or as the
+ * typed JSON itself as `Island()` writes it, or in a page-level
+ * `<script type="application/json">` that elements point to with
+ * `data-state-key`, which keeps large state out of the attributes.
  */
 
+import { stringifyState, parseState } from './state-codec.js';
+
+/** Default id of the page-level state script */
+const STATE_SCRIPT_ID = 'coherent-state';
+
 /**
- * Serialize component state to base64-encoded JSON string
+ * Parsed page-level state by script element, parsed again when its text changes
+ * @private
+ */
+const pageStates = new WeakMap();
+
+/**
+ * Serialize component state to a base64-encoded string
  *
  * @param {Object} state - Component state object
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.reducers] - Custom types; see stringifyState()
  * @returns {string|null} - Base64 encoded state or null if empty/invalid
  */
-export function serializeState(state) {
+export function serializeState(state, options = {}) {
   if (!state || typeof state !== 'object') return null;
 
-  // Filter out non-serializable values (functions, symbols, undefined)
-  const serializable = {};
-  let hasSerializable = false;
-
-  for (const [key, value] of Object.entries(state)) {
-    if (isSerializable(value)) {
-      serializable[key] = value;
-      hasSerializable = true;
-    }
-    // Silently omit functions, symbols, undefined - they reconstruct on hydrate
-  }
-
+  // Functions and symbols reconstruct on hydrate; state with nothing else is empty
+  const hasSerializable = Object.values(state).some(
+    (value) => typeof value !== 'function' && typeof value !== 'symbol'
+  );
   if (!hasSerializable) return null;
 
   try {
-    const json = JSON.stringify(serializable);
+    const json = stringifyState(state, options);
     // Use encodeURIComponent to handle unicode, then btoa for base64
     return btoa(encodeURIComponent(json));
   } catch (e) {
@@ -39,17 +48,20 @@ export function serializeState(state) {
 }
 
 /**
- * Deserialize state from base64-encoded JSON string
+ * Deserialize state from a base64-encoded string, or from the typed JSON
+ * text itself, which starts with `[`, `{` or `-` where base64 cannot
  *
- * @param {string} encoded - Base64 encoded state string
+ * @param {string} encoded - Base64 encoded state string, or typed JSON
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.revivers] - Custom types; see parseState()
  * @returns {Object|null} - Deserialized state or null if invalid
  */
-export function deserializeState(encoded) {
+export function deserializeState(encoded, options = {}) {
   if (!encoded || typeof encoded !== 'string') return null;
 
   try {
-    const json = decodeURIComponent(atob(encoded));
-    return JSON.parse(json);
+    const json = /^\s*[[{-]/.test(encoded) ? encoded : decodeURIComponent(atob(encoded));
+    return parseState(json, options);
   } catch (e) {
     console.warn('[Coherent.js] Failed to deserialize state:', e);
     return null;
@@ -57,43 +69,96 @@ export function deserializeState(encoded) {
 }
 
 /**
- * Extract state from a DOM element's data-state attribute
+ * Build the page-level state script
  *
- * @param {HTMLElement} element - DOM element to extract state from
- * @returns {Object|null} - Extracted state or null
+ * `states` maps keys to the state of each component; an element rendered
+ * with `data-state-key="<key>"` hydrates with the state under that key.
+ * Values shared between components stay shared once parsed.
+ *
+ * @param {Object} states - State by key
+ * @param {Object} [options]
+ * @param {string} [options.id='coherent-state'] - Script element id
+ * @param {Object<string, Function>} [options.reducers] - Custom types; see stringifyState()
+ * @returns {Object} Coherent.js `<script type="application/json">` element
+ *
+ * @example
+ * const page = {
+ *   body: {
+ *     children: [
+ *       { div: { 'data-state-key': 'cart', children: [Cart(cart)] } },
+ *       stateScript({ cart })
+ *     ]
+ *   }
+ * };
  */
-export function extractState(element) {
-  if (!element || typeof element.getAttribute !== 'function') {
+export function stateScript(states, options = {}) {
+  const { id = STATE_SCRIPT_ID, reducers } = options;
+  return {
+    script: {
+      type: 'application/json',
+      id,
+      text: stringifyState(states, { reducers }),
+    },
+  };
+}
+
+/**
+ * Read the page-level state script
+ *
+ * The script is parsed once; revivers passed to later reads of the same
+ * content are not applied.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.id='coherent-state'] - Script element id
+ * @param {Object<string, Function>} [options.revivers] - Custom types; see parseState()
+ * @returns {Object|null} - State by key, or null when the script is missing or invalid
+ */
+export function readStateScript(options = {}) {
+  const { id = STATE_SCRIPT_ID, revivers } = options;
+  if (typeof document === 'undefined' || typeof document.getElementById !== 'function') {
     return null;
   }
 
-  const encoded = element.getAttribute('data-state');
-  return deserializeState(encoded);
+  const script = document.getElementById(id);
+  if (!script) return null;
+
+  const text = script.textContent;
+  const cached = pageStates.get(script);
+  if (cached && cached.text === text) return cached.value;
+
+  try {
+    const value = parseState(text, { revivers });
+    pageStates.set(script, { text, value });
+    return value;
+  } catch (e) {
+    console.warn('[Coherent.js] Failed to read page state:', e);
+    return null;
+  }
 }
 
 /**
- * Check if a value is serializable to JSON
- * @private
+ * Extract state from a DOM element's data-state attribute, or from the
+ * page-level state script entry its data-state-key attribute names
+ *
+ * @param {HTMLElement} element - DOM element to extract state from
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.revivers] - Custom types; see parseState()
+ * @param {string} [options.scriptId='coherent-state'] - Page-level state script id
+ * @returns {Object|null} - Extracted state or null
  */
-function isSerializable(value) {
-  if (value === undefined) return false;
-  if (value === null) return true;
-  if (typeof value === 'function') return false;
-  if (typeof value === 'symbol') return false;
-  if (typeof value === 'bigint') return false; // BigInt not JSON serializable
-
-  // Arrays and objects need recursive check
-  if (Array.isArray(value)) {
-    return value.every(isSerializable);
+export function extractState(element, options = {}) {
+  if (!element || typeof element.getAttribute !== 'function') {
+    return null;
   }
 
-  if (typeof value === 'object') {
-    // Check for circular references would be expensive here
-    // JSON.stringify will catch them in serializeState
-    return true;
-  }
+  const encoded = element.getAttribute('data-state');
+  if (encoded) return deserializeState(encoded, options);
+
+  const key = element.getAttribute('data-state-key');
+  if (!key) return null;
 
-  return true; // primitives (string, number, boolean)
+  const states = readStateScript({ id: options.scriptId, revivers: options.revivers });
+  return states && Object.prototype.hasOwnProperty.call(states, key) ? states[key] : null;
 }
 
 /**
@@ -107,16 +172,17 @@ const STATE_SIZE_WARNING_THRESHOLD = 10 * 1024; // 10KB
  *
  * @param {Object} state - Component state
  * @param {string} componentName - Component name for warning message
+ * @param {Object} [options] - serializeState() options
  * @returns {string|null} - Serialized state
  */
-export function serializeStateWithWarning(state, componentName = 'Unknown') {
-  const encoded = serializeState(state);
+export function serializeStateWithWarning(state, componentName = 'Unknown', options = {}) {
+  const encoded = serializeState(state, options);
 
   if (encoded && encoded.length > STATE_SIZE_WARNING_THRESHOLD) {
     console.warn(
       `[Coherent.js] Large state detected for component "${componentName}": ` +
-      `${Math.round(encoded.length / 1024)}KB. Consider using a state management ` +
-      `solution for large datasets.`
+      `${Math.round(encoded.length / 1024)}KB. Consider moving it to the page-level ` +
+      `stateScript() instead of the data-state attribute.`
     );
   }
 
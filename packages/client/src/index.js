@@ -9,6 +9,9 @@
 // New clean hydrate API (Phase 2)
 export { hydrate } from './hydrate.js';
 
+// Island hydration
+export { hydrateIslands } from './islands.js';
+
 // Event delegation system (Plan 02-01)
 export {
   EventDelegation,
@@ -16,6 +19,8 @@ export {
   HandlerRegistry,
   handlerRegistry,
   wrapEvent,
+  parseEventProp,
+  resume,
 } from './events/index.js';
 
 // State serialization (Plan 02-02)
@@ -24,6 +29,10 @@ export {
   deserializeState,
   extractState,
   serializeStateWithWarning,
+  stateScript,
+  readStateScript,
+  stringifyState,
+  parseState,
 } from './hydration/index.js';
 
 // Mismatch detection (Plan 02-03)
@@ -31,6 +40,8 @@ export {
   detectMismatch,
   reportMismatches,
   formatPath,
+  recoverMismatches,
+  MISMATCH_EVENT,
 } from './hydration/index.js';
 
 // 1.0: removed legacy hydration re-exports — see docs/migration/1.0#removed-legacy-hydration
@@ -0,0 +1,204 @@
+/**
+ * Island hydration for Coherent.js
+ *
+ * Finds the islands rendered by `Island()` in @coherent.js/core and hydrates
+ * each one with the component registered under its name, so a mostly static
+ * page only pays for its interactive widgets. Each island is hydrated with the
+ * state serialized in its `data-state` attribute.
+ *
+ * @module @coherent.js/client/islands
+ */
+
+import { hydrate } from './hydrate.js';
+
+const ISLAND_SELECTOR = '[data-coherent-island]';
+
+/**
+ * Supported loading strategies
+ * - load: hydrate straight away
+ * - idle: hydrate when the browser is idle
+ * - visible: hydrate when the island scrolls into view
+ * - media: hydrate once a media query matches
+ */
+const STRATEGIES = ['load', 'idle', 'visible', 'media'];
+
+/**
+ * Hydrate every island under `root`
+ *
+ * @param {Object|Map} registry - Component functions keyed by island name
+ * @param {Object} [options] - Island options
+ * @param {Document|Element} [options.root=document] - Where to look for islands
+ * @param {string} [options.strategy='load'] - Strategy for islands that do not set one
+ * @param {string} [options.rootMargin='0px'] - IntersectionObserver margin for `visible`
+ * @param {number} [options.idleTimeout=2000] - Longest wait for `idle`, in ms
+ * @param {Function} [options.onHydrate] - Called with (element, control, name) per island
+ * @param {Function} [options.onError] - Called with (error, element, name); defaults to console.error
+ * @param {Object} [options.hydrateOptions] - Options forwarded to every hydrate() call
+ * @returns {Object} Controller with `islands` (Map of element to hydrate control) and unmount()
+ *
+ * @example
+ * import { hydrateIslands } from '@coherent.js/client';
+ * import { Counter } from './islands/counter.js';
+ * import { Newsletter } from './islands/newsletter.js';
+ *
+ * hydrateIslands({ Counter, Newsletter });
+ */
+export function hydrateIslands(registry, options = {}) {
+  if (!registry || typeof registry !== 'object') {
+    throw new Error(
+      `hydrateIslands() requires a registry of components, received: ${
+        registry === null ? 'null' : typeof registry
+      }`
+    );
+  }
+
+  const {
+    root = typeof document !== 'undefined' ? document : null,
+    strategy: defaultStrategy = 'load',
+    rootMargin = '0px',
+    idleTimeout = 2000,
+    onHydrate,
+    onError = (error, element, name) => {
+      console.error(`[Coherent.js] Failed to hydrate island "${name}":`, error);
+    },
+    hydrateOptions = {},
+  } = options;
+
+  const islands = new Map();
+  const cleanups = [];
+  let observer = null;
+  let disposed = false;
+
+  const lookup = (name) => (registry instanceof Map ? registry.get(name) : registry[name]);
+
+  function hydrateIsland(element) {
+    if (disposed || islands.has(element)) return;
+
+    const name = element.getAttribute('data-coherent-island-component');
+    const component = lookup(name);
+
+    try {
+      if (typeof component !== 'function') {
+        throw new Error(`No component registered for island "${name}"`);
+      }
+      const control = hydrate(component, element, hydrateOptions);
+      islands.set(element, control);
+      if (onHydrate) onHydrate(element, control, name);
+    } catch (_error) {
+      onError(_error, element, name);
+    }
+  }
+
+  function scheduleIdle(element) {
+    if (typeof window !== 'undefined' && typeof window.requestIdleCallback === 'function') {
+      const id = window.requestIdleCallback(() => hydrateIsland(element), { timeout: idleTimeout });
+      cleanups.push(() => window.cancelIdleCallback(id));
+    } else {
+      const id = setTimeout(() => hydrateIsland(element), 1);
+      cleanups.push(() => clearTimeout(id));
+    }
+  }
+
+  function scheduleVisible(element) {
+    if (typeof IntersectionObserver !== 'function') {
+      // Nothing to wait on: behave like `load`
+      hydrateIsland(element);
+      return;
+    }
+
+    if (!observer) {
+      observer = new IntersectionObserver((entries) => {
+        for (const entry of entries) {
+          if (entry.isIntersecting) {
+            observer.unobserve(entry.target);
+            hydrateIsland(entry.target);
+          }
+        }
+      }, { rootMargin });
+      cleanups.push(() => observer.disconnect());
+    }
+    observer.observe(element);
+  }
+
+  function scheduleMedia(element) {
+    const query = element.getAttribute('data-coherent-island-media');
+    if (!query || typeof window === 'undefined' || typeof window.matchMedia !== 'function') {
+      hydrateIsland(element);
+      return;
+    }
+
+    const mediaQuery = window.matchMedia(query);
+    if (mediaQuery.matches) {
+      hydrateIsland(element);
+      return;
+    }
+
+    const onChange = (event) => {
+      if (event.matches) {
+        mediaQuery.removeEventListener('change', onChange);
+        hydrateIsland(element);
+      }
+    };
+    mediaQuery.addEventListener('change', onChange);
+    cleanups.push(() => mediaQuery.removeEventListener('change', onChange));
+  }
+
+  if (root) {
+    for (const element of findIslands(root)) {
+      let strategy = element.getAttribute('data-coherent-island-strategy') || defaultStrategy;
+
+      if (!STRATEGIES.includes(strategy)) {
+        console.warn(
+          `[Coherent.js] Unknown island strategy "${strategy}". ` +
+          `Expected one of: ${STRATEGIES.join(', ')}. Hydrating on load.`
+        );
+        strategy = 'load';
+      }
+
+      if (strategy === 'idle') scheduleIdle(element);
+      else if (strategy === 'visible') scheduleVisible(element);
+      else if (strategy === 'media') scheduleMedia(element);
+      else hydrateIsland(element);
+    }
+  }
+
+  /**
+   * Cancel pending islands and unmount the hydrated ones
+   */
+  function unmount() {
+    disposed = true;
+    for (const cleanup of cleanups) cleanup();
+    cleanups.length = 0;
+    for (const control of islands.values()) control.unmount();
+    islands.clear();
+  }
+
+  return { islands, unmount };
+}
+
+/**
+ * Islands under `root` that are not already hydrated. Islands nested inside
+ * another island belong to the outer component and are left alone.
+ * @private
+ */
+function findIslands(root) {
+  const found = [];
+  const candidates = [];
+
+  if (typeof root.matches === 'function' && root.matches(ISLAND_SELECTOR)) {
+    candidates.push(root);
+  }
+  candidates.push(...root.querySelectorAll(ISLAND_SELECTOR));
+
+  for (const element of candidates) {
+    if (element.getAttribute('data-coherent-hydrated') === 'true') continue;
+
+    const parent = element.parentElement;
+    if (parent && typeof parent.closest === 'function' && parent.closest(ISLAND_SELECTOR)) continue;
+
+    found.push(element);
+  }
+  return found;
+}
+
+export default hydrateIslands;
@@ -0,0 +1,81 @@
+/**
+ * Route patterns, shared by the router and the service worker generator
+ *
+ * @module @coherent.js/client/route-patterns
+ */
+
+/**
+ * Compile a route pattern
+ *
+ * Segments are static text, `:name` params, `:name?` optional params, and a
+ * final `*` or `:name*` that catches the rest of the path, possibly empty.
+ * More specific patterns score higher: static segments beat params, which
+ * beat optional params, which beat catch-alls.
+ *
+ * @param {string} pattern - Route pattern, e.g. `/users/:id`
+ * @returns {{ regex: RegExp, keys: string[], catchAll: string|null, score: number }}
+ */
+export function compilePattern(pattern) {
+  const keys = [];
+  let catchAll = null;
+  let source = '';
+  let score = 0;
+
+  for (const segment of pattern.split('/').filter(Boolean)) {
+    if (segment === '*' || /^:[\w$]+\*$/.test(segment)) {
+      catchAll = segment === '*' ? '*' : segment.slice(1, -1);
+      keys.push(catchAll);
+      source += '(?:/(.*))?';
+      break;
+    }
+
+    if (segment.startsWith(':')) {
+      const optional = segment.endsWith('?');
+      keys.push(segment.slice(1, optional ? -1 : undefined));
+      source += optional ? '(?:/([^/]+))?' : '/([^/]+)';
+      score += optional ? 2 : 3;
+      continue;
+    }
+
+    source += `/${segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`;
+    score += 4;
+  }
+
+  return { regex: new RegExp(`^${source}/?$`), keys, catchAll, score };
+}
+
+/**
+ * Decode a param; a malformed escape such as `%E0%A4%A` keeps its raw text
+ * rather than throwing from a link or popstate
+ * @private
+ */
+function decodeParam(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Match a pathname against a compiled pattern
+ *
+ * @param {Object} compiled - Result of compilePattern()
+ * @param {string} pathname - Path without query string or hash
+ * @returns {Object|null} Decoded params by name, or null when it does not match
+ */
+export function execPattern(compiled, pathname) {
+  const result = compiled.regex.exec(pathname);
+  if (!result) return null;
+
+  const params = {};
+  compiled.keys.forEach((key, index) => {
+    const value = result[index + 1];
+    if (value !== undefined) {
+      params[key] = decodeParam(value);
+    } else if (key === compiled.catchAll) {
+      params[key] = '';
+    }
+  });
+  return params;
+}
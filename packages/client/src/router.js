@@ -2,20 +2,90 @@
  * Enhanced Routing System
  *
  * Provides advanced routing features:
+ * - Path patterns with named params, optional segments and catch-alls
+ * - Nested routes rendered inside their parent layouts
+ * - Route data loaders, aborted by newer navigations
  * - Route prefetching strategies
  * - Page transitions
  * - Code splitting per route
  * - Advanced scroll behavior
+ * - Server navigation that swaps in server-rendered pages
  */
 
+import { hydrateIslands } from './islands.js';
+import { fetchPage, parsePage, swapRegion, updateHead } from './server-navigation.js';
+import { compilePattern, execPattern } from './route-patterns.js';
+import { PREFETCH_MESSAGE } from './service-worker.js';
+
+/**
+ * Match a pathname against a route pattern
+ *
+ * @param {string} pattern - Route pattern, e.g. `/docs/:section?/*`
+ * @param {string} pathname - Path without query string or hash
+ * @returns {Object|null} Decoded params by name, or null when it does not match
+ *
+ * @example
+ * matchPath('/users/:id', '/users/42'); // { id: '42' }
+ * matchPath('/docs/*', '/docs/guide/intro'); // { '*': 'guide/intro' }
+ */
+export function matchPath(pattern, pathname) {
+  return execPattern(compilePattern(pattern), pathname);
+}
+
+/**
+ * Split a location into pathname, query and hash
+ * @private
+ */
+function parseLocation(location) {
+  const hashIndex = location.indexOf('#');
+  const hash = hashIndex === -1 ? '' : location.slice(hashIndex);
+  const rest = hashIndex === -1 ? location : location.slice(0, hashIndex);
+
+  const queryIndex = rest.indexOf('?');
+  const pathname = (queryIndex === -1 ? rest : rest.slice(0, queryIndex)) || '/';
+  const search = queryIndex === -1 ? '' : rest.slice(queryIndex + 1);
+
+  return { pathname, query: Object.fromEntries(new URLSearchParams(search)), hash };
+}
+
+/**
+ * Join a child route path onto its parent's
+ * @private
+ */
+function joinPaths(parent, child) {
+  const joined = `${parent.replace(/\/+$/, '')}/${child.replace(/^\/+/, '')}`;
+  return joined.length > 1 ? joined.replace(/\/+$/, '') : '/';
+}
+
+/**
+ * Whether a children entry is a route config rather than a bare component
+ * @private
+ */
+function isRouteConfig(value) {
+  return Boolean(value) && typeof value === 'object' &&
+    ('component' in value || 'children' in value || 'loader' in value);
+}
+
 /**
  * Create an enhanced router with advanced features
  *
  * @param {Object} options - Configuration options
  * @param {Object} [options.prefetch] - Prefetching configuration
+ * @param {boolean} [options.prefetch.serviceWorker=true] - Also have the controlling service worker cache prefetched pages
+ * @param {Function} [options.render] - Called with (route, from) to put the view of a client route in the page; runs inside the view transition
  * @param {Object} [options.transitions] - Page transition configuration
+ * @param {boolean} [options.transitions.viewTransitions=true] - Use `document.startViewTransition` where the browser has it
  * @param {Object} [options.codeSplitting] - Code splitting configuration
  * @param {Object} [options.scrollBehavior] - Scroll behavior configuration
+ * @param {Object} [options.serverNavigation] - Server navigation configuration
+ * @param {boolean} [options.serverNavigation.enabled=false] - Fetch paths without a client route from the server
+ * @param {string} [options.serverNavigation.target] - Id of the region swapped between pages; the whole body without one
+ * @param {Object|Map} [options.serverNavigation.islands] - Island registry to hydrate the new content with
+ * @param {Function} [options.serverNavigation.hydrate] - Called with (region, route) after each swap
+ * @param {boolean} [options.serverNavigation.links=true] - Navigate on same-origin link clicks
+ * @param {Object} [options.serverNavigation.headers] - Extra headers of page requests
+ * @param {Function} [options.serverNavigation.fetch] - Fetch implementation
+ * @param {Function} [options.serverNavigation.onError] - Called with (error, path) when a page cannot be fetched; a full page load by default
  * @returns {Object} Enhanced router instance
  */
 export function createRouter(options = {}) {
@@ -31,6 +101,7 @@ export function createRouter(options = {}) {
     strategy: 'hover',
     delay: 100,
     maxConcurrent: 3,
+    serviceWorker: true,
     priority: {
       critical: 100,
       high: 50,
@@ -42,6 +113,7 @@ export function createRouter(options = {}) {
 
   opts.transitions = {
     enabled: false,
+    viewTransitions: true,
     default: {
       enter: 'fade-in',
       leave: 'fade-out',
@@ -72,16 +144,38 @@ export function createRouter(options = {}) {
     ...(options.scrollBehavior || {})
   };
 
+  opts.serverNavigation = {
+    enabled: false,
+    target: null,
+    islands: null,
+    hydrate: null,
+    links: true,
+    headers: {},
+    fetch: null,
+    onError: null,
+    ...(options.serverNavigation || {})
+  };
+
   // Router state
   const state = {
     routes: new Map(),
+    // Every route, nested ones included, in registration order
+    records: [],
+    navigation: null,
+    // Islands hydrated in the region of the last server navigation
+    islands: null,
+    listeners: [],
     currentRoute: null,
     history: [],
     prefetchQueue: [],
     prefetching: new Set(),
     loadedChunks: new Map(),
+    // Pages the service worker has been asked to cache
+    warmed: new Set(),
     savedPositions: new Map(),
-    transitionState: null
+    transitionState: null,
+    // Position of the current history entry, to tell back from forward
+    position: 0
   };
 
   // Statistics
@@ -94,21 +188,57 @@ export function createRouter(options = {}) {
   };
 
   /**
-   * Register a route
+   * Create the record of a route and of its children
    */
-  function addRoute(path, config) {
-    state.routes.set(path, {
+  function createRecord(path, config, parent) {
+    // A function that takes props is a component; one that does not loads it
+    const lazy = typeof config.component === 'function' && config.component.length === 0;
+
+    const route = {
       path,
       component: config.component,
       meta: config.meta || {},
+      loader: config.loader,
       beforeEnter: config.beforeEnter,
       beforeLeave: config.beforeLeave,
       priority: config.priority || opts.prefetch.priority.normal,
-      transition: config.transition || opts.transitions.default,
-      lazy: typeof config.component === 'function',
-      loaded: !config.component || typeof config.component !== 'function',
-      chunk: null
-    });
+      transition: config.transition || null,
+      cache: config.cache || null,
+      lazy,
+      loaded: !lazy,
+      chunk: null,
+      parent,
+      children: [],
+      pattern: compilePattern(path),
+      depth: parent ? parent.depth + 1 : 0,
+      source: config.component
+    };
+    state.records.push(route);
+
+    const children = Array.isArray(config.children)
+      ? config.children.map(child => [child.path || '', child])
+      : Object.entries(config.children || {});
+
+    for (const [childPath, child] of children) {
+      const childConfig = isRouteConfig(child) ? child : { component: child };
+      route.children.push(createRecord(joinPaths(path, childPath), childConfig, route));
+    }
+
+    return route;
+  }
+
+  /**
+   * Register a route
+   *
+   * `path` may hold `:name` params, `:name?` optional params and a trailing
+   * `*` or `:name*` catch-all. `config.children` maps child paths, relative to
+   * this one, to components or route configs; a matched child renders inside
+   * this route's component as its `children` prop. `config.loader` is called
+   * with `{ params, query, signal }` before the route renders, and its result
+   * is passed to the component as the `data` prop.
+   */
+  function addRoute(path, config) {
+    state.routes.set(path, createRecord(path, config, null));
 
     // Preload if configured
     if (opts.codeSplitting.enabled &&
@@ -118,11 +248,53 @@ export function createRouter(options = {}) {
     }
   }
 
+  /**
+   * Find the route that renders `location`, and the chain of layouts above it
+   *
+   * @param {string} location - Path, optionally with query string and hash
+   * @returns {Object|null} `{ route, matched, params, query, hash, pathname }`
+   */
+  function match(location) {
+    const { pathname, query, hash } = parseLocation(location);
+
+    let best = null;
+    for (const route of state.records) {
+      const params = execPattern(route.pattern, pathname);
+      if (!params) continue;
+
+      // Most specific pattern first, then the deepest route, then the first registered
+      if (!best ||
+          route.pattern.score > best.route.pattern.score ||
+          (route.pattern.score === best.route.pattern.score && route.depth > best.route.depth)) {
+        best = { route, params };
+      }
+    }
+    if (!best) return null;
+
+    const matched = [];
+    for (let route = best.route; route; route = route.parent) {
+      matched.unshift(route);
+    }
+
+    return { route: best.route, matched, params: best.params, query, hash, pathname };
+  }
+
+  /**
+   * Find a route by its registered path, or by a location it matches
+   */
+  function findRoute(path) {
+    const route = state.records.find(record => record.path === path);
+    if (route) return route;
+
+    const result = match(path);
+    return result ? result.route : undefined;
+  }
+
   /**
    * Load a route component
    */
   async function loadRoute(path) {
-    const route = state.routes.get(path);
+    const route = typeof path === 'string' ? findRoute(path) : path;
     if (!route) {
       throw new Error(`Route not found: ${path}`);
     }
@@ -134,18 +306,21 @@ export function createRouter(options = {}) {
     try {
       const startTime = performance.now();
 
-      // Load the component
-      const component = await route.component();
+      // Load the component; a module namespace holds it as its default export
+      let component = await route.source();
+      if (component && typeof component === 'object' && 'default' in component) {
+        component = component.default;
+      }
       route.component = component;
       route.loaded = true;
       route.chunk = opts.codeSplitting.chunkNaming
-        .replace('[name]', path.replace(/\//g, '-'))
-        .replace('[hash]', generateHash(path));
+        .replace('[name]', route.path.replace(/\//g, '-'))
+        .replace('[hash]', generateHash(route.path));
 
       const loadTime = performance.now() - startTime;
 
-      state.loadedChunks.set(path, {
-        path,
+      state.loadedChunks.set(route.path, {
+        path: route.path,
         loadTime,
         timestamp: Date.now()
       });
@@ -153,14 +328,32 @@ export function createRouter(options = {}) {
       stats.chunksLoaded++;
 
       if (opts.codeSplitting.onLoad) {
-        opts.codeSplitting.onLoad(path, component, loadTime);
+        opts.codeSplitting.onLoad(route.path, component, loadTime);
       }
 
       return component;
     } catch (error) {
       route.loaded = false;
-      throw new Error(`Failed to load route ${path}: ${error.message}`);
+      throw new Error(`Failed to load route ${route.path}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Render the matched routes, innermost first, each inside its parent
+   */
+  function renderMatched(matched, params, query, data) {
+    let children = null;
+
+    for (let index = matched.length - 1; index >= 0; index--) {
+      const { component } = matched[index];
+      if (typeof component === 'function') {
+        children = component({ params, query, data: data[index], children });
+      } else if (component !== undefined && component !== null) {
+        children = component;
+      }
     }
+
+    return children;
   }
 
   /**
@@ -169,19 +362,37 @@ export function createRouter(options = {}) {
   async function prefetchRoute(path, priority = opts.prefetch.priority.normal) {
     if (!opts.prefetch.enabled) return;
 
-    const route = state.routes.get(path);
-    if (!route || route.loaded || state.prefetching.has(path)) {
+    warmServiceWorker(path);
+
+    const route = findRoute(path);
+    if (!route || route.loaded || state.prefetching.has(route.path)) {
       return;
     }
 
     // Add to queue with priority
-    state.prefetchQueue.push({ path, priority });
+    state.prefetchQueue.push({ path: route.path, priority });
     state.prefetchQueue.sort((a, b) => b.priority - a.priority);
 
     // Process queue
     processPrefetchQueue();
   }
 
+  /**
+   * Ask the service worker that controls the page to cache the page at
+   * `path`, so it can be shown offline
+   */
+  function warmServiceWorker(path) {
+    if (!opts.prefetch.serviceWorker || typeof navigator === 'undefined' || !navigator.serviceWorker) {
+      return;
+    }
+    const worker = navigator.serviceWorker.controller;
+    // Route patterns such as `/users/:id` name no page
+    if (!worker || state.warmed.has(path) || /\/(?::|\*)/.test(path)) return;
+
+    state.warmed.add(path);
+    worker.postMessage({ type: PREFETCH_MESSAGE, urls: [path] });
+  }
+
   /**
    * Process prefetch queue
    */
@@ -246,22 +457,101 @@ export function createRouter(options = {}) {
     }
   }
 
+  /**
+   * Transition config of a navigation to `to`: the default, overridden by
+   * `transitions.routes` and the route's own `transition`, then by their
+   * `back` or `forward` entry
+   */
+  function resolveTransition(to, direction) {
+    const record = findRoute(to);
+    const key = record ? record.path : parseLocation(to).pathname;
+    const transition = {
+      ...opts.transitions.default,
+      ...(opts.transitions.routes[key] || {}),
+      ...(record?.transition || {})
+    };
+    return { ...transition, ...(transition[direction] || {}) };
+  }
+
+  /**
+   * Whether a navigation runs in a view transition: only when the browser
+   * has them and the router itself changes the page
+   */
+  function usesViewTransition(server) {
+    return opts.transitions.enabled && opts.transitions.viewTransitions &&
+      typeof document !== 'undefined' && typeof document.startViewTransition === 'function' &&
+      (server || typeof opts.render === 'function');
+  }
+
+  /**
+   * Change the page with `update` inside a view transition
+   *
+   * The root element carries `data-router-direction` and, when the
+   * transition has a `name`, `data-router-transition` until the animation
+   * ends; both are also added to the transition's types where supported.
+   * Resolves once the page has changed.
+   */
+  async function runViewTransition(update, from, to, direction) {
+    const transition = resolveTransition(to, direction);
+    const root = document.documentElement;
+    const transitionState = { from, to, direction, phase: 'start' };
+    state.transitionState = transitionState;
+
+    root.setAttribute('data-router-direction', direction);
+    if (transition.name) {
+      root.setAttribute('data-router-transition', transition.name);
+    }
+    if (opts.transitions.onStart) {
+      opts.transitions.onStart(from, to, direction);
+    }
+
+    const viewTransition = document.startViewTransition(async () => {
+      transitionState.phase = 'update';
+      await update();
+    });
+    if (viewTransition.types) {
+      viewTransition.types.add(direction);
+      if (transition.name) viewTransition.types.add(transition.name);
+    }
+
+    // Failures of `update` surface through updateCallbackDone
+    viewTransition.ready.catch(() => {});
+    viewTransition.finished.catch(() => {}).then(() => {
+      // A newer transition owns the root attributes now
+      if (state.transitionState !== transitionState) return;
+      root.removeAttribute('data-router-direction');
+      root.removeAttribute('data-router-transition');
+      transitionState.phase = 'complete';
+      stats.transitionsCompleted++;
+      if (opts.transitions.onComplete) {
+        opts.transitions.onComplete(from, to, direction);
+      }
+      state.transitionState = null;
+    });
+
+    await viewTransition.updateCallbackDone;
+  }
+
   /**
    * Execute page transition
+   *
+   * Animates `[data-router-view]` with the `leave` and `enter` animations,
+   * for browsers without view transitions.
    */
-  async function executeTransition(from, to) {
+  async function executeTransition(from, to, direction = 'forward') {
     if (!opts.transitions.enabled) return;
 
-    const transition = state.routes.get(to)?.transition || opts.transitions.default;
+    const transition = resolveTransition(to, direction);
 
     state.transitionState = {
       from,
       to,
+      direction,
       phase: 'start'
     };
 
     if (opts.transitions.onStart) {
-      opts.transitions.onStart(from, to);
+      opts.transitions.onStart(from, to, direction);
     }
 
     // Leave transition
@@ -276,7 +566,7 @@ export function createRouter(options = {}) {
     stats.transitionsCompleted++;
 
     if (opts.transitions.onComplete) {
-      opts.transitions.onComplete(from, to);
+      opts.transitions.onComplete(from, to, direction);
     }
 
     state.transitionState = null;
@@ -322,7 +612,7 @@ export function createRouter(options = {}) {
       // Restore saved position
       position = savedPosition;
       stats.scrollRestores++;
-    } else if (to.hash) {
+    } else if (to.hash && typeof document !== 'undefined') {
       // Scroll to hash
       const element = document.querySelector(to.hash);
       if (element) {
@@ -376,14 +666,114 @@ export function createRouter(options = {}) {
     });
   }
 
+  /**
+   * Fetch the page the server renders for `path`
+   *
+   * @returns {Promise<Object|null>} The fetched page, or null once aborted
+   */
+  async function fetchServerPage(path, signal) {
+    const config = opts.serverNavigation;
+    // Only ask for a partial when this page has the region to put it in
+    const target = config.target && document.getElementById(config.target) ? config.target : null;
+    const { hash } = parseLocation(path);
+
+    const response = await fetchPage(path.split('#')[0], {
+      target,
+      headers: config.headers,
+      fetch: config.fetch,
+      signal
+    });
+    return signal.aborted ? null : { response, target, hash };
+  }
+
+  /**
+   * Swap a page from fetchServerPage() into the current one
+   *
+   * @returns {Promise<Object>} The new route
+   */
+  async function swapServerPage({ response, target, hash }) {
+    const config = opts.serverNavigation;
+
+    // Redirects change the location of the page
+    const url = new URL(response.url, window.location.href);
+    const location = `${url.pathname}${url.search}${hash}`;
+    const page = parsePage(response.html);
+
+    if (state.islands) {
+      state.islands.unmount();
+      state.islands = null;
+    }
+    // A partial has no head of its own
+    if (!page.partial) {
+      updateHead(page.document.head);
+    }
+    const region = swapRegion(page, target);
+
+    const route = {
+      path: location,
+      component: null,
+      meta: {},
+      params: {},
+      query: parseLocation(location).query,
+      hash,
+      status: response.status,
+      server: true,
+      matched: []
+    };
+
+    if (config.islands) {
+      state.islands = hydrateIslands(config.islands, { root: region });
+    }
+    if (config.hydrate) {
+      await config.hydrate(region, route);
+    }
+    return route;
+  }
+
+  /**
+   * Keep the browser location in sync during server navigation
+   */
+  function updateLocation(path, mode) {
+    if (!opts.serverNavigation.enabled || mode === 'none' || typeof window === 'undefined') return;
+
+    if (mode === 'replace') {
+      window.history.replaceState({ coherent: true, position: state.position }, '', path);
+    } else {
+      state.position++;
+      window.history.pushState({ coherent: true, position: state.position }, '', path);
+    }
+  }
+
   /**
    * Navigate to a route
+   *
+   * Loads the components of the matched routes and runs their loaders in
+   * parallel. A newer navigation aborts the loaders of this one, which then
+   * resolves to false without changing the current route.
+   *
+   * With server navigation, paths without a client route are fetched from
+   * the server and swapped into the page instead.
+   *
+   * With transitions enabled, the page changes inside a view transition
+   * where the browser has them and the router changes the page itself;
+   * otherwise `[data-router-view]` is animated with CSS animations.
    */
-  async function push(path, options = {}) {
+  async function push(path, options = {}, historyMode = 'push', direction = 'forward') {
     stats.navigations++;
 
     const from = state.currentRoute;
-    const to = { path, ...options };
+    const result = match(path);
+    const to = { path, hash: result ? result.hash : parseLocation(path).hash || undefined, ...options };
+    const server = !result && opts.serverNavigation.enabled;
+    const viewTransition = usesViewTransition(server);
+
+    // Only the latest navigation may finish
+    if (state.navigation) {
+      state.navigation.abort();
+    }
+    const controller = new AbortController();
+    state.navigation = controller;
+    const { signal } = controller;
 
     // Save scroll position
     if (from) {
@@ -391,36 +781,103 @@ export function createRouter(options = {}) {
     }
 
     try {
+      if (!result && !server) {
+        throw new Error(`Route not found: ${path}`);
+      }
+
       // Execute transition (leave phase)
-      if (opts.transitions.enabled) {
-        await executeTransition(from?.path, path);
+      if (opts.transitions.enabled && !viewTransition) {
+        await executeTransition(from ? from.path : null, path, direction);
       }
 
-      // Load route component
-      const component = await loadRoute(path);
+      let update;
+      if (server) {
+        const page = await fetchServerPage(path, signal);
+        if (!page) {
+          return false;
+        }
+        update = async () => {
+          state.currentRoute = { ...await swapServerPage(page), ...options };
+        };
+      } else {
+        const { route, matched, params, query } = result;
+
+        // Load route components and data
+        const [components, data] = await Promise.all([
+          Promise.all(matched.map(record => loadRoute(record))),
+          Promise.all(matched.map(record => (
+            typeof record.loader === 'function' ? record.loader({ params, query, signal }) : undefined
+          )))
+        ]);
+
+        if (signal.aborted) {
+          return false;
+        }
+
+        // Update current route
+        const next = {
+          path,
+          component: components[components.length - 1],
+          meta: route.meta,
+          params,
+          query,
+          hash: result.hash,
+          data: data[data.length - 1],
+          matched: matched.map((record, index) => ({
+            path: record.path,
+            meta: record.meta,
+            data: data[index]
+          })),
+          view: renderMatched(matched, params, query, data),
+          ...options
+        };
+        update = async () => {
+          state.currentRoute = next;
+          if (typeof opts.render === 'function') {
+            await opts.render(next, from);
+          }
+        };
+      }
+
+      if (viewTransition) {
+        await runViewTransition(update, from ? from.path : null, path, direction);
+      } else {
+        await update();
+      }
 
-      // Update current route
-      state.currentRoute = {
-        path,
-        component,
-        meta: state.routes.get(path)?.meta || {},
-        ...options
-      };
+      updateLocation(state.currentRoute.path, historyMode);
 
       // Add to history
       state.history.push({
-        path,
+        path: state.currentRoute.path,
         timestamp: Date.now()
       });
 
       // Handle scroll
-      const savedPosition = state.savedPositions.get(path);
+      const savedPosition = state.savedPositions.get(state.currentRoute.path);
       handleScroll(to, from, savedPosition);
 
       return true;
     } catch (error) {
+      // A newer navigation took over; its loaders may have thrown an AbortError
+      if (signal.aborted) {
+        return false;
+      }
+      if (server) {
+        if (opts.serverNavigation.onError) {
+          opts.serverNavigation.onError(error, path);
+        } else {
+          // Let the browser load the page itself
+          window.location.assign(path);
+        }
+        return false;
+      }
       console.error('Navigation failed:', error);
       return false;
+    } finally {
+      if (state.navigation === controller) {
+        state.navigation = null;
+      }
     }
   }
 
@@ -428,7 +885,7 @@ export function createRouter(options = {}) {
    * Replace current route
    */
   async function replace(path, options = {}) {
-    const result = await push(path, options);
+    const result = await push(path, options, 'replace');
 
     if (result && state.history.length > 1) {
       // Remove the previous history entry
@@ -442,9 +899,12 @@ export function createRouter(options = {}) {
    * Go back in history
    */
   function back() {
-    if (state.history.length > 1) {
+    if (opts.serverNavigation.enabled && typeof window !== 'undefined') {
+      // popstate navigates to the previous page
+      window.history.back();
+    } else if (state.history.length > 1) {
       const previous = state.history[state.history.length - 2];
-      push(previous.path);
+      push(previous.path, {}, 'push', 'back');
     }
   }
 
@@ -465,10 +925,10 @@ export function createRouter(options = {}) {
   }
 
   /**
-   * Get route by path
+   * Get route by registered path, or by a location it matches
    */
   function getRoute(path) {
-    return state.routes.get(path);
+    return state.routes.get(path) || findRoute(path);
   }
 
   /**
@@ -506,10 +966,11 @@ export function createRouter(options = {}) {
   function clearCaches() {
     state.prefetchQueue = [];
     state.prefetching.clear();
+    state.warmed.clear();
     state.savedPositions.clear();
 
     // Unload lazy-loaded chunks
-    state.routes.forEach(route => {
+    state.records.forEach(route => {
       if (route.lazy && route.loaded) {
         route.loaded = false;
       }
@@ -518,6 +979,58 @@ export function createRouter(options = {}) {
     state.loadedChunks.clear();
   }
 
+  /**
+   * Navigate on same-origin link clicks the browser would otherwise follow
+   */
+  function handleLinkClick(event) {
+    if (event.defaultPrevented || event.button !== 0 ||
+        event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) {
+      return;
+    }
+
+    const link = event.target && event.target.closest ? event.target.closest('a[href]') : null;
+    if (!link || link.hasAttribute('download') || link.hasAttribute('data-router-reload') ||
+        (link.getAttribute('target') || '_self') !== '_self') {
+      return;
+    }
+
+    const url = new URL(link.getAttribute('href'), window.location.href);
+    const current = window.location;
+    if (url.origin !== current.origin) {
+      return;
+    }
+    // Anchors within the page are left to the browser
+    if (url.hash && url.pathname === current.pathname && url.search === current.search) {
+      return;
+    }
+
+    event.preventDefault();
+    push(`${url.pathname}${url.search}${url.hash}`);
+  }
+
+  /**
+   * Navigate to the page of a history entry
+   */
+  function handlePopState(event) {
+    const { pathname, search, hash } = window.location;
+    // Entries record their position, so going to a lower one is going back
+    const position = event && event.state && typeof event.state.position === 'number' ? event.state.position : null;
+    const direction = position !== null && position < state.position ? 'back' : 'forward';
+    state.position = position ?? state.position + 1;
+    push(`${pathname}${search}${hash}`, {}, 'none', direction);
+  }
+
+  /**
+   * Stop listening to link clicks and history changes
+   */
+  function destroy() {
+    state.listeners.forEach(([target, type, listener]) => target.removeEventListener(type, listener));
+    state.listeners = [];
+    if (state.navigation) {
+      state.navigation.abort();
+    }
+  }
+
   /**
    * Generate hash for chunk naming
    */
@@ -536,17 +1049,34 @@ export function createRouter(options = {}) {
     // Prefetch all routes on idle
     if (typeof window !== 'undefined' && 'requestIdleCallback' in window) {
       requestIdleCallback(() => {
-        state.routes.forEach((route, path) => {
+        state.records.forEach((route) => {
           if (!route.loaded) {
-            prefetchRoute(path, opts.prefetch.priority.low);
+            prefetchRoute(route.path, opts.prefetch.priority.low);
           }
         });
       });
     }
   }
 
+  if (opts.serverNavigation.enabled && typeof window !== 'undefined' && typeof document !== 'undefined') {
+    if (opts.serverNavigation.links) {
+      state.listeners.push([document, 'click', handleLinkClick]);
+    }
+    state.listeners.push([window, 'popstate', handlePopState]);
+    state.listeners.forEach(([target, type, listener]) => target.addEventListener(type, listener));
+
+    // Number the entry of the first page, or continue from it after a reload
+    const entry = window.history.state;
+    if (entry && typeof entry.position === 'number') {
+      state.position = entry.position;
+    } else {
+      window.history.replaceState({ ...entry, coherent: true, position: 0 }, '');
+    }
+  }
+
   return {
     addRoute,
+    match,
     push,
     replace,
     back,
@@ -559,6 +1089,7 @@ export function createRouter(options = {}) {
     getCurrentRoute,
     getStats,
     clearCaches,
+    destroy,
     // Expose state for testing
     _state: state
   };
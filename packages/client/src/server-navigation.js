@@ -0,0 +1,203 @@
+/**
+ * Server navigation for the Coherent.js router
+ *
+ * Instead of rendering routes in the browser, the router fetches the page
+ * the server renders for the new URL and swaps the region that changes
+ * between pages into the current document. The rest of the page, with its
+ * form input and scroll positions, stays in place.
+ *
+ * Requests carry an `X-Coherent-Navigation` header, and `X-Coherent-Target`
+ * with the id of that region, so the server may answer with just the
+ * region's content instead of the full page.
+ *
+ * @module @coherent.js/client/server-navigation
+ */
+
+import { StateCapturer } from './hmr/state-capturer.js';
+
+export const NAVIGATION_HEADER = 'X-Coherent-Navigation';
+export const TARGET_HEADER = 'X-Coherent-Target';
+
+/** Meta attributes that identify a tag, as in useHead() */
+const META_IDENTITY = ['name', 'property', 'http-equiv', 'itemprop'];
+
+/**
+ * Fetch the server-rendered HTML of a page
+ *
+ * @param {string} url - Page to fetch
+ * @param {Object} [options]
+ * @param {string|null} [options.target] - Id of the region the page is fetched for
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {AbortSignal} [options.signal] - Aborts the request
+ * @param {Function} [options.fetch] - Fetch implementation, defaults to the global one
+ * @returns {Promise<{ url: string, status: number, html: string }>}
+ */
+export async function fetchPage(url, options = {}) {
+  const request = options.fetch || fetch;
+  const headers = { Accept: 'text/html', [NAVIGATION_HEADER]: '1', ...options.headers };
+  if (options.target) {
+    headers[TARGET_HEADER] = options.target;
+  }
+
+  const response = await request(url, { headers, signal: options.signal, credentials: 'same-origin' });
+  const type = response.headers.get('content-type') || '';
+  if (!type.includes('text/html')) {
+    throw new Error(`Expected HTML from ${url}, received: ${type || 'no content type'}`);
+  }
+
+  return { url: response.url || url, status: response.status, html: await response.text() };
+}
+
+/**
+ * Parse fetched HTML. A response without `<html>` or `<body>` is a partial,
+ * the content of the target region alone.
+ *
+ * @param {string} html - Fetched HTML
+ * @returns {{ document: Document, partial: boolean }}
+ */
+export function parsePage(html) {
+  return {
+    document: new DOMParser().parseFromString(html, 'text/html'),
+    partial: !/<(?:html|body)[\s>]/i.test(html)
+  };
+}
+
+/**
+ * Copy a script so that the browser runs it once inserted; scripts parsed by
+ * DOMParser never run
+ * @private
+ */
+function activateScript(script) {
+  const copy = document.createElement('script');
+  for (const { name, value } of Array.from(script.attributes)) {
+    copy.setAttribute(name, value);
+  }
+  copy.textContent = script.textContent;
+  return copy;
+}
+
+/**
+ * Key shared by head tags where the one of the next page replaces the one of
+ * the current page, or null for tags that are only added
+ * @private
+ */
+function headKey(element) {
+  const tagName = element.tagName.toLowerCase();
+  if (tagName === 'title' || tagName === 'base') {
+    return tagName;
+  }
+  if (tagName === 'meta') {
+    if (element.getAttribute('charset') !== null) return 'meta:charset';
+    for (const attribute of META_IDENTITY) {
+      const value = element.getAttribute(attribute);
+      if (value !== null) return `meta:${attribute}:${value}`;
+    }
+  }
+  if (tagName === 'link' && element.getAttribute('rel') === 'canonical') {
+    return 'link:canonical';
+  }
+  return null;
+}
+
+/**
+ * Bring the head of the current document in line with the next page
+ *
+ * The title, meta tags and canonical link of the next page replace those of
+ * the current page, which are removed when the next page has none. Other
+ * tags, such as stylesheets and scripts, are added when the current head does
+ * not have them yet and are never removed, so styles do not flash.
+ *
+ * @param {Element} nextHead - `<head>` of the fetched page
+ */
+export function updateHead(nextHead) {
+  const head = document.head;
+  const current = new Map();
+  for (const element of Array.from(head.children)) {
+    const key = headKey(element);
+    if (key) current.set(key, element);
+  }
+
+  const kept = new Set();
+  for (const element of Array.from(nextHead.children)) {
+    const node = element.tagName.toLowerCase() === 'script' ? activateScript(element) : element;
+    const key = headKey(element);
+
+    if (key) {
+      kept.add(key);
+      const existing = current.get(key);
+      if (!existing) {
+        head.appendChild(node);
+      } else if (!existing.isEqualNode(element)) {
+        existing.replaceWith(node);
+      }
+    } else if (!Array.from(head.children).some(child => child.isEqualNode(element))) {
+      head.appendChild(node);
+    }
+  }
+
+  for (const [key, element] of current) {
+    if (!kept.has(key)) element.remove();
+  }
+}
+
+/**
+ * Capture the form input and scroll positions outside `region`, which the
+ * swap leaves alone
+ * @private
+ */
+function captureUntouchedState(region) {
+  const capturer = new StateCapturer();
+  capturer.captureFormState();
+  capturer.captureScrollPositions();
+
+  for (const key of Array.from(capturer.capturedInputs.keys())) {
+    if (capturer.findInputsByKey(key).some(input => region.contains(input))) {
+      capturer.capturedInputs.delete(key);
+    }
+  }
+  // The window scroll position is the router's scroll behavior to handle
+  for (const key of Array.from(capturer.scrollPositions.keys())) {
+    const element = capturer.findElementByKey(key);
+    if (key === 'window' || (element && region.contains(element))) {
+      capturer.scrollPositions.delete(key);
+    }
+  }
+  return capturer;
+}
+
+/**
+ * Swap the region of the current document that changes for the content of
+ * the fetched page
+ *
+ * The region is the element with the `target` id, when both documents have
+ * one, or the content of a partial response. Otherwise the whole `<body>` is
+ * swapped. Scripts of the new content run, and the form input and scroll
+ * positions of the rest of the page are restored after the swap.
+ *
+ * @param {{ document: Document, partial: boolean }} page - parsePage() result
+ * @param {string|null} target - Id of the region that changes
+ * @returns {Element} The element whose content was replaced
+ */
+export function swapRegion(page, target) {
+  const current = target ? document.getElementById(target) : null;
+  let region = document.body;
+  let source = page.document.body;
+
+  if (current && page.partial) {
+    region = current;
+  } else if (current && page.document.getElementById(target)) {
+    region = current;
+    source = page.document.getElementById(target);
+  }
+
+  const capturer = captureUntouchedState(region);
+
+  region.replaceChildren(...Array.from(source.childNodes));
+  for (const script of Array.from(region.querySelectorAll('script'))) {
+    script.replaceWith(activateScript(script));
+  }
+
+  capturer.restoreFormState();
+  capturer.restoreScrollPositions();
+  return region;
+}
@@ -0,0 +1,396 @@
+/**
+ * Service worker for offline-capable Coherent.js apps
+ *
+ * generateServiceWorker() turns the router's route table and the build's
+ * asset manifest into the source of a service worker that:
+ * - precaches the app shell, the built assets and an offline page
+ * - answers each route with its cache strategy: network-first for pages,
+ *   unless the route sets `cache`, and stale-while-revalidate for API GETs
+ * - serves the offline page to navigations that fail with nothing cached
+ * - never caches responses marked `Cache-Control: no-store` or `private`
+ * - waits with a new version until the page accepts the update
+ *
+ * registerServiceWorker() registers it in the browser and reports a waiting
+ * new version through `onUpdate`. Pages the router prefetches are cached by
+ * the service worker as well.
+ *
+ * @module @coherent.js/client/service-worker
+ */
+
+import { compilePattern } from './route-patterns.js';
+import { NAVIGATION_HEADER, TARGET_HEADER } from './server-navigation.js';
+
+/** Cache strategies a route or the API may use */
+export const CACHE_STRATEGIES = ['network-first', 'stale-while-revalidate', 'cache-first', 'network-only'];
+
+/** Message asking the service worker to cache pages, with their `urls` */
+export const PREFETCH_MESSAGE = 'coherent:prefetch';
+
+/** Message telling a waiting service worker to take over */
+export const SKIP_WAITING_MESSAGE = 'coherent:skip-waiting';
+
+/**
+ * Check a cache strategy
+ * @private
+ */
+function assertStrategy(strategy, owner) {
+  if (!CACHE_STRATEGIES.includes(strategy)) {
+    throw new TypeError(
+      `Unknown cache strategy "${strategy}" for ${owner}; expected one of: ${CACHE_STRATEGIES.join(', ')}`
+    );
+  }
+  return strategy;
+}
+
+/**
+ * Prefix a built file with the public base path
+ * @private
+ */
+function withBase(file, base) {
+  if (/^([a-z][a-z\d+.-]*:)?\/\//i.test(file) || file.startsWith('/')) {
+    return file;
+  }
+  return `${base.replace(/\/?$/, '/')}${file.replace(/^\.\//, '')}`;
+}
+
+/**
+ * List the URLs of the files in a build's asset manifest
+ *
+ * Takes a Vite manifest (`{ 'src/main.js': { file, css, assets } }`), a
+ * manifest mapping names to files (`{ 'main.js': '/assets/main.4f2a.js' }`),
+ * or an array of URLs.
+ *
+ * @param {Object|string[]} manifest - Asset manifest
+ * @param {string} [base='/'] - Public path the files are served from
+ * @returns {string[]} URLs, without duplicates
+ */
+export function assetsFromManifest(manifest, base = '/') {
+  const files = [];
+  const entries = Array.isArray(manifest) ? manifest : Object.values(manifest || {});
+
+  for (const entry of entries) {
+    if (typeof entry === 'string') {
+      files.push(entry);
+    } else if (entry && typeof entry.file === 'string') {
+      files.push(entry.file, ...(entry.css || []), ...(entry.assets || []));
+    }
+  }
+  return [...new Set(files.map((file) => withBase(file, base)))];
+}
+
+/**
+ * Flatten a route table into `{ path, cache }` entries
+ *
+ * The records of a router carry their nested routes, with full paths, in
+ * `children`.
+ * @private
+ */
+function collectRoutes(routes, entries = []) {
+  for (const route of routes) {
+    if (!route || typeof route.path !== 'string') continue;
+    entries.push({ path: route.path, cache: route.cache || null });
+    if (route.pattern && Array.isArray(route.children)) {
+      collectRoutes(route.children, entries);
+    }
+  }
+  return entries;
+}
+
+/**
+ * Short hash of a string, for the default cache version
+ * @private
+ */
+function hashString(input) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < input.length; i++) {
+    hash ^= input.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * The service worker itself
+ *
+ * Its source is written into the generated file, so it must not use
+ * anything from outside its own body.
+ * @private
+ */
+function serviceWorker(self, config) {
+  const precacheName = `${config.cacheName}-precache-${config.version}`;
+  const runtimeName = `${config.cacheName}-runtime-${config.version}`;
+  const routes = config.routes.map((route) => ({ regex: new RegExp(route.pattern), strategy: route.strategy }));
+  const precached = new Set(config.precache.map((url) => new URL(url, self.location.href).href));
+
+  function strategyFor(url, navigation) {
+    if (config.api && url.pathname.startsWith(config.api.prefix)) return config.api.strategy;
+    const route = routes.find((candidate) => candidate.regex.test(url.pathname));
+    if (route) return route.strategy;
+    if (navigation) return config.pages;
+    return precached.has(url.href) ? 'cache-first' : null;
+  }
+
+  // Server navigation may fetch a region of a page; keep it apart from the page
+  function cacheKey(request) {
+    const target = request.headers.get(config.targetHeader);
+    if (!target) return request;
+    const url = new URL(request.url);
+    url.searchParams.set('__coherent_target', target);
+    return url.href;
+  }
+
+  // Responses marked `no-store` or `private`, such as per-user API data,
+  // stay out of CacheStorage, where they would outlive a logout
+  function isCacheable(response) {
+    const cacheControl = response.headers.get('Cache-Control') || '';
+    return response.ok && !/(?:^|,)\s*(?:no-store|private)\s*(?:[,=]|$)/i.test(cacheControl);
+  }
+
+  async function store(key, response) {
+    if (response.ok) {
+      const cache = await self.caches.open(runtimeName);
+      if (isCacheable(response)) {
+        await cache.put(key, response.clone());
+      } else {
+        // What was cached before the response turned private goes as well
+        await cache.delete(key);
+      }
+    }
+    return response;
+  }
+
+  const strategies = {
+    'network-first': async (request, key) => {
+      try {
+        return await store(key, await self.fetch(request));
+      } catch (error) {
+        const cached = await self.caches.match(key);
+        if (cached) return cached;
+        throw error;
+      }
+    },
+    'stale-while-revalidate': async (request, key, event) => {
+      const cached = await self.caches.match(key);
+      const update = self.fetch(request).then((response) => store(key, response));
+      if (!cached) return update;
+      event.waitUntil(update.catch(() => undefined));
+      return cached;
+    },
+    'cache-first': async (request, key) => {
+      const cached = await self.caches.match(key);
+      return cached || store(key, await self.fetch(request));
+    },
+    'network-only': (request) => self.fetch(request)
+  };
+
+  async function respond(event, strategy) {
+    const { request } = event;
+    try {
+      return await strategies[strategy](request, cacheKey(request), event);
+    } catch (error) {
+      if (request.mode === 'navigate' && config.offline) {
+        const offline = await self.caches.match(config.offline.url);
+        if (offline) return offline;
+      }
+      throw error;
+    }
+  }
+
+  async function prefetch(urls) {
+    const cache = await self.caches.open(runtimeName);
+    await Promise.all(urls.map(async (path) => {
+      const url = new URL(path, self.location.href);
+      if (url.origin !== self.location.origin || strategyFor(url, true) === 'network-only') return;
+      try {
+        const response = await self.fetch(url.href);
+        if (isCacheable(response)) await cache.put(url.href, response);
+      } catch {
+        // Offline; the page is fetched when it is visited
+      }
+    }));
+  }
+
+  self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+      const cache = await self.caches.open(precacheName);
+      await cache.addAll(config.precache);
+      if (config.offline) {
+        const headers = { 'Content-Type': 'text/html; charset=utf-8' };
+        await cache.put(config.offline.url, new Response(config.offline.html, { headers }));
+      }
+    })());
+  });
+
+  self.addEventListener('activate', (event) => {
+    // Drop the caches of earlier versions
+    event.waitUntil((async () => {
+      const names = await self.caches.keys();
+      await Promise.all(names
+        .filter((name) => name.startsWith(`${config.cacheName}-`) && name !== precacheName && name !== runtimeName)
+        .map((name) => self.caches.delete(name)));
+      await self.clients.claim();
+    })());
+  });
+
+  self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    if (data.type === config.messages.skipWaiting) {
+      self.skipWaiting();
+    } else if (data.type === config.messages.prefetch && Array.isArray(data.urls)) {
+      event.waitUntil(prefetch(data.urls));
+    }
+  });
+
+  self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const navigation = request.mode === 'navigate' || request.headers.has(config.navigationHeader);
+    const strategy = strategyFor(url, navigation);
+    if (strategy) {
+      event.respondWith(respond(event, strategy));
+    }
+  });
+}
+
+/**
+ * Generate the source of a service worker for an app
+ *
+ * @param {Object} [options]
+ * @param {Object|Array} [options.routes] - A router, or its `getRoutes()`,
+ *   or `{ path, cache }` entries; `cache` is the route's cache strategy
+ * @param {Object|string[]} [options.assets] - Asset manifest of the build,
+ *   see assetsFromManifest(), or the URLs to precache
+ * @param {string} [options.base='/'] - Public path of the built assets
+ * @param {string[]} [options.shell=['/']] - Pages precached as the app shell
+ * @param {string|Object} [options.offline] - HTML of the offline page, or
+ *   `{ html, url }`; served under `url` (default `/offline.html`)
+ * @param {string} [options.pages='network-first'] - Strategy of pages whose
+ *   route sets none
+ * @param {Object|false} [options.api] - `{ prefix, strategy }` of API GETs,
+ *   `/api/` and stale-while-revalidate by default; false to leave them alone
+ * @param {string} [options.version] - Cache version; a hash of the
+ *   configuration by default, so each build with changes is a new version
+ * @param {string} [options.cacheName='coherent'] - Prefix of the cache names
+ * @returns {string} Service worker source
+ * @throws {TypeError} When a route or the API names an unknown strategy
+ *
+ * @example
+ * const source = generateServiceWorker({
+ *   routes: router,
+ *   assets: JSON.parse(readFileSync('dist/.vite/manifest.json', 'utf-8')),
+ *   offline: render(OfflinePage())
+ * });
+ * writeFileSync('dist/sw.js', source);
+ */
+export function generateServiceWorker(options = {}) {
+  const base = options.base || '/';
+  const pages = assertStrategy(options.pages || 'network-first', 'pages');
+
+  const table = options.routes && typeof options.routes.getRoutes === 'function'
+    ? options.routes.getRoutes()
+    : options.routes || [];
+  const routes = collectRoutes(Array.isArray(table) ? table : Object.values(table))
+    .map(({ path, cache }) => ({
+      path,
+      strategy: cache ? assertStrategy(cache, `route "${path}"`) : pages,
+      compiled: compilePattern(path)
+    }))
+    // Most specific pattern first, as the router matches
+    .sort((a, b) => b.compiled.score - a.compiled.score)
+    .map(({ compiled, strategy }) => ({ pattern: compiled.regex.source, strategy }));
+
+  const api = options.api === false ? null : {
+    prefix: '/api/',
+    strategy: 'stale-while-revalidate',
+    ...options.api
+  };
+  if (api) assertStrategy(api.strategy, 'the API');
+
+  const offline = typeof options.offline === 'string'
+    ? { html: options.offline, url: '/offline.html' }
+    : options.offline ? { url: '/offline.html', ...options.offline } : null;
+
+  const precache = [...new Set([
+    ...(options.shell || ['/']),
+    ...assetsFromManifest(options.assets || [], base)
+  ])];
+
+  const config = {
+    cacheName: options.cacheName || 'coherent',
+    precache,
+    offline,
+    routes,
+    pages,
+    api,
+    navigationHeader: NAVIGATION_HEADER,
+    targetHeader: TARGET_HEADER,
+    messages: { prefetch: PREFETCH_MESSAGE, skipWaiting: SKIP_WAITING_MESSAGE }
+  };
+  config.version = options.version || hashString(JSON.stringify(config));
+
+  return `/* Service worker generated by @coherent.js/client */\n(${serviceWorker})(self, ${JSON.stringify(config, null, 2)});\n`;
+}
+
+/**
+ * Register the service worker and report new versions
+ *
+ * A new version waits until the page calls `update.apply()`, which lets it
+ * take over and reloads the page; `onUpdate` is the place to ask the user.
+ *
+ * @param {string} [url='/sw.js'] - URL of the service worker
+ * @param {Object} [options]
+ * @param {string} [options.scope] - Registration scope
+ * @param {Function} [options.onUpdate] - Called with `{ worker, apply }` when
+ *   a new version is waiting
+ * @returns {Promise<ServiceWorkerRegistration|null>} The registration, or
+ *   null where service workers are not supported
+ *
+ * @example
+ * registerServiceWorker('/sw.js', {
+ *   onUpdate: (update) => showBanner({ text: 'A new version is available', onReload: update.apply })
+ * });
+ */
+export async function registerServiceWorker(url = '/sw.js', options = {}) {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    return null;
+  }
+
+  const container = navigator.serviceWorker;
+  const registration = await container.register(url, options.scope ? { scope: options.scope } : undefined);
+
+  const notify = (worker) => {
+    if (!options.onUpdate) return;
+    options.onUpdate({
+      worker,
+      apply() {
+        let reloading = false;
+        container.addEventListener('controllerchange', () => {
+          if (reloading) return;
+          reloading = true;
+          window.location.reload();
+        });
+        worker.postMessage({ type: SKIP_WAITING_MESSAGE });
+      }
+    });
+  };
+
+  // Without a controller this is the first install, not an update
+  if (registration.waiting && container.controller) {
+    notify(registration.waiting);
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && container.controller) {
+        notify(worker);
+      }
+    });
+  });
+
+  return registration;
+}
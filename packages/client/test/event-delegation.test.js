@@ -271,16 +271,20 @@ describe('EventDelegation', () => {
     expect(clickCall[2].capture).toBe(false);
   });
 
-  it('initialize() uses passive: false only for submit', () => {
+  it('initialize() uses passive listeners only for touch and wheel events', () => {
     delegation.initialize(mockRoot);
+    delegation.listen('wheel');
 
     const calls = mockRoot.addEventListener.mock.calls;
 
     const submitCall = calls.find((call) => call[0] === 'submit');
     const clickCall = calls.find((call) => call[0] === 'click');
+    const wheelCall = calls.find((call) => call[0] === 'wheel');
 
     expect(submitCall[2].passive).toBe(false);
-    expect(clickCall[2].passive).toBe(true);
+    // Handlers with the `prevent` modifier cancel clicks
+    expect(clickCall[2].passive).toBe(false);
+    expect(wheelCall[2].passive).toBe(true);
   });
 
   it('initialize() can only be called once (idempotent)', () => {
@@ -0,0 +1,298 @@
+/**
+ * Tests for event modifiers and non-bubbling event delegation
+ *
+ * Event props take modifiers on an object value or as dotted suffixes of the
+ * prop name; the delegation system applies them when it routes an event.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrate } from '../src/hydrate.js';
+import {
+  EventDelegation,
+  HandlerRegistry,
+  eventDelegation,
+  handlerRegistry,
+  parseEventProp,
+} from '../src/events/index.js';
+
+class MockNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  insertBefore(node, reference) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+}
+
+class MockText extends MockNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+}
+
+class MockElement extends MockNode {
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = {};
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  // Supports the `[data-coherent-<event>]` selectors delegation uses
+  closest(selector) {
+    const name = selector.slice(1, -1);
+    let node = this;
+    while (node) {
+      if (node.getAttribute && node.getAttribute(name) !== null) return node;
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((node) => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value !== '') this.appendChild(new MockText(value));
+  }
+}
+
+// Build mock DOM from a compact spec: ['ul', { class: 'x' }, ...children]
+function build(spec) {
+  if (typeof spec === 'string') return new MockText(spec);
+  const [tagName, attributes, ...children] = spec;
+  const element = new MockElement(tagName);
+  Object.assign(element.attributes, attributes);
+  children.forEach((child) => element.appendChild(build(child)));
+  return element;
+}
+
+function mockEvent(target, init = {}) {
+  return {
+    target,
+    preventDefault: vi.fn(),
+    stopPropagation: vi.fn(),
+    ...init,
+  };
+}
+
+// Route an event to the handlers hydrate() registered
+function fire(eventType, target, init) {
+  const event = mockEvent(target, init);
+  eventDelegation.handleEvent(event, eventType);
+  return event;
+}
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  global.document = {
+    createElement: vi.fn((tagName) => new MockElement(tagName)),
+    createTextNode: vi.fn((text) => new MockText(text)),
+    querySelectorAll: () => [],
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  vi.useRealTimers();
+  delete global.document;
+});
+
+describe('parseEventProp()', () => {
+  it('reads modifiers from an object value', () => {
+    const handler = () => {};
+
+    expect(parseEventProp('onClick', { handler, prevent: true, debounce: 200 })).toEqual({
+      eventType: 'click',
+      handler,
+      modifiers: { prevent: true, debounce: 200, prop: 'onClick' },
+    });
+  });
+
+  it('reads flags, system keys and key filters from dotted suffixes', () => {
+    const { eventType, modifiers } = parseEventProp('onKeydown.ctrl.s.prevent', () => {});
+
+    expect(eventType).toBe('keydown');
+    expect(modifiers).toEqual({ ctrl: true, keys: ['s'], prevent: true, prop: 'onKeydown.ctrl.s.prevent' });
+  });
+
+  it('has no modifiers for a plain handler and ignores other props', () => {
+    expect(parseEventProp('onClick', () => {}).modifiers).toBeNull();
+    expect(parseEventProp('onClick', 'go()')).toBeNull();
+    expect(parseEventProp('className', () => {})).toBeNull();
+  });
+});
+
+describe('modifiers', () => {
+  it('prevents the default action and stops propagation', () => {
+    const onClick = vi.fn();
+    const container = build(['button', {}, 'Go']);
+
+    hydrate(() => ({ button: { text: 'Go', onClick: { handler: onClick, prevent: true, stop: true } } }), container);
+    const event = fire('click', container);
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(event.stopPropagation).toHaveBeenCalled();
+  });
+
+  it('runs a once handler a single time', () => {
+    const onClick = vi.fn();
+    const container = build(['button', {}, 'Go']);
+
+    hydrate(() => ({ button: { text: 'Go', 'onClick.once': onClick } }), container);
+    fire('click', container);
+    fire('click', container);
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('debounces a handler', () => {
+    vi.useFakeTimers();
+    const onInput = vi.fn();
+    const container = build(['input', {}]);
+
+    hydrate(() => ({ input: { onInput: { handler: onInput, debounce: 200 } } }), container);
+    fire('input', container);
+    vi.advanceTimersByTime(150);
+    fire('input', container);
+    vi.advanceTimersByTime(150);
+    expect(onInput).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(50);
+    expect(onInput).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives a passive handler a preventDefault that does nothing', () => {
+    const container = build(['div', {}]);
+
+    hydrate(() => ({ div: { onTouchstart: { handler: (event) => event.preventDefault(), passive: true, prevent: true } } }), container);
+    const event = fire('touchstart', container);
+
+    expect(event.preventDefault).not.toHaveBeenCalled();
+  });
+
+  it('filters keyboard events by key and system keys', () => {
+    const onEnter = vi.fn();
+    const onSave = vi.fn();
+    const container = build(['input', {}]);
+
+    hydrate(() => ({ input: { 'onKeydown.enter': onEnter, 'onKeydown.ctrl.s.prevent': onSave } }), container);
+    fire('keydown', container, { key: 'a' });
+    fire('keydown', container, { key: 'Enter' });
+    const plainS = fire('keydown', container, { key: 's' });
+    const ctrlS = fire('keydown', container, { key: 's', ctrlKey: true });
+
+    expect(onEnter).toHaveBeenCalledTimes(1);
+    expect(onSave).toHaveBeenCalledTimes(1);
+    expect(plainS.preventDefault).not.toHaveBeenCalled();
+    expect(ctrlS.preventDefault).toHaveBeenCalled();
+  });
+
+  it('runs a self handler only for events on the element itself', () => {
+    const onClick = vi.fn();
+    const container = build(['div', {}, ['span', {}, 'inner']]);
+
+    hydrate(() => ({ div: { 'onClick.self': onClick, children: [{ span: { text: 'inner' } }] } }), container);
+    fire('click', container.childNodes[0]);
+    fire('click', container);
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it('behaves the same after a re-render, keeping once state', () => {
+    const onClick = vi.fn();
+    const onKey = vi.fn();
+    const container = build(['button', {}, 'Go']);
+    const view = () => ({ button: { text: 'Go', 'onClick.once': onClick, 'onKeydown.esc': onKey } });
+
+    const app = hydrate(view, container);
+    fire('click', container);
+    app.rerender();
+    fire('click', container);
+    fire('keydown', container, { key: 'Escape' });
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+    expect(onKey).toHaveBeenCalledTimes(1);
+    expect(container.getAttribute('data-coherent-keydown').split(' ')).toHaveLength(1);
+  });
+});
+
+describe('non-bubbling events', () => {
+  it('listens in the capture phase, on demand', () => {
+    const root = { addEventListener: vi.fn(), removeEventListener: vi.fn() };
+    const delegation = new EventDelegation(new HandlerRegistry());
+
+    delegation.initialize(root);
+    delegation.listen('mouseenter');
+    delegation.listen('mouseenter');
+
+    const calls = root.addEventListener.mock.calls.filter(([type]) => type === 'mouseenter');
+    expect(calls).toHaveLength(1);
+    expect(calls[0][2]).toEqual({ capture: true, passive: false });
+  });
+
+  it('runs a mouseenter or focus handler only for its own element', () => {
+    const onEnter = vi.fn();
+    const onFocus = vi.fn();
+    const container = build(['div', {}, ['input', {}]]);
+
+    hydrate(() => ({
+      div: { onMouseenter: onEnter, onFocus, children: [{ input: {} }] }
+    }), container);
+    const [input] = container.childNodes;
+    fire('mouseenter', input);
+    fire('focus', input);
+    expect(onEnter).not.toHaveBeenCalled();
+    expect(onFocus).not.toHaveBeenCalled();
+
+    fire('mouseenter', container);
+    fire('focus', container);
+    expect(onEnter).toHaveBeenCalledTimes(1);
+    expect(onFocus).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for hydrateIslands()
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrateIslands } from '../src/islands.js';
+import { handlerRegistry } from '../src/events/index.js';
+import { serializeState } from '../src/hydration/index.js';
+import { render, Island } from '../../core/src/index.js';
+
+function createIsland(name, attributes = {}) {
+  const attrs = {
+    'data-coherent-island': 'true',
+    'data-coherent-island-component': name,
+    ...attributes,
+  };
+  return {
+    nodeType: 1,
+    tagName: 'DIV',
+    childNodes: [],
+    parentElement: null,
+    getAttribute: vi.fn((attr) => (attr in attrs ? attrs[attr] : null)),
+    setAttribute: vi.fn((attr, value) => { attrs[attr] = value; }),
+    removeAttribute: vi.fn((attr) => { delete attrs[attr]; }),
+  };
+}
+
+function createRoot(islands) {
+  return { querySelectorAll: vi.fn(() => islands) };
+}
+
+const hydrateOptions = { detectMismatch: false };
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  global.document = { addEventListener: vi.fn(), removeEventListener: vi.fn() };
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  delete global.document;
+  delete global.window;
+  delete global.IntersectionObserver;
+});
+
+describe('hydrateIslands()', () => {
+  it('hydrates each island with the registered component and its data-state', () => {
+    const Counter = vi.fn(({ start }) => ({ div: { text: String(start) } }));
+    const island = createIsland('Counter', { 'data-state': serializeState({ start: 4 }) });
+
+    const { islands } = hydrateIslands({ Counter }, { root: createRoot([island]), hydrateOptions });
+
+    expect(Counter).toHaveBeenCalledWith({ start: 4 });
+    expect(islands.get(island).getState()).toEqual({ start: 4 });
+    expect(island.setAttribute).toHaveBeenCalledWith('data-coherent-hydrated', 'true');
+  });
+
+  it('hydrates with the Dates and Maps Island() rendered on the server', () => {
+    const Schedule = vi.fn(({ day, slots }) => ({ div: { text: `${day.toISOString()} ${slots.size}` } }));
+    const props = { day: new Date('2026-10-19T00:00:00Z'), slots: new Map([['9:00', 'Standup']]) };
+    const html = render(Island(Schedule)(props));
+    const state = html.match(/data-state="([^"]+)"/)[1].replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+    const island = createIsland('Schedule', { 'data-state': state });
+
+    hydrateIslands({ Schedule }, { root: createRoot([island]), hydrateOptions });
+
+    const [received] = Schedule.mock.calls[0];
+    expect(received.day).toBeInstanceOf(Date);
+    expect(received.day.getTime()).toBe(props.day.getTime());
+    expect(received.slots).toEqual(new Map([['9:00', 'Standup']]));
+  });
+
+  it('accepts a Map registry', () => {
+    const Widget = vi.fn(() => ({ div: {} }));
+    hydrateIslands(new Map([['Widget', Widget]]), { root: createRoot([createIsland('Widget')]), hydrateOptions });
+
+    expect(Widget).toHaveBeenCalled();
+  });
+
+  it('reports islands without a registered component and keeps going', () => {
+    const onError = vi.fn();
+    const Known = vi.fn(() => ({ div: {} }));
+    const missing = createIsland('Missing');
+
+    hydrateIslands({ Known }, { root: createRoot([missing, createIsland('Known')]), onError, hydrateOptions });
+
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), missing, 'Missing');
+    expect(onError.mock.calls[0][0].message).toContain('No component registered for island "Missing"');
+    expect(Known).toHaveBeenCalled();
+  });
+
+  it('skips islands nested in another island and already hydrated ones', () => {
+    const Outer = vi.fn(() => ({ div: {} }));
+    const Inner = vi.fn(() => ({ div: {} }));
+    const outer = createIsland('Outer');
+    const inner = createIsland('Inner');
+    inner.parentElement = { closest: () => outer };
+    const done = createIsland('Inner', { 'data-coherent-hydrated': 'true' });
+
+    hydrateIslands({ Outer, Inner }, { root: createRoot([outer, inner, done]), hydrateOptions });
+
+    expect(Outer).toHaveBeenCalledTimes(1);
+    expect(Inner).not.toHaveBeenCalled();
+  });
+
+  it('waits for the browser to be idle with the idle strategy', () => {
+    let idleCallback;
+    global.window = { requestIdleCallback: vi.fn((cb) => { idleCallback = cb; return 1; }), cancelIdleCallback: vi.fn() };
+    const Lazy = vi.fn(() => ({ div: {} }));
+
+    hydrateIslands({ Lazy }, {
+      root: createRoot([createIsland('Lazy', { 'data-coherent-island-strategy': 'idle' })]),
+      hydrateOptions,
+    });
+    expect(Lazy).not.toHaveBeenCalled();
+
+    idleCallback();
+    expect(Lazy).toHaveBeenCalled();
+  });
+
+  it('hydrates visible islands when they intersect', () => {
+    let observerCallback;
+    const observe = vi.fn();
+    const unobserve = vi.fn();
+    global.IntersectionObserver = vi.fn(function (callback, options) {
+      observerCallback = callback;
+      this.options = options;
+      this.observe = observe;
+      this.unobserve = unobserve;
+      this.disconnect = vi.fn();
+    });
+    const Chart = vi.fn(() => ({ div: {} }));
+    const island = createIsland('Chart');
+
+    hydrateIslands({ Chart }, { root: createRoot([island]), strategy: 'visible', rootMargin: '100px', hydrateOptions });
+
+    expect(observe).toHaveBeenCalledWith(island);
+    expect(global.IntersectionObserver.mock.calls[0][1]).toEqual({ rootMargin: '100px' });
+
+    observerCallback([{ target: island, isIntersecting: false }]);
+    expect(Chart).not.toHaveBeenCalled();
+
+    observerCallback([{ target: island, isIntersecting: true }]);
+    expect(unobserve).toHaveBeenCalledWith(island);
+    expect(Chart).toHaveBeenCalledTimes(1);
+  });
+
+  it('hydrates media islands once their query matches', () => {
+    const listeners = [];
+    const mediaQuery = {
+      matches: false,
+      addEventListener: vi.fn((type, listener) => listeners.push(listener)),
+      removeEventListener: vi.fn(),
+    };
+    global.window = { matchMedia: vi.fn(() => mediaQuery) };
+    const Menu = vi.fn(() => ({ nav: {} }));
+
+    hydrateIslands({ Menu }, {
+      root: createRoot([createIsland('Menu', {
+        'data-coherent-island-strategy': 'media',
+        'data-coherent-island-media': '(max-width: 600px)',
+      })]),
+      hydrateOptions,
+    });
+
+    expect(global.window.matchMedia).toHaveBeenCalledWith('(max-width: 600px)');
+    expect(Menu).not.toHaveBeenCalled();
+
+    listeners[0]({ matches: true });
+    expect(Menu).toHaveBeenCalled();
+  });
+
+  it('cancels pending islands and unmounts hydrated ones on unmount()', () => {
+    global.window = { requestIdleCallback: vi.fn(() => 7), cancelIdleCallback: vi.fn() };
+    const Now = vi.fn(() => ({ div: {} }));
+    const Later = vi.fn(() => ({ div: {} }));
+    const now = createIsland('Now');
+
+    const control = hydrateIslands({ Now, Later }, {
+      root: createRoot([now, createIsland('Later', { 'data-coherent-island-strategy': 'idle' })]),
+      hydrateOptions,
+    });
+    control.unmount();
+
+    expect(global.window.cancelIdleCallback).toHaveBeenCalledWith(7);
+    expect(now.removeAttribute).toHaveBeenCalledWith('data-coherent-hydrated');
+    expect(control.islands.size).toBe(0);
+  });
+
+  it('falls back to load for unknown strategies', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const Widget = vi.fn(() => ({ div: {} }));
+
+    hydrateIslands({ Widget }, {
+      root: createRoot([createIsland('Widget', { 'data-coherent-island-strategy': 'hover' })]),
+      hydrateOptions,
+    });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Unknown island strategy "hover"'));
+    expect(Widget).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+
+  it('throws without a registry', () => {
+    expect(() => hydrateIslands(null)).toThrow('hydrateIslands() requires a registry of components');
+  });
+});
@@ -0,0 +1,240 @@
+/**
+ * Keyed reconciliation tests for hydrate() re-renders
+ *
+ * Uses a small mock DOM that implements the tree operations the reconciler
+ * relies on (insertBefore, removeChild, nextSibling, ...).
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrate } from '../src/hydrate.js';
+import { handlerRegistry } from '../src/events/index.js';
+import { patchDOM } from '../src/hydration/reconciler.js';
+
+class MockNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  insertBefore(node, reference) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+}
+
+class MockText extends MockNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+}
+
+class MockElement extends MockNode {
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = {};
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((node) => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value !== '') this.appendChild(new MockText(value));
+  }
+}
+
+// Build mock DOM from a compact spec: ['ul', { class: 'x' }, ...children]
+function build(spec) {
+  if (typeof spec === 'string') return new MockText(spec);
+  const [tagName, attributes, ...children] = spec;
+  const element = new MockElement(tagName);
+  Object.assign(element.attributes, attributes);
+  children.forEach((child) => element.appendChild(build(child)));
+  return element;
+}
+
+const texts = (element) => element.childNodes.map((node) => node.textContent);
+
+// Identity, not structural equality: moved nodes must be the same objects
+const sameNodes = (actual, expected) =>
+  actual.length === expected.length && actual.every((node, i) => node === expected[i]);
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  global.document = {
+    createElement: vi.fn((tagName) => new MockElement(tagName)),
+    createTextNode: vi.fn((text) => new MockText(text)),
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  delete global.document;
+});
+
+const List = ({ items }) => ({
+  ul: {
+    children: items.map((item) => ({ li: { key: item, text: item } })),
+  },
+});
+
+describe('keyed reconciliation in hydrate() re-renders', () => {
+  it('inserts nodes when a list grows', () => {
+    const container = build(['ul', {}, ['li', {}, 'a'], ['li', {}, 'b']]);
+    const [a, b] = container.childNodes;
+    const app = hydrate(List, container, { initialState: { items: ['a', 'b'] }, detectMismatch: false });
+
+    app.setState({ items: ['a', 'x', 'b', 'c'] });
+
+    expect(texts(container)).toEqual(['a', 'x', 'b', 'c']);
+    expect(container.childNodes[0]).toBe(a);
+    expect(container.childNodes[2]).toBe(b);
+  });
+
+  it('removes nodes when a list shrinks', () => {
+    const container = build(['ul', {}, ['li', {}, 'a'], ['li', {}, 'b'], ['li', {}, 'c']]);
+    const c = container.childNodes[2];
+    const app = hydrate(List, container, { initialState: { items: ['a', 'b', 'c'] }, detectMismatch: false });
+
+    app.setState({ items: ['c'] });
+
+    expect(texts(container)).toEqual(['c']);
+    expect(container.childNodes[0]).toBe(c);
+  });
+
+  it('moves keyed nodes instead of rewriting them in place', () => {
+    const container = build(['ul', {}, ['li', {}, 'a'], ['li', {}, 'b'], ['li', {}, 'c']]);
+    const [a, b, c] = container.childNodes;
+    const app = hydrate(List, container, { initialState: { items: ['a', 'b', 'c'] }, detectMismatch: false });
+
+    app.setState({ items: ['c', 'a', 'b'] });
+
+    expect(sameNodes(container.childNodes, [c, a, b])).toBe(true);
+    expect(texts(container)).toEqual(['c', 'a', 'b']);
+  });
+
+  it('never renders key as an attribute', () => {
+    const container = build(['ul', {}]);
+    const app = hydrate(List, container, { initialState: { items: [] }, detectMismatch: false });
+
+    app.setState({ items: ['a'] });
+
+    expect(container.childNodes[0].attributes).toEqual({});
+  });
+
+  it('binds delegated handlers on inserted nodes and drops stale ones', () => {
+    const removed = vi.fn();
+    const Todos = ({ todos }) => ({
+      ul: {
+        children: todos.map((todo) => ({
+          li: { key: todo, children: [{ button: { onClick: () => removed(todo), text: todo } }] },
+        })),
+      },
+    });
+    const container = build(['ul', {}, ['li', {}, ['button', {}, 'one']]]);
+    const app = hydrate(Todos, container, { initialState: { todos: ['one'] }, detectMismatch: false });
+
+    app.setState({ todos: ['one', 'two'] });
+
+    const button = container.childNodes[1].childNodes[0];
+    const entry = handlerRegistry.get(button.getAttribute('data-coherent-click'));
+    entry.handler();
+    expect(removed).toHaveBeenCalledWith('two');
+    expect(handlerRegistry.size).toBe(2);
+  });
+
+  it('matches unkeyed siblings by position', () => {
+    const Page = ({ title }) => ({
+      div: { children: [{ h1: { text: title } }, { p: { text: 'body' } }] },
+    });
+    const container = build(['div', {}, ['h1', {}, 'Old'], ['p', {}, 'body']]);
+    const [h1, p] = container.childNodes;
+    const app = hydrate(Page, container, { initialState: { title: 'Old' }, detectMismatch: false });
+
+    app.setState({ title: 'New' });
+
+    expect(sameNodes(container.childNodes, [h1, p])).toBe(true);
+    expect(h1.textContent).toBe('New');
+  });
+});
+
+describe('patchDOM', () => {
+  it('flattens nested arrays and merges adjacent text', () => {
+    const container = build(['p', {}, 'Hi']);
+
+    patchDOM(container, { p: { text: 'Hi' } }, { p: { children: ['Hi, ', ['Ada', '!'], { b: { text: 'x' } }] } });
+
+    expect(texts(container)).toEqual(['Hi, Ada!', 'x']);
+  });
+
+  it('replaces a node whose tag changed', () => {
+    const container = build(['div', {}, ['span', {}, 'a']]);
+
+    patchDOM(container, { div: { children: [{ span: { text: 'a' } }] } }, { div: { children: [{ em: { text: 'a' } }] } });
+
+    expect(container.childNodes[0].tagName).toBe('EM');
+  });
+
+  it('removes attributes and handler markers that are gone', () => {
+    const container = build(['button', { class: 'primary', disabled: '', 'data-coherent-click': 'h1' }, 'Go']);
+
+    patchDOM(
+      container,
+      { button: { className: 'primary', disabled: true, onClick: () => {}, text: 'Go' } },
+      { button: { text: 'Go' } }
+    );
+
+    expect(container.attributes).toEqual({});
+  });
+
+  it('reconciles a root array against the container children', () => {
+    const container = build(['div', {}, ['li', {}, 'a'], ['li', {}, 'b']]);
+    const [a, b] = container.childNodes;
+
+    patchDOM(
+      container,
+      [{ li: { key: 1, text: 'a' } }, { li: { key: 2, text: 'b' } }],
+      [{ li: { key: 2, text: 'b' } }, { li: { key: 1, text: 'a' } }]
+    );
+
+    expect(sameNodes(container.childNodes, [b, a])).toBe(true);
+  });
+});
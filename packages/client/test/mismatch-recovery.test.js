@@ -0,0 +1,278 @@
+/**
+ * Tests for hydration mismatch recovery
+ *
+ * hydrate({ recovery }) leaves the server DOM ('warn'), renders the
+ * mismatched subtrees again ('patch') or the whole component ('remount'),
+ * and reports each recovery as a structured event.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrate } from '../src/hydrate.js';
+import { handlerRegistry } from '../src/events/index.js';
+import { recoverMismatches, MISMATCH_EVENT } from '../src/hydration/index.js';
+
+class MockNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get parentElement() {
+    return this.parentNode;
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  insertBefore(node, reference) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+
+  replaceChild(node, old) {
+    this.insertBefore(node, old);
+    return this.removeChild(old);
+  }
+}
+
+class MockText extends MockNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+}
+
+class MockElement extends MockNode {
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = {};
+    this.dispatchEvent = vi.fn();
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((node) => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value !== '') this.appendChild(new MockText(value));
+  }
+}
+
+// Build mock DOM from a compact spec: ['ul', { class: 'x' }, ...children]
+function build(spec) {
+  if (typeof spec === 'string') return new MockText(spec);
+  const [tagName, attributes, ...children] = spec;
+  const element = new MockElement(tagName);
+  Object.assign(element.attributes, attributes);
+  children.forEach((child) => element.appendChild(build(child)));
+  return element;
+}
+
+const Profile = ({ name = 'Ada', role = 'Admin', onSave = () => {} } = {}) => ({
+  section: {
+    className: 'profile',
+    children: [
+      { h2: { text: name } },
+      { p: { className: 'role', text: role } },
+      { button: { text: 'Save', onClick: onSave } }
+    ]
+  }
+});
+
+const serverProfile = (name, role) => build(
+  ['section', { class: 'profile' }, ['h2', {}, name], ['p', { class: 'role' }, role], ['button', {}, 'Save']]
+);
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  global.document = {
+    createElement: vi.fn((tagName) => new MockElement(tagName)),
+    createTextNode: vi.fn((text) => new MockText(text)),
+    querySelectorAll: () => [],
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  vi.unstubAllEnvs();
+  vi.restoreAllMocks();
+  delete global.document;
+});
+
+describe("recovery: 'patch'", () => {
+  it('renders only the mismatched subtree again', () => {
+    const container = serverProfile('Grace', 'Admin');
+    const [heading, role, button] = container.childNodes;
+    const [serverText] = heading.childNodes;
+    const onRecover = vi.fn();
+
+    hydrate(Profile, container, { recovery: 'patch', onRecover, onMismatch: () => {} });
+
+    expect(container.childNodes[0]).toBe(heading);
+    expect(heading.childNodes[0]).not.toBe(serverText);
+    expect(heading.textContent).toBe('Ada');
+    expect(container.childNodes[1]).toBe(role);
+    expect(container.childNodes[2]).toBe(button);
+    expect(onRecover).toHaveBeenCalledTimes(1);
+    expect(onRecover).toHaveBeenCalledWith({
+      component: 'Profile',
+      path: 'children[0]',
+      recovery: 'patch',
+      mismatches: [expect.objectContaining({ type: 'text', path: 'children[0].children[0]', expected: 'Ada', actual: 'Grace' })]
+    });
+  });
+
+  it('reports one event per subtree, with the mismatches inside it', () => {
+    const container = build(['section', { class: 'profile' },
+      ['h2', {}, 'Ada'],
+      ['div', { class: 'role' }, 'Admin'],
+      ['button', {}, 'Save']
+    ]);
+    const onRecover = vi.fn();
+    const View = () => ({
+      section: {
+        className: 'profile',
+        children: [
+          { h2: { text: 'Ada' } },
+          { p: { className: 'role', text: 'Admin' } },
+          { button: { className: 'primary', children: [{ span: { text: 'Save' } }] } }
+        ]
+      }
+    });
+
+    hydrate(View, container, { recovery: 'patch', onRecover, onMismatch: () => {} });
+
+    expect(container.childNodes.map((node) => node.tagName)).toEqual(['H2', 'P', 'BUTTON']);
+    expect(container.childNodes[2].attributes.class).toBe('primary');
+    expect(container.childNodes[2].childNodes[0].tagName).toBe('SPAN');
+    expect(onRecover.mock.calls.map(([event]) => event.path)).toEqual(['children[1]', 'children[2]']);
+    expect(onRecover.mock.calls[1][0].mismatches.map((mismatch) => mismatch.type)).toEqual(['attribute', 'tagName']);
+  });
+
+  it('binds event handlers on the nodes it rendered', () => {
+    const onSave = vi.fn();
+    const container = build(['section', { class: 'profile' }, ['h2', {}, 'Ada'], ['p', { class: 'role' }, 'Admin'], ['a', {}, 'Save']]);
+
+    hydrate(() => Profile({ onSave }), container, { recovery: 'patch', onMismatch: () => {} });
+
+    const button = container.childNodes[2];
+    expect(button.tagName).toBe('BUTTON');
+    handlerRegistry.get(button.getAttribute('data-coherent-click')).handler();
+    expect(onSave).toHaveBeenCalled();
+  });
+});
+
+describe("recovery: 'remount'", () => {
+  it('discards the server DOM of the component and keeps the container', () => {
+    const container = serverProfile('Grace', 'Admin');
+    const [, role] = container.childNodes;
+    const onRecover = vi.fn();
+
+    hydrate(Profile, container, { recovery: 'remount', onRecover, onMismatch: () => {} });
+
+    expect(container.textContent).toBe('AdaAdminSave');
+    expect(container.childNodes[1]).not.toBe(role);
+    expect(onRecover).toHaveBeenCalledWith(expect.objectContaining({
+      component: 'Profile',
+      path: 'root',
+      recovery: 'remount',
+      mismatches: [expect.objectContaining({ type: 'text' })]
+    }));
+  });
+
+  it('leaves a matching server DOM alone', () => {
+    const container = serverProfile('Ada', 'Admin');
+    const [heading] = container.childNodes;
+    const onRecover = vi.fn();
+
+    hydrate(Profile, container, { recovery: 'remount', onRecover });
+
+    expect(container.childNodes[0]).toBe(heading);
+    expect(onRecover).not.toHaveBeenCalled();
+  });
+});
+
+describe("recovery: 'warn'", () => {
+  it('keeps the server DOM, warns and still reports the event', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const container = serverProfile('Grace', 'Admin');
+    const [heading] = container.childNodes;
+    const onRecover = vi.fn();
+
+    hydrate(Profile, container, { onRecover });
+
+    expect(container.childNodes[0]).toBe(heading);
+    expect(container.textContent).toContain('Grace');
+    expect(warn).toHaveBeenCalled();
+    expect(onRecover).toHaveBeenCalledWith(expect.objectContaining({ path: 'root', recovery: 'warn' }));
+  });
+});
+
+describe('recovery events', () => {
+  it('dispatches a bubbling DOM event on the container', () => {
+    const container = serverProfile('Grace', 'Admin');
+
+    hydrate(Profile, container, { recovery: 'patch', onMismatch: () => {} });
+
+    const [event] = container.dispatchEvent.mock.calls[0];
+    expect(event.type).toBe(MISMATCH_EVENT);
+    expect(event.bubbles).toBe(true);
+    expect(event.detail).toMatchObject({ component: 'Profile', path: 'children[0]', recovery: 'patch' });
+  });
+
+  it('detects and recovers in production without logging', () => {
+    vi.stubEnv('NODE_ENV', 'production');
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const container = serverProfile('Grace', 'Admin');
+    const onRecover = vi.fn();
+
+    hydrate(Profile, container, { recovery: 'patch', onRecover });
+
+    expect(container.childNodes[0].textContent).toBe('Ada');
+    expect(onRecover).toHaveBeenCalled();
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unknown policy', () => {
+    expect(() => recoverMismatches(serverProfile('Ada', 'Admin'), Profile(), { recovery: 'ignore' }))
+      .toThrow('Unknown hydration recovery "ignore"');
+  });
+});
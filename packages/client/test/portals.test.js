@@ -0,0 +1,208 @@
+/**
+ * Tests for Fragment() and Portal() nodes in hydrate()
+ *
+ * Portal content is rendered by the server into a
+ * `[data-coherent-portal-outlet]` element elsewhere in the body; hydrate()
+ * binds it there and keeps it in sync on re-renders.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrate } from '../src/hydrate.js';
+import { handlerRegistry } from '../src/events/index.js';
+import { patchDOM } from '../src/hydration/reconciler.js';
+
+class MockNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  insertBefore(node, reference) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+}
+
+class MockText extends MockNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+}
+
+class MockElement extends MockNode {
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = {};
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  // Only the `[attribute]` selectors the outlet lookup uses
+  querySelectorAll(selector) {
+    const attribute = selector.slice(1, -1);
+    const found = [];
+    const visit = (node) => {
+      node.childNodes.forEach((child) => {
+        if (child.nodeType === 1) {
+          if (attribute in child.attributes) found.push(child);
+          visit(child);
+        }
+      });
+    };
+    visit(this);
+    return found;
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((node) => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value !== '') this.appendChild(new MockText(value));
+  }
+}
+
+// Build mock DOM from a compact spec: ['ul', { class: 'x' }, ...children]
+function build(spec) {
+  if (typeof spec === 'string') return new MockText(spec);
+  const [tagName, attributes, ...children] = spec;
+  const element = new MockElement(tagName);
+  Object.assign(element.attributes, attributes);
+  children.forEach((child) => element.appendChild(build(child)));
+  return element;
+}
+
+const texts = (element) => element.childNodes.map((node) => node.textContent);
+
+// Nodes as created by Portal() and Fragment() from @coherent.js/core
+const Portal = (target, children) => ({ __portal: true, target, children });
+const Fragment = (key, children) => ({ __fragment: true, key, children });
+
+let body;
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  body = new MockElement('body');
+  global.document = {
+    body,
+    createElement: vi.fn((tagName) => new MockElement(tagName)),
+    createTextNode: vi.fn((text) => new MockText(text)),
+    querySelectorAll: (selector) => body.querySelectorAll(selector),
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  delete global.document;
+});
+
+const Confirm = ({ open, onConfirm }) => ({
+  div: {
+    children: [
+      { button: { text: 'Delete' } },
+      open && Portal('modals', { dialog: { children: [{ button: { onClick: onConfirm, text: 'Yes' } }] } }),
+    ],
+  },
+});
+
+describe('portals in hydrate()', () => {
+  it('binds server-rendered portal content in its outlet', () => {
+    const onConfirm = vi.fn();
+    const container = build(['div', {}, ['button', {}, 'Delete']]);
+    const outlet = build(['div', { 'data-coherent-portal-outlet': 'modals' }, ['dialog', {}, ['button', {}, 'Yes']]]);
+    body.appendChild(container);
+    body.appendChild(outlet);
+    const dialog = outlet.childNodes[0];
+
+    hydrate(Confirm, container, { initialState: { open: true }, props: { onConfirm }, detectMismatch: false });
+
+    expect(outlet.childNodes[0]).toBe(dialog);
+    const yes = dialog.childNodes[0];
+    handlerRegistry.get(yes.getAttribute('data-coherent-click')).handler();
+    expect(onConfirm).toHaveBeenCalled();
+    expect(container.childNodes).toHaveLength(1);
+  });
+
+  it('updates the outlet on re-render', () => {
+    const container = build(['div', {}, ['button', {}, 'Delete']]);
+    const outlet = build(['div', { 'data-coherent-portal-outlet': 'modals' }]);
+    body.appendChild(container);
+    body.appendChild(outlet);
+    const app = hydrate(Confirm, container, { initialState: { open: false }, props: { onConfirm: vi.fn() }, detectMismatch: false });
+
+    app.setState({ open: true });
+    expect(texts(outlet)).toEqual(['Yes']);
+    expect(outlet.childNodes[0].childNodes[0].getAttribute('data-coherent-click')).toBeTruthy();
+
+    app.setState({ open: false });
+    expect(outlet.childNodes).toHaveLength(0);
+    expect(handlerRegistry.size).toBe(0);
+  });
+
+  it('mounts content into a new outlet at the end of the body', () => {
+    const container = build(['div', {}, ['button', {}, 'Delete']]);
+    body.appendChild(container);
+
+    hydrate(Confirm, container, { initialState: { open: true }, detectMismatch: false });
+
+    const outlet = body.childNodes[1];
+    expect(outlet.getAttribute('data-coherent-portal-outlet')).toBe('modals');
+    expect(outlet.childNodes[0].tagName).toBe('DIALOG');
+  });
+});
+
+describe('fragments in patchDOM', () => {
+  it('renders fragment children in place and moves keyed fragments as a group', () => {
+    const container = build(['dl', {}, ['dt', {}, 'a'], ['dd', {}, '1'], ['dt', {}, 'b'], ['dd', {}, '2']]);
+    const [dtA, ddA, dtB, ddB] = container.childNodes;
+    const entry = (key, value) => Fragment(key, [{ dt: { text: key } }, { dd: { text: value } }]);
+
+    patchDOM(container, { dl: { children: [entry('a', '1'), entry('b', '2')] } }, { dl: { children: [entry('b', '2'), entry('a', '1')] } });
+
+    expect(container.childNodes).toEqual([dtB, ddB, dtA, ddA]);
+  });
+
+  it('skips portals where they stand', () => {
+    const container = build(['p', {}, 'x']);
+
+    patchDOM(container, { p: { text: 'x' } }, { p: { children: ['x', Portal('modals', 'elsewhere')] } });
+
+    expect(texts(container)).toEqual(['x']);
+  });
+});
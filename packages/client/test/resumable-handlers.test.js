@@ -0,0 +1,236 @@
+/**
+ * Tests for resumable event handlers
+ *
+ * The server renders `data-coherent-<event>="module#export"` references;
+ * the delegation system imports the module on the first event and calls the
+ * export with the event and the element's state.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrate } from '../src/hydrate.js';
+import { eventDelegation, handlerRegistry, resume } from '../src/events/index.js';
+
+class MockElement {
+  constructor(tagName, attributes = {}) {
+    this.nodeType = 1;
+    this.tagName = tagName.toUpperCase();
+    this.attributes = { ...attributes };
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  appendChild(node) {
+    this.childNodes.push(node);
+    node.parentNode = this;
+    return node;
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  // Supports the `[data-coherent-<event>]` selectors delegation uses
+  closest(selector) {
+    const name = selector.slice(1, -1);
+    let node = this;
+    while (node) {
+      if (node.getAttribute && node.getAttribute(name) !== null) return node;
+      node = node.parentNode;
+    }
+    return null;
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+}
+
+function fire(eventType, target, init = {}) {
+  const event = { target, preventDefault: vi.fn(), stopPropagation: vi.fn(), ...init };
+  eventDelegation.handleEvent(event, eventType);
+  return event;
+}
+
+// Let pending imports and handler calls settle
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+let importModule;
+let menu;
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  global.document = {
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    querySelectorAll: () => [],
+  };
+  menu = { toggle: vi.fn((event, state) => { state.open = !state.open; }) };
+  importModule = vi.fn(async (specifier) => {
+    if (specifier === '/js/menu.js') return menu;
+    throw new Error(`Cannot find module ${specifier}`);
+  });
+  resume({ importModule });
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  vi.restoreAllMocks();
+  delete global.document;
+});
+
+describe('server-rendered references', () => {
+  it('imports the module on the first event and calls the export with its state', async () => {
+    const button = new MockElement('button', {
+      'data-coherent-click': '/js/menu.js#toggle',
+      'data-coherent-click-state': '{"open":false}',
+    });
+
+    expect(importModule).not.toHaveBeenCalled();
+    fire('click', button);
+    await settle();
+
+    expect(importModule).toHaveBeenCalledWith('/js/menu.js');
+    const [event, state] = menu.toggle.mock.calls[0];
+    expect(event.target).toBe(button);
+    expect(state).toEqual({ open: true });
+  });
+
+  it('imports a module once and keeps state changes per element', async () => {
+    const first = new MockElement('button', { 'data-coherent-click': '/js/menu.js#toggle', 'data-coherent-click-state': '{"open":false}' });
+    const second = new MockElement('button', { 'data-coherent-click': '/js/menu.js#toggle', 'data-coherent-click-state': '{"open":false}' });
+
+    fire('click', first);
+    fire('click', first);
+    fire('click', second);
+    await settle();
+
+    expect(importModule).toHaveBeenCalledTimes(1);
+    expect(menu.toggle.mock.calls.map(([, state]) => state)).toEqual([
+      expect.any(Object), expect.any(Object), { open: true }
+    ]);
+    expect(menu.toggle.mock.calls[0][1]).toBe(menu.toggle.mock.calls[1][1]);
+    expect(menu.toggle.mock.calls[1][1]).toEqual({ open: false });
+  });
+
+  it('applies modifier suffixes before the module has loaded', async () => {
+    menu.submit = vi.fn();
+    const input = new MockElement('input', { 'data-coherent-keydown': '/js/menu.js#submit.enter.prevent' });
+
+    const other = fire('keydown', input, { key: 'a' });
+    const enter = fire('keydown', input, { key: 'Enter' });
+
+    expect(other.preventDefault).not.toHaveBeenCalled();
+    expect(enter.preventDefault).toHaveBeenCalled();
+    await settle();
+    expect(menu.submit).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves handler ids it does not know alone', async () => {
+    const button = new MockElement('button', { 'data-coherent-click': 'button-click-abc123' });
+
+    fire('click', button);
+    await settle();
+
+    expect(importModule).not.toHaveBeenCalled();
+  });
+
+  it('logs a failed import and tries again on the next event', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const button = new MockElement('button', { 'data-coherent-click': '/js/missing.js#open' });
+
+    fire('click', button);
+    await settle();
+    fire('click', button);
+    await settle();
+
+    expect(error).toHaveBeenCalledWith('[Coherent.js] Handler "/js/missing.js#open" failed:', expect.any(Error));
+    expect(importModule).toHaveBeenCalledTimes(2);
+  });
+
+  it('reports a module without the named export', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const button = new MockElement('button', { 'data-coherent-click': '/js/menu.js#close' });
+
+    fire('click', button);
+    await settle();
+
+    expect(error.mock.calls[0][1].message).toBe('Module "/js/menu.js" has no exported function "close"');
+  });
+});
+
+describe('resume()', () => {
+  it('leaves references alone until it is called', async () => {
+    vi.resetModules();
+    const fresh = await import('../src/events/index.js');
+
+    expect(fresh.eventDelegation.resolveReference('/js/menu.js#toggle', 'click')).toBeNull();
+    fresh.resume({ root: { addEventListener: vi.fn() }, importModule });
+    expect(fresh.eventDelegation.resolveReference('/js/menu.js#toggle', 'click')).not.toBeNull();
+  });
+
+  it('only follows references to modules of the page origin', async () => {
+    const links = [
+      'https://evil.example/x.js#run',
+      '//evil.example/x.js#run',
+      'data:text/javascript,export%20function%20run(){}#run',
+    ].map((ref) => new MockElement('button', { 'data-coherent-click': ref }));
+
+    links.forEach((button) => fire('click', button));
+    await settle();
+
+    expect(importModule).not.toHaveBeenCalled();
+  });
+
+  it('only follows references under the allowed prefixes', async () => {
+    resume({ importModule, allow: ['/js/'] });
+    const outside = new MockElement('button', { 'data-coherent-click': '/uploads/x.js#run' });
+    const escaping = new MockElement('button', { 'data-coherent-click': '/js/../uploads/x.js#run' });
+    const inside = new MockElement('button', { 'data-coherent-click': '/js/menu.js#toggle' });
+
+    fire('click', outside);
+    fire('click', escaping);
+    fire('click', inside);
+    await settle();
+
+    expect(importModule.mock.calls).toEqual([['/js/menu.js']]);
+  });
+
+  it('listens for further event types', () => {
+    const root = { addEventListener: vi.fn(), removeEventListener: vi.fn() };
+    eventDelegation.destroy();
+
+    resume({ root, events: ['mouseenter'] });
+
+    expect(root.addEventListener).toHaveBeenCalledWith('click', expect.any(Function), expect.any(Object));
+    expect(root.addEventListener).toHaveBeenCalledWith('mouseenter', expect.any(Function), { capture: true, passive: false });
+    eventDelegation.destroy();
+  });
+});
+
+describe('resumable handlers in hydrated components', () => {
+  it('register a handler that imports its module when first called', async () => {
+    const container = new MockElement('button', { 'data-coherent-click': '/js/menu.js#toggle' });
+    const state = { open: true };
+
+    hydrate(() => ({ button: { onClick: { __resumable: true, ref: '/js/menu.js#toggle', state } } }), container, { detectMismatch: false });
+    expect(importModule).not.toHaveBeenCalled();
+
+    fire('click', container);
+    await settle();
+
+    expect(menu.toggle).toHaveBeenCalledWith(expect.objectContaining({ target: container }), state);
+    expect(state.open).toBe(false);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, beforeEach, vi, afterEach } from 'vitest';
-import { createRouter } from '../src/router.js';
+import { createRouter, matchPath } from '../src/router.js';
 
 // Mock performance.now
 global.performance = global.performance || { now: () => Date.now() };
@@ -525,6 +525,165 @@ describe('Enhanced Router', () => {
     });
   });
 
+  describe('Path Patterns', () => {
+    it('should match named, optional and catch-all segments', () => {
+      expect(matchPath('/users/:id', '/users/42')).toEqual({ id: '42' });
+      expect(matchPath('/users/:id', '/users')).toBeNull();
+      expect(matchPath('/:lang?/docs', '/docs')).toEqual({});
+      expect(matchPath('/:lang?/docs', '/fr/docs')).toEqual({ lang: 'fr' });
+      expect(matchPath('/docs/*', '/docs/guide/intro')).toEqual({ '*': 'guide/intro' });
+      expect(matchPath('/docs/:rest*', '/docs')).toEqual({ rest: '' });
+      expect(matchPath('/files/:name', '/files/a%20b.txt')).toEqual({ name: 'a b.txt' });
+    });
+
+    it('should keep params with malformed escapes as they are', async () => {
+      expect(matchPath('/files/:name', '/files/%E0%A4%A')).toEqual({ name: '%E0%A4%A' });
+
+      router.addRoute('/files/:name', { component: ({ params }) => ({ p: { text: params.name } }) });
+      expect(await router.push('/files/100%')).toBe(true);
+      expect(router.getCurrentRoute().params).toEqual({ name: '100%' });
+    });
+
+    it('should pass params and query to the component', async () => {
+      const UserView = vi.fn(({ params, query }) => ({ h1: { text: `User ${params.id} (${query.tab})` } }));
+      router.addRoute('/users/:id', { component: UserView });
+
+      expect(await router.push('/users/42?tab=posts#bio')).toBe(true);
+
+      const current = router.getCurrentRoute();
+      expect(current.params).toEqual({ id: '42' });
+      expect(current.query).toEqual({ tab: 'posts' });
+      expect(current.hash).toBe('#bio');
+      expect(current.view).toEqual({ h1: { text: 'User 42 (posts)' } });
+    });
+
+    it('should prefer the most specific route', async () => {
+      router.addRoute('/docs/*', { component: ({ params }) => ({ p: { text: `page ${params['*']}` } }) });
+      router.addRoute('/docs/:section', { component: ({ params }) => ({ p: { text: `section ${params.section}` } }) });
+      router.addRoute('/docs/changelog', { component: () => ({ p: { text: 'changelog' } }) });
+
+      await router.push('/docs/changelog');
+      expect(router.getCurrentRoute().view).toEqual({ p: { text: 'changelog' } });
+
+      await router.push('/docs/api');
+      expect(router.getCurrentRoute().view).toEqual({ p: { text: 'section api' } });
+
+      await router.push('/docs/api/render');
+      expect(router.getCurrentRoute().view).toEqual({ p: { text: 'page api/render' } });
+    });
+
+    it('should find routes by a location they match', () => {
+      router.addRoute('/users/:id', { component: ({ params }) => ({ p: { text: params.id } }), meta: { title: 'User' } });
+
+      expect(router.getRoute('/users/7').meta.title).toBe('User');
+      expect(router.match('/users/7?tab=a')).toMatchObject({ params: { id: '7' }, query: { tab: 'a' } });
+      expect(router.match('/nope')).toBeNull();
+    });
+  });
+
+  describe('Nested Routes', () => {
+    const Layout = ({ children }) => ({ div: { className: 'dashboard', children: [{ nav: { text: 'Menu' } }, children] } });
+
+    beforeEach(() => {
+      router.addRoute('/dashboard', {
+        component: Layout,
+        children: {
+          '/': ({ params }) => ({ p: { text: `home ${Object.keys(params).length}` } }),
+          '/projects/:projectId': {
+            component: ({ params, data }) => ({ h2: { text: `${params.projectId}: ${data.name}` } }),
+            loader: async ({ params }) => ({ name: `Project ${params.projectId}` })
+          }
+        }
+      });
+    });
+
+    it('should render child routes inside their parent layout', async () => {
+      await router.push('/dashboard/projects/7');
+
+      const current = router.getCurrentRoute();
+      expect(current.matched.map(route => route.path)).toEqual(['/dashboard', '/dashboard/projects/:projectId']);
+      expect(current.view).toEqual({
+        div: { className: 'dashboard', children: [{ nav: { text: 'Menu' } }, { h2: { text: '7: Project 7' } }] }
+      });
+    });
+
+    it('should render the index child at the parent path', async () => {
+      await router.push('/dashboard');
+
+      expect(router.getCurrentRoute().view.div.children[1]).toEqual({ p: { text: 'home 0' } });
+    });
+
+    it('should lazy load the components of nested routes', async () => {
+      router.addRoute('/settings', {
+        component: Layout,
+        children: {
+          '/profile': () => Promise.resolve({ default: () => ({ form: { text: 'Profile' } }) })
+        }
+      });
+
+      await router.push('/settings/profile');
+
+      expect(router.getCurrentRoute().view.div.children[1]).toEqual({ form: { text: 'Profile' } });
+      expect(router.getRoute('/settings/profile').loaded).toBe(true);
+    });
+  });
+
+  describe('Route Loaders', () => {
+    it('should pass loader data of every matched route to its component', async () => {
+      const layoutLoader = vi.fn(async () => ({ user: 'ada' }));
+      const pageLoader = vi.fn(async ({ params, query }) => ({ id: params.id, sort: query.sort }));
+      const Page = vi.fn(({ data }) => ({ p: { text: `${data.id} by ${data.sort}` } }));
+
+      router.addRoute('/teams', {
+        component: ({ data, children }) => ({ section: { title: data.user, children } }),
+        loader: layoutLoader,
+        children: { '/:id': { component: Page, loader: pageLoader } }
+      });
+
+      await router.push('/teams/3?sort=name');
+
+      expect(pageLoader).toHaveBeenCalledWith({ params: { id: '3' }, query: { sort: 'name' }, signal: expect.any(AbortSignal) });
+      const current = router.getCurrentRoute();
+      expect(current.data).toEqual({ id: '3', sort: 'name' });
+      expect(current.matched.map(route => route.data)).toEqual([{ user: 'ada' }, { id: '3', sort: 'name' }]);
+      expect(current.view).toEqual({ section: { title: 'ada', children: { p: { text: '3 by name' } } } });
+    });
+
+    it('should abort a pending loader when a newer navigation starts', async () => {
+      let firstSignal;
+      router.addRoute('/slow', {
+        component: ({ data }) => ({ p: { text: data } }),
+        loader: ({ signal }) => {
+          firstSignal = signal;
+          return new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(signal.reason));
+          });
+        }
+      });
+      router.addRoute('/fast', { component: ({ data }) => ({ p: { text: data } }), loader: async () => 'fast' });
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const slow = router.push('/slow');
+      const fast = router.push('/fast');
+
+      expect(await slow).toBe(false);
+      expect(await fast).toBe(true);
+      expect(firstSignal.aborted).toBe(true);
+      expect(router.getCurrentRoute().path).toBe('/fast');
+      expect(consoleError).not.toHaveBeenCalled();
+      consoleError.mockRestore();
+    });
+
+    it('should fail the navigation when a loader throws', async () => {
+      router.addRoute('/broken', { component: () => ({ p: {} }), loader: async () => { throw new Error('no data'); } });
+      const consoleError = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(await router.push('/broken')).toBe(false);
+      expect(router.getCurrentRoute()).toBeNull();
+      consoleError.mockRestore();
+    });
+  });
+
   describe('Error Handling', () => {
     it('should handle navigation to non-existent route', async () => {
       const result = await router.push('/non-existent');
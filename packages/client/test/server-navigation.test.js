@@ -0,0 +1,444 @@
+/**
+ * Tests for server navigation in createRouter()
+ *
+ * Paths without a client route are fetched from the server and the region
+ * that changes between pages is swapped into the current document.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRouter } from '../src/router.js';
+import { hydrateIslands } from '../src/islands.js';
+
+vi.mock('../src/islands.js', () => ({
+  hydrateIslands: vi.fn(() => ({ islands: new Map(), unmount: vi.fn() })),
+}));
+
+// Only the `tag`, `[attribute]` and `tag[attribute]` selectors the router uses
+function matches(element, selector) {
+  return selector.split(',').some((part) => {
+    const match = part.trim().match(/^(\w*)(?:\[([\w-]+)\])?$/);
+    if (!match) return false;
+    const [, tagName, attribute] = match;
+    return (!tagName || element.tagName === tagName.toUpperCase()) &&
+      (!attribute || element.hasAttribute(attribute));
+  });
+}
+
+class MockNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  appendChild(node) {
+    if (node.parentNode) node.remove();
+    this.childNodes.push(node);
+    node.parentNode = this;
+    return node;
+  }
+
+  replaceChildren(...nodes) {
+    this.childNodes.forEach((node) => { node.parentNode = null; });
+    this.childNodes = [];
+    nodes.forEach((node) => this.appendChild(node));
+  }
+
+  replaceWith(node) {
+    const siblings = this.parentNode.childNodes;
+    if (node.parentNode) node.remove();
+    siblings.splice(siblings.indexOf(this), 1, node);
+    node.parentNode = this.parentNode;
+    this.parentNode = null;
+  }
+
+  remove() {
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+}
+
+class MockText extends MockNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+
+  isEqualNode(other) {
+    return other.nodeType === 3 && other.textContent === this.textContent;
+  }
+}
+
+class MockElement extends MockNode {
+  constructor(tagName, attributes = {}) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attrs = { ...attributes };
+    this.value = attributes.value || '';
+    this.type = attributes.type || '';
+    this.name = attributes.name || '';
+    this.id = attributes.id || '';
+    this.scrollTop = 0;
+    this.scrollLeft = 0;
+  }
+
+  get attributes() {
+    return Object.entries(this.attrs).map(([name, value]) => ({ name, value }));
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node.nodeType === 1);
+  }
+
+  get parentElement() {
+    return this.parentNode;
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.replaceChildren(new MockText(value));
+  }
+
+  getAttribute(name) {
+    return name in this.attrs ? this.attrs[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attrs[name] = String(value);
+  }
+
+  hasAttribute(name) {
+    return name in this.attrs;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  closest(selector) {
+    for (let current = this; current && current.nodeType === 1; current = current.parentNode) {
+      if (matches(current, selector)) return current;
+    }
+    return null;
+  }
+
+  querySelectorAll(selector) {
+    const found = [];
+    const visit = (node) => {
+      node.children.forEach((child) => {
+        if (matches(child, selector)) found.push(child);
+        visit(child);
+      });
+    };
+    visit(this);
+    return found;
+  }
+
+  getElementById(id) {
+    return this.querySelectorAll('[id]').find((element) => element.id === id) || null;
+  }
+
+  isEqualNode(other) {
+    return other.nodeType === 1 && other.tagName === this.tagName &&
+      JSON.stringify(other.attrs) === JSON.stringify(this.attrs) &&
+      other.childNodes.length === this.childNodes.length &&
+      other.childNodes.every((node, index) => node.isEqualNode(this.childNodes[index]));
+  }
+}
+
+// Build a mock element from ['tag', { attributes }, ...children]
+function h(spec) {
+  if (typeof spec === 'string') return new MockText(spec);
+  const [tagName, attributes, ...children] = spec;
+  const element = new MockElement(tagName, attributes);
+  children.forEach((child) => element.appendChild(h(child)));
+  return element;
+}
+
+function createDocument(head, body) {
+  const root = h(['html', {}, ['head', {}, ...head], ['body', {}, ...body]]);
+  const [headElement, bodyElement] = root.children;
+  return {
+    head: headElement,
+    body: bodyElement,
+    getElementById: (id) => root.getElementById(id),
+    querySelectorAll: (selector) => root.querySelectorAll(selector),
+  };
+}
+
+const text = (element) => element.textContent;
+
+// HTML the mock server answers with, and the documents DOMParser makes of it
+const pages = new Map();
+
+function serve(path, html, head, body) {
+  pages.set(html, () => createDocument(head, body));
+  return { path, html };
+}
+
+const layout = (main) => [
+  ['header', {}, ['input', { id: 'search', type: 'text' }], ['nav', { 'data-coherent-scroll-preserve': '' }, 'Menu']],
+  ['main', { id: 'content' }, ...main],
+];
+
+let listeners;
+let fetchMock;
+let responses;
+
+beforeEach(() => {
+  listeners = {};
+  responses = new Map();
+  const current = createDocument(
+    [['title', {}, 'Home'], ['meta', { name: 'description', content: 'Home page' }], ['meta', { name: 'robots', content: 'noindex' }]],
+    layout([['h1', {}, 'Home']])
+  );
+
+  global.document = {
+    ...current,
+    activeElement: null,
+    createElement: (tagName) => new MockElement(tagName),
+    addEventListener: vi.fn((type, listener) => { listeners[type] = listener; }),
+    removeEventListener: vi.fn((type) => { delete listeners[type]; }),
+  };
+  global.window = {
+    location: new URL('https://app.test/'),
+    history: { pushState: vi.fn(), replaceState: vi.fn(), back: vi.fn() },
+    scrollX: 0,
+    scrollY: 0,
+    scrollTo: vi.fn(),
+    getComputedStyle: () => ({}),
+    addEventListener: vi.fn((type, listener) => { listeners[type] = listener; }),
+    removeEventListener: vi.fn((type) => { delete listeners[type]; }),
+  };
+  global.DOMParser = class {
+    parseFromString(html) {
+      return pages.get(html)();
+    }
+  };
+
+  fetchMock = vi.fn(async (url) => {
+    const page = responses.get(url);
+    if (!page) throw new TypeError('Failed to fetch');
+    return {
+      url: `https://app.test${page.redirect || url}`,
+      status: 200,
+      headers: new Map([['content-type', 'text/html; charset=utf-8']]),
+      text: async () => page.html,
+    };
+  });
+
+  const about = serve('/about', '<!DOCTYPE html><html>about</html>',
+    [['title', {}, 'About'], ['meta', { name: 'description', content: 'About us' }], ['link', { rel: 'stylesheet', href: '/about.css' }]],
+    layout([['h1', {}, 'About'], ['input', { name: 'email', type: 'text' }]])
+  );
+  responses.set(about.path, about);
+});
+
+afterEach(() => {
+  pages.clear();
+  vi.clearAllMocks();
+  delete global.document;
+  delete global.window;
+  delete global.DOMParser;
+});
+
+function createServerRouter(serverNavigation = {}) {
+  return createRouter({
+    scrollBehavior: { enabled: false },
+    serverNavigation: { enabled: true, target: 'content', fetch: fetchMock, ...serverNavigation },
+  });
+}
+
+describe('createRouter() with server navigation', () => {
+  it('fetches the page and swaps only the target region', async () => {
+    const router = createServerRouter();
+    const header = document.body.children[0];
+
+    expect(await router.push('/about')).toBe(true);
+
+    expect(fetchMock).toHaveBeenCalledWith('/about', expect.objectContaining({
+      headers: expect.objectContaining({ 'X-Coherent-Navigation': '1', 'X-Coherent-Target': 'content' }),
+    }));
+    expect(document.body.children[0]).toBe(header);
+    expect(document.getElementById('content').children.map(text)).toEqual(['About', '']);
+    expect(window.history.pushState).toHaveBeenCalledWith({ coherent: true, position: 1 }, '', '/about');
+    expect(router.getCurrentRoute()).toMatchObject({ path: '/about', server: true, status: 200 });
+  });
+
+  it('updates the title and meta tags and adds new stylesheets', async () => {
+    const router = createServerRouter();
+    await router.push('/about');
+
+    const head = document.head.children.map((element) => [element.tagName, element.attrs, text(element)]);
+    expect(head).toEqual([
+      ['TITLE', {}, 'About'],
+      ['META', { name: 'description', content: 'About us' }, ''],
+      ['LINK', { rel: 'stylesheet', href: '/about.css' }, ''],
+    ]);
+  });
+
+  it('swaps in partial responses', async () => {
+    const partial = serve('/team', '<h1>Team</h1>', [], [['h1', {}, 'Team']]);
+    responses.set(partial.path, partial);
+    const router = createServerRouter();
+
+    await router.push('/team');
+
+    expect(document.getElementById('content').children.map(text)).toEqual(['Team']);
+    expect(document.head.children[0].textContent).toBe('Home');
+  });
+
+  it('swaps the whole body when the page has no target region', async () => {
+    const plain = serve('/login', '<html><body>login</body></html>', [], [['form', {}, 'Login']]);
+    responses.set(plain.path, plain);
+    const router = createServerRouter();
+
+    await router.push('/login');
+
+    expect(document.body.children.map(text)).toEqual(['Login']);
+  });
+
+  it('keeps form input and scroll positions outside the region', async () => {
+    const router = createServerRouter();
+    const search = document.getElementById('search');
+    const nav = document.body.children[0].children[1];
+    search.value = 'draft';
+    nav.scrollTop = 120;
+
+    await router.push('/about');
+
+    expect(search.value).toBe('draft');
+    expect(nav.scrollTop).toBe(120);
+    expect(document.getElementById('content').children[1].value).toBe('');
+  });
+
+  it('runs the scripts of the new content', async () => {
+    const scripted = serve('/chart', '<html>chart</html>', [], layout([['script', { type: 'module' }, 'draw()']]));
+    responses.set(scripted.path, scripted);
+    const router = createServerRouter();
+
+    await router.push('/chart');
+
+    const [script] = document.getElementById('content').children;
+    expect(script).toBeInstanceOf(MockElement);
+    expect(script.attrs).toEqual({ type: 'module' });
+    expect(script.textContent).toBe('draw()');
+  });
+
+  it('hydrates islands in the new region and unmounts them on the next navigation', async () => {
+    const islands = { Counter: () => ({ div: 'count' }) };
+    const hydrate = vi.fn();
+    responses.set('/about?tab=team', responses.get('/about'));
+    const router = createServerRouter({ islands, hydrate });
+
+    await router.push('/about');
+    const region = document.getElementById('content');
+    const [controller] = hydrateIslands.mock.results.map((result) => result.value);
+
+    expect(hydrateIslands).toHaveBeenCalledWith(islands, { root: region });
+    expect(hydrate).toHaveBeenCalledWith(region, expect.objectContaining({ path: '/about' }));
+
+    await router.push('/about?tab=team');
+    expect(controller.unmount).toHaveBeenCalled();
+  });
+
+  it('follows redirects to the final location', async () => {
+    responses.set('/old', { ...responses.get('/about'), redirect: '/about' });
+    const router = createServerRouter();
+
+    await router.push('/old#team');
+
+    expect(window.history.pushState).toHaveBeenCalledWith({ coherent: true, position: 1 }, '', '/about#team');
+    expect(router.getCurrentRoute()).toMatchObject({ path: '/about#team', hash: '#team' });
+  });
+
+  it('still renders paths with a client route in the browser', async () => {
+    const router = createServerRouter();
+    router.addRoute('/settings', { component: () => ({ h1: 'Settings' }) });
+
+    await router.push('/settings');
+
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(router.getCurrentRoute().view).toEqual({ h1: 'Settings' });
+    expect(window.history.pushState).toHaveBeenCalledWith({ coherent: true, position: 1 }, '', '/settings');
+  });
+
+  it('reports pages that cannot be fetched without changing the route', async () => {
+    const onError = vi.fn();
+    const router = createServerRouter({ onError });
+
+    expect(await router.push('/offline')).toBe(false);
+
+    expect(onError).toHaveBeenCalledWith(expect.any(TypeError), '/offline');
+    expect(router.getCurrentRoute()).toBeNull();
+    expect(document.getElementById('content').children.map(text)).toEqual(['Home']);
+  });
+
+  it('aborts the request of a navigation a newer one replaces', async () => {
+    responses.set('/about?again', responses.get('/about'));
+    const router = createServerRouter();
+
+    const first = router.push('/about');
+    const second = router.push('/about?again');
+
+    expect(await first).toBe(false);
+    expect(await second).toBe(true);
+    expect(fetchMock.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+});
+
+describe('server navigation events', () => {
+  const click = (href, event = {}) => {
+    const link = h(['a', { href }, 'Go']);
+    document.body.appendChild(link);
+    const clickEvent = { target: link, button: 0, defaultPrevented: false, preventDefault: vi.fn(), ...event };
+    listeners.click(clickEvent);
+    return clickEvent;
+  };
+
+  it('navigates on same-origin link clicks', async () => {
+    const router = createServerRouter();
+    const push = vi.spyOn(window.history, 'pushState');
+
+    const event = click('/about');
+    await vi.waitFor(() => expect(push).toHaveBeenCalled());
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    expect(router.getCurrentRoute().path).toBe('/about');
+  });
+
+  it('leaves other links to the browser', () => {
+    createServerRouter();
+
+    expect(click('https://elsewhere.test/about').preventDefault).not.toHaveBeenCalled();
+    expect(click('/about', { metaKey: true }).preventDefault).not.toHaveBeenCalled();
+    expect(click('#section').preventDefault).not.toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('navigates on popstate without adding a history entry', async () => {
+    const router = createServerRouter();
+    window.location = new URL('https://app.test/about');
+
+    listeners.popstate();
+    await vi.waitFor(() => expect(router.getCurrentRoute()).not.toBeNull());
+
+    expect(router.getCurrentRoute().path).toBe('/about');
+    expect(window.history.pushState).not.toHaveBeenCalled();
+  });
+
+  it('stops listening once destroyed', () => {
+    const router = createServerRouter();
+
+    router.destroy();
+
+    expect(listeners).toEqual({});
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * Tests for the service worker generator and registration
+ *
+ * The generated source runs in a vm context with a mock worker scope, so the
+ * tests exercise the code that ships to the browser.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { runInNewContext } from 'node:vm';
+import {
+  generateServiceWorker,
+  assetsFromManifest,
+  registerServiceWorker,
+  PREFETCH_MESSAGE,
+  SKIP_WAITING_MESSAGE,
+} from '../src/service-worker.js';
+import { createRouter } from '../src/router.js';
+
+const ORIGIN = 'https://app.test';
+
+const keyOf = (key) => (typeof key === 'string' ? new URL(key, ORIGIN).href : key.url);
+
+// Caches keyed by URL, as the Cache API matches GET requests
+function createCaches() {
+  const stores = new Map();
+  const open = async (name) => {
+    if (!stores.has(name)) stores.set(name, new Map());
+    const entries = stores.get(name);
+    return {
+      put: async (key, response) => { entries.set(keyOf(key), response); },
+      delete: async (key) => entries.delete(keyOf(key)),
+      addAll: async (urls) => {
+        urls.forEach((url) => entries.set(keyOf(url), new Response(`precached ${url}`)));
+      },
+    };
+  };
+  const match = async (key) => {
+    for (const entries of stores.values()) {
+      const response = entries.get(keyOf(key));
+      if (response) return response.clone();
+    }
+    return undefined;
+  };
+  return { stores, open, match, keys: async () => [...stores.keys()], delete: async (name) => stores.delete(name) };
+}
+
+function runWorker(source) {
+  const listeners = {};
+  const self = {
+    location: new URL('/sw.js', ORIGIN),
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    caches: createCaches(),
+    fetch: vi.fn(async (request) => new Response(`network ${keyOf(request)}`)),
+    clients: { claim: vi.fn(async () => {}) },
+    skipWaiting: vi.fn(),
+  };
+  runInNewContext(source, { self, URL, Response });
+  return { self, listeners };
+}
+
+// Dispatch an event and wait for its response and waitUntil() promises
+async function dispatch(worker, type, init = {}) {
+  const pending = [];
+  let response;
+  worker.listeners[type]({
+    ...init,
+    waitUntil: (promise) => pending.push(promise),
+    respondWith: (promise) => { response = promise; },
+  });
+  const result = await response;
+  await Promise.all(pending);
+  return result;
+}
+
+function request(path, { mode = 'cors', headers = {}, method = 'GET' } = {}) {
+  return { url: new URL(path, ORIGIN).href, method, mode, headers: new Headers(headers) };
+}
+
+async function installedWorker(options) {
+  const worker = runWorker(generateServiceWorker(options));
+  await dispatch(worker, 'install');
+  return worker;
+}
+
+describe('assetsFromManifest()', () => {
+  it('lists the files, styles and assets of a Vite manifest under the base path', () => {
+    const manifest = {
+      'src/main.js': { file: 'assets/main-4f2a.js', isEntry: true, css: ['assets/main-9c1d.css'], assets: ['assets/logo.svg'] },
+      'src/about.js': { file: 'assets/about-77aa.js', css: ['assets/main-9c1d.css'] },
+    };
+
+    expect(assetsFromManifest(manifest, '/static/')).toEqual([
+      '/static/assets/main-4f2a.js', '/static/assets/main-9c1d.css', '/static/assets/logo.svg', '/static/assets/about-77aa.js',
+    ]);
+  });
+
+  it('takes manifests of names to files and lists of URLs', () => {
+    expect(assetsFromManifest({ 'main.js': '/assets/main.js', 'cdn.js': 'https://cdn.test/x.js' })).toEqual(['/assets/main.js', 'https://cdn.test/x.js']);
+    expect(assetsFromManifest(['app.js', '/app.css'])).toEqual(['/app.js', '/app.css']);
+  });
+});
+
+describe('generateServiceWorker()', () => {
+  it('reads the route table of a router, nested routes included', () => {
+    const router = createRouter();
+    router.addRoute('/docs', { component: () => ({ div: {} }), children: { ':page': { component: () => ({ div: {} }), cache: 'stale-while-revalidate' } } });
+    router.addRoute('/account', { component: () => ({ div: {} }), cache: 'network-only' });
+
+    const source = generateServiceWorker({ routes: router, version: 'v1' });
+
+    expect(source).toContain('"version": "v1"');
+    expect(source).toContain('"strategy": "stale-while-revalidate"');
+    expect(source).toContain('"strategy": "network-only"');
+  });
+
+  it('rejects unknown cache strategies', () => {
+    expect(() => generateServiceWorker({ routes: [{ path: '/', cache: 'cache-only' }] }))
+      .toThrow('Unknown cache strategy "cache-only" for route "/"');
+    expect(() => generateServiceWorker({ api: { strategy: 'fastest' } })).toThrow(TypeError);
+  });
+
+  it('derives a new version from a changed configuration', () => {
+    const first = generateServiceWorker({ assets: ['/assets/main-1.js'] });
+    const second = generateServiceWorker({ assets: ['/assets/main-2.js'] });
+
+    expect(first.match(/"version": "(\w+)"/)[1]).not.toBe(second.match(/"version": "(\w+)"/)[1]);
+  });
+});
+
+describe('the generated service worker', () => {
+  const options = {
+    routes: [{ path: '/' }, { path: '/products/:id' }, { path: '/docs/*', cache: 'cache-first' }, { path: '/account', cache: 'network-only' }],
+    assets: { 'src/main.js': { file: 'assets/main.js', css: ['assets/main.css'] } },
+    offline: '<h1>You are offline</h1>',
+    version: 'v2',
+  };
+
+  it('precaches the shell, the assets and the offline page on install', async () => {
+    const worker = await installedWorker(options);
+
+    const precache = worker.self.caches.stores.get('coherent-precache-v2');
+    expect([...precache.keys()]).toEqual([`${ORIGIN}/`, `${ORIGIN}/assets/main.js`, `${ORIGIN}/assets/main.css`, `${ORIGIN}/offline.html`]);
+    const offline = precache.get(`${ORIGIN}/offline.html`);
+    expect(offline.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    expect(await offline.text()).toBe('<h1>You are offline</h1>');
+  });
+
+  it('answers pages from the network first and caches them', async () => {
+    const worker = await installedWorker(options);
+
+    const response = await dispatch(worker, 'fetch', { request: request('/products/7', { mode: 'navigate' }) });
+    expect(await response.text()).toBe(`network ${ORIGIN}/products/7`);
+
+    worker.self.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    const cached = await dispatch(worker, 'fetch', { request: request('/products/7', { mode: 'navigate' }) });
+    expect(await cached.text()).toBe(`network ${ORIGIN}/products/7`);
+  });
+
+  it('serves the offline page to a navigation with nothing cached', async () => {
+    const worker = await installedWorker(options);
+    worker.self.fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const response = await dispatch(worker, 'fetch', { request: request('/products/8', { mode: 'navigate' }) });
+    expect(await response.text()).toBe('<h1>You are offline</h1>');
+
+    // Other requests fail as they would without the service worker
+    await expect(dispatch(worker, 'fetch', { request: request('/products/8') })).rejects.toThrow('Failed to fetch');
+  });
+
+  it('answers API GETs from the cache and revalidates them', async () => {
+    const worker = await installedWorker(options);
+    worker.self.fetch.mockResolvedValueOnce(new Response('[1]'));
+    expect(await (await dispatch(worker, 'fetch', { request: request('/api/items') })).text()).toBe('[1]');
+
+    worker.self.fetch.mockResolvedValueOnce(new Response('[1,2]'));
+    expect(await (await dispatch(worker, 'fetch', { request: request('/api/items') })).text()).toBe('[1]');
+    expect(await (await dispatch(worker, 'fetch', { request: request('/api/items') })).text()).toBe('[1,2]');
+  });
+
+  it('never caches responses marked no-store or private', async () => {
+    const worker = await installedWorker(options);
+    const runtime = () => worker.self.caches.stores.get('coherent-runtime-v2');
+
+    worker.self.fetch.mockResolvedValueOnce(new Response('{"user":"ada"}', { headers: { 'Cache-Control': 'private, max-age=60' } }));
+    await dispatch(worker, 'fetch', { request: request('/api/me') });
+    worker.self.fetch.mockResolvedValueOnce(new Response('<h1>Orders</h1>', { headers: { 'Cache-Control': 'no-store' } }));
+    await dispatch(worker, 'fetch', { request: request('/products/7', { mode: 'navigate' }) });
+    expect([...runtime().keys()]).toEqual([]);
+
+    // An entry cached while the response was public is dropped once it is not
+    await dispatch(worker, 'fetch', { request: request('/api/items') });
+    worker.self.fetch.mockResolvedValueOnce(new Response('[]', { headers: { 'Cache-Control': 'no-store' } }));
+    await dispatch(worker, 'fetch', { request: request('/api/items') });
+    expect(runtime().has(`${ORIGIN}/api/items`)).toBe(false);
+  });
+
+  it('applies the strategy of the route, and leaves other requests alone', async () => {
+    const worker = await installedWorker(options);
+
+    expect(await (await dispatch(worker, 'fetch', { request: request('/assets/main.js') })).text()).toBe('precached /assets/main.js');
+    await dispatch(worker, 'fetch', { request: request('/docs/intro') });
+    await dispatch(worker, 'fetch', { request: request('/docs/intro') });
+    expect(worker.self.fetch).toHaveBeenCalledTimes(1);
+
+    await dispatch(worker, 'fetch', { request: request('/account', { mode: 'navigate' }) });
+    expect(worker.self.caches.stores.get('coherent-runtime-v2').has(`${ORIGIN}/account`)).toBe(false);
+
+    expect(await dispatch(worker, 'fetch', { request: request('/api/items', { method: 'POST' }) })).toBeUndefined();
+    expect(await dispatch(worker, 'fetch', { request: request('https://cdn.test/lib.js') })).toBeUndefined();
+    expect(await dispatch(worker, 'fetch', { request: request('/favicon.ico') })).toBeUndefined();
+  });
+
+  it('caches the regions server navigation fetches apart from full pages', async () => {
+    const worker = await installedWorker({ ...options, routes: [] });
+    const headers = { 'X-Coherent-Navigation': 'true', 'X-Coherent-Target': 'content' };
+
+    await dispatch(worker, 'fetch', { request: request('/about', { headers }) });
+
+    const runtime = worker.self.caches.stores.get('coherent-runtime-v2');
+    expect([...runtime.keys()]).toEqual([`${ORIGIN}/about?__coherent_target=content`]);
+  });
+
+  it('caches the pages the router prefetches', async () => {
+    const worker = await installedWorker(options);
+
+    await dispatch(worker, 'message', { data: { type: PREFETCH_MESSAGE, urls: ['/products/9', '/account', 'https://cdn.test/x'] } });
+
+    const runtime = worker.self.caches.stores.get('coherent-runtime-v2');
+    expect([...runtime.keys()]).toEqual([`${ORIGIN}/products/9`]);
+  });
+
+  it('takes over when told to and drops the caches of earlier versions', async () => {
+    const worker = await installedWorker(options);
+    await worker.self.caches.open('coherent-precache-v1');
+    await worker.self.caches.open('other-app');
+
+    await dispatch(worker, 'message', { data: { type: SKIP_WAITING_MESSAGE } });
+    await dispatch(worker, 'activate');
+
+    expect(worker.self.skipWaiting).toHaveBeenCalled();
+    expect(worker.self.clients.claim).toHaveBeenCalled();
+    expect([...worker.self.caches.stores.keys()]).toEqual(['coherent-precache-v2', 'other-app']);
+  });
+});
+
+describe('registerServiceWorker()', () => {
+  let container;
+  let registration;
+  let containerListeners;
+
+  function mockWorker(state) {
+    const listeners = {};
+    return {
+      state,
+      postMessage: vi.fn(),
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      emit: (type) => listeners[type](),
+    };
+  }
+
+  beforeEach(() => {
+    const listeners = {};
+    containerListeners = {};
+    registration = {
+      waiting: null,
+      installing: null,
+      addEventListener: (type, listener) => { listeners[type] = listener; },
+      emit: (type) => listeners[type](),
+    };
+    container = {
+      controller: {},
+      register: vi.fn(async () => registration),
+      addEventListener: (type, listener) => { containerListeners[type] = listener; },
+    };
+    vi.stubGlobal('navigator', { serviceWorker: container });
+    vi.stubGlobal('window', { location: { reload: vi.fn() } });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('reports a new version once it has installed', async () => {
+    const onUpdate = vi.fn();
+    await registerServiceWorker('/sw.js', { scope: '/', onUpdate });
+    expect(container.register).toHaveBeenCalledWith('/sw.js', { scope: '/' });
+
+    const worker = mockWorker('installing');
+    registration.installing = worker;
+    registration.emit('updatefound');
+    worker.state = 'installed';
+    worker.emit('statechange');
+
+    const [update] = onUpdate.mock.calls[0];
+    expect(update.worker).toBe(worker);
+    update.apply();
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: SKIP_WAITING_MESSAGE });
+    containerListeners.controllerchange();
+    containerListeners.controllerchange();
+    expect(window.location.reload).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports a version already waiting, but not the first install', async () => {
+    const onUpdate = vi.fn();
+    registration.waiting = mockWorker('installed');
+    await registerServiceWorker('/sw.js', { onUpdate });
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+
+    container.controller = null;
+    await registerServiceWorker('/sw.js', { onUpdate });
+    expect(onUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves to null without service worker support', async () => {
+    vi.stubGlobal('navigator', {});
+    expect(await registerServiceWorker()).toBeNull();
+  });
+
+  it('is asked by the router to cache prefetched pages', async () => {
+    container.controller = { postMessage: vi.fn() };
+    const router = createRouter({ prefetch: { enabled: true } });
+    router.addRoute('/products/:id', { component: () => ({ div: {} }) });
+
+    await router.prefetchRoute('/products/7');
+    await router.prefetchRoute('/products/7');
+    await router.prefetchRoute('/products/:id');
+
+    expect(container.controller.postMessage).toHaveBeenCalledTimes(1);
+    expect(container.controller.postMessage).toHaveBeenCalledWith({ type: PREFETCH_MESSAGE, urls: ['/products/7'] });
+  });
+});
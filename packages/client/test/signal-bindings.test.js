@@ -0,0 +1,242 @@
+/**
+ * Tests for signal bindings in hydrate()
+ *
+ * Signals from @coherent.js/core update the text, attributes and lists that
+ * read them directly, without running the component again.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { hydrate } from '../src/hydrate.js';
+import { handlerRegistry } from '../src/events/index.js';
+import { detectMismatch } from '../src/hydration/index.js';
+
+class MockNode {
+  constructor(nodeType) {
+    this.nodeType = nodeType;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  get nextSibling() {
+    if (!this.parentNode) return null;
+    const siblings = this.parentNode.childNodes;
+    return siblings[siblings.indexOf(this) + 1] || null;
+  }
+
+  insertBefore(node, reference) {
+    if (node.parentNode) node.parentNode.removeChild(node);
+    const index = reference ? this.childNodes.indexOf(reference) : this.childNodes.length;
+    this.childNodes.splice(index, 0, node);
+    node.parentNode = this;
+    return node;
+  }
+
+  appendChild(node) {
+    return this.insertBefore(node, null);
+  }
+
+  removeChild(node) {
+    this.childNodes.splice(this.childNodes.indexOf(node), 1);
+    node.parentNode = null;
+    return node;
+  }
+}
+
+class MockText extends MockNode {
+  constructor(text) {
+    super(3);
+    this.textContent = text;
+  }
+}
+
+class MockElement extends MockNode {
+  constructor(tagName) {
+    super(1);
+    this.tagName = tagName.toUpperCase();
+    this.attributes = {};
+  }
+
+  getAttribute(name) {
+    return name in this.attributes ? this.attributes[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attributes[name];
+  }
+
+  querySelectorAll() {
+    return [];
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join('');
+  }
+
+  set textContent(value) {
+    this.childNodes.forEach((node) => { node.parentNode = null; });
+    this.childNodes = [];
+    if (value !== '') this.appendChild(new MockText(value));
+  }
+}
+
+// Build mock DOM from a compact spec: ['ul', { class: 'x' }, ...children]
+function build(spec) {
+  if (typeof spec === 'string') return new MockText(spec);
+  const [tagName, attributes, ...children] = spec;
+  const element = new MockElement(tagName);
+  Object.assign(element.attributes, attributes);
+  children.forEach((child) => element.appendChild(build(child)));
+  return element;
+}
+
+// The part of a @coherent.js/core signal hydrate() relies on
+function signal(initial) {
+  let current = initial;
+  const subscribers = new Set();
+  return {
+    __signal: true,
+    peek: () => current,
+    get value() {
+      return current;
+    },
+    set value(next) {
+      current = next;
+      subscribers.forEach((fn) => fn(next));
+    },
+    subscribe(fn) {
+      subscribers.add(fn);
+      fn(current);
+      return () => subscribers.delete(fn);
+    },
+    get subscribers() {
+      return subscribers.size;
+    },
+  };
+}
+
+beforeEach(() => {
+  handlerRegistry.clear();
+  global.document = {
+    createElement: vi.fn((tagName) => new MockElement(tagName)),
+    createTextNode: vi.fn((text) => new MockText(text)),
+    querySelectorAll: () => [],
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+  };
+});
+
+afterEach(() => {
+  handlerRegistry.clear();
+  delete global.document;
+});
+
+describe('signals in hydrate()', () => {
+  it('updates a text binding in place without running the component again', () => {
+    const count = signal(3);
+    const Counter = vi.fn(() => ({ div: { children: [{ span: { text: count } }, { p: { children: ['Count: ', count] } }, { em: count }] } }));
+    const container = build(['div', {}, ['span', {}, '3'], ['p', {}, 'Count: 3'], ['em', {}, '3']]);
+    const [span, p, em] = container.childNodes;
+    const text = span.childNodes[0];
+
+    hydrate(Counter, container, { detectMismatch: false });
+    count.value = 4;
+
+    expect(Counter).toHaveBeenCalledTimes(1);
+    expect(container.childNodes).toEqual([span, p, em]);
+    expect(span.childNodes[0]).toBe(text);
+    expect([span.textContent, p.textContent, em.textContent]).toEqual(['4', 'Count: 4', '4']);
+  });
+
+  it('updates attributes bound to signals', () => {
+    const tone = signal('calm');
+    const disabled = signal(false);
+    const container = build(['button', { class: 'calm' }, 'Save']);
+
+    hydrate(() => ({ button: { className: tone, disabled, text: 'Save' } }), container, { detectMismatch: false });
+    tone.value = 'alert';
+    disabled.value = true;
+
+    expect(container.attributes).toEqual({ class: 'alert', disabled: '', 'data-coherent-hydrated': 'true' });
+    disabled.value = false;
+    expect(container.getAttribute('disabled')).toBeNull();
+  });
+
+  it('updates the style property of a view transition name bound to a signal', () => {
+    const name = signal('photo-1');
+    const container = build(['img', { style: 'view-transition-name: photo-1' }]);
+    container.style = { setProperty: vi.fn() };
+
+    hydrate(() => ({ img: { viewTransitionName: name } }), container, { detectMismatch: false });
+    name.value = 'photo-2';
+
+    expect(container.style.setProperty).toHaveBeenLastCalledWith('view-transition-name', 'photo-2');
+    expect(container.getAttribute('viewTransitionName')).toBeNull();
+  });
+
+  it('reconciles a list bound to a signal by key and binds handlers of new rows', () => {
+    const onSelect = vi.fn();
+    const row = (id) => ({ li: { key: id, text: id, onClick: () => onSelect(id) } });
+    const rows = signal([row('a'), row('b')]);
+    const container = build(['ul', {}, ['li', {}, 'a'], ['li', {}, 'b']]);
+    const [a, b] = container.childNodes;
+
+    hydrate(() => ({ ul: { children: rows } }), container, { detectMismatch: false });
+    rows.value = [row('b'), row('c'), row('a')];
+
+    expect(container.childNodes.map((node) => node.textContent)).toEqual(['b', 'c', 'a']);
+    expect(container.childNodes[0]).toBe(b);
+    expect(container.childNodes[2]).toBe(a);
+
+    const c = container.childNodes[1];
+    handlerRegistry.get(c.getAttribute('data-coherent-click')).handler();
+    expect(onSelect).toHaveBeenCalledWith('c');
+  });
+
+  it('binds signals inside content a signal brings in', () => {
+    const price = signal('5');
+    const rows = signal([]);
+    const container = build(['table', {}]);
+
+    hydrate(() => ({ table: { children: rows } }), container, { detectMismatch: false });
+    rows.value = [{ tr: { key: 1, children: [{ td: { text: price } }] } }];
+    price.value = '7';
+
+    expect(container.childNodes[0].textContent).toBe('7');
+  });
+
+  it('stops updating once unmounted', () => {
+    const count = signal(1);
+    const container = build(['span', {}, '1']);
+
+    const app = hydrate(() => ({ span: { text: count } }), container, { detectMismatch: false });
+    app.unmount();
+    count.value = 2;
+
+    expect(container.textContent).toBe('1');
+    expect(count.subscribers).toBe(0);
+  });
+
+  it('moves its bindings to the new tree on re-render', () => {
+    const count = signal(1);
+    const container = build(['span', {}, '1']);
+
+    const app = hydrate(() => ({ span: { text: count } }), container, { detectMismatch: false });
+    app.rerender();
+    count.value = 2;
+
+    expect(container.textContent).toBe('2');
+    expect(count.subscribers).toBe(1);
+  });
+
+  it('compares signals by their current value when detecting mismatches', () => {
+    const container = build(['button', { disabled: '' }, 'Go']);
+
+    const vNode = { button: { disabled: signal(true), text: signal('Go') } };
+
+    expect(detectMismatch(container, vNode)).toEqual([]);
+  });
+});
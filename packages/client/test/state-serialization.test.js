@@ -1,9 +1,13 @@
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, afterEach } from 'vitest';
 import {
   serializeState,
   deserializeState,
   extractState,
-  serializeStateWithWarning
+  serializeStateWithWarning,
+  stateScript,
+  readStateScript,
+  stringifyState,
+  parseState
 } from '../src/hydration/index.js';
 
 describe('serializeState', () => {
@@ -206,3 +210,177 @@ describe('Round-trip serialization', () => {
     expect(decoded).toEqual(complexState);
   });
 });
+
+describe('Typed values', () => {
+  const roundTrip = (value, options) => parseState(stringifyState(value, options), options);
+
+  it('preserves Date, Map, Set, BigInt, RegExp and URL', () => {
+    const state = {
+      createdAt: new Date('2026-01-02T03:04:05.000Z'),
+      invalid: new Date(NaN),
+      prices: new Map([['apple', 1.5], [{ id: 1 }, 'object key']]),
+      tags: new Set(['a', 'b']),
+      big: 12345678901234567890n,
+      pattern: /^co.*t$/gi,
+      link: new URL('https://example.com/a?b=c#d')
+    };
+
+    const decoded = roundTrip(state);
+
+    expect(decoded.createdAt).toBeInstanceOf(Date);
+    expect(decoded.createdAt.toISOString()).toBe('2026-01-02T03:04:05.000Z');
+    expect(Number.isNaN(decoded.invalid.getTime())).toBe(true);
+    expect(decoded.prices).toEqual(state.prices);
+    expect(decoded.tags).toEqual(new Set(['a', 'b']));
+    expect(decoded.big).toBe(12345678901234567890n);
+    expect(decoded.pattern.source).toBe('^co.*t$');
+    expect(decoded.pattern.flags).toBe('gi');
+    expect(decoded.link).toBeInstanceOf(URL);
+    expect(decoded.link.href).toBe('https://example.com/a?b=c#d');
+  });
+
+  it('preserves undefined, NaN, Infinity, -0 and array holes', () => {
+    const decoded = roundTrip({ missing: undefined, values: [NaN, Infinity, -Infinity, -0, , undefined] });
+
+    expect('missing' in decoded).toBe(true);
+    expect(decoded.values).toHaveLength(6);
+    expect(decoded.values.slice(0, 4)).toEqual([NaN, Infinity, -Infinity, -0]);
+    expect(Object.is(decoded.values[3], -0)).toBe(true);
+    expect(4 in decoded.values).toBe(false);
+    expect(5 in decoded.values).toBe(true);
+    expect(roundTrip(undefined)).toBeUndefined();
+    expect(roundTrip(NaN)).toBeNaN();
+  });
+
+  it('keeps shared and cyclic references as one value', () => {
+    const author = { name: 'Ada' };
+    const state = { posts: [{ author }, { author }], selected: new Set([author]) };
+    state.self = state;
+    author.friends = new Map([['self', author]]);
+
+    const decoded = roundTrip(state);
+
+    expect(decoded.posts[0].author).toBe(decoded.posts[1].author);
+    expect(decoded.selected.has(decoded.posts[0].author)).toBe(true);
+    expect(decoded.self).toBe(decoded);
+    expect(decoded.posts[0].author.friends.get('self')).toBe(decoded.posts[0].author);
+  });
+
+  it('revives custom types with matching reducers and revivers', () => {
+    class Money {
+      constructor(amount, currency) {
+        this.amount = amount;
+        this.currency = currency;
+      }
+    }
+    const options = {
+      reducers: { Money: (value) => (value instanceof Money ? [value.amount, value.currency] : undefined) },
+      revivers: { Money: ([amount, currency]) => new Money(amount, currency) }
+    };
+
+    const decoded = roundTrip({ total: new Money(5, 'EUR') }, options);
+
+    expect(decoded.total).toBeInstanceOf(Money);
+    expect(decoded.total).toEqual(new Money(5, 'EUR'));
+    expect(() => parseState(stringifyState({ total: new Money(5, 'EUR') }, options))).toThrow('no reviver for type "Money"');
+  });
+
+  it('writes objects of other classes through toJSON() or as plain objects', () => {
+    class Point {
+      constructor() {
+        this.x = 1;
+        this.move = () => {};
+      }
+    }
+
+    expect(roundTrip({ point: new Point(), value: { toJSON: () => 'json' } })).toEqual({ point: { x: 1 }, value: 'json' });
+  });
+
+  it('escapes characters that could end a script element', () => {
+    const text = stringifyState({ html: '</script><script>alert(1)</script>', separator: '\u2028' });
+
+    expect(text).not.toContain('<');
+    expect(text).not.toContain('\u2028');
+    expect(parseState(text)).toEqual({ html: '</script><script>alert(1)</script>', separator: '\u2028' });
+  });
+
+  it('parses plain JSON objects as they are', () => {
+    expect(parseState('{"count":1,"items":[1,2]}')).toEqual({ count: 1, items: [1, 2] });
+    expect(deserializeState(btoa(encodeURIComponent('{"count":1}')))).toEqual({ count: 1 });
+  });
+
+  it('keeps a __proto__ key as a plain key', () => {
+    const decoded = parseState('[{"__proto__":1},{"polluted":2},true]');
+
+    expect(Object.getPrototypeOf(decoded)).toBe(Object.prototype);
+    expect(Object.keys(decoded)).toEqual(['__proto__']);
+    expect({}.polluted).toBeUndefined();
+  });
+
+  it('round-trips typed values through data-state', () => {
+    const state = { since: new Date(0), ids: new Set([1, 2]) };
+
+    expect(deserializeState(serializeState(state))).toEqual(state);
+  });
+});
+
+describe('Page-level state script', () => {
+  afterEach(() => {
+    delete global.document;
+  });
+
+  const mountScript = (node) => {
+    const script = { textContent: node.script.text };
+    global.document = { getElementById: vi.fn((id) => (id === node.script.id ? script : null)) };
+    return script;
+  };
+
+  it('builds a JSON script element with the state of every key', () => {
+    const node = stateScript({ cart: { items: new Map([['sku-1', 2]]) } });
+
+    expect(node.script.type).toBe('application/json');
+    expect(node.script.id).toBe('coherent-state');
+    expect(parseState(node.script.text)).toEqual({ cart: { items: new Map([['sku-1', 2]]) } });
+  });
+
+  it('hydrates elements from the entry their data-state-key names', () => {
+    const shared = { id: 7 };
+    mountScript(stateScript({ header: { user: shared }, profile: { user: shared } }));
+    const element = (key) => ({ getAttribute: (name) => (name === 'data-state-key' ? key : null) });
+
+    const header = extractState(element('header'));
+    const profile = extractState(element('profile'));
+
+    expect(header).toEqual({ user: { id: 7 } });
+    expect(header.user).toBe(profile.user);
+    expect(extractState(element('missing'))).toBeNull();
+  });
+
+  it('prefers data-state over data-state-key', () => {
+    mountScript(stateScript({ counter: { count: 1 } }));
+    const attributes = { 'data-state': serializeState({ count: 2 }), 'data-state-key': 'counter' };
+
+    expect(extractState({ getAttribute: (name) => attributes[name] ?? null })).toEqual({ count: 2 });
+  });
+
+  it('reads a script with a custom id and parses it again when it changes', () => {
+    const node = stateScript({ at: 1n }, { id: 'page-state' });
+    const script = mountScript(node);
+
+    expect(readStateScript({ id: 'page-state' })).toEqual({ at: 1n });
+    expect(readStateScript()).toBeNull();
+
+    script.textContent = stringifyState({ at: 2n });
+    expect(readStateScript({ id: 'page-state' })).toEqual({ at: 2n });
+  });
+
+  it('returns null and warns for an invalid script', () => {
+    const consoleSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    global.document = { getElementById: () => ({ textContent: '{not json' }) };
+
+    expect(readStateScript()).toBeNull();
+    expect(consoleSpy).toHaveBeenCalled();
+
+    consoleSpy.mockRestore();
+  });
+});
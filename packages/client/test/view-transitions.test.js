@@ -0,0 +1,211 @@
+/**
+ * Tests for router transitions with the View Transitions API
+ *
+ * Where the browser has `document.startViewTransition`, the router changes
+ * the page inside a view transition and marks the root element with the
+ * direction and name of the transition; elsewhere it falls back to the
+ * `enter`/`leave` CSS animations.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { createRouter } from '../src/router.js';
+
+class MockRoot {
+  constructor() {
+    this.attrs = {};
+  }
+
+  getAttribute(name) {
+    return name in this.attrs ? this.attrs[name] : null;
+  }
+
+  setAttribute(name, value) {
+    this.attrs[name] = String(value);
+  }
+
+  removeAttribute(name) {
+    delete this.attrs[name];
+  }
+}
+
+// A view transition that runs the update callback on the next microtask
+function startViewTransition(update) {
+  const types = new Set();
+  const updateCallbackDone = Promise.resolve().then(update);
+  const finished = updateCallbackDone.then(() => undefined);
+  return { types, updateCallbackDone, ready: updateCallbackDone, finished };
+}
+
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+let root;
+let listeners;
+let transitions;
+
+beforeEach(() => {
+  root = new MockRoot();
+  listeners = {};
+  transitions = [];
+  global.document = {
+    documentElement: root,
+    querySelector: () => null,
+    addEventListener: vi.fn(),
+    removeEventListener: vi.fn(),
+    startViewTransition: vi.fn((update) => {
+      const transition = startViewTransition(update);
+      transitions.push(transition);
+      return transition;
+    }),
+  };
+  global.window = {
+    location: new URL('https://app.test/'),
+    history: { state: null, pushState: vi.fn(), replaceState: vi.fn(), back: vi.fn() },
+    scrollX: 0,
+    scrollY: 0,
+    scrollTo: vi.fn(),
+    addEventListener: vi.fn((type, listener) => { listeners[type] = listener; }),
+    removeEventListener: vi.fn(),
+  };
+});
+
+afterEach(() => {
+  vi.clearAllMocks();
+  delete global.document;
+  delete global.window;
+});
+
+function createTransitionRouter(options = {}) {
+  const router = createRouter({
+    scrollBehavior: { enabled: false },
+    render: vi.fn(),
+    ...options,
+    transitions: { enabled: true, ...options.transitions },
+  });
+  router.addRoute('/', { component: () => ({ h1: { text: 'Home' } }) });
+  router.addRoute('/photos', { component: () => ({ h1: { text: 'Photos' } }) });
+  router.addRoute('/photos/:id', {
+    component: () => ({ img: { src: '/photo.jpg' } }),
+    transition: { name: 'zoom', back: { name: 'unzoom' } },
+  });
+  return router;
+}
+
+describe('router navigation with view transitions', () => {
+  it('renders the new route inside a view transition', async () => {
+    const render = vi.fn(() => {
+      expect(root.getAttribute('data-router-direction')).toBe('forward');
+    });
+    const router = createTransitionRouter({ render });
+
+    await router.push('/');
+    await router.push('/photos');
+
+    expect(document.startViewTransition).toHaveBeenCalledTimes(2);
+    const [route, from] = render.mock.calls[1];
+    expect(route.path).toBe('/photos');
+    expect(route.view).toEqual({ h1: { text: 'Photos' } });
+    expect(from.path).toBe('/');
+    expect(router.getCurrentRoute().path).toBe('/photos');
+  });
+
+  it('marks the root element with the transition until it finishes', async () => {
+    const onComplete = vi.fn();
+    let during;
+    const router = createTransitionRouter({
+      render: () => { during = { ...root.attrs }; },
+      transitions: { onComplete },
+    });
+
+    await router.push('/photos/7');
+    expect(during).toEqual({ 'data-router-direction': 'forward', 'data-router-transition': 'zoom' });
+    expect([...transitions[0].types]).toEqual(['forward', 'zoom']);
+
+    await settle();
+    expect(root.attrs).toEqual({});
+    expect(onComplete).toHaveBeenCalledWith(null, '/photos/7', 'forward');
+    expect(router.getStats().transitionsCompleted).toBe(1);
+  });
+
+  it('uses the back transition of a route when going back', async () => {
+    const router = createTransitionRouter();
+
+    await router.push('/photos/7');
+    await router.push('/photos');
+    router.back();
+    await settle();
+
+    expect([...transitions[2].types]).toEqual(['back', 'unzoom']);
+  });
+
+  it('takes names from transitions.routes and the default', async () => {
+    const router = createTransitionRouter({
+      transitions: { default: { name: 'fade' }, routes: { '/photos': { forward: { name: 'slide' } } } },
+    });
+
+    await router.push('/');
+    await router.push('/photos');
+
+    expect([...transitions[0].types]).toEqual(['forward', 'fade']);
+    expect([...transitions[1].types]).toEqual(['forward', 'slide']);
+  });
+
+  it('reads the direction of history navigation from the entry position', async () => {
+    const router = createTransitionRouter({ serverNavigation: { enabled: true, links: false } });
+
+    await router.push('/photos');
+    await router.push('/photos/7');
+    expect(window.history.pushState).toHaveBeenLastCalledWith({ coherent: true, position: 2 }, '', '/photos/7');
+
+    window.location = new URL('https://app.test/photos');
+    listeners.popstate({ state: { coherent: true, position: 1 } });
+    await settle();
+    window.location = new URL('https://app.test/photos/7');
+    listeners.popstate({ state: { coherent: true, position: 2 } });
+    await settle();
+
+    expect([...transitions[2].types]).toEqual(['back']);
+    expect([...transitions[3].types]).toEqual(['forward', 'zoom']);
+    router.destroy();
+  });
+
+  it('finishes the navigation when the new view fails to render', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const router = createTransitionRouter({ render: () => { throw new Error('render failed'); } });
+
+    expect(await router.push('/photos')).toBe(false);
+    expect(error).toHaveBeenCalledWith('Navigation failed:', expect.objectContaining({ message: 'render failed' }));
+    error.mockRestore();
+  });
+});
+
+describe('router transitions without view transitions', () => {
+  it('falls back to the enter and leave animations', async () => {
+    delete document.startViewTransition;
+    const onStart = vi.fn();
+    const render = vi.fn();
+    const router = createTransitionRouter({ render, transitions: { onStart } });
+
+    await router.push('/photos');
+
+    expect(onStart).toHaveBeenCalledWith(null, '/photos', 'forward');
+    expect(render).toHaveBeenCalledTimes(1);
+    expect(root.attrs).toEqual({});
+  });
+
+  it('does not start a view transition without a render option', async () => {
+    const router = createTransitionRouter({ render: undefined });
+
+    await router.push('/photos');
+
+    expect(document.startViewTransition).not.toHaveBeenCalled();
+    expect(router.getCurrentRoute().path).toBe('/photos');
+  });
+
+  it('can be turned off with viewTransitions: false', async () => {
+    const router = createTransitionRouter({ transitions: { viewTransitions: false } });
+
+    await router.push('/photos');
+
+    expect(document.startViewTransition).not.toHaveBeenCalled();
+  });
+});
@@ -28,6 +28,7 @@ import type {
   // State types
   SerializableState,
   SerializablePrimitive,
+  SerializableValue,
   // Event handler types
   EventHandler,
   ClickHandler,
@@ -439,5 +440,8 @@ const maybeState = extractState(container);
 if (maybeState !== null) {
   // TypeScript should narrow to SerializableState
   const count = maybeState.count;
-  expectTypeOf(count).toMatchTypeOf<SerializablePrimitive | SerializablePrimitive[] | SerializableState | SerializableState[] | undefined>();
+  expectTypeOf(count).toEqualTypeOf<SerializableValue>();
 }
+
+// Typed values the state format keeps
+expectTypeOf<Date | bigint | URL | RegExp | undefined>().toMatchTypeOf<SerializablePrimitive>();
@@ -5,6 +5,7 @@
  * - Core Hydration API (@coherent.js/client)
  * - Router API (@coherent.js/client/router)
  * - HMR Client API (@coherent.js/client/hmr)
+ * - Service Worker API (@coherent.js/client/service-worker)
  * - Client State Manager
  * - Event Manager
  * - Performance Monitor
@@ -28,11 +29,18 @@ import {
   ComponentState,
   // Hydration functions
   hydrate,
+  hydrateIslands,
   // State serialization
   serializeState,
   deserializeState,
   extractState,
   serializeStateWithWarning,
+  stringifyState,
+  parseState,
+  recoverMismatches,
+  MISMATCH_EVENT,
+  stateScript,
+  readStateScript,
   // Mismatch detection
   detectMismatch,
   reportMismatches,
@@ -41,6 +49,8 @@ import {
   eventDelegation,
   handlerRegistry,
   wrapEvent,
+  parseEventProp,
+  resume,
   // HMR exports
   HMRClient,
   hmrClient,
@@ -78,6 +88,9 @@ import type {
   // Event delegation types
   EventDelegation,
   HandlerRegistry,
+  EventModifiers,
+  EventHandlerSpec,
+  RegisteredHandler,
   // State manager types
   ClientStateManager,
   StateSyncOptions,
@@ -89,6 +102,8 @@ import type {
   // Router types
   RouteConfig,
   Route,
+  RouteMatch,
+  RouteProps,
   RouterConfig,
   RouterStats,
   Router,
@@ -101,8 +116,10 @@ import type {
   CustomEventData,
 } from '@coherent.js/client';
 
-import { createRouter, router } from '@coherent.js/client/router';
+import { createRouter, router, matchPath } from '@coherent.js/client/router';
 import type { Router as RouterFromModule, RouterConfig as RouterConfigFromModule } from '@coherent.js/client/router';
+import { generateServiceWorker, registerServiceWorker, assetsFromManifest } from '@coherent.js/client/service-worker';
+import type { ServiceWorkerUpdate } from '@coherent.js/client/service-worker';
 
 // ============================================================================
 // Test: Core Type Re-exports
@@ -146,6 +163,21 @@ const controlWithOpts = hydrate(MyComponent, container, {
 });
 expectTypeOf(controlWithOpts).toMatchTypeOf<HydrateControl>();
 
+// hydrateIslands() takes a registry and returns a controller
+const islandsControl = hydrateIslands({ Counter: MyComponent }, {
+  strategy: 'visible',
+  rootMargin: '200px',
+  onHydrate: (element, islandControl, name) => {
+    expectTypeOf(islandControl).toMatchTypeOf<HydrateControl>();
+    expectTypeOf(name).toBeString();
+  },
+});
+expectTypeOf(islandsControl.islands).toMatchTypeOf<Map<HTMLElement, HydrateControl>>();
+expectTypeOf(islandsControl.unmount).toBeFunction();
+hydrateIslands(new Map([['Counter', MyComponent]]));
+// @ts-expect-error - unknown strategy
+hydrateIslands({}, { strategy: 'hover' });
+
 // Handler used downstream in wrapEvent assertion below
 const handler: StateAwareHandler = (e, s, ss) => {};
 
@@ -171,6 +203,28 @@ expectTypeOf(warned).toBeString();
 const warnedNamed = serializeStateWithWarning({ count: 1 }, 'Counter');
 expectTypeOf(warnedNamed).toBeString();
 
+// typed values, custom types and the page-level state script
+const typedState = { since: new Date(), ids: new Set([1n]), byId: new Map([['a', { n: 1 }]]) };
+expectTypeOf(serializeState).toBeCallableWith(typedState);
+const revivers = { Money: ([amount]: [number]) => ({ amount }) };
+expectTypeOf(stringifyState({ total: 1 }, { reducers: { Money: () => undefined } })).toBeString();
+expectTypeOf(parseState<{ total: number }>('{"total":1}', { revivers })).toEqualTypeOf<{ total: number }>();
+expectTypeOf(extractState).toBeCallableWith(container, { revivers, scriptId: 'page-state' });
+expectTypeOf(stateScript({ cart: typedState }, { id: 'page-state' }).script.text).toBeString();
+expectTypeOf(readStateScript({ revivers })).toEqualTypeOf<Record<string, SerializableState> | null>();
+expectTypeOf(hydrate).toBeCallableWith(() => ({ div: {} }), container, { revivers });
+
+// mismatch recovery
+expectTypeOf(hydrate).toBeCallableWith(() => ({ div: {} }), container, {
+  recovery: 'patch',
+  onRecover: (event) => {
+    expectTypeOf(event.path).toBeString();
+    expectTypeOf(event.recovery).toEqualTypeOf<'warn' | 'patch' | 'remount'>();
+  },
+});
+expectTypeOf(recoverMismatches(container, { div: {} }, { recovery: 'remount' })).toBeArray();
+expectTypeOf(MISMATCH_EVENT).toEqualTypeOf<'coherent:hydration-mismatch'>();
+
 // ============================================================================
 // Test: Mismatch Detection API
 // ============================================================================
@@ -206,6 +260,19 @@ expectTypeOf(handlerRegistry.unregister).toBeFunction();
 expectTypeOf(handlerRegistry.get).toBeFunction();
 expectTypeOf(handlerRegistry.has).toBeFunction();
 expectTypeOf(handlerRegistry.clear).toBeFunction();
+expectTypeOf(eventDelegation.listen).parameter(0).toBeString();
+expectTypeOf(handlerRegistry.get('h1')!.modifiers).toEqualTypeOf<(EventModifiers & { prop: string }) | null>();
+
+// Event props with modifiers
+const saveSpec: EventHandlerSpec = { handler: () => {}, prevent: true, debounce: 200 };
+expectTypeOf(saveSpec.once).toEqualTypeOf<boolean | undefined>();
+expectTypeOf(resume({ events: ['mouseenter'], importModule: (specifier) => import(specifier) })).toEqualTypeOf<EventDelegation>();
+expectTypeOf(eventDelegation.resolveReference('/js/menu.js#toggle', 'click')).toEqualTypeOf<RegisteredHandler | null>();
+const parsedProp = parseEventProp('onKeydown.enter', () => {});
+if (parsedProp) {
+  expectTypeOf(parsedProp.eventType).toBeString();
+  expectTypeOf(parsedProp.modifiers).toEqualTypeOf<(EventModifiers & { prop: string }) | null>();
+}
 
 // wrapEvent returns { handlerId, dataAttribute }
 const wrapped = wrapEvent('click', handler);
@@ -251,6 +318,22 @@ const routerWithOpts = createRouter({
 });
 expectTypeOf(routerWithOpts).toMatchTypeOf<Router>();
 
+// View transitions: a render option, per-direction names and directions in hooks
+createRouter({
+  render: async (route, from) => {
+    expectTypeOf(route.path).toEqualTypeOf<string>();
+    void from;
+  },
+  transitions: {
+    viewTransitions: true,
+    default: { name: 'fade', back: { name: 'slide-right' }, forward: { name: 'slide-left' } },
+    routes: { '/photos/:id': { name: 'zoom' } },
+    onComplete: (from, to, direction) => {
+      expectTypeOf(direction).toEqualTypeOf<'forward' | 'back'>();
+    },
+  },
+});
+
 // Router methods - verify they exist and are callable
 myRouter.addRoute;
 myRouter.push;
@@ -265,6 +348,7 @@ myRouter.getRoutes;
 myRouter.getCurrentRoute;
 myRouter.getStats;
 myRouter.clearCaches;
+myRouter.destroy;
 
 // Router navigation returns Promise<boolean>
 expectTypeOf(myRouter.push('/about')).toMatchTypeOf<Promise<boolean>>();
@@ -277,6 +361,38 @@ expectTypeOf(myRouter.getStats()).toMatchTypeOf<RouterStats>();
 // router singleton
 expectTypeOf(router).toMatchTypeOf<Router>();
 
+// Server navigation swaps server-rendered pages into a region
+const serverRouter = createRouter({
+  serverNavigation: {
+    enabled: true,
+    target: 'content',
+    islands: { Counter: () => ({ button: { text: '0' } }) },
+    hydrate: (region: Element, route: Route) => {
+      expectTypeOf(route.server).toEqualTypeOf<boolean | undefined>();
+      expectTypeOf(region).toEqualTypeOf<Element>();
+    },
+    onError: (error: Error, path: string) => console.error(path, error),
+  },
+});
+expectTypeOf(serverRouter.destroy).toEqualTypeOf<() => void>();
+
+// Dynamic segments, nested layouts and loaders
+myRouter.addRoute('/projects', {
+  component: ({ children }: RouteProps) => ({ main: { children: [children] } }),
+  children: {
+    '/:id': {
+      component: ({ params, data }: RouteProps<{ name: string }>) => ({ h1: { text: `${params.id}: ${data.name}` } }),
+      loader: async ({ params, signal }) => {
+        expectTypeOf(signal).toEqualTypeOf<AbortSignal>();
+        return { name: params.id };
+      }
+    },
+    '/settings': async () => ({ default: () => ({ form: { text: 'Settings' } }) })
+  }
+});
+expectTypeOf(myRouter.match('/projects/1')).toMatchTypeOf<RouteMatch | null>();
+expectTypeOf(matchPath('/users/:id', '/users/1')).toEqualTypeOf<Record<string, string> | null>();
+
 // ============================================================================
 // Test: Client State Manager Types
 // ============================================================================
@@ -629,6 +745,32 @@ const entry: ComponentRegistryEntry = {
 expectTypeOf(entry.name).toBeString();
 expectTypeOf(entry.factory).toMatchTypeOf<ComponentFactory>();
 
+// ============================================================================
+// Test: Service Worker API
+// ============================================================================
+
+const swRouter = createRouter({ prefetch: { enabled: true, serviceWorker: true } });
+swRouter.addRoute('/docs/*', { component: () => ({ div: {} }), cache: 'stale-while-revalidate' });
+
+expectTypeOf(generateServiceWorker({
+  routes: swRouter,
+  assets: { 'src/main.js': { file: 'assets/main.js', css: ['assets/main.css'] } },
+  offline: { html: '<h1>Offline</h1>' },
+  api: { prefix: '/api/v1/' },
+})).toEqualTypeOf<string>();
+expectTypeOf(generateServiceWorker({ routes: [{ path: '/', cache: 'network-first' }], api: false })).toEqualTypeOf<string>();
+expectTypeOf(assetsFromManifest(['/app.js'])).toEqualTypeOf<string[]>();
+
+// @ts-expect-error - unknown cache strategy
+generateServiceWorker({ pages: 'cache-only' });
+
+expectTypeOf(registerServiceWorker('/sw.js', {
+  onUpdate: (update) => {
+    expectTypeOf(update).toEqualTypeOf<ServiceWorkerUpdate>();
+    update.apply();
+  },
+})).toEqualTypeOf<Promise<ServiceWorkerRegistration | null>>();
+
 // ============================================================================
 // Test: Legacy Assert-based Type Checks (backward compatibility)
 // ============================================================================
@@ -3,5 +3,9 @@ export {
   eventDelegation,
   HandlerRegistry,
   handlerRegistry,
-  wrapEvent
+  wrapEvent,
+  parseEventProp,
+  resume
 } from './index.js';
+
+export type { EventModifiers, EventHandlerSpec, ParsedEventProp, ResumeOptions, ResumableHandlerValue } from './index.js';
@@ -110,22 +110,32 @@ export type StateAwareHandler<S = any, E extends Event = Event> = (
 // Serializable State Types
 // ============================================================================
 
-/** Primitive values that can be serialized to JSON */
-export type SerializablePrimitive = string | number | boolean | null;
+/** Values the state format keeps as they are, besides objects and collections */
+export type SerializablePrimitive = string | number | boolean | null | undefined | bigint | Date | RegExp | URL;
+
+/** Any value the state format keeps, including shared and cyclic references */
+export type SerializableValue =
+  | SerializablePrimitive
+  | SerializableValue[]
+  | SerializableState
+  | Map<SerializableValue, SerializableValue>
+  | Set<SerializableValue>;
 
 /**
  * State that can be serialized/deserialized for hydration.
- * Only JSON-safe values are allowed.
+ * Dates, Maps, Sets, BigInts, RegExps, URLs and non-finite numbers survive the
+ * trip; custom types need a reducer and a reviver.
  */
 export interface SerializableState {
-  [key: string]:
-    | SerializablePrimitive
-    | SerializablePrimitive[]
-    | SerializableState
-    | SerializableState[]
-    | undefined;
+  [key: string]: SerializableValue;
 }
 
+/** Custom types for stringifyState(): each returns the data to write, or undefined for other values */
+export type StateReducers = Record<string, (value: any) => unknown>;
+
+/** Custom types for parseState(): each turns the data its reducer wrote back into a value */
+export type StateRevivers = Record<string, (data: any) => unknown>;
+
 // ============================================================================
 // Hydration Types
 // ============================================================================
@@ -151,6 +161,29 @@ export interface HydrationOptions {
   onMismatch?: (mismatches: HydrationMismatch[]) => void;
   /** Additional props to pass to component */
   props?: Record<string, any>;
+  /** Revivers for custom types in the extracted state */
+  revivers?: StateRevivers;
+  /**
+   * What to do on mismatch: leave the server DOM ('warn', default), render the
+   * mismatched subtrees again ('patch') or the whole component ('remount').
+   * Detection runs in production too unless this is 'warn'.
+   */
+  recovery?: HydrationRecovery;
+  /** Called for each recovery; also dispatched as a `coherent:hydration-mismatch` DOM event */
+  onRecover?: (event: HydrationRecoveryEvent) => void;
+}
+
+/** Mismatch recovery policy of hydrate() */
+export type HydrationRecovery = 'warn' | 'patch' | 'remount';
+
+/** Structured report of one mismatch recovery */
+export interface HydrationRecoveryEvent {
+  /** Component name */
+  component: string;
+  /** Path of the subtree rendered again, or 'root' */
+  path: string;
+  recovery: HydrationRecovery;
+  mismatches: HydrationMismatch[];
 }
 
 /** State transformation functions */
@@ -320,16 +353,93 @@ export interface HandlerComponentRef {
   [key: string]: any;
 }
 
+/**
+ * Modifiers of an event prop, given on an object value or as dotted suffixes
+ * of the prop name, e.g. `'onKeydown.ctrl.s.prevent'`
+ */
+export interface EventModifiers {
+  /** Call `event.preventDefault()`; ignored for passive handlers */
+  prevent?: boolean;
+  /** Call `event.stopPropagation()` */
+  stop?: boolean;
+  /** Run at most once per element, across re-renders */
+  once?: boolean;
+  /** Hand the handler a `preventDefault()` that does nothing */
+  passive?: boolean;
+  /** Run only when the event targets the element itself */
+  self?: boolean;
+  /** Run only after this many milliseconds without another event */
+  debounce?: number;
+  ctrl?: boolean;
+  alt?: boolean;
+  shift?: boolean;
+  meta?: boolean;
+  /** Keys that trigger a keyboard handler: aliases such as `enter` and `esc`, or `KeyboardEvent.key` values */
+  keys?: string[];
+}
+
+/** An event prop value with modifiers: `onClick: { handler, prevent: true }` */
+export interface EventHandlerSpec<H extends (...args: any[]) => any = (...args: any[]) => any>
+  extends Omit<EventModifiers, 'keys'> {
+  handler: H;
+}
+
+/** An event prop read by parseEventProp() */
+export interface ParsedEventProp {
+  /** Lowercase DOM event type, e.g. `keydown` */
+  eventType: string;
+  handler: (...args: any[]) => any;
+  /** Modifiers with the prop name as `prop`, or null when there are none */
+  modifiers: (EventModifiers & { prop: string }) | null;
+}
+
+/** A handler from `resumable()` in @coherent.js/core, imported on first use */
+export interface ResumableHandlerValue {
+  readonly __resumable: true;
+  /** `module#export` */
+  readonly ref: string;
+  readonly state?: unknown;
+}
+
+/** Options for resume() */
+export interface ResumeOptions {
+  /** Element to listen on; defaults to `document` */
+  root?: Document | Element;
+  /** Loads a module specifier; defaults to `(specifier) => import(specifier)` */
+  importModule?: (specifier: string) => Promise<Record<string, unknown>>;
+  /**
+   * URL prefixes referenced modules must start with, e.g. `['/js/']`;
+   * modules of the page's own origin by default
+   */
+  allow?: string[];
+  /** Event types to listen for besides the defaults, e.g. `mouseenter` */
+  events?: string[];
+}
+
+/**
+ * Start the event delegation on a page whose handlers are server-rendered
+ * `module#export` references, without hydrating it. Each module is imported
+ * on the first event that needs it, and its export is called with the event
+ * and the element's `data-coherent-<event>-state`. References in the DOM are
+ * ignored until resume() is called, and only followed to allowed modules.
+ */
+export function resume(options?: ResumeOptions): EventDelegation;
+
+/** Read an event prop into its event type, handler and modifiers; null when it is not one */
+export function parseEventProp(key: string, value: unknown): ParsedEventProp | null;
+
 /** A registered handler and the component it belongs to */
 export interface RegisteredHandler {
   handler: StateAwareHandler;
   componentRef: HandlerComponentRef | null;
+  modifiers: (EventModifiers & { prop: string }) | null;
 }
 
 /**
  * Routes document-level events to handlers registered by id.
  *
- * Focus and blur are delegated in the capture phase, since they do not bubble.
+ * Events that do not bubble, such as focus, blur and mouseenter, are
+ * delegated in the capture phase and reach only the handler of their target.
  */
 export class EventDelegation {
   constructor(registry?: HandlerRegistry);
@@ -339,11 +449,22 @@ export class EventDelegation {
   root: Document | Element | null;
   /** Event types delegated from the root */
   eventTypes: string[];
+  /** Handlers for `module#export` references, by event type and reference */
+  references: Map<string, RegisteredHandler | null>;
 
   /** Attach listeners to `root`; idempotent, and a no-op without a document */
   initialize(root?: Document | Element | null): void;
 
-  /** Dispatch one delegated event to its registered handler */
+  /** Delegate one more event type from the root; idempotent */
+  listen(eventType: string): void;
+
+  /**
+   * Handler entry for a `module#export` reference, created on first use;
+   * null when `reference` is not one
+   */
+  resolveReference(reference: string, eventType: string): RegisteredHandler | null;
+
+  /** Dispatch one delegated event to its registered handlers */
   handleEvent(event: Event, eventType: string): void;
 
   /** Remove every listener attached by `initialize()` */
@@ -362,7 +483,8 @@ export class HandlerRegistry {
   register(
     handlerId: string,
     handler: StateAwareHandler,
-    componentRef?: HandlerComponentRef | null
+    componentRef?: HandlerComponentRef | null,
+    modifiers?: (EventModifiers & { prop: string }) | null
   ): void;
 
   /** Remove a handler; `false` when the id was not registered */
@@ -576,12 +698,44 @@ export interface PerformanceMonitor {
 // Router Types
 // ============================================================================
 
+/** Props passed to a route component */
+export interface RouteProps<Data = any> {
+  /** Values of the path params, e.g. `{ id: '42' }` for `/users/:id` */
+  params: Record<string, string>;
+  query: Record<string, string>;
+  /** Result of this route's loader */
+  data: Data;
+  /** The matched child route, rendered; null for the innermost route */
+  children: CoherentNode | null;
+}
+
+/** Component rendered for a route */
+export type RouteComponent<Data = any> = (props: RouteProps<Data>) => CoherentNode;
+
+/** Code-split route component, loaded on first navigation */
+export type LazyRouteComponent = () => Promise<RouteComponent | CoherentNode | { default: RouteComponent | CoherentComponent }>;
+
+/** Argument of a route loader */
+export interface RouteLoaderContext {
+  params: Record<string, string>;
+  query: Record<string, string>;
+  /** Aborted when a newer navigation starts */
+  signal: AbortSignal;
+}
+
 /** Route configuration */
 export interface RouteConfig {
-  /** Route path pattern */
-  path: string;
-  /** Component to render (can be async for code splitting) */
-  component: CoherentComponent | (() => Promise<CoherentComponent>);
+  /** Route path pattern; in a `children` array, relative to the parent */
+  path?: string;
+  /**
+   * Component to render, called with {@link RouteProps}. A function without
+   * parameters is a loader for code splitting and may resolve to a module.
+   */
+  component?: RouteComponent | CoherentComponent | CoherentNode | LazyRouteComponent;
+  /** Loads the route's data before it renders */
+  loader?: (context: RouteLoaderContext) => unknown;
+  /** Child routes, rendered inside this route's component as `children` */
+  children?: Record<string, RouteConfig | RouteComponent | CoherentComponent | LazyRouteComponent> | RouteConfig[];
   /** Route metadata */
   meta?: Record<string, any>;
   /** Before enter guard */
@@ -592,6 +746,20 @@ export interface RouteConfig {
   priority?: number;
   /** Custom transition for this route */
   transition?: RouteTransition;
+  /** Cache strategy of the route's pages in a generated service worker */
+  cache?: 'network-first' | 'stale-while-revalidate' | 'cache-first' | 'network-only';
+}
+
+/** A route matched by a location */
+export interface RouteMatch {
+  /** Innermost matched route */
+  route: RouteConfig & { path: string };
+  /** Matched routes, outermost layout first */
+  matched: Array<RouteConfig & { path: string }>;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  hash: string;
+  pathname: string;
 }
 
 /** Current route state */
@@ -601,15 +769,41 @@ export interface Route {
   meta?: Record<string, any>;
   hash?: string;
   query?: Record<string, string>;
+  params?: Record<string, string>;
+  /** Loader result of the innermost route */
+  data?: unknown;
+  /** Matched routes, outermost layout first, with their loader results */
+  matched?: Array<{ path: string; meta: Record<string, any>; data: unknown }>;
+  /** The matched routes rendered, each inside its parent */
+  view?: CoherentNode;
+  /** Whether the page was fetched from the server by server navigation */
+  server?: boolean;
+  /** HTTP status of the page fetched by server navigation */
+  status?: number;
 }
 
-/** Route transition configuration */
+/**
+ * Route transition configuration
+ *
+ * Where the browser has the View Transitions API, `name` is set as
+ * `data-router-transition` on `<html>` and added to the transition types,
+ * for CSS to pick the animation. Otherwise the `enter`/`leave` classes are
+ * applied for `duration` milliseconds.
+ */
 export interface RouteTransition {
-  enter: string;
-  leave: string;
-  duration: number;
+  name?: string;
+  enter?: string;
+  leave?: string;
+  duration?: number;
+  /** Overrides for navigations back through history */
+  back?: Omit<RouteTransition, 'back' | 'forward'>;
+  /** Overrides for navigations to a new entry or forward through history */
+  forward?: Omit<RouteTransition, 'back' | 'forward'>;
 }
 
+/** Direction of a navigation through history */
+export type NavigationDirection = 'forward' | 'back';
+
 /** Scroll behavior configuration */
 export interface ScrollBehaviorConfig {
   enabled?: boolean;
@@ -620,6 +814,32 @@ export interface ScrollBehaviorConfig {
   custom?: (to: Route, from: Route | null, savedPosition: { x: number; y: number } | null) => { x: number; y: number } | { el: Element };
 }
 
+/**
+ * Server navigation configuration
+ *
+ * Paths without a client route are fetched from the server, and the region
+ * with the `target` id is swapped into the current page. Requests carry the
+ * `X-Coherent-Navigation` header, and `X-Coherent-Target` with the region
+ * id, so the server may answer with the region's content alone.
+ */
+export interface ServerNavigationConfig {
+  enabled?: boolean;
+  /** Id of the region that changes between pages; the whole body without one */
+  target?: string | null;
+  /** Island components to hydrate the new content with */
+  islands?: Record<string, CoherentComponent> | Map<string, CoherentComponent> | null;
+  /** Called after each swap, e.g. to hydrate() components of the new content */
+  hydrate?: ((region: Element, route: Route) => void | Promise<void>) | null;
+  /** Navigate on same-origin link clicks (default: true) */
+  links?: boolean;
+  /** Extra headers of page requests */
+  headers?: Record<string, string>;
+  /** Fetch implementation (default: the global fetch) */
+  fetch?: typeof fetch | null;
+  /** Called when a page cannot be fetched; the browser loads it instead by default */
+  onError?: ((error: Error, path: string) => void) | null;
+}
+
 /** Router configuration */
 export interface RouterConfig {
   mode?: 'history' | 'hash';
@@ -629,6 +849,8 @@ export interface RouterConfig {
     strategy?: 'hover' | 'visible' | 'idle';
     delay?: number;
     maxConcurrent?: number;
+    /** Also have the controlling service worker cache prefetched pages (default true) */
+    serviceWorker?: boolean;
     priority?: {
       critical?: number;
       high?: number;
@@ -636,12 +858,19 @@ export interface RouterConfig {
       low?: number;
     };
   };
+  /**
+   * Put the view of a client route in the page; called inside the view
+   * transition, so the browser animates between the old and new views
+   */
+  render?: (route: Route, from: Route | null) => void | Promise<void>;
   transitions?: {
     enabled?: boolean;
+    /** Use `document.startViewTransition` where available (default true) */
+    viewTransitions?: boolean;
     default?: RouteTransition;
     routes?: Record<string, RouteTransition>;
-    onStart?: (from: string | null, to: string) => void;
-    onComplete?: (from: string | null, to: string) => void;
+    onStart?: (from: string | null, to: string, direction: NavigationDirection) => void;
+    onComplete?: (from: string | null, to: string, direction: NavigationDirection) => void;
   };
   codeSplitting?: {
     enabled?: boolean;
@@ -651,6 +880,7 @@ export interface RouterConfig {
     onLoad?: (path: string, component: any, loadTime: number) => void;
   };
   scrollBehavior?: ScrollBehaviorConfig;
+  serverNavigation?: ServerNavigationConfig;
 }
 
 /** Router statistics */
@@ -671,6 +901,8 @@ export interface RouterStats {
 /** Router instance */
 export interface Router {
   addRoute(path: string, config: RouteConfig): void;
+  /** Find the route that renders a location */
+  match(location: string): RouteMatch | null;
   push(path: string, options?: Partial<Route>): Promise<boolean>;
   replace(path: string, options?: Partial<Route>): Promise<boolean>;
   back(): void;
@@ -683,6 +915,8 @@ export interface Router {
   getCurrentRoute(): Route | null;
   getStats(): RouterStats;
   clearCaches(): void;
+  /** Stop listening to link clicks and history changes */
+  destroy(): void;
 }
 
 // ============================================================================
@@ -728,6 +962,44 @@ export function hydrate(
   options?: HydrationOptions
 ): HydrateControl;
 
+/** Loading strategy for an island. */
+export type IslandStrategy = 'load' | 'idle' | 'visible' | 'media';
+
+/** Options for hydrateIslands(). */
+export interface HydrateIslandsOptions {
+  /** Where to look for islands (default: document) */
+  root?: Document | Element;
+  /** Strategy for islands that do not set data-coherent-island-strategy (default: 'load') */
+  strategy?: IslandStrategy;
+  /** IntersectionObserver margin for the 'visible' strategy (default: '0px') */
+  rootMargin?: string;
+  /** Longest wait for the 'idle' strategy, in ms (default: 2000) */
+  idleTimeout?: number;
+  /** Called after each island is hydrated */
+  onHydrate?: (element: HTMLElement, control: HydrateControl, name: string) => void;
+  /** Called when an island fails to hydrate (default: console.error) */
+  onError?: (error: Error, element: HTMLElement, name: string) => void;
+  /** Options forwarded to every hydrate() call */
+  hydrateOptions?: HydrationOptions;
+}
+
+/** Controller returned by hydrateIslands(). */
+export interface IslandsControl {
+  /** Hydrated islands so far, by element */
+  readonly islands: Map<HTMLElement, HydrateControl>;
+  /** Cancel pending islands and unmount the hydrated ones */
+  unmount(): void;
+}
+
+/**
+ * Hydrate every island rendered by Island() with the component registered
+ * under its name, following each island's loading strategy.
+ */
+export function hydrateIslands(
+  registry: Record<string, CoherentComponent> | Map<string, CoherentComponent>,
+  options?: HydrateIslandsOptions
+): IslandsControl;
+
 /** Register a component for auto-hydration */
 declare function registerComponent(
   name: string,
@@ -833,22 +1105,63 @@ declare function lazyLoad(
 // State Serialization Functions (Plan 02-02)
 // ============================================================================
 
-/** Serialize state to base64-encoded JSON */
-export function serializeState(state: SerializableState): string;
+/** Serialize state to a base64-encoded string in the typed state format */
+export function serializeState(state: SerializableState, options?: { reducers?: StateReducers }): string;
 
-/** Deserialize state from base64-encoded JSON */
-export function deserializeState(encoded: string): SerializableState;
+/** Deserialize state from a base64-encoded string */
+export function deserializeState(encoded: string, options?: { revivers?: StateRevivers }): SerializableState;
 
-/** Extract state from DOM element's data-state attribute */
-export function extractState(element: HTMLElement): SerializableState | null;
+/**
+ * Extract state from a DOM element's data-state attribute, or from the entry
+ * of the page-level state script its data-state-key attribute names
+ */
+export function extractState(
+  element: HTMLElement,
+  options?: { revivers?: StateRevivers; scriptId?: string }
+): SerializableState | null;
 
 /** Serialize state with size warning (10KB threshold) */
-export function serializeStateWithWarning(state: SerializableState, componentName?: string): string;
+export function serializeStateWithWarning(
+  state: SerializableState,
+  componentName?: string,
+  options?: { reducers?: StateReducers }
+): string;
+
+/** Write a value in the typed state format; the JSON text is safe inside a `<script>` */
+export function stringifyState(value: unknown, options?: { reducers?: StateReducers }): string;
+
+/** Read a value written by stringifyState(); plain JSON objects parse as they are */
+export function parseState<T = SerializableValue>(text: string, options?: { revivers?: StateRevivers }): T;
+
+/** Page-level `<script type="application/json">` holding the state of each data-state-key */
+export function stateScript(
+  states: Record<string, SerializableState>,
+  options?: { id?: string; reducers?: StateReducers }
+): { script: { type: 'application/json'; id: string; text: string } };
+
+/** Read the page-level state script (default id `coherent-state`) */
+export function readStateScript(
+  options?: { id?: string; revivers?: StateRevivers }
+): Record<string, SerializableState> | null;
 
 // ============================================================================
 // Mismatch Detection Functions (Plan 02-03)
 // ============================================================================
 
+/** Name of the DOM event dispatched on the container for each recovery */
+export const MISMATCH_EVENT: 'coherent:hydration-mismatch';
+
+/** Detect mismatches and recover from them; returns the mismatches found */
+export function recoverMismatches(
+  container: HTMLElement,
+  vNode: CoherentNode,
+  options?: {
+    recovery?: HydrationRecovery;
+    componentName?: string;
+    onRecover?: (event: HydrationRecoveryEvent) => void;
+  }
+): HydrationMismatch[];
+
 /** Detect mismatches between DOM and virtual DOM */
 export function detectMismatch(element: HTMLElement, vNode: CoherentNode): HydrationMismatch[];
 
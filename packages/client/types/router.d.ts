@@ -5,25 +5,72 @@
  * @version 1.0.0-beta.1
  */
 
-import type { CoherentComponent } from '@coherent.js/core';
+import type { CoherentComponent, CoherentNode } from '@coherent.js/core';
 
 // ============================================================================
 // Route Types
 // ============================================================================
 
-/** Route transition configuration */
+/**
+ * Route transition configuration
+ *
+ * Where the browser has the View Transitions API, `name` is set as
+ * `data-router-transition` on `<html>` and added to the transition types,
+ * for CSS to pick the animation. Otherwise the `enter`/`leave` classes are
+ * applied for `duration` milliseconds.
+ */
 export interface RouteTransition {
-  enter: string;
-  leave: string;
-  duration: number;
+  name?: string;
+  enter?: string;
+  leave?: string;
+  duration?: number;
+  /** Overrides for navigations back through history */
+  back?: Omit<RouteTransition, 'back' | 'forward'>;
+  /** Overrides for navigations to a new entry or forward through history */
+  forward?: Omit<RouteTransition, 'back' | 'forward'>;
+}
+
+/** Direction of a navigation through history */
+export type NavigationDirection = 'forward' | 'back';
+
+/** Props passed to a route component */
+export interface RouteProps<Data = any> {
+  /** Values of the path params, e.g. `{ id: '42' }` for `/users/:id` */
+  params: Record<string, string>;
+  query: Record<string, string>;
+  /** Result of this route's loader */
+  data: Data;
+  /** The matched child route, rendered; null for the innermost route */
+  children: CoherentNode | null;
+}
+
+/** Component rendered for a route */
+export type RouteComponent<Data = any> = (props: RouteProps<Data>) => CoherentNode;
+
+/** Code-split route component, loaded on first navigation */
+export type LazyRouteComponent = () => Promise<RouteComponent | CoherentNode | { default: RouteComponent | CoherentComponent }>;
+
+/** Argument of a route loader */
+export interface RouteLoaderContext {
+  params: Record<string, string>;
+  query: Record<string, string>;
+  /** Aborted when a newer navigation starts */
+  signal: AbortSignal;
 }
 
 /** Route configuration */
 export interface RouteConfig {
-  /** Route path pattern */
-  path: string;
-  /** Component to render (can be async for code splitting) */
-  component: CoherentComponent | (() => Promise<CoherentComponent>);
+  /** Route path pattern; in a `children` array, relative to the parent */
+  path?: string;
+  /**
+   * Component to render, called with {@link RouteProps}. A function without
+   * parameters is a loader for code splitting and may resolve to a module.
+   */
+  component?: RouteComponent | CoherentComponent | CoherentNode | LazyRouteComponent;
+  /** Loads the route's data before it renders */
+  loader?: (context: RouteLoaderContext) => unknown;
+  /** Child routes, rendered inside this route's component as `children` */
+  children?: Record<string, RouteConfig | RouteComponent | CoherentComponent | LazyRouteComponent> | RouteConfig[];
   /** Route metadata */
   meta?: Record<string, any>;
   /** Before enter guard */
@@ -34,6 +81,20 @@ export interface RouteConfig {
   priority?: number;
   /** Custom transition for this route */
   transition?: RouteTransition;
+  /** Cache strategy of the route's pages in a generated service worker */
+  cache?: 'network-first' | 'stale-while-revalidate' | 'cache-first' | 'network-only';
+}
+
+/** A route matched by a location */
+export interface RouteMatch {
+  /** Innermost matched route */
+  route: RouteConfig & { path: string };
+  /** Matched routes, outermost layout first */
+  matched: Array<RouteConfig & { path: string }>;
+  params: Record<string, string>;
+  query: Record<string, string>;
+  hash: string;
+  pathname: string;
 }
 
 /** Current route state */
@@ -43,6 +104,17 @@ export interface Route {
   meta?: Record<string, any>;
   hash?: string;
   query?: Record<string, string>;
+  params?: Record<string, string>;
+  /** Loader result of the innermost route */
+  data?: unknown;
+  /** Matched routes, outermost layout first, with their loader results */
+  matched?: Array<{ path: string; meta: Record<string, any>; data: unknown }>;
+  /** The matched routes rendered, each inside its parent */
+  view?: CoherentNode;
+  /** Whether the page was fetched from the server by server navigation */
+  server?: boolean;
+  /** HTTP status of the page fetched by server navigation */
+  status?: number;
 }
 
 // ============================================================================
@@ -63,6 +135,32 @@ export interface ScrollBehaviorConfig {
   ) => { x: number; y: number } | { el: Element };
 }
 
+/**
+ * Server navigation configuration
+ *
+ * Paths without a client route are fetched from the server, and the region
+ * with the `target` id is swapped into the current page. Requests carry the
+ * `X-Coherent-Navigation` header, and `X-Coherent-Target` with the region
+ * id, so the server may answer with the region's content alone.
+ */
+export interface ServerNavigationConfig {
+  enabled?: boolean;
+  /** Id of the region that changes between pages; the whole body without one */
+  target?: string | null;
+  /** Island components to hydrate the new content with */
+  islands?: Record<string, CoherentComponent> | Map<string, CoherentComponent> | null;
+  /** Called after each swap, e.g. to hydrate() components of the new content */
+  hydrate?: ((region: Element, route: Route) => void | Promise<void>) | null;
+  /** Navigate on same-origin link clicks (default: true) */
+  links?: boolean;
+  /** Extra headers of page requests */
+  headers?: Record<string, string>;
+  /** Fetch implementation (default: the global fetch) */
+  fetch?: typeof fetch | null;
+  /** Called when a page cannot be fetched; the browser loads it instead by default */
+  onError?: ((error: Error, path: string) => void) | null;
+}
+
 /** Router configuration options */
 export interface RouterConfig {
   mode?: 'history' | 'hash';
@@ -72,6 +170,8 @@ export interface RouterConfig {
     strategy?: 'hover' | 'visible' | 'idle';
     delay?: number;
     maxConcurrent?: number;
+    /** Also have the controlling service worker cache prefetched pages (default true) */
+    serviceWorker?: boolean;
     priority?: {
       critical?: number;
       high?: number;
@@ -79,12 +179,19 @@ export interface RouterConfig {
       low?: number;
     };
   };
+  /**
+   * Put the view of a client route in the page; called inside the view
+   * transition, so the browser animates between the old and new views
+   */
+  render?: (route: Route, from: Route | null) => void | Promise<void>;
   transitions?: {
     enabled?: boolean;
+    /** Use `document.startViewTransition` where available (default true) */
+    viewTransitions?: boolean;
     default?: RouteTransition;
     routes?: Record<string, RouteTransition>;
-    onStart?: (from: string | null, to: string) => void;
-    onComplete?: (from: string | null, to: string) => void;
+    onStart?: (from: string | null, to: string, direction: NavigationDirection) => void;
+    onComplete?: (from: string | null, to: string, direction: NavigationDirection) => void;
   };
   codeSplitting?: {
     enabled?: boolean;
@@ -94,6 +201,7 @@ export interface RouterConfig {
     onLoad?: (path: string, component: any, loadTime: number) => void;
   };
   scrollBehavior?: ScrollBehaviorConfig;
+  serverNavigation?: ServerNavigationConfig;
 }
 
 // ============================================================================
@@ -123,6 +231,8 @@ export interface RouterStats {
 export interface Router {
   /** Add a route to the router */
   addRoute(path: string, config: RouteConfig): void;
+  /** Find the route that renders a location */
+  match(location: string): RouteMatch | null;
   /** Navigate to a path */
   push(path: string, options?: Partial<Route>): Promise<boolean>;
   /** Replace current route */
@@ -147,6 +257,8 @@ export interface Router {
   getStats(): RouterStats;
   /** Clear all caches */
   clearCaches(): void;
+  /** Stop listening to link clicks and history changes */
+  destroy(): void;
   /** Internal state (for testing) */
   _state?: any;
 }
@@ -163,5 +275,12 @@ export interface Router {
  */
 export declare function createRouter(options?: RouterConfig): Router;
 
+/**
+ * Match a pathname against a route pattern
+ *
+ * @returns Decoded params by name, or null when it does not match
+ */
+export declare function matchPath(pattern: string, pathname: string): Record<string, string> | null;
+
 /** Default router instance */
 export declare const router: Router;
@@ -0,0 +1,89 @@
+/**
+ * Coherent.js Service Worker Types
+ * TypeScript definitions for the service worker generator and registration
+ */
+
+import type { Router, RouteConfig } from './router';
+
+/** How a service worker answers the requests of a route */
+export type CacheStrategy = 'network-first' | 'stale-while-revalidate' | 'cache-first' | 'network-only';
+
+/** Cache strategies a route or the API may use */
+export declare const CACHE_STRATEGIES: CacheStrategy[];
+
+/** Message asking the service worker to cache pages, with their `urls` */
+export declare const PREFETCH_MESSAGE: 'coherent:prefetch';
+
+/** Message telling a waiting service worker to take over */
+export declare const SKIP_WAITING_MESSAGE: 'coherent:skip-waiting';
+
+/** An entry of a Vite manifest */
+export interface ManifestChunk {
+  file: string;
+  css?: string[];
+  assets?: string[];
+  [key: string]: unknown;
+}
+
+/**
+ * Asset manifest of a build: a Vite manifest, a map of names to files, or
+ * the URLs themselves
+ */
+export type AssetManifest = Record<string, ManifestChunk | string> | string[];
+
+/** Route entry of a service worker */
+export interface ServiceWorkerRoute {
+  path: string;
+  cache?: CacheStrategy | null;
+}
+
+/** Options of generateServiceWorker() */
+export interface ServiceWorkerOptions {
+  /** A router, its `getRoutes()`, or `{ path, cache }` entries */
+  routes?: Router | Array<ServiceWorkerRoute | (RouteConfig & { path: string })>;
+  /** Asset manifest of the build, or the URLs to precache */
+  assets?: AssetManifest;
+  /** Public path of the built assets (default `/`) */
+  base?: string;
+  /** Pages precached as the app shell (default `['/']`) */
+  shell?: string[];
+  /** HTML of the offline page, or the page and its URL (default `/offline.html`) */
+  offline?: string | { html: string; url?: string };
+  /** Strategy of pages whose route sets none (default network-first) */
+  pages?: CacheStrategy;
+  /** API GETs (default `/api/`, stale-while-revalidate); false to leave them alone */
+  api?: { prefix?: string; strategy?: CacheStrategy } | false;
+  /** Cache version; a hash of the configuration by default */
+  version?: string;
+  /** Prefix of the cache names (default `coherent`) */
+  cacheName?: string;
+}
+
+/** A new version of the service worker, waiting to take over */
+export interface ServiceWorkerUpdate {
+  worker: ServiceWorker;
+  /** Let the new version take over and reload the page */
+  apply(): void;
+}
+
+/** Options of registerServiceWorker() */
+export interface RegisterServiceWorkerOptions {
+  scope?: string;
+  /** Called when a new version is waiting; the place to ask the user */
+  onUpdate?: (update: ServiceWorkerUpdate) => void;
+}
+
+/** List the URLs of the files in a build's asset manifest */
+export declare function assetsFromManifest(manifest: AssetManifest, base?: string): string[];
+
+/** Generate the source of a service worker for an app */
+export declare function generateServiceWorker(options?: ServiceWorkerOptions): string;
+
+/**
+ * Register the service worker and report new versions; resolves to null
+ * where service workers are not supported
+ */
+export declare function registerServiceWorker(
+  url?: string,
+  options?: RegisterServiceWorkerOptions
+): Promise<ServiceWorkerRegistration | null>;
@@ -170,6 +170,61 @@ export function createErrorBoundary(options = {}) {
   };
 }
 
+/**
+ * Create an error boundary node
+ *
+ * Unlike the wrappers from createErrorBoundary(), which only catch errors
+ * thrown by the wrapped function itself, render(), renderHTML() and
+ * renderToStream() recognize this node: an error anywhere in `children`,
+ * including a rejected Promise while streaming, renders `fallback` in its
+ * place and the rest of the page renders normally. The `errorHandler` render
+ * option, or defaultErrorHandler without one, receives every caught error
+ * through captureError().
+ *
+ * @param {Object} props - Boundary props
+ * @param {*|Function} [props.fallback] - Content rendered instead of the children,
+ *   or `(error, errorInfo) => content`
+ * @param {Function} [props.onError] - Called with `(error, errorInfo)`
+ * @param {*} props.children - Content to protect
+ * @returns {Object} Error boundary node; `errorInfo.path` is the render path
+ *   of the component that failed
+ *
+ * @example
+ * const Dashboard = () => ({
+ *   main: {
+ *     children: [
+ *       ErrorBoundary({
+ *         fallback: (error) => ({ p: { className: 'error', text: 'Orders are unavailable' } }),
+ *         children: [OrderTable]
+ *       }),
+ *       Sidebar
+ *     ]
+ *   }
+ * });
+ */
+export function ErrorBoundary({
+  fallback = { div: { className: 'error-boundary', text: 'An error occurred' } },
+  onError = null,
+  children = null
+} = {}) {
+  return {
+    __errorBoundary: true,
+    fallback,
+    onError,
+    children
+  };
+}
+
+/**
+ * Check whether a node is an error boundary created by ErrorBoundary()
+ *
+ * @param {*} value - Node to check
+ * @returns {boolean}
+ */
+export function isErrorBoundary(value) {
+  return Boolean(value) && typeof value === 'object' && value.__errorBoundary === true;
+}
+
 /**
  * Check if error boundary should reset based on props
  */
@@ -418,14 +473,22 @@ export function createGlobalErrorHandler(options = {}) {
   return new GlobalErrorHandler(options);
 }
 
+/**
+ * Error handler render(), renderHTML() and renderToStream() report caught
+ * errors to when they are not given an `errorHandler` option
+ */
+export const defaultErrorHandler = new GlobalErrorHandler();
+
 /**
  * Export all error boundary utilities
  */
 export default {
+  ErrorBoundary,
   createErrorBoundary,
   createErrorFallback,
   withErrorBoundary,
   createAsyncErrorBoundary,
   GlobalErrorHandler,
-  createGlobalErrorHandler
+  createGlobalErrorHandler,
+  defaultErrorHandler
 };
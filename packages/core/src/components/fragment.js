@@ -0,0 +1,45 @@
+/**
+ * Coherent.js Fragment
+ *
+ * Groups children without a wrapping element. Unlike a plain array, a
+ * fragment can carry a `key`, so a group of siblings keeps its identity when
+ * a hydrated list is reordered.
+ *
+ * @module components/fragment
+ */
+
+/**
+ * Create a fragment
+ *
+ * @param {Object} props - Fragment props
+ * @param {string|number} [props.key] - Identity of the group among its siblings
+ * @param {*} props.children - Content rendered in place of the fragment
+ * @returns {Object} Fragment node
+ *
+ * @example
+ * const Glossary = ({ terms }) => ({
+ *   dl: {
+ *     children: terms.map(term => Fragment({
+ *       key: term.id,
+ *       children: [{ dt: { text: term.name } }, { dd: { text: term.definition } }]
+ *     }))
+ *   }
+ * });
+ */
+export function Fragment({ key, children = null } = {}) {
+  return {
+    __fragment: true,
+    key,
+    children
+  };
+}
+
+/**
+ * Check whether a node is a fragment
+ *
+ * @param {*} value - Node to check
+ * @returns {boolean}
+ */
+export function isFragment(value) {
+  return Boolean(value) && typeof value === 'object' && value.__fragment === true;
+}
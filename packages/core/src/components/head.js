@@ -0,0 +1,38 @@
+/**
+ * Coherent.js Head
+ *
+ * Component form of useHead(): place it anywhere in the tree and its tags
+ * are added to the document head of the render, while it renders nothing
+ * where it stands.
+ *
+ * @module components/head
+ */
+
+import { useHead } from '../rendering/head.js';
+
+/**
+ * Add tags to the document head from inside the tree
+ *
+ * The tags are registered when the node is rendered, not when Head() is
+ * called, so building a tree ahead of render() is fine.
+ *
+ * @param {Object} props - Head props
+ * @param {Object|Array} props.children - Tags, in any form useHead() accepts
+ * @returns {Function} Node that registers the tags and renders nothing
+ *
+ * @example
+ * const AboutPage = () => ({
+ *   main: {
+ *     children: [
+ *       Head({ children: { title: 'About us', meta: { name: 'description', content: 'Who we are' } } }),
+ *       { h1: { text: 'About us' } }
+ *     ]
+ *   }
+ * });
+ */
+export function Head({ children = null } = {}) {
+  return function HeadTags() {
+    useHead(children);
+    return null;
+  };
+}
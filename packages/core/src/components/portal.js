@@ -0,0 +1,96 @@
+/**
+ * Coherent.js Portal
+ *
+ * Renders content somewhere else in the document than where it appears in
+ * the tree: modals, toasts and other overlays that have to sit at the end of
+ * `<body>`. A `Portal()` names the outlet its children go to, and a
+ * `PortalOutlet()` in the page shell marks where that is.
+ *
+ * @module components/portal
+ */
+
+/**
+ * Create a portal
+ *
+ * The children render inside the `PortalOutlet()` with the same name, in
+ * tree order after the content of earlier portals. Without such an outlet
+ * the renderer creates one just before `</body>`.
+ *
+ * @param {Object} props - Portal props
+ * @param {string} props.target - Name of the outlet the children go to
+ * @param {*} props.children - Content to render in the outlet
+ * @returns {Object} Portal node
+ *
+ * @example
+ * const ConfirmDelete = ({ open }) => ({
+ *   div: {
+ *     children: [
+ *       { button: { text: 'Delete' } },
+ *       open && Portal({ target: 'modals', children: { dialog: { open: true, text: 'Are you sure?' } } })
+ *     ]
+ *   }
+ * });
+ */
+export function Portal({ target, children = null } = {}) {
+  if (typeof target !== 'string' || target === '') {
+    throw new TypeError(`Portal() expects a target outlet name, received: ${typeof target}`);
+  }
+
+  return {
+    __portal: true,
+    target,
+    children
+  };
+}
+
+/**
+ * Mark where the content of portals with this target name goes
+ *
+ * Renders a `<div data-coherent-portal-outlet="name">`; other props become
+ * its attributes.
+ *
+ * @param {Object} props - Outlet props
+ * @param {string} props.name - Outlet name, matched by `Portal({ target })`
+ * @returns {Object} Portal outlet node
+ *
+ * @example
+ * const Layout = ({ children }) => ({
+ *   body: {
+ *     children: [
+ *       { main: { children } },
+ *       PortalOutlet({ name: 'modals', className: 'modal-root' })
+ *     ]
+ *   }
+ * });
+ */
+export function PortalOutlet({ name, ...attributes } = {}) {
+  if (typeof name !== 'string' || name === '') {
+    throw new TypeError(`PortalOutlet() expects a name, received: ${typeof name}`);
+  }
+
+  return {
+    __portalOutlet: true,
+    name,
+    attributes
+  };
+}
+
+/**
+ * Check whether a node is a portal
+ *
+ * @param {*} value - Node to check
+ * @returns {boolean}
+ */
+export function isPortal(value) {
+  return Boolean(value) && typeof value === 'object' && value.__portal === true;
+}
+
+/**
+ * Check whether a node is a portal outlet
+ *
+ * @param {*} value - Node to check
+ * @returns {boolean}
+ */
+export function isPortalOutlet(value) {
+  return Boolean(value) && typeof value === 'object' && value.__portalOutlet === true;
+}
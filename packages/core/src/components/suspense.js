@@ -0,0 +1,49 @@
+/**
+ * Coherent.js Suspense
+ *
+ * Marks a subtree whose components may return Promises. `renderToStream`
+ * sends the fallback straight away and streams the resolved subtree later,
+ * out of order, together with a small inline script that swaps it in.
+ * The synchronous `render()` cannot wait, so it renders the fallback.
+ *
+ * @module components/suspense
+ */
+
+/**
+ * Create a Suspense boundary
+ *
+ * @param {Object} props - Boundary props
+ * @param {*} [props.fallback=null] - Content shown until the children resolve
+ * @param {*} props.children - Content that may contain async components
+ * @returns {Object} Suspense boundary node
+ *
+ * @example
+ * const Page = () => ({
+ *   main: {
+ *     children: [
+ *       { h1: { text: 'Dashboard' } },
+ *       Suspense({
+ *         fallback: { p: { text: 'Loading orders...' } },
+ *         children: [async () => OrderTable({ orders: await fetchOrders() })]
+ *       })
+ *     ]
+ *   }
+ * });
+ */
+export function Suspense({ fallback = null, children = null } = {}) {
+  return {
+    __suspense: true,
+    fallback,
+    children
+  };
+}
+
+/**
+ * Check whether a node is a Suspense boundary
+ *
+ * @param {*} value - Node to check
+ * @returns {boolean}
+ */
+export function isSuspense(value) {
+  return Boolean(value) && typeof value === 'object' && value.__suspense === true;
+}
@@ -2,6 +2,9 @@
  * HTML-specific utility functions
  */
 
+import { readSignal } from './signals.js';
+import { resumableEntry } from './resumable.js';
+
 export function escapeHtml(text) {
   if (typeof text !== 'string') return text;
 
@@ -63,15 +66,61 @@ export function isVoidElement(tagName) {
   return voidElements.has(tagName.toLowerCase());
 }
 
+/**
+ * Fold a `viewTransitionName` prop into the style, where browsers read the
+ * name of an element for view transitions
+ * @private
+ */
+function withViewTransitionName(props) {
+  if (!props || !Object.prototype.hasOwnProperty.call(props, 'viewTransitionName')) {
+    return props;
+  }
+
+  const { viewTransitionName, ...rest } = props;
+  const name = readSignal(viewTransitionName);
+  if (name === null || name === undefined || name === false || name === '') {
+    return rest;
+  }
+
+  const style = readSignal(rest.style);
+  if (style && typeof style === 'object') {
+    rest.style = { ...style, viewTransitionName: name };
+  } else if (style) {
+    rest.style = `${String(style).replace(/;\s*$/, '')}; view-transition-name: ${name}`;
+  } else {
+    rest.style = `view-transition-name: ${name}`;
+  }
+  return rest;
+}
+
 export function formatAttributes(props) {
+  props = withViewTransitionName(props);
   let formatted = '';
+  // Resumable handlers by event type, written once all props are read
+  const resumables = new Map();
+
   for (const key in props) {
     if (props.hasOwnProperty(key)) {
-      let value = props[key];
+      // Signals render their current value
+      let value = readSignal(props[key]);
 
       // Convert className to class for HTML output
       const attributeName = key === 'className' ? 'class' : key;
 
+      // Handlers referenced by module render as data-coherent-<event>
+      // references the client imports on first use
+      const resumable = resumableEntry(attributeName, value);
+      if (resumable) {
+        addResumable(resumables, resumable);
+        continue;
+      }
+
+      // Event props with modifiers, { handler, prevent: true, ... }, render
+      // like their handler
+      if (attributeName.startsWith('on') && value && typeof value === 'object' && typeof value.handler === 'function') {
+        value = value.handler;
+      }
+
       // Handle function values - for event handlers, use data-action attributes
       if (typeof value === 'function') {
         // Check if this is an event handler (starts with 'on')
@@ -117,7 +166,7 @@ export function formatAttributes(props) {
           }
           
           // Use data-action and data-event attributes instead of inline JS
-          const eventType = attributeName.substring(2); // Remove 'on' prefix
+          const eventType = attributeName.substring(2).split('.')[0]; // Remove 'on' prefix and modifiers
           formatted += ` data-action="${actionId}" data-event="${eventType}"`;
           continue; // Skip normal processing
         } else {
@@ -153,9 +202,31 @@ export function formatAttributes(props) {
       }
     }
   }
+
+  for (const [eventType, { entries, state }] of resumables) {
+    formatted += ` data-coherent-${eventType}="${escapeHtml(entries.join(' '))}"`;
+    if (state !== undefined) {
+      formatted += ` data-coherent-${eventType}-state="${escapeHtml(JSON.stringify(state))}"`;
+    }
+  }
   return formatted.trim();
 }
 
+/**
+ * Group a resumable handler with the others of its event type. Handlers of
+ * one type share an element's state attribute, so only one may carry state.
+ * @private
+ */
+function addResumable(resumables, { eventType, entry, state }) {
+  const group = resumables.get(eventType) || { entries: [], state: undefined };
+  if (state !== undefined && group.state !== undefined) {
+    throw new Error(`Only one resumable "${eventType}" handler of an element can carry state`);
+  }
+  group.entries.push(entry);
+  if (state !== undefined) group.state = state;
+  resumables.set(eventType, group);
+}
+
 export function minifyHtml(html, options = {}) {
   if (!options.minify) return html;
 
@@ -0,0 +1,99 @@
+/**
+ * Resumable event handlers
+ *
+ * resumable('/js/menu.js#toggle', state) stands for an event handler that is
+ * not sent to the browser with the component. The server renders a
+ * `data-coherent-click="/js/menu.js#toggle"` reference instead, and the event
+ * delegation of @coherent.js/client imports that module on the first event
+ * and calls the export with the event and the state:
+ *
+ *   { button: { text: 'Menu', onClick: resumable('/js/menu.js#toggle', { open: false }) } }
+ *
+ *   // /js/menu.js
+ *   export function toggle(event, state) { state.open = !state.open; ... }
+ *
+ * Modifiers work as for other handlers: `'onKeydown.esc': resumable(...)`
+ * or `onClick: { handler: resumable(...), prevent: true }`. They travel as
+ * dotted suffixes of the reference, so the client can apply `prevent`
+ * before the module has loaded.
+ *
+ * @module core/resumable
+ */
+
+/** `module#export`, where the export is a JavaScript identifier */
+const REF_PATTERN = /^[^\s#]+#[A-Za-z_$][\w$]*$/;
+
+/**
+ * Reference an event handler by module and export
+ *
+ * @param {string} ref - `module#export`, e.g. `/js/menu.js#toggle`; the
+ *   module specifier is passed to `import()` in the browser, so it should be
+ *   an absolute path or URL
+ * @param {*} [state] - JSON-serializable state handed to the handler as its
+ *   second argument, shared by the handler's calls on one element
+ * @returns {{__resumable: true, ref: string, state: *}} Resumable handler
+ * @throws {TypeError} When `ref` is not a `module#export` reference
+ *
+ * @example
+ * { button: { text: 'Open', onClick: resumable('/js/dialog.js#open', { id: 'terms' }) } }
+ */
+export function resumable(ref, state) {
+    if (typeof ref !== 'string' || !REF_PATTERN.test(ref)) {
+        throw new TypeError(`resumable() expects a "module#export" reference, received: ${JSON.stringify(ref)}`);
+    }
+    return Object.freeze({ __resumable: true, ref, state });
+}
+
+/**
+ * Check whether a value is a resumable handler
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean} True for values returned by resumable()
+ */
+export function isResumable(value) {
+    return value !== null && typeof value === 'object' && value.__resumable === true;
+}
+
+/**
+ * Dotted suffixes for the modifiers of an object event prop
+ * @private
+ */
+function modifierSuffixes(spec) {
+    const suffixes = [];
+    for (const [name, setting] of Object.entries(spec)) {
+        if (name === 'handler') continue;
+        if (setting === true) {
+            suffixes.push(name);
+        } else if (name === 'debounce' && setting > 0) {
+            suffixes.push(`debounce-${setting}`);
+        } else if (name === 'keys' && Array.isArray(setting)) {
+            suffixes.push(...setting);
+        }
+    }
+    return suffixes;
+}
+
+/**
+ * Read an event prop holding a resumable handler into the reference the
+ * client resolves: the handler's `module#export` followed by its modifiers
+ *
+ * @param {string} key - Prop name, e.g. `onClick` or `onKeydown.enter`
+ * @param {*} value - Prop value
+ * @returns {{eventType: string, entry: string, state: *}|null} The reference,
+ *   or null when the prop does not hold a resumable handler
+ */
+export function resumableEntry(key, value) {
+    let handler = value;
+    let suffixes = [];
+    if (value && typeof value === 'object' && !isResumable(value) && isResumable(value.handler)) {
+        handler = value.handler;
+        suffixes = modifierSuffixes(value);
+    }
+    if (!key.startsWith('on') || !isResumable(handler)) {
+        return null;
+    }
+
+    const [name, ...propSuffixes] = key.slice(2).split('.');
+    const entry = [handler.ref, ...propSuffixes, ...suffixes].join('.');
+    return { eventType: name.toLowerCase(), entry, state: handler.state };
+}
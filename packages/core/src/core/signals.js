@@ -0,0 +1,399 @@
+/**
+ * Signals for fine-grained reactivity
+ *
+ * A signal holds a value and knows who read it. computed() derives a value
+ * from signals and effect() runs a function again whenever a signal it read
+ * changes; both track the signals they read on their own, with no dependency
+ * list to keep up to date.
+ *
+ * Signals can stand anywhere in a component tree: as a child, as the `text`
+ * or `children` of an element, or as an attribute value. The server renders
+ * their current value, and hydrate() in @coherent.js/client binds them to the
+ * DOM so a change updates that text node, attribute or list alone, without
+ * running the component again.
+ *
+ * @module core/signals
+ */
+
+/** Computation (computed or effect) whose reads are being tracked */
+let activeObserver = null;
+
+/** Nesting depth of batch() calls and of change propagation */
+let batchDepth = 0;
+
+/** Effects to run once the current batch ends */
+const pendingEffects = new Set();
+
+/** Whether pending effects are being run; effects they schedule join the run */
+let flushing = false;
+
+/** Effect runs within one flush before a cycle is assumed */
+const MAX_EFFECT_RUNS = 100;
+
+/**
+ * Record that the active computation read `source`
+ * @private
+ */
+function track(source) {
+    if (activeObserver && activeObserver !== source) {
+        activeObserver._sources.set(source, source._version);
+        source._subscribers.add(activeObserver);
+    }
+}
+
+/**
+ * Run `fn` as `observer`, replacing the sources it read last time
+ * @private
+ */
+function runTracked(observer, fn) {
+    for (const source of observer._sources.keys()) {
+        source._subscribers.delete(observer);
+    }
+    observer._sources = new Map();
+
+    const previous = activeObserver;
+    activeObserver = observer;
+    try {
+        return fn();
+    } finally {
+        activeObserver = previous;
+    }
+}
+
+/**
+ * Whether any source changed since the observer read it. Computed sources
+ * are brought up to date first, so an observer of a computed whose value
+ * came out the same does not run again.
+ * @private
+ */
+function sourcesChanged(sources) {
+    for (const [source, version] of sources) {
+        if (source._refresh) source._refresh();
+        if (source._version !== version) return true;
+    }
+    return false;
+}
+
+/**
+ * Run the pending effects, including those their runs schedule
+ * @private
+ */
+function flush() {
+    if (flushing) return;
+    flushing = true;
+    try {
+        let runs = 0;
+        while (pendingEffects.size > 0) {
+            if (++runs > MAX_EFFECT_RUNS) {
+                pendingEffects.clear();
+                throw new Error('Signal effects keep triggering each other: an effect probably writes a signal it reads');
+            }
+            const effects = Array.from(pendingEffects);
+            pendingEffects.clear();
+            effects.forEach(effect => effect._update());
+        }
+    } finally {
+        flushing = false;
+    }
+}
+
+/**
+ * Tell the subscribers of a source that it changed
+ * @private
+ */
+function notify(source) {
+    batchDepth++;
+    try {
+        for (const subscriber of Array.from(source._subscribers)) {
+            subscriber._stale();
+        }
+    } finally {
+        batchDepth--;
+    }
+    if (batchDepth === 0) flush();
+}
+
+/**
+ * Read-only side shared by signals and computed values
+ * @private
+ */
+class ReadableSignal {
+    constructor(options = {}) {
+        this._value = undefined;
+        this._version = 0;
+        this._subscribers = new Set();
+        this._equals = options.equals || Object.is;
+    }
+
+    /**
+     * Marks signals for the renderers and the client, which recognize them
+     * without importing this module
+     */
+    get __signal() {
+        return true;
+    }
+
+    /**
+     * Current value, without tracking the read
+     * @returns {*}
+     */
+    peek() {
+        return this._value;
+    }
+
+    /**
+     * Call `fn` with the current value now and with every new value
+     *
+     * @param {Function} fn - Called with the value
+     * @returns {Function} Stops the subscription
+     */
+    subscribe(fn) {
+        return effect(() => {
+            const value = this.value;
+            untrack(() => fn(value));
+        });
+    }
+
+    toJSON() {
+        return this.peek();
+    }
+
+    toString() {
+        return String(this.peek());
+    }
+}
+
+/**
+ * Writable signal
+ */
+class Signal extends ReadableSignal {
+    constructor(value, options) {
+        super(options);
+        this._value = value;
+    }
+
+    /** Current value; reading it inside computed() or effect() subscribes them */
+    get value() {
+        track(this);
+        return this._value;
+    }
+
+    set value(next) {
+        if (this._equals(this._value, next)) return;
+        this._value = next;
+        this._version++;
+        notify(this);
+    }
+
+    /**
+     * Set the value from the current one
+     *
+     * @param {Function} fn - Called with the current value, returns the next
+     */
+    update(fn) {
+        this.value = fn(this._value);
+    }
+}
+
+/**
+ * Value derived from other signals, computed when read after a change
+ */
+class Computed extends ReadableSignal {
+    constructor(getter, options) {
+        super(options);
+        this._getter = getter;
+        this._sources = new Map();
+        this._dirty = true;
+        this._initialized = false;
+    }
+
+    get value() {
+        this._refresh();
+        track(this);
+        return this._value;
+    }
+
+    peek() {
+        this._refresh();
+        return this._value;
+    }
+
+    /** @private */
+    _refresh() {
+        if (!this._dirty) return;
+        this._dirty = false;
+        if (this._initialized && !sourcesChanged(this._sources)) return;
+
+        const next = runTracked(this, this._getter);
+        if (!this._initialized || !this._equals(this._value, next)) {
+            this._value = next;
+            this._version++;
+        }
+        this._initialized = true;
+    }
+
+    /** @private */
+    _stale() {
+        if (this._dirty) return;
+        this._dirty = true;
+        for (const subscriber of Array.from(this._subscribers)) {
+            subscriber._stale();
+        }
+    }
+}
+
+/**
+ * Side effect that runs again when the signals it read change
+ * @private
+ */
+class Effect {
+    constructor(fn) {
+        this._fn = fn;
+        this._sources = new Map();
+        this._cleanup = null;
+        this._disposed = false;
+    }
+
+    _run() {
+        this._runCleanup();
+        const result = runTracked(this, this._fn);
+        if (typeof result === 'function') this._cleanup = result;
+    }
+
+    _runCleanup() {
+        if (this._cleanup) {
+            const cleanup = this._cleanup;
+            this._cleanup = null;
+            untrack(cleanup);
+        }
+    }
+
+    _update() {
+        if (!this._disposed && sourcesChanged(this._sources)) {
+            this._run();
+        }
+    }
+
+    _stale() {
+        if (!this._disposed) pendingEffects.add(this);
+    }
+
+    _dispose() {
+        this._disposed = true;
+        pendingEffects.delete(this);
+        for (const source of this._sources.keys()) {
+            source._subscribers.delete(this);
+        }
+        this._sources.clear();
+        this._runCleanup();
+    }
+}
+
+/**
+ * Create a signal
+ *
+ * @param {*} value - Initial value
+ * @param {Object} [options]
+ * @param {Function} [options.equals=Object.is] - Values it considers equal do not notify
+ * @returns {Signal} Signal with a read/write `value`, peek(), update() and subscribe()
+ *
+ * @example
+ * const count = signal(0);
+ * const Counter = () => ({
+ *   button: { text: count, onClick: () => count.value++ }
+ * });
+ */
+export function signal(value, options) {
+    return new Signal(value, options);
+}
+
+/**
+ * Create a value computed from other signals
+ *
+ * The getter runs on the first read and again on a read after one of the
+ * signals it read changed. Its observers are only notified when the result
+ * differs from the previous one.
+ *
+ * @param {Function} getter - Computes the value from signals
+ * @param {Object} [options]
+ * @param {Function} [options.equals=Object.is] - Results it considers equal do not notify
+ * @returns {Computed} Read-only signal
+ *
+ * @example
+ * const total = computed(() => rows.value.reduce((sum, row) => sum + row.price.value, 0));
+ */
+export function computed(getter, options) {
+    return new Computed(getter, options);
+}
+
+/**
+ * Run `fn` now and again whenever a signal it read changes
+ *
+ * `fn` may return a cleanup function, which runs before the next run and
+ * when the effect is disposed.
+ *
+ * @param {Function} fn - Effect to run
+ * @returns {Function} Disposes the effect
+ *
+ * @example
+ * const dispose = effect(() => {
+ *   document.title = `${unread.value} unread`;
+ * });
+ */
+export function effect(fn) {
+    const instance = new Effect(fn);
+    batch(() => instance._run());
+    return () => instance._dispose();
+}
+
+/**
+ * Apply several signal writes before any effect runs
+ *
+ * @param {Function} fn - Writes signals
+ * @returns {*} What `fn` returns
+ */
+export function batch(fn) {
+    batchDepth++;
+    try {
+        return fn();
+    } finally {
+        batchDepth--;
+        if (batchDepth === 0) flush();
+    }
+}
+
+/**
+ * Run `fn` without subscribing the current computation to what it reads
+ *
+ * @param {Function} fn - Reads signals
+ * @returns {*} What `fn` returns
+ */
+export function untrack(fn) {
+    const previous = activeObserver;
+    activeObserver = null;
+    try {
+        return fn();
+    } finally {
+        activeObserver = previous;
+    }
+}
+
+/**
+ * Check whether a value is a signal or computed value
+ *
+ * @param {*} value - Value to check
+ * @returns {boolean}
+ */
+export function isSignal(value) {
+    return Boolean(value) && typeof value === 'object' && value.__signal === true;
+}
+
+/**
+ * The current value of a signal, or `value` itself when it is not one
+ *
+ * @param {*} value - Signal or plain value
+ * @returns {*}
+ */
+export function readSignal(value) {
+    return isSignal(value) ? value.peek() : value;
+}
@@ -0,0 +1,133 @@
+/**
+ * Typed JSON state writer
+ *
+ * Writes state in the format of @coherent.js/client's state-codec.js, which
+ * keeps `Date`, `Map`, `Set`, `BigInt`, `RegExp`, `URL`, `undefined`, `NaN`,
+ * `Infinity`, `-0` and shared or cyclic references. The client reads it with
+ * parseState(); this is the writing half, for state rendered on the server,
+ * and must stay in step with it.
+ *
+ * @module core/state-codec
+ */
+
+const UNDEFINED = -1;
+const HOLE = -2;
+const NAN = -3;
+const POSITIVE_INFINITY = -4;
+const NEGATIVE_INFINITY = -5;
+const NEGATIVE_ZERO = -6;
+
+/**
+ * Characters escaped so the payload can sit in a `<script>` element
+ * @private
+ */
+const SCRIPT_UNSAFE = /[<\u2028\u2029]/g;
+const SCRIPT_ESCAPES = { '<': '\\u003c', '\u2028': '\\u2028', '\u2029': '\\u2029' };
+
+/**
+ * Whether a value is left out of objects, like JSON.stringify() does
+ * @private
+ */
+function isOmitted(value) {
+    return typeof value === 'function' || typeof value === 'symbol';
+}
+
+/**
+ * Index of a constant JSON cannot express, or null
+ * @private
+ */
+function constantIndex(value) {
+    if (value === undefined || isOmitted(value)) return UNDEFINED;
+    if (typeof value !== 'number') return null;
+    if (Number.isNaN(value)) return NAN;
+    if (value === Infinity) return POSITIVE_INFINITY;
+    if (value === -Infinity) return NEGATIVE_INFINITY;
+    if (Object.is(value, -0)) return NEGATIVE_ZERO;
+    return null;
+}
+
+/**
+ * Flatten a value into the list of its distinct values
+ * @private
+ */
+function flatten(root, reducers) {
+    const values = [];
+    const indexes = new Map();
+
+    function add(value) {
+        const constant = constantIndex(value);
+        if (constant !== null) return constant;
+        if (indexes.has(value)) return indexes.get(value);
+
+        const index = values.length;
+        values.push(null);
+        indexes.set(value, index);
+        values[index] = describe(value);
+        return index;
+    }
+
+    function describe(value) {
+        if (typeof value === 'bigint') return ['BigInt', String(value)];
+        if (value === null || typeof value !== 'object') return value;
+
+        for (const [name, reduce] of Object.entries(reducers)) {
+            const data = reduce(value);
+            if (data !== undefined) return [name, add(data)];
+        }
+
+        if (value instanceof Date) {
+            return ['Date', Number.isNaN(value.getTime()) ? null : value.toISOString()];
+        }
+        if (value instanceof RegExp) return ['RegExp', value.source, value.flags];
+        if (typeof URL !== 'undefined' && value instanceof URL) return ['URL', value.href];
+        if (value instanceof Map) {
+            const entries = ['Map'];
+            value.forEach((item, key) => entries.push(add(key), add(item)));
+            return entries;
+        }
+        if (value instanceof Set) {
+            const items = ['Set'];
+            value.forEach((item) => items.push(add(item)));
+            return items;
+        }
+        if (Array.isArray(value)) {
+            return Array.from({ length: value.length }, (_, index) => (
+                index in value ? add(value[index]) : HOLE
+            ));
+        }
+        if (typeof value.toJSON === 'function') {
+            return describe(value.toJSON());
+        }
+
+        const object = {};
+        for (const key of Object.keys(value)) {
+            if (!isOmitted(value[key])) object[key] = add(value[key]);
+        }
+        return object;
+    }
+
+    const rootIndex = add(root);
+    return rootIndex < 0 ? rootIndex : values;
+}
+
+/**
+ * Write a value in the typed state format
+ *
+ * The result is JSON text that is also safe inside a `<script>` element.
+ * Functions and symbols are left out of objects and become `undefined` in
+ * arrays and Maps. Objects of other classes are written as plain objects,
+ * through their `toJSON()` when they have one, unless a reducer claims them.
+ *
+ * @param {*} value - Value to write
+ * @param {Object} [options]
+ * @param {Object<string, Function>} [options.reducers] - Custom types by name:
+ *   each reducer returns the data to write for a value of its type, or
+ *   undefined for other values. Pair each with a reviver of the same name.
+ * @returns {string} JSON text
+ *
+ */
+export function stringifyState(value, options = {}) {
+    const { reducers = {} } = options;
+    return JSON.stringify(flatten(value, reducers))
+        .replace(SCRIPT_UNSAFE, (char) => SCRIPT_ESCAPES[char]);
+}
@@ -8,13 +8,43 @@
 
 
 // Performance monitoring
-import { readFileSync } from 'node:fs';
 import { performanceMonitor } from './performance/monitor.js';
 import { escapeHtml } from './core/html-utils.js';
+import { stringifyState } from './core/state-codec.js';
 
 // Unified HTML renderer
 import { render as renderWithHtmlRenderer } from './rendering/html-renderer.js';
 
+// Streaming renderer and Suspense boundaries
+export { renderToStream } from './rendering/html-renderer.js';
+export { renderToReadableStream } from './rendering/web-stream.js';
+export { Suspense } from './components/suspense.js';
+
+// Fragments and portals
+export { Fragment } from './components/fragment.js';
+export { Portal, PortalOutlet } from './components/portal.js';
+
+// Per-render context
+import { runWithRenderContext } from './rendering/render-context.js';
+export { useRenderContext } from './rendering/render-context.js';
+
+// Document head management
+import { runWithHead, injectHead } from './rendering/head.js';
+export { createHead, useHead } from './rendering/head.js';
+export { Head } from './components/head.js';
+
+// Template compiler
+export { compileComponent } from './rendering/template-compiler.js';
+
+// Content-Security-Policy nonces and hashes
+export { createCSP } from './rendering/csp.js';
+
+// Signals for fine-grained reactivity
+export { signal, computed, effect, batch, untrack, isSignal } from './core/signals.js';
+
+// Event handlers the browser imports on first use
+export { resumable, isResumable } from './core/resumable.js';
+
 // Component system imports
 import {
   withState,
@@ -56,12 +86,14 @@ import {
 
 // Error boundary imports
 import {
+  ErrorBoundary,
   createErrorBoundary,
   createErrorFallback,
   withErrorBoundary,
   createAsyncErrorBoundary,
   GlobalErrorHandler,
-  createGlobalErrorHandler
+  createGlobalErrorHandler,
+  defaultErrorHandler
 } from './components/error-boundary.js';
 
 // CSS Scoping System (similar to Angular View Encapsulation)
@@ -176,22 +208,69 @@ function injectHydrationAttributes(component, options) {
     injected['data-coherent-island-component'] = options._islandComponentName;
   }
 
+  if (options._islandStrategy) {
+    injected['data-coherent-island-strategy'] = options._islandStrategy;
+  }
+
+  if (options._islandMedia) {
+    injected['data-coherent-island-media'] = options._islandMedia;
+  }
+
+  if (options._islandState && injected['data-state'] === undefined) {
+    injected['data-state'] = options._islandState;
+  }
+
   return { [tagName]: injected };
 }
 
+/**
+ * Encode island props the way @coherent.js/client's extractState() reads
+ * them: the typed state format, so Dates, Maps, Sets, BigInts and shared
+ * references survive. Functions and undefined are left out.
+ */
+function encodeIslandState(props) {
+    if (!props || typeof props !== 'object' || Array.isArray(props)) return null;
+
+    const serializable = Object.fromEntries(
+        Object.entries(props).filter(([, value]) => (
+            value !== undefined && typeof value !== 'function' && typeof value !== 'symbol'
+        ))
+    );
+    if (Object.keys(serializable).length === 0) return null;
+
+    try {
+        return stringifyState(serializable);
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Island wrapper - marks a component for island-based hydration
+ *
+ * The island's props are serialized into `data-state`, so hydrateIslands()
+ * in @coherent.js/client can render it again with the same props. Only pass
+ * props that are safe to expose in the page.
+ *
  * @param {Function} componentFn - A function component to wrap as an island
+ * @param {Object} [options] - Island options
+ * @param {string} [options.name] - Registry name; defaults to the function name,
+ *   which minifiers may rename
+ * @param {string} [options.hydrate='load'] - Loading strategy: 'load', 'idle', 'visible' or 'media'
+ * @param {string} [options.media] - Media query for the 'media' strategy
  * @returns {Function} Wrapped component that renders with island attributes
  */
-export function Island(componentFn) {
-  const componentName = componentFn.name || 'Anonymous';
+export function Island(componentFn, options = {}) {
+  const componentName = options.name || componentFn.name || 'Anonymous';
 
   return function IslandComponent(props) {
     const result = componentFn(props);
     return injectHydrationAttributes(result, {
       island: true,
-      _islandComponentName: componentName
+      _islandComponentName: componentName,
+      _islandStrategy: options.hydrate,
+      _islandMedia: options.media,
+      _islandState: encodeIslandState(props)
     });
   };
 }
@@ -200,21 +279,23 @@ export function Island(componentFn) {
 export function render(obj, options = {}) {
   const scoped = options.scoped ?? options.encapsulate ?? false;
 
-  const { scoped: _scoped, encapsulate: _encapsulate, hydratable: _hydratable, island: _island, ...rendererOptions } = options;
+  const { scoped: _scoped, encapsulate: _encapsulate, hydratable: _hydratable, island: _island, context, head, ...rendererOptions } = options;
 
-  let component = scoped ? renderScopedComponent(obj) : obj;
+  return runWithRenderContext(context, () => runWithHead(head, () => {
+    let component = scoped ? renderScopedComponent(obj) : obj;
 
-  // Handle function components passed directly to render
-  if (typeof component === 'function') {
-    component = component(options);
-  }
+    // Handle function components passed directly to render
+    if (typeof component === 'function') {
+      component = component(options);
+    }
 
-  // Inject hydration attributes if needed
-  if (_hydratable || _island) {
-    component = injectHydrationAttributes(component, { hydratable: _hydratable, island: _island });
-  }
+    // Inject hydration attributes if needed
+    if (_hydratable || _island) {
+      component = injectHydrationAttributes(component, { hydratable: _hydratable, island: _island });
+    }
 
-  return renderWithHtmlRenderer(component, rendererOptions);
+    return injectHead(renderWithHtmlRenderer(component, rendererOptions), head, rendererOptions);
+  }));
 }
 
 // Internal: Scoped rendering with CSS encapsulation
@@ -321,18 +402,22 @@ export {
 
 // Error boundaries
 export {
+  ErrorBoundary,
   createErrorBoundary,
   createErrorFallback,
   withErrorBoundary,
   createAsyncErrorBoundary,
   GlobalErrorHandler,
-  createGlobalErrorHandler
+  createGlobalErrorHandler,
+  defaultErrorHandler
 };
 
 export {
   renderWithMonitoring,
   renderWithTemplate,
   renderComponentFactory,
+  streamWithTemplate,
+  streamComponentFactory,
   isCoherentComponent,
   createErrorResponse
 } from './utils/render-utils.js';
@@ -404,10 +489,20 @@ export function deepClone(obj) {
 /* global __COHERENT_VERSION__ */
 // Substituted with the manifest version by esbuild `define` at build time
 // (a literal, so it works in both the ESM and CJS bundles); the fallback
-// covers running from source inside the monorepo.
+// covers running from source inside the monorepo. node:fs is looked up
+// rather than imported, like csp.js does node:crypto, so the entry loads in
+// runtimes without it; there the version is a placeholder.
+function readSourceVersion() {
+  if (typeof process === 'undefined' || typeof process.getBuiltinModule !== 'function') {
+    return '0.0.0-dev';
+  }
+  const fs = process.getBuiltinModule('node:fs');
+  return JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+}
+
 export const VERSION = typeof __COHERENT_VERSION__ !== 'undefined'
   ? __COHERENT_VERSION__
-  : JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version;
+  : readSourceVersion();
 
 // Performance monitoring export
 export { performanceMonitor };
@@ -522,12 +617,14 @@ const coherent = {
   memo,
 
   // Error boundaries
+  ErrorBoundary,
   createErrorBoundary,
   createErrorFallback,
   withErrorBoundary,
   createAsyncErrorBoundary,
   GlobalErrorHandler,
   createGlobalErrorHandler,
+  defaultErrorHandler,
 
   // Event system
   eventSystem: eventSystemDefault,
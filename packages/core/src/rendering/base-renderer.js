@@ -12,6 +12,12 @@ import {
     normalizeChildren,
 } from '../core/object-utils.js';
 
+import { isLazy } from '../components/component-system.js';
+import { isSuspense } from '../components/suspense.js';
+import { isFragment } from '../components/fragment.js';
+import { isPortal, isPortalOutlet } from '../components/portal.js';
+import { isErrorBoundary } from '../components/error-boundary.js';
+import { isSignal } from '../core/signals.js';
 import { performanceMonitor } from '../performance/monitor.js';
 
 /**
@@ -163,6 +169,9 @@ export class BaseRenderer {
         if (typeof component === 'string' || typeof component === 'number') return true;
         if (typeof component === 'function') return true;
         if (Array.isArray(component)) return component.every(child => this.isValidComponent(child));
+        if (isSuspense(component) || isLazy(component)) return true;
+        if (isFragment(component) || isPortal(component) || isPortalOutlet(component)) return true;
+        if (isErrorBoundary(component) || isSignal(component)) return true;
         if (isCoherentObject(component)) return true;
         return false;
     }
@@ -215,9 +224,11 @@ export class BaseRenderer {
     }
 
     /**
-     * Execute function components with _error handling
+     * Execute function components with _error handling. A component that
+     * throws renders nothing, unless `rethrow` asks for the error, as inside
+     * an ErrorBoundary().
      */
-    executeFunctionComponent(func, depth = 0) {
+    executeFunctionComponent(func, depth = 0, rethrow = false) {
         try {
             // Check if this is a context provider by checking function arity or a marker
             const isContextProvider = func.length > 0 || func.isContextProvider;
@@ -235,7 +246,7 @@ export class BaseRenderer {
             
             // Handle case where function returns another function
             if (typeof result === 'function') {
-                return this.executeFunctionComponent(result, depth);
+                return this.executeFunctionComponent(result, depth, rethrow);
             }
             
             return result;
@@ -243,6 +254,11 @@ export class BaseRenderer {
             if (this.config.enableMonitoring) {
                 performanceMonitor.recordError('functionComponent', _error);
             }
+
+            // Inside an ErrorBoundary() the error renders its fallback
+            if (rethrow) {
+                throw _error;
+            }
             
             // In development, provide detailed _error info
             if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'development') {
@@ -385,6 +401,9 @@ export const RendererUtils = {
         }
         visited.add(element);
 
+        // A portal's content goes to its outlet, which cached markup would skip
+        if (isPortal(element)) return false;
+
         // Check if element has any dynamic content
         for (const [_key, value] of Object.entries(element)) {
             if (typeof value === 'function') return false;
@@ -410,6 +429,9 @@ export const RendererUtils = {
         if (visited.has(obj)) return false;
         visited.add(obj);
 
+        // Portals render as a side effect, like function children
+        if (isPortal(obj)) return true;
+
         for (const value of Object.values(obj)) {
             if (typeof value === 'function') return true;
             if (typeof value === 'object' && value !== null && RendererUtils.hasFunctions(value, visited)) {
@@ -445,7 +467,9 @@ export const RendererUtils = {
             // Create a stable cache key for the element
             const keyData = {
                 tag: tagName,
-                props: extractProps(element),
+                // Prop names that are not tag-like, such as 'onKeydown.enter',
+                // make extractProps() return nothing; key on the props as given
+                props: isCoherentObject(element) ? extractProps(element) : element,
                 hasChildren: hasChildren(element),
                 childrenType: Array.isArray(element.children) ? 'array' : typeof element.children
             };
@@ -0,0 +1,159 @@
+/**
+ * Content-Security-Policy support
+ *
+ * The `csp` render option makes every inline <script> and <style> the
+ * framework emits pass a strict policy, without 'unsafe-inline':
+ *
+ * - `csp.nonce` is stamped as a `nonce` attribute on each of them.
+ * - `csp.hashes` ({ script: [], style: [] }) receives the SHA-256 hash of
+ *   each inline body, in the `sha256-<base64>` form a policy source expects.
+ *
+ * createCSP() builds such an object and turns it into a header value.
+ *
+ * @module rendering/csp
+ */
+
+import { escapeHtml } from '../core/html-utils.js';
+
+const INLINE_TAGS = new Set(['script', 'style']);
+
+function loadCrypto() {
+    // getBuiltinModule rather than a static import, like render-context.js,
+    // so the renderer still loads where node:crypto does not exist.
+    return typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function'
+        ? process.getBuiltinModule('node:crypto')
+        : null;
+}
+
+/**
+ * Hash inline code the way a CSP source expression expects it
+ *
+ * @param {string} content - Exact text between the opening and closing tag
+ * @returns {string} `sha256-<base64>`
+ */
+export function hashInlineContent(content) {
+    const crypto = loadCrypto();
+    if (!crypto) {
+        throw new Error('CSP hash collection requires node:crypto; use a nonce in this runtime');
+    }
+    return `sha256-${crypto.createHash('sha256').update(content, 'utf8').digest('base64')}`;
+}
+
+/**
+ * Whether the csp option applies to a tag
+ *
+ * @param {Object|undefined} csp - The `csp` render option
+ * @param {string} tagName - Element tag
+ * @returns {boolean}
+ */
+export function isCSPTag(csp, tagName) {
+    return Boolean(csp) && INLINE_TAGS.has(tagName);
+}
+
+/**
+ * Add the nonce to the attributes of a <script> or <style> element, unless
+ * the component set one itself
+ *
+ * @param {Object|undefined} csp - The `csp` render option
+ * @param {string} tagName - Element tag
+ * @param {Object} attributes - Element attributes
+ * @returns {Object} Attributes to render
+ */
+export function withNonce(csp, tagName, attributes) {
+    if (!isCSPTag(csp, tagName) || !csp.nonce || attributes.nonce !== undefined) {
+        return attributes;
+    }
+    return { ...attributes, nonce: csp.nonce };
+}
+
+/**
+ * Record the hash of an inline <script> or <style> body. Scripts loaded
+ * through `src` are not inline and are skipped.
+ *
+ * @param {Object|undefined} csp - The `csp` render option
+ * @param {string} tagName - Element tag
+ * @param {Object} attributes - Element attributes
+ * @param {string} content - Exact body as emitted
+ */
+export function recordInlineHash(csp, tagName, attributes, content) {
+    if (!isCSPTag(csp, tagName) || !csp.hashes || !content) return;
+    if (tagName === 'script' && attributes.src !== undefined) return;
+
+    const list = csp.hashes[tagName];
+    const hash = hashInlineContent(content);
+    if (Array.isArray(list) && !list.includes(hash)) {
+        list.push(hash);
+    }
+}
+
+/**
+ * Build an inline <script> or <style> tag for framework-generated code,
+ * applying the csp option to it
+ *
+ * @param {Object|undefined} csp - The `csp` render option
+ * @param {string} tagName - 'script' or 'style'
+ * @param {string} content - Tag body, already safe to inline
+ * @param {Object} [attributes={}] - Other attributes, e.g. { type: 'text/css' }
+ * @returns {string} HTML
+ */
+export function inlineTag(csp, tagName, content, attributes = {}) {
+    const attrs = withNonce(csp, tagName, attributes);
+    recordInlineHash(csp, tagName, attrs, content);
+
+    const attrString = Object.entries(attrs)
+        .map(([name, value]) => ` ${name}="${escapeHtml(String(value))}"`)
+        .join('');
+    return `<${tagName}${attrString}>${content}</${tagName}>`;
+}
+
+/**
+ * Create a `csp` render option that can also produce the policy header
+ *
+ * @param {Object} [options] - CSP options
+ * @param {string} [options.nonce] - Per-response nonce, e.g. crypto.randomUUID()
+ * @param {boolean} [options.hashes=false] - Collect SHA-256 hashes of inline code
+ * @returns {Object} `{ nonce, hashes, header() }`, to pass as `render(..., { csp })`
+ *
+ * @example
+ * const csp = createCSP({ hashes: true });
+ * const html = render(Page(), { csp });
+ * res.setHeader('Content-Security-Policy', csp.header({ 'default-src': "'self'" }));
+ */
+export function createCSP({ nonce, hashes = false } = {}) {
+    if (nonce !== undefined && (typeof nonce !== 'string' || nonce.length === 0)) {
+        throw new TypeError('CSP nonce must be a non-empty string');
+    }
+
+    const csp = {
+        nonce,
+        hashes: hashes ? { script: [], style: [] } : null,
+
+        /**
+         * Build the Content-Security-Policy header value. `script-src` and
+         * `style-src` list 'self', the nonce and the collected hashes; extra
+         * directives are appended, and may extend those two.
+         *
+         * @param {Object<string, string|string[]>} [directives] - Extra directives
+         * @returns {string} Header value
+         */
+        header(directives = {}) {
+            const sources = (kind) => [
+                "'self'",
+                ...(csp.nonce ? [`'nonce-${csp.nonce}'`] : []),
+                ...(csp.hashes ? csp.hashes[kind].map(hash => `'${hash}'`) : [])
+            ];
+            const policy = { 'script-src': sources('script'), 'style-src': sources('style') };
+
+            for (const [name, value] of Object.entries(directives)) {
+                const values = Array.isArray(value) ? value : [value];
+                policy[name] = policy[name] ? [...policy[name], ...values] : values;
+            }
+
+            return Object.entries(policy)
+                .map(([name, values]) => [name, ...values].join(' '))
+                .join('; ');
+        }
+    };
+
+    return csp;
+}
@@ -3,8 +3,23 @@
  * Handles CSS file inclusion, inline styles, and optimization
  */
 
-import fs from 'node:fs/promises';
-import path from 'node:path';
+import { inlineTag } from './csp.js';
+
+/** Pending import of node:fs and node:path, shared by every load */
+let fileSystem = null;
+
+/**
+ * node:fs and node:path, imported on first use rather than statically so the
+ * renderer and renderToReadableStream() load in runtimes without them
+ * @private
+ */
+function loadFileSystem() {
+    if (!fileSystem) {
+        fileSystem = Promise.all([import('node:fs/promises'), import('node:path')])
+            .then(([fs, path]) => ({ fs: fs.default, path: path.default }));
+    }
+    return fileSystem;
+}
 
 /**
  * CSS Manager Class
@@ -13,7 +28,7 @@ import path from 'node:path';
 export class CSSManager {
     constructor(options = {}) {
         this.options = {
-            basePath: process.cwd(),
+            basePath: typeof process !== 'undefined' ? process.cwd() : '',
             minify: false,
             cache: true,
             autoprefixer: false,
@@ -28,15 +43,16 @@ export class CSSManager {
      * Load CSS file content
      */
     async loadCSSFile(filePath) {
-        const fullPath = path.resolve(this.options.basePath, filePath);
-        const cacheKey = fullPath;
-        
-        // Return cached content if available
-        if (this.options.cache && this.cache.has(cacheKey)) {
-            return this.cache.get(cacheKey);
-        }
-        
         try {
+            const { fs, path } = await loadFileSystem();
+            const fullPath = path.resolve(this.options.basePath, filePath);
+            const cacheKey = fullPath;
+            
+            // Return cached content if available
+            if (this.options.cache && this.cache.has(cacheKey)) {
+                return this.cache.get(cacheKey);
+            }
+            
             let content = await fs.readFile(fullPath, 'utf8');
             
             // Basic minification if enabled
@@ -93,11 +109,14 @@ export class CSSManager {
     
     /**
      * Generate inline style tag with CSS content
+     *
+     * @param {string} cssContent - CSS to inline
+     * @param {Object} [csp] - The `csp` render option; stamps its nonce and records the hash
      */
-    generateInlineStyles(cssContent) {
+    generateInlineStyles(cssContent, csp) {
         if (!cssContent) return '';
         
-        return `<style type="text/css">\n${cssContent}\n</style>`;
+        return inlineTag(csp, 'style', `\n${cssContent}\n`, { type: 'text/css' });
     }
     
     /**
@@ -171,8 +190,12 @@ export const cssUtils = {
     
     /**
      * Generate complete CSS HTML for head section
+     *
+     * @param {Object} cssOptions - Output of processCSSOptions()
+     * @param {CSSManager} [cssManager] - Manager that loads the files
+     * @param {Object} [csp] - The `csp` render option, applied to inline styles
      */
-    async generateCSSHtml(cssOptions, cssManager = defaultCSSManager) {
+    async generateCSSHtml(cssOptions, cssManager = defaultCSSManager, csp) {
         const cssHtmlParts = [];
         
         // Process external CSS links
@@ -186,7 +209,7 @@ export const cssUtils = {
                 // Load and inline CSS files
                 const cssContent = await cssManager.loadCSSFiles(cssOptions.files);
                 if (cssContent) {
-                    cssHtmlParts.push(cssManager.generateInlineStyles(cssContent));
+                    cssHtmlParts.push(cssManager.generateInlineStyles(cssContent, csp));
                 }
             } else {
                 // Generate link tags for CSS files
@@ -196,7 +219,7 @@ export const cssUtils = {
         
         // Process inline CSS
         if (cssOptions.inline) {
-            cssHtmlParts.push(cssManager.generateInlineStyles(cssOptions.inline));
+            cssHtmlParts.push(cssManager.generateInlineStyles(cssOptions.inline, csp));
         }
         
         return cssHtmlParts.join('\n');
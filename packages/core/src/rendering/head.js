@@ -0,0 +1,244 @@
+/**
+ * Document head management
+ *
+ * Components anywhere in the tree call useHead() (or render a Head()) to add
+ * <title>, <meta>, <link> and similar tags to the document head. The tags
+ * go into the collector passed as `render(component, { head })`, which
+ * dedupes and orders them so the HTML shell can emit them in one place.
+ *
+ * @module rendering/head
+ */
+
+import { escapeHtml, isTrustedContent, isVoidElement, formatAttributes } from '../core/html-utils.js';
+import { runWithRenderContext, useRenderContext } from './render-context.js';
+import { withNonce, recordInlineHash } from './csp.js';
+
+/** Render context key of the collector for the render in progress */
+const HEAD_COLLECTOR = Symbol('coherent.head');
+
+/** Output order; tags of the same kind keep the order they were added in */
+const TAG_ORDER = ['title', 'base', 'meta', 'link', 'style', 'script', 'noscript'];
+
+/** Meta attributes that identify a tag, so that a later one replaces it */
+const META_IDENTITY = ['name', 'property', 'http-equiv', 'httpEquiv', 'itemprop'];
+
+/**
+ * Key that two entries share when the later one should replace the earlier
+ * one, or null for entries that are never deduped
+ * @private
+ */
+function dedupeKey(tagName, props) {
+    if (props.key !== undefined && props.key !== null) {
+        return `key:${props.key}`;
+    }
+    if (tagName === 'title' || tagName === 'base') {
+        return tagName;
+    }
+    if (tagName === 'meta') {
+        if (props.charset !== undefined) return 'meta:charset';
+        for (const attribute of META_IDENTITY) {
+            if (props[attribute] !== undefined) {
+                return `meta:${attribute === 'httpEquiv' ? 'http-equiv' : attribute}:${props[attribute]}`;
+            }
+        }
+    }
+    if (tagName === 'link' && props.rel === 'canonical') {
+        return 'link:canonical';
+    }
+    return null;
+}
+
+/** @private */
+function rank(tagName, props) {
+    // <meta charset> has to come within the first 1024 bytes of the document
+    return tagName === 'meta' && props.charset !== undefined ? -1 : TAG_ORDER.indexOf(tagName);
+}
+
+/**
+ * Flatten the forms useHead() accepts into [tagName, props] pairs
+ * @private
+ */
+function normalizeEntries(tags, entries = []) {
+    if (tags === null || tags === undefined || tags === false) {
+        return entries;
+    }
+    if (Array.isArray(tags)) {
+        for (const tag of tags) normalizeEntries(tag, entries);
+        return entries;
+    }
+    if (typeof tags !== 'object') {
+        throw new TypeError(`useHead() expects tag objects such as { title: 'About' }, received: ${typeof tags}`);
+    }
+
+    for (const [tagName, value] of Object.entries(tags)) {
+        if (!TAG_ORDER.includes(tagName)) {
+            throw new TypeError(
+                `Unsupported head tag <${tagName}>. Expected one of: ${TAG_ORDER.join(', ')}`
+            );
+        }
+
+        for (const props of Array.isArray(value) ? value : [value]) {
+            if (props === null || props === undefined || props === false) continue;
+            entries.push([tagName, typeof props === 'object' ? props : { text: String(props) }]);
+        }
+    }
+    return entries;
+}
+
+/**
+ * Create a head collector, to pass as the `head` render option
+ *
+ * Entries are deduped by `key`, then by meta `name`/`property`/`http-equiv`
+ * (and `charset`), canonical link and title: the entry added last wins, so a
+ * page component overrides the defaults set by its layout. Tags come out
+ * ordered as <meta charset>, <title>, <base>, <meta>, <link>, <style>,
+ * <script>, <noscript>.
+ *
+ * @returns {Object} Collector with add(), tags() and toString()
+ *
+ * @example
+ * const head = createHead();
+ * const body = render(App, { head });
+ * res.send(`<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`);
+ */
+export function createHead() {
+    const entries = new Map();
+    let anonymous = 0;
+
+    const head = {
+        /**
+         * Add tags, in any form useHead() accepts
+         *
+         * @param {Object|Array} tags - Tag objects
+         * @returns {Object} The collector
+         */
+        add(tags) {
+            for (const [tagName, props] of normalizeEntries(tags)) {
+                const key = dedupeKey(tagName, props) ?? `#${anonymous++}`;
+                entries.set(key, { tagName, props });
+            }
+            return head;
+        },
+
+        /**
+         * Collected tags, deduped and ordered, as Coherent element objects
+         *
+         * @returns {Array<Object>}
+         */
+        tags() {
+            return [...entries.values()]
+                .map((entry, index) => ({ ...entry, index }))
+                .sort((a, b) => rank(a.tagName, a.props) - rank(b.tagName, b.props) || a.index - b.index)
+                .map(({ tagName, props }) => {
+                    const { key: _key, ...attributes } = props;
+                    return { [tagName]: attributes };
+                });
+        },
+
+        /**
+         * Collected tags as HTML
+         *
+         * @param {Object} [options] - Render options; `csp` applies to <script> and <style>
+         * @returns {string}
+         */
+        toString(options = {}) {
+            return head.tags()
+                .map(tag => renderHeadTag(tag, options.csp))
+                .join('');
+        }
+    };
+
+    return head;
+}
+
+/** @private */
+function renderHeadTag(tag, csp) {
+    const [tagName] = Object.keys(tag);
+    const { text, html: rawHtml, children: _children, ...elementAttributes } = tag[tagName];
+    const attributes = withNonce(csp, tagName, elementAttributes);
+    const attrsStr = formatAttributes(attributes);
+    const openTag = attrsStr ? `<${tagName} ${attrsStr}>` : `<${tagName}>`;
+
+    if (isVoidElement(tagName)) {
+        return openTag;
+    }
+
+    let body = '';
+    if (rawHtml !== undefined) {
+        body = isTrustedContent(rawHtml) ? rawHtml.__html : String(rawHtml);
+    } else if (isTrustedContent(text)) {
+        body = text.__html;
+    } else if (text !== undefined) {
+        body = escapeHtml(String(text));
+    }
+
+    recordInlineHash(csp, tagName, attributes, body);
+    return `${openTag}${body}</${tagName}>`;
+}
+
+/**
+ * Add tags to the document head of the render in progress
+ *
+ * Accepts tag objects keyed by tag name, where the value is the element
+ * props, a list of them, or a string for <title>; arrays of such objects
+ * (e.g. MetaBuilder#build() from @coherent.js/seo) work too. Outside a render
+ * that was given a `head` collector, the call does nothing.
+ *
+ * @param {Object|Array} tags - Tags to add
+ *
+ * @example
+ * const ProductPage = ({ product }) => {
+ *   useHead({
+ *     title: product.name,
+ *     meta: [
+ *       { name: 'description', content: product.summary },
+ *       { property: 'og:image', content: product.image }
+ *     ],
+ *     link: { rel: 'canonical', href: product.url }
+ *   });
+ *   return { main: { children: [...] } };
+ * };
+ *
+ * const head = createHead();
+ * const html = render(() => ProductPage({ product }), { head });
+ */
+export function useHead(tags) {
+    const head = useRenderContext(HEAD_COLLECTOR);
+    if (head) {
+        head.add(tags);
+    }
+}
+
+/**
+ * Run `fn` with `head` as the collector for useHead()
+ *
+ * @param {Object|undefined} head - Collector from createHead()
+ * @param {Function} fn - Work to run
+ * @returns {*} Whatever `fn` returns
+ */
+export function runWithHead(head, fn) {
+    if (!head) {
+        return fn();
+    }
+    if (typeof head.add !== 'function') {
+        throw new TypeError('The head render option must be a collector from createHead()');
+    }
+    return runWithRenderContext({ [HEAD_COLLECTOR]: head }, fn);
+}
+
+/**
+ * Insert the collected tags before the first </head> of a rendered page
+ *
+ * @param {string} html - Rendered HTML
+ * @param {Object|undefined} head - Collector from createHead()
+ * @param {Object} [options] - Render options, for `csp`
+ * @returns {string} HTML with the tags, or unchanged without a </head>
+ */
+export function injectHead(html, head, options = {}) {
+    if (!head) return html;
+
+    const index = html.indexOf('</head>');
+    if (index === -1) return html;
+
+    return `${html.slice(0, index)}${head.toString(options)}${html.slice(index)}`;
+}
@@ -19,9 +19,27 @@ import {
     minifyHtml
 } from '../core/html-utils.js';
 
+import { isLazy } from '../components/component-system.js';
+import { isSuspense } from '../components/suspense.js';
+import { isFragment } from '../components/fragment.js';
+import { isPortal, isPortalOutlet } from '../components/portal.js';
+import { isErrorBoundary, defaultErrorHandler } from '../components/error-boundary.js';
+import { isSignal, readSignal } from '../core/signals.js';
+
 import { performanceMonitor } from '../performance/monitor.js';
 import { createCacheManager } from '../performance/cache-manager.js';
 import { cssUtils, defaultCSSManager } from './css-manager.js';
+import { runWithRenderContext } from './render-context.js';
+import { withNonce, recordInlineHash, inlineTag, isCSPTag } from './csp.js';
+import { runWithHead, injectHead } from './head.js';
+import {
+    outletAttributes,
+    outletMarker,
+    placePortals,
+    renderMissingOutlets,
+    insertBeforeBodyEnd,
+    PORTAL_MOVE_SCRIPT
+} from './portals.js';
 import { CoherentError, RenderingError, globalErrorHandler } from '../utils/error-handler.js';
 
 // Create a global cache instance for the renderer
@@ -45,6 +63,110 @@ function formatRenderPath(path) {
     return rendered;
 }
 
+// setImmediate is Node-only; other runtimes get a macrotask from setTimeout
+const yieldToEventLoop = typeof setImmediate === 'function'
+    ? () => new Promise(resolve => setImmediate(resolve))
+    : () => new Promise(resolve => setTimeout(resolve, 0));
+
+const textEncoder = new TextEncoder();
+
+/** UTF-8 size of a chunk, without Node's Buffer */
+function byteLength(chunk) {
+    return textEncoder.encode(chunk).byteLength;
+}
+
+/**
+ * Attach the render path to an error thrown while rendering. Errors that are
+ * not CoherentErrors are wrapped in a RenderingError whose `cause` is the
+ * original error.
+ */
+function withRenderPath(error, path, renderer) {
+    const renderPath = formatRenderPath(path);
+
+    if (error instanceof CoherentError) {
+        if (!error.context || typeof error.context !== 'object') {
+            error.context = { path: renderPath };
+        } else if (!error.context.path) {
+            error.context = { ...error.context, path: renderPath };
+        }
+        return error;
+    }
+
+    const wrapped = new RenderingError(error && error.message, undefined, { path: renderPath, renderer });
+    wrapped.cause = error;
+    return wrapped;
+}
+
+/** The error a component threw, and the render path it was thrown at */
+function unwrapRenderError(error) {
+    const original = error instanceof RenderingError && error.cause !== undefined ? error.cause : error;
+    const path = error && error.context && error.context.path ? error.context.path : 'root';
+    return { error: original, path };
+}
+
+/**
+ * Pass an error to the `errorHandler` render option, e.g. a GlobalErrorHandler,
+ * or to defaultErrorHandler when the option is not given; `null` reports nowhere
+ */
+function captureRenderError(errorHandler = defaultErrorHandler, error, context) {
+    if (errorHandler && typeof errorHandler.captureError === 'function') {
+        errorHandler.captureError(error, context);
+    }
+}
+
+/**
+ * Comment a failed stream ends with. The message is left out in production,
+ * and cannot end the comment early: `>` is escaped and `--` split.
+ */
+function streamErrorComment(error) {
+    if (typeof process !== 'undefined' && process.env && process.env.NODE_ENV === 'production') {
+        return '<!-- Streaming Error -->';
+    }
+    const message = String(error && error.message)
+        .replace(/[<>]/g, char => (char === '<' ? '&lt;' : '&gt;'))
+        .replace(/-(?=-)/g, '- ');
+    return `<!-- Streaming Error: ${message} -->`;
+}
+
+/**
+ * Report an error an ErrorBoundary() caught and resolve its fallback
+ */
+function catchInBoundary(boundary, caught, errorHandler, renderer) {
+    const { error, path } = unwrapRenderError(caught);
+    const errorInfo = { path };
+
+    if (typeof boundary.onError === 'function') {
+        try {
+            boundary.onError(error, errorInfo);
+        } catch (callbackError) {
+            console.error('Error in ErrorBoundary onError callback:', callbackError);
+        }
+    }
+    captureRenderError(errorHandler, error, { path, renderer, boundary: true });
+
+    return typeof boundary.fallback === 'function'
+        ? boundary.fallback(error, errorInfo)
+        : boundary.fallback;
+}
+
+/**
+ * Error raised when the synchronous renderer meets a Promise. It carries a
+ * code so Suspense() can tell it apart from a component that actually failed.
+ */
+function createAsyncRenderError(promise, path) {
+    // The Promise is abandoned; keep its rejection from going unhandled.
+    promise.then(undefined, () => {});
+
+    const error = new RenderingError(
+        'Component returned a Promise during synchronous render',
+        undefined,
+        { path: formatRenderPath(path), renderer: 'html' },
+        ['Render async components with renderToStream()', 'Wrap the async subtree in Suspense() to render its fallback']
+    );
+    error.code = 'COHERENT_ASYNC_COMPONENT';
+    return error;
+}
+
 /**
  * HTML Renderer Class extending BaseRenderer
  *
@@ -119,14 +241,16 @@ class HTMLRenderer extends BaseRenderer {
                 throw new Error('Invalid component structure');
             }
 
-            // Initialize seenObjects for circular reference detection
+            // Initialize seenObjects for circular reference detection, and
+            // collect Portal() content for its outlets
             const renderOptions = {
                 ...config,
-                seenObjects: new WeakSet()
+                seenObjects: new WeakSet(),
+                portals: []
             };
 
             // Main rendering logic
-            const html = this.renderComponent(component, renderOptions, 0, []);
+            const html = placePortals(this.renderComponent(component, renderOptions, 0, []), renderOptions.portals);
             const finalHtml = config.minify ? minifyHtml(html, config) : html;
 
             // Performance monitoring
@@ -139,6 +263,8 @@ class HTMLRenderer extends BaseRenderer {
 
         } catch (_error) {
             this.recordError('render', _error);
+            const { error, path } = unwrapRenderError(_error);
+            captureRenderError(config.errorHandler, error, { path, renderer: 'html' });
             const enhancedError = globalErrorHandler.handle(_error, {
                 renderContext: { path: 'root', renderer: 'html' }
             });
@@ -169,6 +295,40 @@ class HTMLRenderer extends BaseRenderer {
             return component.__html;
         }
 
+        if (component && typeof component.then === 'function') {
+            throw createAsyncRenderError(component, path);
+        }
+
+        // A signal renders its current value
+        if (isSignal(component)) {
+            return this.renderComponent(component.peek(), options, depth, path);
+        }
+
+        if (isSuspense(component)) {
+            return this.renderSuspense(component, options, depth, path);
+        }
+
+        if (isFragment(component)) {
+            return this.renderComponent(component.children, options, depth + 1, [...path, 'Fragment']);
+        }
+
+        if (isPortal(component)) {
+            return this.renderPortal(component, options, depth, path);
+        }
+
+        if (isErrorBoundary(component)) {
+            return this.renderErrorBoundary(component, options, depth, path);
+        }
+
+        if (isPortalOutlet(component)) {
+            const attributeString = formatAttributes(outletAttributes(component));
+            return `<div ${attributeString}>${outletMarker(component.name)}</div>`;
+        }
+
+        if (isLazy(component)) {
+            return this.renderComponent(component.evaluate(), options, depth + 1, path);
+        }
+
         // Detect circular references (objects only)
         if (typeof component === 'object' && component !== null && !Array.isArray(component)) {
             if (options.seenObjects && options.seenObjects.has(component)) {
@@ -198,8 +358,14 @@ class HTMLRenderer extends BaseRenderer {
                     return escapeHtml(value);
                 case 'function':
                     {
-                        const result = this.executeFunctionComponent(value, depth);
-                        return this.renderComponent(result, options, depth + 1, [...path, '()']);
+                        const componentPath = [...path, `${value.name || 'anonymous'}()`];
+                        let result;
+                        try {
+                            result = this.executeFunctionComponent(value, depth, options.insideErrorBoundary);
+                        } catch (_error) {
+                            throw withRenderPath(_error, componentPath, 'html');
+                        }
+                        return this.renderComponent(result, options, depth + 1, componentPath);
                     }
                 case 'array':
                     // Development mode warning for missing keys
@@ -239,25 +405,70 @@ class HTMLRenderer extends BaseRenderer {
                     return '';
             }
         } catch (_error) {
-            const renderPath = formatRenderPath(path);
+            throw withRenderPath(_error, path, 'html');
+        }
+    }
 
-            if (_error instanceof CoherentError) {
-                if (!_error.context || typeof _error.context !== 'object') {
-                    _error.context = { path: renderPath };
-                } else if (!_error.context.path) {
-                    _error.context = { ..._error.context, path: renderPath };
-                }
+    /**
+     * Render a Suspense boundary. Nothing can be awaited here, so a subtree
+     * that suspends renders the fallback; a subtree that resolves
+     * synchronously renders as if the boundary were not there.
+     */
+    renderSuspense(boundary, options, depth = 0, path = []) {
+        const boundaryPath = [...path, 'Suspense'];
+        const portalCount = options.portals ? options.portals.length : 0;
+        try {
+            return this.renderComponent(boundary.children, options, depth + 1, boundaryPath);
+        } catch (_error) {
+            if (_error && _error.code === 'COHERENT_ASYNC_COMPONENT') {
+                // Portals of the abandoned subtree never render
+                if (options.portals) options.portals.length = portalCount;
+                return this.renderComponent(boundary.fallback, options, depth + 1, [...boundaryPath, 'fallback']);
+            }
+            throw _error;
+        }
+    }
+
+    /**
+     * Render an ErrorBoundary(). Errors in its subtree, including components
+     * that throw, render the fallback instead; a Promise is left to Suspense().
+     */
+    renderErrorBoundary(boundary, options, depth = 0, path = []) {
+        const boundaryPath = [...path, 'ErrorBoundary'];
+        const portalCount = options.portals ? options.portals.length : 0;
+        try {
+            return this.renderComponent(boundary.children, { ...options, insideErrorBoundary: true }, depth + 1, boundaryPath);
+        } catch (_error) {
+            if (_error && _error.code === 'COHERENT_ASYNC_COMPONENT') {
                 throw _error;
             }
+            // Portals of the failed subtree never render
+            if (options.portals) options.portals.length = portalCount;
+            const fallback = catchInBoundary(boundary, _error, options.errorHandler, 'html');
+            return this.renderComponent(fallback, options, depth + 1, [...boundaryPath, 'fallback']);
+        }
+    }
 
-            throw new RenderingError(_error.message, undefined, { path: renderPath, renderer: 'html' });
+    /**
+     * Render a portal's children for its outlet. They are placed once the
+     * whole tree has rendered, so nothing is returned in place.
+     */
+    renderPortal(portal, options, depth = 0, path = []) {
+        const html = this.renderComponent(portal.children, options, depth + 1, [...path, `Portal(${portal.target})`]);
+        if (options.portals) {
+            options.portals.push({ target: portal.target, html });
         }
+        return '';
     }
 
     /**
      * Render an HTML element with advanced caching and optimization
      */
     renderElement(tagName, element, options, depth = 0, path = []) {
+        if (isSignal(element)) {
+            return this.renderElement(tagName, element.peek(), options, depth, path);
+        }
+
         const startTime = performance.now();
 
         // Check for circular references in element props
@@ -284,10 +495,10 @@ class HTMLRenderer extends BaseRenderer {
         if (options.enableCache && this.cache && RendererUtils.isStaticElement(element)) {
             try {
                 const cacheKey = `static:${tagName}:${JSON.stringify(element)}`;
-                const cached = this.cache.get('static', cacheKey);
+                const cached = this.cache.get(cacheKey, 'static');
                 if (cached) {
                     this.recordPerformance(tagName, startTime, true);
-                    return cached.value; // Return the cached HTML
+                    return cached; // Return the cached HTML
                 }
             } catch {
                 // Circular reference in element - skip caching and continue with rendering
@@ -297,6 +508,10 @@ class HTMLRenderer extends BaseRenderer {
 
         // Handle text-only elements including booleans
         if (typeof element === 'string' || typeof element === 'number' || typeof element === 'boolean') {
+            if (isCSPTag(options.csp, tagName)) {
+                return inlineTag(options.csp, tagName, escapeHtml(String(element)));
+            }
+
             const html = isVoidElement(tagName)
                 ? `<${tagName}>`
                 : `<${tagName}>${escapeHtml(String(element))}</${tagName}>`;
@@ -308,8 +523,14 @@ class HTMLRenderer extends BaseRenderer {
 
         // Handle function elements
         if (typeof element === 'function') {
-            const result = this.executeFunctionComponent(element, depth);
-            return this.renderElement(tagName, result, options, depth, [...path, '()']);
+            const elementPath = [...path, '()'];
+            let result;
+            try {
+                result = this.executeFunctionComponent(element, depth, options.insideErrorBoundary);
+            } catch (_error) {
+                throw withRenderPath(_error, elementPath, 'html');
+            }
+            return this.renderElement(tagName, result, options, depth, elementPath);
         }
 
         // Handle object elements (complex elements with props and children)
@@ -339,7 +560,7 @@ class HTMLRenderer extends BaseRenderer {
         if (this.config.enableCache && this.cache && RendererUtils.isStaticElement(element)) {
             try {
                 const cacheKey = `static:${tagName}:${JSON.stringify(element)}`;
-                this.cache.set('static', cacheKey, html, {
+                this.cache.set(cacheKey, html, 'static', {
                     ttlMs: this.config.cacheTTL || 5 * 60 * 1000, // 5 minutes default
                     size: html.length // Approximate size
                 });
@@ -371,7 +592,8 @@ class HTMLRenderer extends BaseRenderer {
         // Note: key is extracted but NOT rendered as an HTML attribute
         // It's used for reconciliation identity, not DOM output
         // html prop is extracted to prevent it from being rendered as an attribute
-        const { children, text, key: _key, html: _rawHtml, ...attributes } = element || {};
+        const { children, text, key: _key, html: _rawHtml, ...elementAttributes } = element || {};
+        const attributes = withNonce(options.csp, tagName, elementAttributes);
 
         // Build opening tag with attributes
         const attributeString = formatAttributes(attributes);
@@ -397,12 +619,14 @@ class HTMLRenderer extends BaseRenderer {
             const rawContent = isTrustedContent(resolvedHtml)
                 ? resolvedHtml.__html
                 : String(resolvedHtml);
+            recordInlineHash(options.csp, tagName, attributes, rawContent);
             const result = `${openingTag}${rawContent}</${tagName}>`;
             return result;
         }
 
         // Content marked by dangerouslySetInnerContent() is emitted verbatim.
         if (isTrustedContent(text)) {
+            recordInlineHash(options.csp, tagName, attributes, text.__html);
             return `${openingTag}${text.__html}</${tagName}>`;
         }
 
@@ -412,7 +636,7 @@ class HTMLRenderer extends BaseRenderer {
             const isScript = tagName === 'script';
             const isStyle = tagName === 'style';
             const isRawTag = isScript || isStyle;
-            const raw = typeof text === 'function' ? String(text()) : String(text);
+            const raw = typeof text === 'function' ? String(text()) : String(readSignal(text));
             if (isRawTag) {
                 // Prevent </script> or </style> early-terminating the tag
                 const safe = raw
@@ -445,6 +669,8 @@ class HTMLRenderer extends BaseRenderer {
                 .join('');
         }
 
+        recordInlineHash(options.csp, tagName, attributes, `${textContent}${childrenHtml}`);
+
         // Build complete HTML
         const html = `${openingTag}${textContent}${childrenHtml}</${tagName}>`;
 
@@ -465,17 +691,31 @@ class HTMLRenderer extends BaseRenderer {
 
 /**
  * Main render function - converts object components to HTML
+ *
+ * `options.context` is readable from any function component in the tree
+ * through useRenderContext(). Tags added through useHead() go into
+ * `options.head`, and into the page's own <head> when it renders one.
  */
 export function render(component, options = {}) {
+    const { context, head, ...rendererOptions } = options;
+
     // Merge default options with provided options
     const mergedOptions = {
         enableCache: true,
         enableMonitoring: false,
-        ...options
+        ...rendererOptions
     };
 
+    // Nonces change per response and hashes are collected while rendering,
+    // so cached markup cannot be reused under a csp option
+    if (mergedOptions.csp) {
+        mergedOptions.enableCache = false;
+    }
+
     const renderer = new HTMLRenderer(mergedOptions);
-    return renderer.render(component, mergedOptions);
+    return runWithRenderContext(context, () => runWithHead(head, () =>
+        injectHead(renderer.render(component, mergedOptions), head, mergedOptions)
+    ));
 }
 
 /**
@@ -492,7 +732,7 @@ export async function renderHTML(component, options = {}) {
     // Generate CSS HTML if any CSS is specified
     let cssHtml = '';
     if (cssOptions.files.length > 0 || cssOptions.links.length > 0 || cssOptions.inline) {
-        cssHtml = await cssUtils.generateCSSHtml(cssOptions, defaultCSSManager);
+        cssHtml = await cssUtils.generateCSSHtml(cssOptions, defaultCSSManager, options.csp);
     }
 
     // If the component includes a head tag, inject CSS into it
@@ -543,7 +783,7 @@ export function renderHTMLSync(component, options = {}) {
         cssHtml += defaultCSSManager.generateCSSLinks(cssOptions.links);
     }
     if (cssOptions.inline) {
-        cssHtml += `\n${  defaultCSSManager.generateInlineStyles(cssOptions.inline)}`;
+        cssHtml += `\n${  defaultCSSManager.generateInlineStyles(cssOptions.inline, options.csp)}`;
     }
 
     if (cssHtml && htmlContent.includes('<head>')) {
@@ -584,53 +824,158 @@ export function renderBatch(components, options = {}) {
         throw new Error('renderBatch expects an array of components');
     }
 
+    const { context, ...rendererOptions } = options;
+
     // Merge default options with provided options
     const mergedOptions = {
         enableCache: true,
         enableMonitoring: false,
-        ...options
+        ...rendererOptions
     };
 
+    // Nonces change per response and hashes are collected while rendering,
+    // so cached markup cannot be reused under a csp option
+    if (mergedOptions.csp) {
+        mergedOptions.enableCache = false;
+    }
+
     const renderer = new HTMLRenderer(mergedOptions);
-    return components.map(component => renderer.render(component, mergedOptions));
+    return runWithRenderContext(context, () =>
+        components.map(component => renderer.render(component, mergedOptions))
+    );
+}
+
+/**
+ * Yielded by the stream walker just before it awaits a Promise, so that
+ * buffered output goes out instead of waiting with it.
+ */
+const FLUSH = Symbol('coherent.flush');
+
+/**
+ * Swaps a resolved Suspense boundary in for its fallback. The fallback sits
+ * between <!--coh-s:ID--> and <!--/coh-s:ID-->; the resolved content arrives
+ * later in <template id="coh-r:ID">. Sent once, before the first swap.
+ */
+const SUSPENSE_SWAP_SCRIPT = 'function $cohS(i){var t=document.getElementById("coh-r:"+i);if(!t)return;' +
+    'var w=document.createTreeWalker(document,128),s=null,n;while((n=w.nextNode()))if(n.data==="coh-s:"+i){s=n;break}' +
+    'if(!s)return;var p=s.parentNode,c=s.nextSibling;while(c&&!(c.nodeType===8&&c.data==="/coh-s:"+i)){n=c.nextSibling;p.removeChild(c);c=n}' +
+    'p.insertBefore(t.content,s);p.removeChild(s);if(c)p.removeChild(c);t.parentNode.removeChild(t)}';
+
+/** Serialize a string as a JS literal that is safe inside an inline <script>. */
+function toInlineScriptString(value) {
+    return JSON.stringify(String(value)).replace(/</g, '\\u003c');
 }
 
 /**
  * Real streaming render - yields chunks progressively as HTML is generated
  * Ideal for large component trees or memory-constrained environments
+ *
+ * Function components may return Promises, and lazy()/lazyImport() values are
+ * evaluated and awaited. Outside a Suspense() boundary an async component
+ * holds the stream at that point; inside one, the fallback is sent straight
+ * away and the resolved subtree is streamed after the rest of the page, out
+ * of order, with an inline script that swaps it in.
+ *
+ * @param {*} component - Component to render
+ * @param {Object} [options={}] - Streaming options
+ * @param {number} [options.chunkSize=8192] - Buffer size before a chunk is yielded
+ * @param {number} [options.maxDepth=1000] - Maximum nesting depth
+ * @param {number} [options.yieldThreshold=100] - Yield control every N elements
+ * @param {string} [options.identifierPrefix=''] - Prefix for Suspense boundary ids,
+ *   for pages that combine several streams into one document
+ * @param {Object} [options.context] - Render context, readable through useRenderContext()
+ * @param {Object} [options.head] - Collector from createHead(). Its tags are
+ *   injected before the page's </head>, so the shell (everything outside
+ *   suspended boundaries) is held back until it has rendered completely.
+ * @param {Object} [options.errorHandler=defaultErrorHandler] - Receives render
+ *   errors through captureError(error, context), with the render path in
+ *   `context.path`; `null` to report them nowhere
+ * @param {AbortSignal} [options.signal] - Stops rendering when aborted; the
+ *   generator then returns without a further chunk
+ * @returns {AsyncGenerator<string>} HTML chunks
  */
 export async function* renderToStream(component, options = {}) {
+    const { context, ...streamOptions } = options;
+    const chunks = streamHTML(component, streamOptions);
+
+    // Generator bodies run in the context of whoever calls next(), not of
+    // whoever created them, so every step re-enters the render context.
+    try {
+        for (;;) {
+            const step = await runWithRenderContext(context, () =>
+                runWithHead(streamOptions.head, () => chunks.next())
+            );
+            if (step.done) return;
+            yield step.value;
+        }
+    } finally {
+        // Close the walker when the consumer stops early
+        await chunks.return();
+    }
+}
+
+async function* streamHTML(component, options) {
     const config = {
         chunkSize: 8192, // 8KB default chunk size
         maxDepth: 1000,
         yieldThreshold: 100, // Yield control every 100 elements
         encoding: 'utf8',
+        identifierPrefix: '',
         ...options
     };
 
     let buffer = '';
     let elementCount = 0;
+    let boundaryCount = 0;
+
+    // Suspended boundaries still rendering in the background, by id
+    const pending = new Map();
+
+    // Portal content waiting for its outlet, by target, and content whose
+    // outlet went out before it was rendered
+    const portalContent = new Map();
+    const sentOutlets = new Set();
+    const latePortals = [];
+    let portalCount = 0;
+
+    // Inside a boundary, content waits until it is known whether the boundary
+    // renders inline or is swapped in later
+    function placePortal(portal, boundary) {
+        if (boundary) {
+            boundary.portals.push(portal);
+        } else if (sentOutlets.has(portal.target)) {
+            latePortals.push(portal);
+        } else {
+            portalContent.set(portal.target, (portalContent.get(portal.target) || '') + portal.html);
+        }
+    }
 
-    // Helper to flush buffer when it reaches chunk size
-    async function* flushBuffer(force = false) {
-        if (force || buffer.length >= config.chunkSize) {
-            if (buffer.length > 0) {
-                yield buffer;
-                buffer = '';
+    function movePortals(portals) {
+        let chunk = '';
+        for (const portal of portals) {
+            if (!portalScriptSent) {
+                chunk += inlineTag(config.csp, 'script', PORTAL_MOVE_SCRIPT);
+                portalScriptSent = true;
             }
+            const id = `${config.identifierPrefix}p${portalCount++}`;
+            chunk += `<template id="coh-p:${escapeHtml(id)}">${portal.html}</template>`;
+            chunk += inlineTag(config.csp, 'script', `$cohP(${toInlineScriptString(id)},${toInlineScriptString(portal.target)})`);
         }
+        return chunk;
     }
 
-    // Helper to add to buffer
-    async function* write(text) {
-        buffer += text;
-        yield* flushBuffer();
+    function throwIfAborted() {
+        if (config.signal) config.signal.throwIfAborted();
     }
 
-    // Recursive streaming component renderer
-    async function* streamComponent(comp, depth = 0) {
+    // Recursive streaming component renderer. `boundary` is the nearest
+    // Suspense() or ErrorBoundary() record, or null in the shell. `path` is
+    // the render path, attached to errors.
+    async function* streamComponent(comp, depth = 0, boundary = null, path = []) {
+        throwIfAborted();
+
         if (depth > config.maxDepth) {
-            throw new Error(`Maximum nesting depth exceeded: ${config.maxDepth}`);
+            throw withRenderPath(new Error(`Maximum nesting depth exceeded: ${config.maxDepth}`), path, 'stream');
         }
 
         // Handle null/undefined
@@ -638,24 +983,91 @@ export async function* renderToStream(component, options = {}) {
 
         // Content marked by dangerouslySetInnerContent() is emitted verbatim.
         if (isTrustedContent(comp)) {
-            yield* write(comp.__html);
+            yield comp.__html;
             return;
         }
 
         // Handle primitives
         if (typeof comp === 'string' || typeof comp === 'number') {
-            yield* write(escapeHtml(String(comp)));
+            yield escapeHtml(String(comp));
+            return;
+        }
+
+        // Handle async components and Promises placed directly in the tree
+        if (typeof comp.then === 'function') {
+            yield FLUSH;
+            let resolved;
+            try {
+                resolved = await comp;
+            } catch (_error) {
+                throw withRenderPath(_error, path, 'stream');
+            }
+            yield* streamComponent(resolved, depth, boundary, path);
+            return;
+        }
+
+        // Handle lazy() and lazyImport() values
+        if (isLazy(comp)) {
+            let evaluated;
+            try {
+                evaluated = comp.evaluate();
+            } catch (_error) {
+                throw withRenderPath(_error, path, 'stream');
+            }
+            yield* streamComponent(evaluated, depth, boundary, path);
+            return;
+        }
+
+        if (isSignal(comp)) {
+            yield* streamComponent(comp.peek(), depth, boundary, path);
+            return;
+        }
+
+        if (isSuspense(comp)) {
+            yield* streamSuspense(comp, depth, boundary, path);
+            return;
+        }
+
+        if (isErrorBoundary(comp)) {
+            yield* streamErrorBoundary(comp, depth, boundary, path);
+            return;
+        }
+
+        if (isFragment(comp)) {
+            yield* streamComponent(comp.children, depth + 1, boundary, [...path, 'Fragment']);
+            return;
+        }
+
+        if (isPortal(comp)) {
+            // Flushes still go through, so a boundary around the portal can suspend
+            let html = '';
+            for await (const piece of streamComponent(comp.children, depth + 1, boundary, [...path, `Portal(${comp.target})`])) {
+                if (piece === FLUSH) {
+                    yield FLUSH;
+                } else {
+                    html += piece;
+                }
+            }
+            placePortal({ target: comp.target, html }, boundary);
+            return;
+        }
+
+        if (isPortalOutlet(comp)) {
+            const content = portalContent.get(comp.name) || '';
+            portalContent.delete(comp.name);
+            sentOutlets.add(comp.name);
+            yield `<div ${formatAttributes(outletAttributes(comp))}>${content}</div>`;
             return;
         }
 
         // Handle arrays
         if (Array.isArray(comp)) {
-            for (const child of comp) {
-                yield* streamComponent(child, depth);
+            for (const [index, child] of comp.entries()) {
+                yield* streamComponent(child, depth, boundary, [...path, `[${index}]`]);
 
                 // Yield control periodically
                 if (elementCount++ % config.yieldThreshold === 0) {
-                    await new Promise(resolve => setImmediate(resolve));
+                    await yieldToEventLoop();
                 }
             }
             return;
@@ -663,54 +1075,65 @@ export async function* renderToStream(component, options = {}) {
 
         // Handle functions
         if (typeof comp === 'function') {
-            const result = comp();
-            yield* streamComponent(result, depth);
+            const componentPath = [...path, `${comp.name || 'anonymous'}()`];
+            let result;
+            try {
+                result = comp();
+            } catch (_error) {
+                throw withRenderPath(_error, componentPath, 'stream');
+            }
+            yield* streamComponent(result, depth, boundary, componentPath);
             return;
         }
 
         // Handle objects (HTML elements)
         if (typeof comp === 'object') {
-            for (const [tagName, props] of Object.entries(comp)) {
+            for (const [tagName, content] of Object.entries(comp)) {
+                const props = readSignal(content);
                 if (typeof props === 'object' && props !== null) {
-                    const { children, text, html: rawHtml, ...attributes } = props;
+                    const { children, text, html: rawHtml, ...elementAttributes } = props;
+                    const attributes = withNonce(config.csp, tagName, elementAttributes);
                     const attrsStr = formatAttributes(attributes);
                     const openTag = attrsStr ? `<${tagName} ${attrsStr}>` : `<${tagName}>`;
 
                     if (isVoidElement(tagName)) {
-                        yield* write(openTag.replace('>', ' />'));
+                        yield openTag.replace('>', ' />');
                         elementCount++;
                         return;
                     }
 
-                    yield* write(openTag);
-
-                    if (rawHtml !== undefined) {
-                        const resolved = typeof rawHtml === 'function' ? rawHtml() : rawHtml;
-                        yield* write(isTrustedContent(resolved) ? resolved.__html : String(resolved));
-                    } else if (isTrustedContent(text)) {
-                        yield* write(text.__html);
-                    } else if (text !== undefined) {
-                        yield* write(escapeHtml(String(text)));
-                    } else if (children) {
-                        yield* streamComponent(children, depth + 1);
+                    if (isCSPTag(config.csp, tagName)) {
+                        // Inline code is hashed whole, so render it before emitting
+                        let body = '';
+                        for await (const piece of streamElementBody(rawHtml, text, children, depth, boundary, [...path, tagName])) {
+                            if (piece !== FLUSH) body += piece;
+                        }
+                        recordInlineHash(config.csp, tagName, attributes, body);
+                        yield `${openTag}${body}</${tagName}>`;
+                        elementCount++;
+                        continue;
                     }
 
-                    yield* write(`</${tagName}>`);
+                    yield openTag;
+                    yield* streamElementBody(rawHtml, text, children, depth, boundary, [...path, tagName]);
+                    yield `</${tagName}>`;
                     elementCount++;
                 } else if (props === null || props === undefined) {
                     // Handle null/undefined props - render empty element
                     if (isVoidElement(tagName)) {
-                        yield* write(`<${tagName} />`);
+                        yield `<${tagName} />`;
                     } else {
-                        yield* write(`<${tagName}></${tagName}>`);
+                        yield `<${tagName}></${tagName}>`;
                     }
                     elementCount++;
-                } else if (typeof props === 'string') {
-                    const content = escapeHtml(props);
-                    if (isVoidElement(tagName)) {
-                        yield* write(`<${tagName} />`);
+                } else if (typeof props === 'string' || typeof props === 'number') {
+                    const content = escapeHtml(String(props));
+                    if (isCSPTag(config.csp, tagName)) {
+                        yield inlineTag(config.csp, tagName, content);
+                    } else if (isVoidElement(tagName)) {
+                        yield `<${tagName} />`;
                     } else {
-                        yield* write(`<${tagName}>${content}</${tagName}>`);
+                        yield `<${tagName}>${content}</${tagName}>`;
                     }
                     elementCount++;
                 }
@@ -718,13 +1141,204 @@ export async function* renderToStream(component, options = {}) {
         }
     }
 
+    // Content between an element's tags
+    async function* streamElementBody(rawHtml, text, children, depth, boundary, path) {
+        if (rawHtml !== undefined) {
+            const resolved = typeof rawHtml === 'function' ? rawHtml() : rawHtml;
+            yield isTrustedContent(resolved) ? resolved.__html : String(resolved);
+        } else if (isTrustedContent(text)) {
+            yield text.__html;
+        } else if (text !== undefined) {
+            yield escapeHtml(String(readSignal(text)));
+        } else if (children) {
+            yield* streamComponent(children, depth + 1, boundary, [...path, 'children']);
+        }
+    }
+
+    // An error boundary holds its content back until the subtree has rendered
+    // completely, so a failure can still put the fallback in its place.
+    // Suspense() boundaries and portals inside it treat it as their parent.
+    async function* streamErrorBoundary(node, depth, parent, path) {
+        const boundaryPath = [...path, 'ErrorBoundary'];
+        let failed = false;
+        const record = {
+            parent,
+            portals: [],
+            emitted: parent ? parent.emitted : Promise.resolve(),
+            get failed() {
+                return failed || Boolean(parent && parent.failed);
+            }
+        };
+
+        let html = '';
+        try {
+            for await (const piece of streamComponent(node.children, depth + 1, record, boundaryPath)) {
+                if (piece === FLUSH) {
+                    yield FLUSH;
+                } else {
+                    html += piece;
+                }
+            }
+        } catch (_error) {
+            // An aborted render is not the subtree's fault
+            if (config.signal && config.signal.aborted) throw _error;
+
+            // Suspended boundaries inside it are dropped along with their placeholders
+            failed = true;
+            const fallback = catchInBoundary(node, _error, config.errorHandler, 'stream');
+            yield* streamComponent(fallback, depth + 1, parent, [...boundaryPath, 'fallback']);
+            return;
+        }
+
+        record.portals.forEach(portal => placePortal(portal, parent));
+        yield html;
+    }
+
+    // A boundary renders inline for as long as its subtree stays synchronous.
+    // The first await suspends it: the fallback goes out in its place and the
+    // subtree finishes in the background.
+    async function* streamSuspense(node, depth, parent, path) {
+        const suspensePath = [...path, 'Suspense'];
+        const record = {
+            id: `${config.identifierPrefix}${boundaryCount++}`,
+            path: formatRenderPath(suspensePath),
+            parent,
+            portals: [],
+            failed: false,
+            emitted: null,
+            markEmitted: null
+        };
+        record.emitted = new Promise(resolve => { record.markEmitted = resolve; });
+
+        const children = streamComponent(node.children, depth + 1, record, suspensePath);
+        let html = '';
+
+        for (;;) {
+            const step = await children.next();
+            if (step.done) {
+                // Rendered inline, so it reaches the document with its parent
+                record.markEmitted(parent ? parent.emitted : undefined);
+                record.portals.forEach(portal => placePortal(portal, parent));
+                yield html;
+                return;
+            }
+            if (step.value === FLUSH) break;
+            html += step.value;
+        }
+
+        pending.set(record.id, drainBoundary(children, html, record));
+
+        yield `<!--coh-s:${record.id}-->`;
+        yield* streamComponent(node.fallback, depth + 1, parent, [...suspensePath, 'fallback']);
+        yield `<!--/coh-s:${record.id}-->`;
+    }
+
+    async function drainBoundary(children, html, record) {
+        let content = html;
+        let error = null;
+
+        try {
+            for await (const piece of children) {
+                if (piece !== FLUSH) content += piece;
+            }
+        } catch (_error) {
+            error = _error;
+        }
+
+        // A nested boundary's placeholder only exists once its parent's
+        // content has been swapped into the document.
+        if (record.parent) {
+            await record.parent.emitted;
+        }
+
+        return { record, html: content, error };
+    }
+
+    let swapScriptSent = false;
+    let portalScriptSent = false;
+
+    // Head tags are only all known once the shell has rendered
+    const holdShell = Boolean(config.head);
+
     // Start streaming
     try {
-        yield* streamComponent(component);
-        yield* flushBuffer(true); // Force flush remaining buffer
+        for await (const piece of streamComponent(component)) {
+            if (holdShell) {
+                if (piece !== FLUSH) buffer += piece;
+                continue;
+            }
+            if (piece === FLUSH) {
+                if (buffer.length > 0) {
+                    yield buffer;
+                    buffer = '';
+                }
+                continue;
+            }
+
+            buffer += piece;
+            if (buffer.length >= config.chunkSize) {
+                yield buffer;
+                buffer = '';
+            }
+        }
+
+        if (holdShell) {
+            buffer = injectHead(buffer, config.head, config);
+        }
+
+        // Portals whose outlet never came get one at the end of the body
+        buffer = insertBeforeBodyEnd(buffer, renderMissingOutlets(portalContent));
+        buffer += movePortals(latePortals);
+
+        // Force flush remaining buffer
+        if (buffer.length > 0) {
+            yield buffer;
+            buffer = '';
+        }
+
+        // Stream suspended boundaries in the order they resolve
+        while (pending.size > 0) {
+            const { record, html, error } = await Promise.race(pending.values());
+            pending.delete(record.id);
+            throwIfAborted();
+
+            if (error || (record.parent && record.parent.failed)) {
+                // The fallback stays in place
+                record.failed = true;
+                record.markEmitted();
+                if (error) {
+                    // An error without a render path failed in the boundary itself
+                    const { error: original, path } = unwrapRenderError(error);
+                    captureRenderError(config.errorHandler, original, {
+                        path: path === 'root' ? record.path : path,
+                        renderer: 'stream',
+                        boundary: record.id
+                    });
+                    yield streamErrorComment(original);
+                }
+                continue;
+            }
+
+            let chunk = '';
+            if (!swapScriptSent) {
+                chunk += inlineTag(config.csp, 'script', SUSPENSE_SWAP_SCRIPT);
+                swapScriptSent = true;
+            }
+            chunk += `<template id="coh-r:${escapeHtml(record.id)}">${html}</template>`;
+            chunk += inlineTag(config.csp, 'script', `$cohS(${toInlineScriptString(record.id)})`);
+            chunk += movePortals(record.portals);
+
+            record.markEmitted();
+            yield chunk;
+        }
     } catch (error) {
+        // Nobody is reading any more
+        if (config.signal && config.signal.aborted) return;
+
         // Stream error as HTML comment
-        yield `<!-- Streaming Error: ${error.message} -->`;
+        const { error: original, path } = unwrapRenderError(error);
+        captureRenderError(config.errorHandler, original, { path, renderer: 'stream' });
+        yield streamErrorComment(original);
     }
 }
 
@@ -753,7 +1367,7 @@ export const streamingUtils = {
 
         for await (const chunk of chunkGenerator) {
             response.write(chunk);
-            totalBytes += Buffer.byteLength(chunk);
+            totalBytes += byteLength(chunk);
         }
 
         response.end();
@@ -768,7 +1382,7 @@ export const streamingUtils = {
         let chunkCount = 0;
 
         for await (const chunk of chunkGenerator) {
-            totalBytes += Buffer.byteLength(chunk);
+            totalBytes += byteLength(chunk);
             chunkCount++;
 
             if (onProgress) {
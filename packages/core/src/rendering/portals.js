@@ -0,0 +1,120 @@
+/**
+ * Portal placement
+ *
+ * Portal() content renders where its PortalOutlet() is, wherever that sits
+ * in the tree. render() leaves a marker comment inside each outlet and fills
+ * the markers in once the whole tree has rendered; renderToStream() fills
+ * outlets that come after their portals as it goes, and moves later content
+ * in with a small inline script.
+ *
+ * @module rendering/portals
+ */
+
+import { escapeHtml, formatAttributes } from '../core/html-utils.js';
+
+/** Attribute that names an outlet in the HTML, and that hydrate() looks for */
+export const OUTLET_ATTRIBUTE = 'data-coherent-portal-outlet';
+
+/** Marker comments left by render(); `<` is always escaped in text, so only raw HTML could forge one */
+const OUTLET_MARKER_PATTERN = /<!--coh-p:([^>]*?)-->/g;
+
+/**
+ * Moves the content of <template id="coh-p:ID"> to the end of the outlet
+ * named NAME, creating the outlet at the end of <body> if there is none.
+ * Sent once, before the first move.
+ */
+export const PORTAL_MOVE_SCRIPT = 'function $cohP(i,n){var t=document.getElementById("coh-p:"+i);if(!t)return;' +
+    `var o=null,l=document.querySelectorAll("[${OUTLET_ATTRIBUTE}]");` +
+    `for(var k=0;k<l.length;k++)if(l[k].getAttribute("${OUTLET_ATTRIBUTE}")===n){o=l[k];break}` +
+    `if(!o){o=document.createElement("div");o.setAttribute("${OUTLET_ATTRIBUTE}",n);document.body.appendChild(o)}` +
+    'o.appendChild(t.content);t.parentNode.removeChild(t)}';
+
+/**
+ * Attributes of the element an outlet renders as
+ *
+ * @param {Object} outlet - Node created by PortalOutlet()
+ * @returns {Object}
+ */
+export function outletAttributes(outlet) {
+    return { ...outlet.attributes, [OUTLET_ATTRIBUTE]: outlet.name };
+}
+
+/**
+ * Marker render() leaves inside an outlet
+ *
+ * @param {string} name - Outlet name
+ * @returns {string}
+ */
+export function outletMarker(name) {
+    return `<!--coh-p:${escapeHtml(name)}-->`;
+}
+
+/**
+ * Render outlets for portals whose target never appeared, each holding the
+ * content collected for it
+ *
+ * @param {Map<string, string>} contentByTarget - HTML by target name
+ * @returns {string}
+ */
+export function renderMissingOutlets(contentByTarget) {
+    let html = '';
+    for (const [name, content] of contentByTarget) {
+        html += `<div ${formatAttributes({ [OUTLET_ATTRIBUTE]: name })}>${content}</div>`;
+    }
+    return html;
+}
+
+/**
+ * Insert `content` before the last `</body>` of `html`, or append it when
+ * there is none
+ *
+ * @param {string} html - Rendered HTML
+ * @param {string} content - HTML to insert
+ * @returns {string}
+ */
+export function insertBeforeBodyEnd(html, content) {
+    if (!content) return html;
+
+    const index = html.lastIndexOf('</body>');
+    if (index === -1) return html + content;
+
+    return `${html.slice(0, index)}${content}${html.slice(index)}`;
+}
+
+/**
+ * Fill the outlet markers in `html` with portal content
+ *
+ * The first outlet of each name receives the content of every portal that
+ * targets it, in tree order. Content for names without an outlet goes into
+ * new outlets before `</body>`.
+ *
+ * @param {string} html - HTML rendered with outlet markers
+ * @param {Array<{target: string, html: string}>} portals - Rendered portals, in tree order
+ * @returns {string}
+ */
+export function placePortals(html, portals) {
+    if (portals.length === 0 && !html.includes('<!--coh-p:')) return html;
+
+    const contentByTarget = new Map();
+    for (const portal of portals) {
+        const name = escapeHtml(portal.target);
+        contentByTarget.set(name, (contentByTarget.get(name) || '') + portal.html);
+    }
+
+    const placed = html.replace(OUTLET_MARKER_PATTERN, (_marker, name) => {
+        const content = contentByTarget.get(name) || '';
+        contentByTarget.delete(name);
+        return content;
+    });
+
+    // Keys were escaped for matching; the outlet attribute escapes them again
+    const missing = new Map();
+    for (const portal of portals) {
+        const name = escapeHtml(portal.target);
+        if (contentByTarget.has(name)) {
+            missing.set(portal.target, contentByTarget.get(name));
+        }
+    }
+
+    return insertBeforeBodyEnd(placed, renderMissingOutlets(missing));
+}
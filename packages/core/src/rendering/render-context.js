@@ -0,0 +1,88 @@
+/**
+ * Per-render context
+ *
+ * Values passed as `render(component, { context })` can be read by any
+ * function component through useRenderContext(), without threading them
+ * through every props object. On Node the context lives in AsyncLocalStorage,
+ * so concurrent renders that interleave across `await` points each see their
+ * own. Where AsyncLocalStorage is unavailable it falls back to a stack that
+ * covers synchronous rendering only.
+ *
+ * @module rendering/render-context
+ */
+
+const EMPTY_CONTEXT = Object.freeze({});
+
+function createStackStorage() {
+    const stack = [];
+
+    return {
+        run(store, fn) {
+            stack.push(store);
+            try {
+                return fn();
+            } finally {
+                stack.pop();
+            }
+        },
+
+        getStore() {
+            return stack[stack.length - 1];
+        }
+    };
+}
+
+function createStorage() {
+    // getBuiltinModule rather than a static import, so the module still loads
+    // in runtimes without node:async_hooks.
+    const asyncHooks = typeof process !== 'undefined' && typeof process.getBuiltinModule === 'function'
+        ? process.getBuiltinModule('node:async_hooks')
+        : null;
+
+    if (asyncHooks && typeof asyncHooks.AsyncLocalStorage === 'function') {
+        return new asyncHooks.AsyncLocalStorage();
+    }
+    return createStackStorage();
+}
+
+const storage = createStorage();
+
+/**
+ * Run `fn` with `context` as the render context. A render started inside
+ * another one inherits the outer context, with its own keys taking precedence.
+ *
+ * @param {Object|undefined|null} context - Context values for this render
+ * @param {Function} fn - Work to run inside the context
+ * @returns {*} Whatever `fn` returns
+ */
+export function runWithRenderContext(context, fn) {
+    if (context === undefined || context === null) {
+        return fn();
+    }
+    if (typeof context !== 'object' || Array.isArray(context)) {
+        throw new TypeError('Render context must be a plain object');
+    }
+
+    const outer = storage.getStore();
+    return storage.run(Object.freeze(outer ? { ...outer, ...context } : { ...context }), fn);
+}
+
+/**
+ * Read the context of the render in progress
+ *
+ * @param {string} [key] - Context key; omit it to get the whole context
+ * @returns {*} The value for `key`, or the frozen context object. Outside a
+ *   render, an empty object (or undefined for a key).
+ *
+ * @example
+ * const Greeting = () => {
+ *   const { user, locale } = useRenderContext();
+ *   return { p: { text: formatGreeting(user, locale) } };
+ * };
+ *
+ * render(Page(), { context: { user: req.user, locale: 'fr' } });
+ */
+export function useRenderContext(key) {
+    const store = storage.getStore() || EMPTY_CONTEXT;
+    return key === undefined ? store : store[key];
+}
@@ -0,0 +1,423 @@
+/**
+ * Template compiler
+ *
+ * compileComponent() turns a function component into a function that returns
+ * the same HTML as `render(component(props))`, but builds it by concatenating
+ * a precomputed skeleton with escaped prop values instead of walking the
+ * object tree on every call.
+ *
+ * The skeleton is found by running the component with probe props. Truthy
+ * string and number props are replaced by placeholders, and the rendered HTML
+ * shows where their escaped values go. Every other way the output can depend
+ * on props selects a template variant instead: booleans and empty values,
+ * props compared, transformed or used as numbers, and props read but never
+ * printed all take their real value, which becomes part of the variant key.
+ * Each template is compared with render() the first time it is used.
+ * Calls whose props cannot be keyed (arrays, functions, spread props...)
+ * fall back to render().
+ *
+ * @module rendering/template-compiler
+ */
+
+import { render } from './html-renderer.js';
+import { escapeHtml } from '../core/html-utils.js';
+import { RenderingError } from '../utils/error-handler.js';
+
+// A placeholder prints as HOLE_OPEN + 'c<index>&' + HOLE_CLOSE. The letter
+// reveals case changes and the ampersand reveals whether the renderer escaped
+// it exactly once, which is how the compiled function will escape the value.
+const HOLE_OPEN = '\uE000';
+const HOLE_CLOSE = '\uE001';
+const HOLE_PATTERN = /\uE000c(\d+)&amp;\uE001/g;
+const STRAY_PATTERN = /\uE000c(\d+)/g;
+
+/** Returned by a probe run that learnt something and has to run again */
+const RETRY = Symbol('coherent.compile.retry');
+
+/** Probe runs for one call before compilation is given up */
+const MAX_ATTEMPTS = 16;
+
+/** Path index of the props object itself */
+const ROOT = -1;
+
+function isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const proto = Object.getPrototypeOf(value);
+    return proto === Object.prototype || proto === null;
+}
+
+function readPath(root, segments) {
+    let value = root;
+    for (const segment of segments) {
+        if (!isPlainObject(value) || !Object.prototype.hasOwnProperty.call(value, segment)) {
+            return undefined;
+        }
+        value = value[segment];
+    }
+    return value;
+}
+
+/**
+ * How a prop value takes part in the variant key: 'o' for an object whose
+ * members are tracked, 'h:string' or 'h:number' for a placeholder (so each
+ * variant sees one type), the value itself for anything else, or null when
+ * the call cannot be compiled
+ * @private
+ */
+function classify(value, pinned) {
+    if (isPlainObject(value)) {
+        return pinned ? null : 'o';
+    }
+
+    const type = typeof value;
+    if ((type === 'string' || type === 'number') && value && !pinned) {
+        return `h:${type}`;
+    }
+    if (value === null || type === 'undefined' || type === 'string' || type === 'number' ||
+        type === 'boolean' || type === 'bigint') {
+        return `${type}:${String(value)}`;
+    }
+    return null;
+}
+
+function fill({ strings, holes }, values) {
+    let html = strings[0];
+    for (let i = 0; i < holes.length; i++) {
+        html += escapeHtml(String(values[holes[i]])) + strings[i + 1];
+    }
+    return html;
+}
+
+/**
+ * Compile a function component into a string-concatenating template
+ *
+ * The compiled function must be called with a props object and returns the
+ * HTML that `render(component(props))` would. Templates are built lazily, one
+ * per variant of the props that change the structure of the output.
+ *
+ * Components must be pure functions of their props: on a template hit the
+ * component is not called, so useHead() and useRenderContext() calls in it are
+ * skipped. The first call of each variant also renders normally; when the
+ * outputs differ, the printed props of that variant select variants by value
+ * from then on, or the variant keeps rendering normally. A printed prop
+ * compared with `===` against a value only later calls pass is not caught
+ * this way; list such props in `keyProps`, or check with `verify: true`.
+ *
+ * @param {Function} component - Function component taking a props object
+ * @param {Object} [options] - Compiler options
+ * @param {string[]} [options.keyProps=[]] - Props (dotted paths) that always select
+ *   a variant by value instead of becoming placeholders
+ * @param {number} [options.maxVariants=100] - Templates kept; further variants render normally
+ * @param {boolean} [options.verify=false] - Render normally as well and throw on any difference
+ * @returns {Function} `(props) => string`
+ *
+ * @example
+ * const ProductCard = ({ name, price, url, onSale }) => ({
+ *   article: {
+ *     className: onSale ? 'card card--sale' : 'card',
+ *     children: [
+ *       { a: { href: url, text: name } },
+ *       { span: { className: 'price', text: `$${price}` } }
+ *     ]
+ *   }
+ * });
+ *
+ * const renderCard = compileComponent(ProductCard);
+ * const html = products.map(renderCard).join('');
+ */
+export function compileComponent(component, options = {}) {
+    if (typeof component !== 'function') {
+        throw new TypeError(`compileComponent() expects a function component, received: ${typeof component}`);
+    }
+
+    const { keyProps = [], maxVariants = 100, verify = false } = options;
+
+    const paths = [];
+    const pathKeys = [];
+    const pathIndex = new Map();
+    const pinned = new Set(keyProps.map(name => JSON.stringify(String(name).split('.'))));
+    const variants = new Map();
+    let disabled = false;
+
+    function lookup(props) {
+        if (!isPlainObject(props)) return null;
+
+        const classes = new Array(paths.length);
+        const values = new Array(paths.length);
+        for (let i = 0; i < paths.length; i++) {
+            const value = readPath(props, paths[i]);
+            const kind = classify(value, pinned.has(pathKeys[i]));
+            if (kind === null) return null;
+            classes[i] = kind;
+            values[i] = value;
+        }
+        return { key: JSON.stringify(classes), values };
+    }
+
+    /**
+     * Run the component with probe props and locate the placeholders in its
+     * HTML. Returns the template, RETRY when paths or pins changed, or null
+     * when these props cannot be compiled.
+     */
+    function probe(props) {
+        const run = { changed: false, stringified: new Set(), holes: new Set(), inert: new Set() };
+        const probes = new WeakMap();
+
+        const pin = (index) => {
+            if (index === ROOT) {
+                // The props object is used as a whole, e.g. spread
+                disabled = true;
+                run.changed = true;
+                return;
+            }
+            if (!pinned.has(pathKeys[index])) {
+                pinned.add(pathKeys[index]);
+                run.changed = true;
+            }
+        };
+
+        const track = (segments) => {
+            const key = JSON.stringify(segments);
+            let index = pathIndex.get(key);
+            if (index === undefined) {
+                index = paths.length;
+                paths.push(segments);
+                pathKeys.push(key);
+                pathIndex.set(key, index);
+                run.changed = true;
+            }
+            return index;
+        };
+
+        // Traps shared by both probe kinds for operations that use the value
+        // as a whole: pin it and answer with the real value.
+        const realTraps = (index, real) => ({
+            has(_target, key) {
+                pin(index);
+                return key in real;
+            },
+            ownKeys() {
+                pin(index);
+                return Reflect.ownKeys(real);
+            },
+            getOwnPropertyDescriptor(_target, key) {
+                pin(index);
+                const descriptor = Reflect.getOwnPropertyDescriptor(real, key);
+                return descriptor && { ...descriptor, configurable: true };
+            }
+        });
+
+        const member = (index, real, key) => {
+            pin(index);
+            const value = Reflect.get(real, key);
+            return typeof value === 'function' ? value.bind(real) : value;
+        };
+
+        function objectProbe(index, segments, value) {
+            const proxy = new Proxy({}, {
+                ...realTraps(index, value),
+                get(_target, key) {
+                    if (typeof key === 'string' &&
+                        (Object.prototype.hasOwnProperty.call(value, key) || !(key in value))) {
+                        return expose([...segments, key], value[key]);
+                    }
+                    return member(index, value, key);
+                }
+            });
+            probes.set(proxy, { index, value, leaf: false });
+            return proxy;
+        }
+
+        function leafProbe(index, value) {
+            const token = `${HOLE_OPEN}c${index}&${HOLE_CLOSE}`;
+            const proxy = new Proxy({}, {
+                ...realTraps(index, Object(value)),
+                get(_target, key) {
+                    if (key === Symbol.toPrimitive) {
+                        return (hint) => {
+                            // Arithmetic, and + or == on numbers, need the real value
+                            if (hint === 'number' || (hint === 'default' && typeof value !== 'string')) {
+                                pin(index);
+                                return value;
+                            }
+                            run.stringified.add(index);
+                            return token;
+                        };
+                    }
+                    return member(index, Object(value), key);
+                }
+            });
+            probes.set(proxy, { index, value, leaf: true, token });
+            return proxy;
+        }
+
+        function expose(segments, value) {
+            const index = track(segments);
+            const kind = classify(value, pinned.has(pathKeys[index]));
+            if (kind === 'o') return objectProbe(index, segments, value);
+            if (kind !== null && kind.startsWith('h:')) {
+                run.holes.add(index);
+                return leafProbe(index, value);
+            }
+            return value;
+        }
+
+        // Replace probes placed straight into the tree, so the renderer only
+        // ever sees plain values
+        function materialize(node, propName) {
+            const found = probes.get(node);
+            if (found) {
+                if (!found.leaf) {
+                    pin(found.index);
+                    return found.value;
+                }
+                if (propName === 'key') {
+                    // Never rendered, so its value does not matter
+                    run.inert.add(found.index);
+                    return found.value;
+                }
+                run.stringified.add(found.index);
+                return found.token;
+            }
+            if (Array.isArray(node)) {
+                return node.map(child => materialize(child));
+            }
+            if (isPlainObject(node)) {
+                const copy = {};
+                for (const [name, value] of Object.entries(node)) {
+                    copy[name] = materialize(value, name);
+                }
+                return copy;
+            }
+            return node;
+        }
+
+        let html;
+        try {
+            const tree = component(objectProbe(ROOT, [], props));
+            if (tree && typeof tree.then === 'function') {
+                // Async components cannot be compiled
+                disabled = true;
+                return null;
+            }
+            const materialized = materialize(tree);
+            if (run.changed) return RETRY;
+            html = render(materialized, { enableCache: false });
+        } catch {
+            // A placeholder may have reached code that needs the real value
+            for (const index of run.stringified) pin(index);
+            return run.changed ? RETRY : null;
+        }
+
+        // Function children run during render() and may have pinned props
+        if (run.changed) return RETRY;
+
+        const strings = [];
+        const holes = [];
+        let last = 0;
+        for (const match of html.matchAll(HOLE_PATTERN)) {
+            strings.push(html.slice(last, match.index));
+            holes.push(Number(match[1]));
+            last = match.index + match[0].length;
+        }
+        strings.push(html.slice(last));
+
+        for (const part of strings) {
+            if (!part.includes(HOLE_OPEN) && !part.includes(HOLE_CLOSE)) continue;
+
+            // Printed unescaped, escaped twice, cut or otherwise changed
+            let attributed = false;
+            for (const match of part.matchAll(STRAY_PATTERN)) {
+                const index = Number(match[1]);
+                if (index < paths.length) {
+                    pin(index);
+                    attributed = true;
+                }
+            }
+            if (!attributed) {
+                disabled = true;
+                return null;
+            }
+        }
+
+        for (const index of run.stringified) {
+            // Stringified but never printed: used as a lookup key or similar
+            if (!holes.includes(index)) pin(index);
+        }
+        for (const index of run.holes) {
+            // Read but never stringified: compared or tested
+            if (!run.stringified.has(index) && !run.inert.has(index)) pin(index);
+        }
+
+        return run.changed ? RETRY : { strings, holes };
+    }
+
+    function renderFromTemplate(props) {
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const found = lookup(props);
+            if (!found) return null;
+
+            if (variants.has(found.key)) {
+                // A variant stored as null did not match render() and renders normally
+                const template = variants.get(found.key);
+                return template ? fill(template, found.values) : null;
+            }
+            if (variants.size >= maxVariants) return null;
+
+            const outcome = probe(props);
+            if (disabled || outcome === null) return null;
+            if (outcome === RETRY) {
+                // Keys of the stored variants no longer line up with `paths`
+                variants.clear();
+                continue;
+            }
+
+            // The first use of a variant is checked against render(). A
+            // difference means a placeholder was compared or tested in a way
+            // the probes cannot see, such as typeof: key on those props.
+            const html = fill(outcome, found.values);
+            const expected = render(component(props));
+            if (html === expected) {
+                variants.set(found.key, outcome);
+                return html;
+            }
+
+            let pinnedMore = false;
+            for (const index of outcome.holes) {
+                if (!pinned.has(pathKeys[index])) {
+                    pinned.add(pathKeys[index]);
+                    pinnedMore = true;
+                }
+            }
+            if (pinnedMore) {
+                variants.clear();
+                continue;
+            }
+            variants.set(found.key, null);
+            return expected;
+        }
+
+        disabled = true;
+        return null;
+    }
+
+    return function compiled(props) {
+        const html = disabled ? null : renderFromTemplate(props);
+        if (html === null) {
+            return render(component(props));
+        }
+
+        if (verify) {
+            const expected = render(component(props));
+            if (html !== expected) {
+                throw new RenderingError(
+                    `Compiled ${component.name || 'component'} differs from render(): expected ${JSON.stringify(expected)}, received ${JSON.stringify(html)}`,
+                    undefined,
+                    { renderer: 'compiled' },
+                    ['List props the component compares with === or checks with typeof in options.keyProps']
+                );
+            }
+        }
+        return html;
+    };
+}
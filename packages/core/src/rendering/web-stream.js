@@ -0,0 +1,121 @@
+/**
+ * Web stream rendering
+ *
+ * renderToReadableStream() wraps renderToStream() in a WHATWG ReadableStream
+ * of UTF-8 bytes, for runtimes built on the Fetch API: edge functions,
+ * Deno, Bun, Cloudflare Workers and Node's own `Response`. It only relies on
+ * Web-standard globals, so the stream can be handed straight to
+ * `new Response(stream)`.
+ *
+ * @module rendering/web-stream
+ */
+
+import { renderToStream } from './html-renderer.js';
+
+/** Reason a stream is cancelled with when its signal has none */
+function abortReason(signal) {
+    return signal.reason !== undefined
+        ? signal.reason
+        : new DOMException('The operation was aborted.', 'AbortError');
+}
+
+/**
+ * Turn an async iterable of HTML strings into a ReadableStream of UTF-8
+ * bytes. The next chunk is only rendered when the consumer has room for it.
+ *
+ * @param {AsyncIterable<string>} chunks - HTML chunks
+ * @param {AbortSignal} [signal] - Cancels the stream and stops rendering
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function toReadableStream(chunks, signal) {
+    const encoder = new TextEncoder();
+    const iterator = chunks[Symbol.asyncIterator]();
+    let finished = false;
+    let onAbort = null;
+
+    function finish() {
+        finished = true;
+        if (signal && onAbort) {
+            signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    return new ReadableStream({
+        start(controller) {
+            if (!signal) return;
+
+            onAbort = () => {
+                if (finished) return;
+                finish();
+                controller.error(abortReason(signal));
+                // Runs once a pending step settles, which closes the render
+                iterator.return().catch(() => {});
+            };
+
+            if (signal.aborted) {
+                onAbort();
+            } else {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        },
+
+        async pull(controller) {
+            for (;;) {
+                let step;
+                try {
+                    step = await iterator.next();
+                } catch (_error) {
+                    if (!finished) {
+                        finish();
+                        controller.error(_error);
+                    }
+                    return;
+                }
+
+                // Aborted while the chunk was rendering
+                if (finished) return;
+
+                if (step.done) {
+                    finish();
+                    controller.close();
+                    return;
+                }
+                if (step.value) {
+                    controller.enqueue(encoder.encode(step.value));
+                    return;
+                }
+            }
+        },
+
+        async cancel() {
+            finish();
+            await iterator.return();
+        }
+    });
+}
+
+/**
+ * Render a component to a WHATWG ReadableStream
+ *
+ * Streams the same HTML as renderToStream(), encoded as UTF-8, with
+ * Suspense() boundaries sent out of order. Rendering follows the consumer:
+ * while a slow client has not read the previous chunk, the next one is not
+ * rendered. Aborting `signal`, or cancelling the stream, stops the render
+ * and errors the stream with the signal's reason.
+ *
+ * @param {*} component - Component to render
+ * @param {Object} [options={}] - renderToStream() options, plus:
+ * @param {AbortSignal} [options.signal] - Cancels the render, e.g. `request.signal`
+ * @returns {ReadableStream<Uint8Array>} HTML as UTF-8 bytes
+ *
+ * @example
+ * export default {
+ *   fetch(request) {
+ *     const stream = renderToReadableStream(App({ url: request.url }), { signal: request.signal });
+ *     return new Response(stream, { headers: { 'Content-Type': 'text/html; charset=utf-8' } });
+ *   }
+ * };
+ */
+export function renderToReadableStream(component, options = {}) {
+    return toReadableStream(renderToStream(component, options), options.signal);
+}
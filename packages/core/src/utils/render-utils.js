@@ -3,7 +3,9 @@
  * Eliminates code duplication across Express, Fastify, Koa, Next.js integrations
  */
 
-import { render } from '../rendering/html-renderer.js';
+import { render, renderToStream } from '../rendering/html-renderer.js';
+import { toReadableStream } from '../rendering/web-stream.js';
+import { createHead } from '../rendering/head.js';
 import { performanceMonitor } from '../performance/monitor.js';
 
 /**
@@ -14,21 +16,23 @@ import { performanceMonitor } from '../performance/monitor.js';
  * @param {Object} options - Rendering options
  * @param {boolean} options.enablePerformanceMonitoring - Enable performance tracking
  * @param {string} options.template - HTML template with {{content}} placeholder
+ * @param {Object} [options.head] - Collector from createHead() for useHead() tags
  * @returns {string} Rendered HTML
  */
 export function renderWithMonitoring(component, options = {}) {
   const {
-    enablePerformanceMonitoring = false
+    enablePerformanceMonitoring = false,
+    head
   } = options;
 
   let html;
 
   if (enablePerformanceMonitoring) {
     const renderId = performanceMonitor.startRender();
-    html = render(component);
+    html = render(component, { head });
     performanceMonitor.endRender(renderId);
   } else {
-    html = render(component);
+    html = render(component, { head });
   }
 
   return html;
@@ -36,20 +40,30 @@ export function renderWithMonitoring(component, options = {}) {
 
 /**
  * Render a component and apply an HTML template
+ *
+ * Tags added through useHead() go before the component's own </head>. Only
+ * when the component renders none do they replace a {{head}} placeholder,
+ * for a template that holds the document shell; they are never added twice.
  * 
  * @param {Object} component - Coherent.js component to render
  * @param {Object} options - Rendering options
  * @param {boolean} options.enablePerformanceMonitoring - Enable performance tracking
- * @param {string} options.template - HTML template with {{content}} placeholder
+ * @param {string} options.template - HTML template with {{content}} and optional {{head}} placeholders
+ * @param {Object} [options.head] - Collector from createHead(); a new one is used per call by default
  * @returns {string} Final HTML with template applied
  */
 export function renderWithTemplate(component, options = {}) {
   const {
-    template = '<!DOCTYPE html>\n{{content}}'
+    template = '<!DOCTYPE html>\n{{content}}',
+    head = createHead()
   } = options;
 
-  const html = renderWithMonitoring(component, options);
-  return template.replace('{{content}}', html);
+  const html = renderWithMonitoring(component, { ...options, head });
+  // render() already put the tags before a </head> the component rendered
+  const headTags = html.includes('</head>') ? '' : head.toString();
+  return template
+    .replace('{{head}}', () => headTags)
+    .replace('{{content}}', () => html);
 }
 
 /**
@@ -76,6 +90,75 @@ export async function renderComponentFactory(componentFactory, factoryArgs, opti
   return renderWithTemplate(component, options);
 }
 
+/**
+ * Stream a component inside an HTML template as a ReadableStream
+ *
+ * The streaming counterpart of renderWithTemplate(). The template part before
+ * {{content}} is sent together with the component's shell, once the shell
+ * has rendered, so a {{head}} placeholder there receives the useHead() tags
+ * of the whole shell, unless the shell has its own </head> and already holds
+ * them. Suspended boundaries stream after it.
+ *
+ * @param {Object} component - Coherent.js component to render
+ * @param {Object} options - Streaming options; other options go to renderToStream()
+ * @param {string} options.template - HTML template with {{content}} and optional {{head}} placeholders
+ * @param {Object} [options.head] - Collector from createHead(); a new one is used per call by default
+ * @param {AbortSignal} [options.signal] - Cancels the render, e.g. `request.signal`
+ * @returns {ReadableStream<Uint8Array>} HTML as UTF-8 bytes
+ */
+export function streamWithTemplate(component, options = {}) {
+  const {
+    template = '<!DOCTYPE html>\n{{content}}',
+    head = createHead(),
+    signal,
+    ...streamOptions
+  } = options;
+
+  const index = template.indexOf('{{content}}');
+  const before = index === -1 ? template : template.slice(0, index);
+  const after = index === -1 ? '' : template.slice(index + '{{content}}'.length);
+
+  async function* chunks() {
+    let started = false;
+    // With a head collector the first chunk holds the complete shell
+    for await (const chunk of renderToStream(component, { ...streamOptions, head, signal })) {
+      if (!started) {
+        started = true;
+        // renderToStream() already put the tags before the shell's own </head>
+        yield before.replace('{{head}}', () => (chunk.includes('</head>') ? '' : head.toString()));
+      }
+      yield chunk;
+    }
+    if (!started) {
+      yield before.replace('{{head}}', () => head.toString());
+    }
+    yield after;
+  }
+
+  return toReadableStream(chunks(), signal);
+}
+
+/**
+ * Create a component and stream it for framework integrations
+ *
+ * @param {Function} componentFactory - Function that creates a component
+ * @param {Array} factoryArgs - Arguments to pass to the component factory
+ * @param {Object} options - streamWithTemplate() options
+ * @returns {Promise<ReadableStream<Uint8Array>>} HTML as UTF-8 bytes
+ * @throws {Error} If component factory returns null/undefined
+ */
+export async function streamComponentFactory(componentFactory, factoryArgs, options = {}) {
+  const component = await Promise.resolve(
+    componentFactory(...factoryArgs)
+  );
+
+  if (!component) {
+    throw new Error('Component factory returned null/undefined');
+  }
+
+  return streamWithTemplate(component, options);
+}
+
 /**
  * Check if an object is a Coherent.js component
  * A Coherent.js component is a plain object with a single key representing an HTML tag
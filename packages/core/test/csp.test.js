@@ -0,0 +1,121 @@
+import { describe, it, expect } from 'vitest';
+import { createHash } from 'node:crypto';
+import { render, renderToStream, Suspense, createCSP, dangerouslySetInnerContent } from '../src/index.js';
+import { renderHTML } from '../src/rendering/html-renderer.js';
+
+const sha256 = content => `sha256-${createHash('sha256').update(content).digest('base64')}`;
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(component, options) {
+  let html = '';
+  for await (const chunk of renderToStream(component, options)) {
+    html += chunk;
+  }
+  return html;
+}
+
+describe('csp nonce', () => {
+  it('stamps the nonce on every <script> and <style>', () => {
+    const html = render({
+      div: {
+        children: [
+          { script: { text: dangerouslySetInnerContent('boot()') } },
+          { script: { src: '/app.js' } },
+          { style: { text: 'p { margin: 0 }' } },
+          { p: { text: 'no nonce here' } }
+        ]
+      }
+    }, { csp: { nonce: 'r4nd0m' } });
+
+    expect(html).toBe(
+      '<div><script nonce="r4nd0m">boot()</script><script src="/app.js" nonce="r4nd0m"></script>' +
+      '<style nonce="r4nd0m">p { margin: 0 }</style><p>no nonce here</p></div>'
+    );
+  });
+
+  it('keeps a nonce the component set itself', () => {
+    expect(render({ script: { nonce: 'own', text: 'x()' } }, { csp: { nonce: 'r4nd0m' } }))
+      .toBe('<script nonce="own">x()</script>');
+  });
+
+  it('covers scoped styles', () => {
+    const html = render({ div: { children: [{ style: { text: '.a { color: red }' } }] } }, {
+      scoped: true,
+      csp: { nonce: 'r4nd0m' }
+    });
+
+    expect(html).toMatch(/<style [^>]*nonce="r4nd0m"/);
+  });
+
+  it('covers inline CSS added by renderHTML()', async () => {
+    const html = await renderHTML({ html: { children: [{ head: {} }] } }, {
+      inlineCSS: 'body { margin: 0 }',
+      csp: { nonce: 'r4nd0m' }
+    });
+
+    expect(html).toContain('<style type="text/css" nonce="r4nd0m">');
+  });
+
+  it('does not reuse cached markup across nonces', () => {
+    const page = { main: { children: [{ style: { text: 'main { padding: 0 }' } }] } };
+
+    render(page, { csp: { nonce: 'first' } });
+    expect(render(page, { csp: { nonce: 'second' } })).toContain('nonce="second"');
+  });
+
+  it('covers scripts and styles in renderToStream, including the Suspense swap scripts', async () => {
+    const Slow = async () => {
+      await delay(5);
+      return { p: { text: 'done' } };
+    };
+    const html = await collect([
+      { style: { text: 'p { color: red }' } },
+      Suspense({ fallback: 'loading', children: [Slow] })
+    ], { csp: { nonce: 'r4nd0m' } });
+
+    expect(html).toContain('<style nonce="r4nd0m">p { color: red }</style>');
+    expect(html.match(/<script>/g)).toBeNull();
+    expect(html.match(/<script nonce="r4nd0m">/g)).toHaveLength(2);
+  });
+});
+
+describe('csp hashes', () => {
+  it('collects the SHA-256 hash of each inline body', () => {
+    const csp = createCSP({ hashes: true });
+    render({
+      div: {
+        children: [
+          { script: { text: dangerouslySetInnerContent('boot()') } },
+          { script: { src: '/app.js' } },
+          { style: { text: 'p { margin: 0 }' } },
+          { style: { text: 'p { margin: 0 }' } }
+        ]
+      }
+    }, { csp });
+
+    expect(csp.hashes).toEqual({ script: [sha256('boot()')], style: [sha256('p { margin: 0 }')] });
+  });
+
+  it('hashes the streamed swap scripts', async () => {
+    const csp = createCSP({ hashes: true });
+    const html = await collect(Suspense({ fallback: '...', children: [async () => { await delay(1); return 'x'; }] }), { csp });
+
+    for (const [, body] of html.matchAll(/<script>(.*?)<\/script>/g)) {
+      expect(csp.hashes.script).toContain(sha256(body));
+    }
+    expect(csp.hashes.script).toHaveLength(2);
+  });
+
+  it('builds the policy header', () => {
+    const csp = createCSP({ nonce: 'r4nd0m', hashes: true });
+    render({ style: { text: 'a{}' } }, { csp });
+
+    expect(csp.header({ 'default-src': "'self'", 'style-src': 'https://fonts.example' })).toBe(
+      `script-src 'self' 'nonce-r4nd0m'; style-src 'self' 'nonce-r4nd0m' '${sha256('a{}')}' https://fonts.example; default-src 'self'`
+    );
+  });
+
+  it('rejects an empty nonce', () => {
+    expect(() => createCSP({ nonce: '' })).toThrow(/non-empty string/);
+  });
+});
@@ -0,0 +1,204 @@
+import { describe, it, expect } from 'vitest';
+import {
+  render,
+  renderToStream,
+  renderWithTemplate,
+  Suspense,
+  createHead,
+  useHead,
+  Head,
+  createCSP,
+  dangerouslySetInnerContent
+} from '../src/index.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(component, options) {
+  const chunks = [];
+  for await (const chunk of renderToStream(component, options)) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+const Layout = ({ children }) => () => {
+  useHead({
+    meta: [{ charset: 'utf-8' }, { name: 'description', content: 'Default description' }],
+    title: 'Site'
+  });
+  return {
+    html: {
+      children: [
+        { head: { children: [{ link: { rel: 'stylesheet', href: '/app.css' } }] } },
+        { body: { children } }
+      ]
+    }
+  };
+};
+
+const Article = () => {
+  useHead({
+    title: 'Article · Site',
+    meta: { name: 'description', content: 'About the article' }
+  });
+  return { article: { text: 'Body' } };
+};
+
+describe('useHead()', () => {
+  it('collects tags from deep in the tree into the page head', () => {
+    const head = createHead();
+    const html = render(Layout({ children: [{ main: { children: [Article] } }] }), { head });
+
+    expect(html).toBe(
+      '<html><head><link rel="stylesheet" href="/app.css">' +
+      '<meta charset="utf-8"><title>Article · Site</title><meta name="description" content="About the article">' +
+      '</head><body><main><article>Body</article></main></body></html>'
+    );
+  });
+
+  it('dedupes by name, property and key, keeping the last entry in the first position', () => {
+    const head = createHead()
+      .add({ meta: [{ property: 'og:title', content: 'A' }, { name: 'robots', content: 'index' }] })
+      .add({ link: [{ rel: 'alternate', hreflang: 'fr', href: '/fr', key: 'fr' }, { rel: 'icon', href: '/a.ico' }] })
+      .add({ meta: { property: 'og:title', content: 'B' } })
+      .add({ link: [{ rel: 'alternate', hreflang: 'fr', href: '/fr-FR', key: 'fr' }, { rel: 'icon', href: '/b.ico' }] });
+
+    expect(head.tags()).toEqual([
+      { meta: { property: 'og:title', content: 'B' } },
+      { meta: { name: 'robots', content: 'index' } },
+      { link: { rel: 'alternate', hreflang: 'fr', href: '/fr-FR' } },
+      { link: { rel: 'icon', href: '/a.ico' } },
+      { link: { rel: 'icon', href: '/b.ico' } }
+    ]);
+  });
+
+  it('orders tags by kind and escapes text', () => {
+    const head = createHead().add([
+      { script: { src: '/app.js', defer: true } },
+      { link: { rel: 'canonical', href: '/a' } },
+      { title: 'Fish & <Chips>' },
+      { meta: { charset: 'utf-8' } }
+    ]);
+
+    expect(String(head)).toBe(
+      '<meta charset="utf-8"><title>Fish &amp; &lt;Chips&gt;</title>' +
+      '<link rel="canonical" href="/a"><script src="/app.js" defer></script>'
+    );
+  });
+
+  it('accepts MetaBuilder-style arrays of element objects', () => {
+    const head = createHead().add([
+      { title: { text: 'Home' } },
+      { meta: { property: 'og:title', content: 'Home' } },
+      [{ meta: { name: 'twitter:card', content: 'summary' } }, null]
+    ]);
+
+    expect(head.tags()).toHaveLength(3);
+  });
+
+  it('rejects tags that do not belong in the head', () => {
+    expect(() => createHead().add({ div: { text: 'x' } })).toThrow('Unsupported head tag <div>');
+  });
+
+  it('does nothing outside a render with a head collector', () => {
+    expect(() => useHead({ title: 'Ignored' })).not.toThrow();
+    expect(render(() => { useHead({ title: 'Ignored' }); return { p: { text: 'x' } }; })).toBe('<p>x</p>');
+  });
+
+  it('keeps renders apart', async () => {
+    const Page = name => async () => {
+      useHead({ title: name });
+      await delay(name === 'a' ? 10 : 1);
+      useHead({ meta: { name: 'page', content: name } });
+      return { p: { text: name } };
+    };
+    const a = createHead();
+    const b = createHead();
+
+    await Promise.all([collect(Page('a'), { head: a }), collect(Page('b'), { head: b })]);
+
+    expect(String(a)).toBe('<title>a</title><meta name="page" content="a">');
+    expect(String(b)).toBe('<title>b</title><meta name="page" content="b">');
+  });
+
+  it('applies the csp option to inline scripts', () => {
+    const csp = createCSP({ nonce: 'r4nd0m' });
+    const head = createHead().add({ script: { type: 'application/ld+json', text: dangerouslySetInnerContent('{"@type":"Thing"}') } });
+
+    expect(render({ html: { children: [{ head: {} }] } }, { head, csp })).toBe(
+      '<html><head><script type="application/ld+json" nonce="r4nd0m">{"@type":"Thing"}</script></head></html>'
+    );
+  });
+});
+
+describe('Head()', () => {
+  it('registers its tags when rendered and renders nothing', () => {
+    const head = createHead();
+    const html = render({
+      div: { children: [Head({ children: { title: 'About', link: { rel: 'canonical', href: '/about' } } }), { h1: { text: 'About' } }] }
+    }, { head });
+
+    expect(html).toBe('<div><h1>About</h1></div>');
+    expect(String(head)).toBe('<title>About</title><link rel="canonical" href="/about">');
+  });
+});
+
+describe('renderToStream() with a head collector', () => {
+  it('holds the shell until async components have added their tags', async () => {
+    const Slow = async () => {
+      await delay(5);
+      useHead({ title: 'Loaded' });
+      return { p: { text: 'done' } };
+    };
+    const head = createHead();
+    const chunks = await collect({ html: { children: [{ head: {} }, { body: { children: [Slow] } }] } }, { head });
+
+    expect(chunks[0]).toBe('<html><head><title>Loaded</title></head><body><p>done</p></body></html>');
+  });
+
+  it('streams suspended boundaries after the shell; their tags miss the head', async () => {
+    const Slow = async () => {
+      await delay(5);
+      useHead({ title: 'Too late' });
+      return 'done';
+    };
+    const head = createHead();
+    const html = (await collect({
+      html: { children: [{ head: {} }, { body: { children: [Head({ children: { title: 'Shell' } }), Suspense({ fallback: '...', children: [Slow] })] } }] }
+    }, { head })).join('');
+
+    expect(html).toContain('<head><title>Shell</title></head>');
+    expect(html).not.toContain('Too late');
+  });
+});
+
+describe('renderWithTemplate()', () => {
+  it('fills the {{head}} placeholder', () => {
+    const html = renderWithTemplate(Article, {
+      template: '<!DOCTYPE html><html><head>{{head}}</head><body>{{content}}</body></html>'
+    });
+
+    expect(html).toBe(
+      '<!DOCTYPE html><html><head><title>Article · Site</title><meta name="description" content="About the article">' +
+      '</head><body><article>Body</article></body></html>'
+    );
+  });
+
+  it('adds the tags once when the component renders its own </head>', () => {
+    const Page = { html: { children: [{ head: {} }, { body: { children: [Article] } }] } };
+
+    const html = renderWithTemplate(Page, { template: '<!DOCTYPE html>{{head}}{{content}}' });
+
+    expect(html).toBe(
+      '<!DOCTYPE html><html><head><title>Article · Site</title><meta name="description" content="About the article">' +
+      '</head><body><article>Body</article></body></html>'
+    );
+  });
+
+  it('uses a new collector for every call', () => {
+    const template = '<head>{{head}}</head>{{content}}';
+    renderWithTemplate(Article, { template });
+
+    expect(renderWithTemplate({ p: { text: 'x' } }, { template })).toBe('<head></head><p>x</p>');
+  });
+});
@@ -157,6 +157,14 @@ describe('HTML Renderer', () => {
       const cache = getCache();
       expect(cache).toBeDefined();
     });
+
+    it('serves cached static elements without breaking later renders', () => {
+      const page = text => ({ section: { children: [{ p: text }] } });
+
+      expect(render(page('A'))).toBe('<section><p>A</p></section>');
+      expect(render(page('B'))).toBe('<section><p>B</p></section>');
+      expect(render(page('A'))).toBe('<section><p>A</p></section>');
+    });
   });
 
   describe('Rendering Stats', () => {
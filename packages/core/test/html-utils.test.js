@@ -276,6 +276,26 @@ describe('HTML Utils', () => {
       expect(result).toContain('data-event="Blur"');
     });
 
+    it('should render event handlers with modifiers like plain handlers', () => {
+      const result = formatAttributes({
+        onClick: { handler: vi.fn(), prevent: true },
+        'onKeydown.enter': vi.fn()
+      });
+
+      expect(result).toContain('data-event="Click"');
+      expect(result).toContain('data-event="Keydown"');
+      expect(result).not.toContain('[object Object]');
+    });
+
+    it('should render viewTransitionName as the view-transition-name style', () => {
+      expect(formatAttributes({ viewTransitionName: 'hero' })).toBe('style="view-transition-name: hero"');
+      expect(formatAttributes({ style: 'color: red;', viewTransitionName: 'hero' }))
+        .toBe('style="color: red; view-transition-name: hero"');
+      expect(formatAttributes({ style: { color: 'red' }, viewTransitionName: 'hero' }))
+        .toBe('style="color: red; view-transition-name: hero"');
+      expect(formatAttributes({ viewTransitionName: null })).toBe('');
+    });
+
     it('should handle complex objects in attributes', () => {
       const props = { 'data-config': { key: 'value', nested: { prop: true } } };
       const result = formatAttributes(props);
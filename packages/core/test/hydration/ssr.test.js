@@ -56,4 +56,22 @@ describe('Selective Hydration SSR', () => {
     expect(html).toContain('data-coherent-island-component="MyComponent"');
     expect(html).toContain('Hello Junie');
   });
+
+  it('serializes island props into data-state', () => {
+    const Counter = ({ start }) => ({ button: { text: String(start) } });
+    const html = render({ main: { children: [Island(Counter)({ start: 3, onChange: () => {} })] } });
+
+    // The typed state format, HTML-escaped, without base64
+    expect(html).toContain('data-state="[{&quot;start&quot;:1},3]"');
+  });
+
+  it('stamps the name, loading strategy and media query passed to Island()', () => {
+    const Menu = () => ({ nav: { text: 'menu' } });
+    const html = render(Island(Menu, { name: 'MobileMenu', hydrate: 'media', media: '(max-width: 600px)' })());
+
+    expect(html).toContain('data-coherent-island-component="MobileMenu"');
+    expect(html).toContain('data-coherent-island-strategy="media"');
+    expect(html).toContain('data-coherent-island-media="(max-width: 600px)"');
+    expect(html).not.toContain('data-state');
+  });
 });
@@ -0,0 +1,125 @@
+import { describe, it, expect } from 'vitest';
+import { render, renderToStream, Suspense, Fragment, Portal, PortalOutlet, createCSP } from '../src/index.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(component, options) {
+  let html = '';
+  for await (const chunk of renderToStream(component, options)) {
+    html += chunk;
+  }
+  return html;
+}
+
+const page = (...children) => ({ html: { children: [{ head: {} }, { body: { children } }] } });
+
+const Modal = text => Portal({ target: 'modals', children: { dialog: { open: true, text } } });
+
+describe('Fragment()', () => {
+  it('renders its children without a wrapper', () => {
+    const terms = [{ id: 'a', name: 'Atom', definition: 'Small' }, { id: 'b', name: 'Byte', definition: '8 bits' }];
+    const html = render({
+      dl: { children: terms.map(term => Fragment({ key: term.id, children: [{ dt: { text: term.name } }, { dd: { text: term.definition } }] })) }
+    });
+
+    expect(html).toBe('<dl><dt>Atom</dt><dd>Small</dd><dt>Byte</dt><dd>8 bits</dd></dl>');
+  });
+
+  it('can be returned from a component and nested', () => {
+    const Row = () => Fragment({ children: ['a', Fragment({ children: [{ b: 'b' }] }), null] });
+
+    expect(render({ p: { children: [Row] } })).toBe('<p>a<b>b</b></p>');
+  });
+});
+
+describe('Portal()', () => {
+  it('renders its children into the outlet with the same name', () => {
+    const html = render(page({ main: { children: [{ p: 'Content' }, Modal('Sure?')] } }, PortalOutlet({ name: 'modals', className: 'overlay' })));
+
+    expect(html).toBe(
+      '<html><head></head><body><main><p>Content</p></main>' +
+      '<div class="overlay" data-coherent-portal-outlet="modals"><dialog open>Sure?</dialog></div></body></html>'
+    );
+  });
+
+  it('fills outlets that come before their portals, in tree order', () => {
+    const html = render({ div: { children: [PortalOutlet({ name: 'modals' }), Modal('one'), { p: 'x' }, Modal('two')] } });
+
+    expect(html).toBe('<div><div data-coherent-portal-outlet="modals"><dialog open>one</dialog><dialog open>two</dialog></div><p>x</p></div>');
+  });
+
+  it('creates missing outlets before </body>', () => {
+    const html = render(page({ main: { children: [Modal('Hi'), Portal({ target: 'a"b', children: 'x' })] } }));
+
+    expect(html).toBe(
+      '<html><head></head><body><main></main><div data-coherent-portal-outlet="modals"><dialog open>Hi</dialog></div>' +
+      '<div data-coherent-portal-outlet="a&quot;b">x</div></body></html>'
+    );
+    expect(render(Modal('Hi'))).toBe('<div data-coherent-portal-outlet="modals"><dialog open>Hi</dialog></div>');
+  });
+
+  it('keeps its content when the surrounding markup is served from the cache', () => {
+    const tree = () => page({ section: { children: [Modal('cached')] } }, PortalOutlet({ name: 'modals' }));
+
+    const first = render(tree(), { enableCache: true });
+    expect(render(tree(), { enableCache: true })).toBe(first);
+    expect(first).toContain('<dialog open>cached</dialog>');
+  });
+
+  it('drops portals of a Suspense subtree that renders its fallback', () => {
+    const Slow = async () => Modal('never');
+    const html = render({ div: { children: [Suspense({ fallback: Modal('loading'), children: [Modal('abandoned'), Slow] }), PortalOutlet({ name: 'modals' })] } });
+
+    expect(html).toBe('<div><div data-coherent-portal-outlet="modals"><dialog open>loading</dialog></div></div>');
+  });
+
+  it('requires a target', () => {
+    expect(() => Portal({ children: 'x' })).toThrow('Portal() expects a target outlet name');
+    expect(() => PortalOutlet({})).toThrow('PortalOutlet() expects a name');
+  });
+});
+
+describe('renderToStream() with portals', () => {
+  it('fills outlets that come after their portals in the shell', async () => {
+    const html = await collect(page({ main: { children: [Modal('Hi')] } }, PortalOutlet({ name: 'modals' })));
+
+    expect(html).toBe('<html><head></head><body><main></main><div data-coherent-portal-outlet="modals"><dialog open>Hi</dialog></div></body></html>');
+  });
+
+  it('moves content rendered after its outlet in with a script', async () => {
+    const html = await collect(page(PortalOutlet({ name: 'modals' }), { main: { children: [Modal('late')] } }));
+
+    expect(html).toContain('<div data-coherent-portal-outlet="modals"></div>');
+    expect(html).toContain('<template id="coh-p:p0"><dialog open>late</dialog></template><script>$cohP("p0","modals")</script>');
+    expect(html.match(/function \$cohP/g)).toHaveLength(1);
+  });
+
+  it('sends portals of suspended boundaries with the boundary', async () => {
+    const Orders = async () => {
+      await delay(5);
+      return [Modal('from boundary'), { p: 'orders' }];
+    };
+    const html = await collect(page(
+      Suspense({ fallback: { p: 'Loading' }, children: [Orders] }),
+      PortalOutlet({ name: 'modals' })
+    ), { csp: createCSP({ nonce: 'n0' }) });
+
+    const swap = html.indexOf('$cohS("0")');
+    const move = html.indexOf('$cohP("p0","modals")');
+    expect(html).toContain('<template id="coh-p:p0"><dialog open>from boundary</dialog></template>');
+    expect(move).toBeGreaterThan(swap);
+    expect(html).toContain('<script nonce="n0">$cohP("p0","modals")</script>');
+  });
+
+  it('places portals of boundaries that render inline like shell content', async () => {
+    const html = await collect({ div: { children: [Suspense({ children: [Modal('inline')] }), PortalOutlet({ name: 'modals' })] } });
+
+    expect(html).toBe('<div><div data-coherent-portal-outlet="modals"><dialog open>inline</dialog></div></div>');
+  });
+
+  it('creates missing outlets before </body>', async () => {
+    const html = await collect(page({ main: { children: [Fragment({ children: [Modal('Hi')] })] } }));
+
+    expect(html).toBe('<html><head></head><body><main></main><div data-coherent-portal-outlet="modals"><dialog open>Hi</dialog></div></body></html>');
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it, expect } from 'vitest';
+import { render, renderToStream, Suspense, useRenderContext } from '../src/index.js';
+import { renderHTML } from '../src/rendering/html-renderer.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(component, options) {
+  let html = '';
+  for await (const chunk of renderToStream(component, options)) {
+    html += chunk;
+  }
+  return html;
+}
+
+describe('useRenderContext', () => {
+  it('reads the context passed to render() from a deep component', () => {
+    const UserName = () => ({ span: { text: useRenderContext('user').name } });
+    const Header = () => ({ header: { children: [{ nav: { children: [UserName] } }] } });
+
+    expect(render({ div: { children: [Header] } }, { context: { user: { name: 'Ada' } } }))
+      .toBe('<div><header><nav><span>Ada</span></nav></header></div>');
+  });
+
+  it('returns the whole context when called without a key', () => {
+    const Locale = () => {
+      const { locale, flags } = useRenderContext();
+      return { p: { text: `${locale}:${flags.beta}` } };
+    };
+
+    expect(render(Locale, { context: { locale: 'fr', flags: { beta: true } } })).toBe('<p>fr:true</p>');
+  });
+
+  it('is empty outside a render', () => {
+    expect(useRenderContext()).toEqual({});
+    expect(useRenderContext('user')).toBeUndefined();
+  });
+
+  it('freezes the context so components cannot leak values to siblings', () => {
+    let context;
+    render(() => {
+      context = useRenderContext();
+      return null;
+    }, { context: { user: 'ada' } });
+
+    expect(Object.isFrozen(context)).toBe(true);
+  });
+
+  it('lets a nested render inherit and extend the outer context', () => {
+    const Inner = () => ({ i: { text: `${useRenderContext('locale')}/${useRenderContext('section')}` } });
+    const Widget = () => ({ div: { html: render(Inner, { context: { section: 'nav' } }) } });
+
+    expect(render(Widget, { context: { locale: 'de', section: 'main' } })).toBe('<div><i>de/nav</i></div>');
+  });
+
+  it('reaches components rendered by renderHTML()', async () => {
+    const Title = () => ({ title: { text: useRenderContext('title') } });
+    const html = await renderHTML({ html: { children: [{ head: { children: [Title] } }] } }, { context: { title: 'Home' } });
+
+    expect(html).toBe('<!DOCTYPE html>\n<html><head><title>Home</title></head></html>');
+  });
+
+  it('rejects a context that is not an object', () => {
+    expect(() => render({ div: {} }, { context: 'fr' })).toThrow(/plain object/);
+  });
+});
+
+describe('useRenderContext in renderToStream', () => {
+  it('keeps concurrent streams apart across await points', async () => {
+    const Profile = async () => {
+      const before = useRenderContext('user');
+      await delay(before === 'first' ? 15 : 5);
+      return { p: { text: `${before}/${useRenderContext('user')}` } };
+    };
+
+    const [first, second] = await Promise.all([
+      collect({ div: { children: [Profile] } }, { context: { user: 'first' } }),
+      collect({ div: { children: [Profile] } }, { context: { user: 'second' } })
+    ]);
+
+    expect(first).toBe('<div><p>first/first</p></div>');
+    expect(second).toBe('<div><p>second/second</p></div>');
+  });
+
+  it('carries the context into suspended boundaries', async () => {
+    const Orders = async () => {
+      await delay(5);
+      return { table: { text: useRenderContext('tenant') } };
+    };
+    const html = await collect(Suspense({ fallback: '...', children: [Orders] }), { context: { tenant: 'acme' } });
+
+    expect(html).toContain('<template id="coh-r:0"><table>acme</table></template>');
+  });
+});
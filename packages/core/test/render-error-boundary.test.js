@@ -0,0 +1,227 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  render,
+  renderToStream,
+  ErrorBoundary,
+  Suspense,
+  Portal,
+  PortalOutlet,
+  GlobalErrorHandler,
+  defaultErrorHandler
+} from '../src/index.js';
+import { renderHTML } from '../src/rendering/html-renderer.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function collect(component, options) {
+  let html = '';
+  for await (const chunk of renderToStream(component, options)) {
+    html += chunk;
+  }
+  return html;
+}
+
+function OrderTable() {
+  throw new Error('orders service down');
+}
+
+describe('ErrorBoundary() with render()', () => {
+  it('renders the fallback in place of a subtree that throws', () => {
+    const html = render({
+      main: {
+        children: [
+          ErrorBoundary({ fallback: { p: 'Orders are unavailable' }, children: { section: { children: [OrderTable] } } }),
+          { aside: 'Sidebar' }
+        ]
+      }
+    });
+
+    expect(html).toBe('<main><p>Orders are unavailable</p><aside>Sidebar</aside></main>');
+  });
+
+  it('renders the children when nothing throws', () => {
+    const html = render(ErrorBoundary({ fallback: { p: 'failed' }, children: [{ p: 'one' }, () => ({ p: 'two' })] }));
+
+    expect(html).toBe('<p>one</p><p>two</p>');
+  });
+
+  it('passes the error and its render path to the fallback, onError and the error handler', () => {
+    const errorHandler = new GlobalErrorHandler();
+    const onError = vi.fn();
+    const fallback = vi.fn(error => ({ p: error.message }));
+
+    const html = render(
+      { main: { children: [ErrorBoundary({ fallback, onError, children: { section: { children: [OrderTable] } } })] } },
+      { errorHandler }
+    );
+
+    const path = 'root.main.children[0].ErrorBoundary.section.children[0].OrderTable()';
+    expect(html).toBe('<main><p>orders service down</p></main>');
+    expect(fallback).toHaveBeenCalledWith(expect.objectContaining({ message: 'orders service down' }), { path });
+    expect(onError).toHaveBeenCalledWith(expect.any(Error), { path });
+
+    const [entry] = errorHandler.getErrors();
+    expect(entry.error.message).toBe('orders service down');
+    expect(entry.context).toEqual({ path, renderer: 'html', boundary: true });
+  });
+
+  it('reports to defaultErrorHandler without an errorHandler option, and nowhere with null', () => {
+    const captureError = vi.spyOn(defaultErrorHandler, 'captureError').mockImplementation(() => {});
+
+    render({ main: { children: [ErrorBoundary({ fallback: { p: 'failed' }, children: [OrderTable] })] } });
+    render(ErrorBoundary({ fallback: { p: 'failed' }, children: [OrderTable] }), { errorHandler: null });
+
+    expect(captureError).toHaveBeenCalledTimes(1);
+    expect(captureError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'orders service down' }),
+      { path: 'root.main.children[0].ErrorBoundary[0].OrderTable()', renderer: 'html', boundary: true }
+    );
+    captureError.mockRestore();
+  });
+
+  it('lets the nearest boundary catch the error', () => {
+    const html = render(ErrorBoundary({
+      fallback: { p: 'outer' },
+      children: { div: { children: [ErrorBoundary({ fallback: { p: 'inner' }, children: [OrderTable] }), { p: 'kept' }] } }
+    }));
+
+    expect(html).toBe('<div><p>inner</p><p>kept</p></div>');
+  });
+
+  it('hands errors thrown by the fallback to the next boundary', () => {
+    const html = render(ErrorBoundary({
+      fallback: { p: 'outer' },
+      children: ErrorBoundary({ fallback: () => { throw new Error('fallback failed'); }, children: [OrderTable] })
+    }));
+
+    expect(html).toBe('<p>outer</p>');
+  });
+
+  it('drops portals of the failed subtree', () => {
+    const html = render({
+      div: {
+        children: [
+          ErrorBoundary({ fallback: { p: 'failed' }, children: [Portal({ target: 'modals', children: { dialog: 'lost' } }), OrderTable] }),
+          PortalOutlet({ name: 'modals' })
+        ]
+      }
+    });
+
+    expect(html).toBe('<div><p>failed</p><div data-coherent-portal-outlet="modals"></div></div>');
+  });
+});
+
+describe('ErrorBoundary() with renderHTML()', () => {
+  it('renders the fallback inside a full document', async () => {
+    const html = await renderHTML({
+      html: { children: [{ head: {} }, { body: { children: [ErrorBoundary({ fallback: { p: 'failed' }, children: [OrderTable] })] } }] }
+    });
+
+    expect(html).toBe('<!DOCTYPE html>\n<html><head></head><body><p>failed</p></body></html>');
+  });
+});
+
+describe('ErrorBoundary() with renderToStream()', () => {
+  it('renders the fallback for a rejected Promise and keeps streaming the page', async () => {
+    const Orders = async () => {
+      await delay(1);
+      throw new Error('timeout');
+    };
+
+    const html = await collect({
+      main: { children: [{ h1: 'Dashboard' }, ErrorBoundary({ fallback: { p: 'Orders are unavailable' }, children: { section: { children: [Orders] } } }), { footer: 'end' }] }
+    });
+
+    expect(html).toBe('<main><h1>Dashboard</h1><p>Orders are unavailable</p><footer>end</footer></main>');
+  });
+
+  it('passes the render path to the error handler', async () => {
+    const errorHandler = new GlobalErrorHandler();
+    const onError = vi.fn();
+    const Orders = async () => {
+      throw new Error('timeout');
+    };
+
+    await collect({ main: { children: [ErrorBoundary({ onError, children: [Orders] })] } }, { errorHandler });
+
+    const path = 'root.main.children[0].ErrorBoundary[0].Orders()';
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'timeout' }), { path });
+    expect(errorHandler.getErrors()[0].context).toEqual({ path, renderer: 'stream', boundary: true });
+  });
+
+  it('reports to defaultErrorHandler without an errorHandler option', async () => {
+    const captureError = vi.spyOn(defaultErrorHandler, 'captureError').mockImplementation(() => {});
+    const Orders = async () => {
+      throw new Error('timeout');
+    };
+
+    await collect({ main: { children: [ErrorBoundary({ children: [Orders] })] } });
+
+    expect(captureError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: 'timeout' }),
+      { path: 'root.main.children[0].ErrorBoundary[0].Orders()', renderer: 'stream', boundary: true }
+    );
+    captureError.mockRestore();
+  });
+
+  it('streams content before the boundary before its subtree settles', async () => {
+    const Orders = async () => {
+      await delay(5);
+      throw new Error('timeout');
+    };
+
+    const chunks = [];
+    for await (const chunk of renderToStream([{ h1: 'Dashboard' }, ErrorBoundary({ fallback: { p: 'failed' }, children: [Orders] })])) {
+      chunks.push(chunk);
+    }
+
+    expect(chunks[0]).toBe('<h1>Dashboard</h1>');
+    expect(chunks.join('')).toBe('<h1>Dashboard</h1><p>failed</p>');
+  });
+
+  it('drops suspended boundaries and portals of the failed subtree', async () => {
+    const Slow = async () => {
+      await delay(5);
+      return { p: 'late' };
+    };
+    const Failing = async () => {
+      await delay(1);
+      throw new Error('boom');
+    };
+
+    const html = await collect({
+      div: {
+        children: [
+          ErrorBoundary({
+            fallback: { p: 'failed' },
+            children: [Portal({ target: 'modals', children: { dialog: 'lost' } }), Suspense({ fallback: { p: 'Loading' }, children: [Slow] }), Failing]
+          }),
+          PortalOutlet({ name: 'modals' })
+        ]
+      }
+    });
+
+    expect(html).toBe('<div><p>failed</p><div data-coherent-portal-outlet="modals"></div></div>');
+  });
+
+  it('keeps suspended boundaries of a subtree that renders', async () => {
+    const Slow = async () => {
+      await delay(5);
+      return { p: 'late' };
+    };
+
+    const html = await collect(ErrorBoundary({ children: [Suspense({ fallback: { p: 'Loading' }, children: [Slow] })] }));
+
+    expect(html).toContain('<!--coh-s:0--><p>Loading</p><!--/coh-s:0-->');
+    expect(html).toContain('<template id="coh-r:0"><p>late</p></template>');
+  });
+
+  it('reports errors outside any boundary to the error handler', async () => {
+    const errorHandler = new GlobalErrorHandler();
+
+    const html = await collect({ div: { children: [OrderTable] } }, { errorHandler });
+
+    expect(html).toBe('<!-- Streaming Error: orders service down -->');
+    expect(errorHandler.getErrors()[0].error.message).toBe('orders service down');
+  });
+});
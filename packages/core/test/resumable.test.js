@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { resumable, isResumable, render, renderToStream } from '../src/index.js';
+
+async function collect(component) {
+  let html = '';
+  for await (const chunk of renderToStream(component)) {
+    html += chunk;
+  }
+  return html;
+}
+
+describe('resumable()', () => {
+  it('references a handler by module and export', () => {
+    const handler = resumable('/js/menu.js#toggle', { open: false });
+
+    expect(handler).toEqual({ __resumable: true, ref: '/js/menu.js#toggle', state: { open: false } });
+    expect(isResumable(handler)).toBe(true);
+    expect(isResumable(() => {})).toBe(false);
+  });
+
+  it('rejects references without a module and an export', () => {
+    expect(() => resumable('/js/menu.js')).toThrow(TypeError);
+    expect(() => resumable('/js/menu.js#')).toThrow('"module#export" reference');
+    expect(() => resumable('/js/menu.js#toggle menu')).toThrow(TypeError);
+  });
+});
+
+describe('rendering resumable handlers', () => {
+  it('renders a reference and the state as data attributes', () => {
+    const html = render({
+      button: { text: 'Menu', onClick: resumable('/js/menu.js#toggle', { open: false, label: '<Menu>' }) }
+    });
+
+    expect(html).toBe(
+      '<button data-coherent-click="/js/menu.js#toggle" ' +
+      'data-coherent-click-state="{&quot;open&quot;:false,&quot;label&quot;:&quot;&lt;Menu&gt;&quot;}">Menu</button>'
+    );
+    expect(html).not.toContain('data-action');
+  });
+
+  it('writes modifiers as dotted suffixes of the reference', () => {
+    const html = render({
+      input: {
+        'onKeydown.enter': resumable('/js/form.js#submit'),
+        'onKeydown.esc': resumable('/js/form.js#reset'),
+        onInput: { handler: resumable('/js/form.js#search'), prevent: true, once: false, debounce: 200 }
+      }
+    });
+
+    expect(html).toContain('data-coherent-keydown="/js/form.js#submit.enter /js/form.js#reset.esc"');
+    expect(html).toContain('data-coherent-input="/js/form.js#search.prevent.debounce-200"');
+    expect(html).not.toContain('-state=');
+  });
+
+  it('does not reuse the cached markup of an element with other handlers', () => {
+    const first = render({ input: { 'onKeydown.enter': resumable('/js/form.js#submit') } });
+    const second = render({ input: { 'onKeydown.enter': resumable('/js/form.js#save') } });
+
+    expect(first).toContain('#submit.enter');
+    expect(second).toContain('#save.enter');
+  });
+
+  it('allows state on only one handler of an event type', () => {
+    expect(() => render({
+      input: {
+        'onKeydown.enter': resumable('/js/form.js#submit', { id: 1 }),
+        'onKeydown.esc': resumable('/js/form.js#reset', { id: 1 })
+      }
+    })).toThrow('Only one resumable "keydown" handler');
+  });
+
+  it('renders the same attributes when streaming', async () => {
+    const tree = { div: { children: [{ button: { text: 'Open', onClick: resumable('/js/dialog.js#open', 'terms') } }] } };
+
+    expect(await collect(tree)).toBe(render(tree));
+  });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, vi } from 'vitest';
+import { signal, computed, effect, batch, untrack, isSignal, render, renderToStream } from '../src/index.js';
+
+async function collect(component) {
+  let html = '';
+  for await (const chunk of renderToStream(component)) {
+    html += chunk;
+  }
+  return html;
+}
+
+describe('signal()', () => {
+  it('holds a value that can be read, written and updated', () => {
+    const count = signal(1);
+
+    count.value = 2;
+    count.update(value => value * 10);
+
+    expect(count.value).toBe(20);
+    expect(count.peek()).toBe(20);
+    expect(isSignal(count)).toBe(true);
+    expect(isSignal({ value: 1 })).toBe(false);
+    expect(JSON.stringify({ count })).toBe('{"count":20}');
+  });
+
+  it('notifies subscribers with the current value and every change', () => {
+    const name = signal('Ada');
+    const seen = [];
+
+    const unsubscribe = name.subscribe(value => seen.push(value));
+    name.value = 'Grace';
+    name.value = 'Grace';
+    unsubscribe();
+    name.value = 'Linus';
+
+    expect(seen).toEqual(['Ada', 'Grace']);
+  });
+});
+
+describe('computed()', () => {
+  it('derives its value lazily and caches it until a source changes', () => {
+    const price = signal(10);
+    const quantity = signal(2);
+    const getter = vi.fn(() => price.value * quantity.value);
+    const total = computed(getter);
+
+    expect(getter).not.toHaveBeenCalled();
+    expect(total.value).toBe(20);
+    expect(total.value).toBe(20);
+    expect(getter).toHaveBeenCalledTimes(1);
+
+    quantity.value = 3;
+    expect(total.value).toBe(30);
+    expect(getter).toHaveBeenCalledTimes(2);
+  });
+
+  it('only tracks the signals read on its last run', () => {
+    const useFirst = signal(true);
+    const first = signal('a');
+    const second = signal('b');
+    const getter = vi.fn(() => (useFirst.value ? first.value : second.value));
+    const picked = computed(getter);
+    const seen = [];
+    effect(() => seen.push(picked.value));
+
+    useFirst.value = false;
+    first.value = 'ignored';
+    second.value = 'c';
+
+    expect(seen).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe('effect()', () => {
+  it('runs again when a signal it read changes, and stops once disposed', () => {
+    const count = signal(0);
+    const seen = [];
+
+    const dispose = effect(() => seen.push(count.value));
+    count.value = 1;
+    dispose();
+    count.value = 2;
+
+    expect(seen).toEqual([0, 1]);
+  });
+
+  it('runs once per change when several paths lead to the same signal', () => {
+    const first = signal('Ada');
+    const last = signal('Lovelace');
+    const full = computed(() => `${first.value} ${last.value}`);
+    const initials = computed(() => `${first.value[0]}${last.value[0]}`);
+    const runs = vi.fn();
+
+    effect(() => runs(`${full.value} (${initials.value})`));
+    first.value = 'Augusta';
+
+    expect(runs.mock.calls).toEqual([['Ada Lovelace (AL)'], ['Augusta Lovelace (AL)']]);
+  });
+
+  it('does not run when a computed it read comes out the same', () => {
+    const count = signal(1);
+    const parity = computed(() => count.value % 2);
+    const runs = vi.fn();
+
+    effect(() => runs(parity.value));
+    count.value = 3;
+
+    expect(runs).toHaveBeenCalledTimes(1);
+  });
+
+  it('runs the cleanup it returns before the next run', () => {
+    const id = signal(1);
+    const log = [];
+
+    const dispose = effect(() => {
+      const current = id.value;
+      log.push(`open ${current}`);
+      return () => log.push(`close ${current}`);
+    });
+    id.value = 2;
+    dispose();
+
+    expect(log).toEqual(['open 1', 'close 1', 'open 2', 'close 2']);
+  });
+
+  it('waits for the end of a batch', () => {
+    const first = signal(1);
+    const second = signal(2);
+    const runs = vi.fn();
+    effect(() => runs(first.value + second.value));
+
+    batch(() => {
+      first.value = 10;
+      second.value = 20;
+    });
+
+    expect(runs.mock.calls).toEqual([[3], [30]]);
+  });
+
+  it('does not track reads inside untrack()', () => {
+    const tracked = signal(1);
+    const ignored = signal(1);
+    const runs = vi.fn();
+    effect(() => runs(tracked.value + untrack(() => ignored.value)));
+
+    ignored.value = 2;
+    tracked.value = 2;
+
+    expect(runs.mock.calls).toEqual([[2], [4]]);
+  });
+
+  it('throws when effects keep triggering each other', () => {
+    const count = signal(0);
+
+    expect(() => effect(() => {
+      count.value = count.value + 1;
+    })).toThrow('Signal effects keep triggering each other');
+  });
+});
+
+describe('rendering signals', () => {
+  const build = () => {
+    const count = signal(3);
+    const rows = signal([{ li: 'A' }, { li: 'B' }]);
+    const disabled = signal(true);
+    return {
+      count,
+      tree: {
+        div: {
+          className: computed(() => (count.value > 2 ? 'many' : 'few')),
+          children: [
+            { span: { text: count } },
+            { p: { children: ['Count: ', count] } },
+            { ul: { children: rows } },
+            { button: { disabled, text: 'Go' } },
+            { em: count }
+          ]
+        }
+      }
+    };
+  };
+
+  const expected = '<div class="many"><span>3</span><p>Count: 3</p><ul><li>A</li><li>B</li></ul>' +
+    '<button disabled>Go</button><em>3</em></div>';
+
+  it('renders the current value of signals with render()', () => {
+    const { count, tree } = build();
+
+    expect(render(tree)).toBe(expected);
+    count.value = 1;
+    expect(render(tree)).toContain('<div class="few"><span>1</span>');
+  });
+
+  it('renders the current value of signals with renderToStream()', async () => {
+    expect(await collect(build().tree)).toBe(expected);
+  });
+});
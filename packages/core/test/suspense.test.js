@@ -0,0 +1,164 @@
+import { describe, it, expect } from 'vitest';
+import { renderToStream } from '../src/rendering/html-renderer.js';
+import { Suspense } from '../src/components/suspense.js';
+import { lazy } from '../src/components/component-system.js';
+import { render, GlobalErrorHandler } from '../src/index.js';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+async function collect(component, options) {
+  const chunks = [];
+  for await (const chunk of renderToStream(component, options)) {
+    chunks.push(chunk);
+  }
+  return chunks;
+}
+
+describe('Async components in renderToStream', () => {
+  it('awaits function components that return a Promise', async () => {
+    const Async = async () => ({ p: { text: 'loaded' } });
+    const html = (await collect({ div: { children: [Async] } })).join('');
+    expect(html).toBe('<div><p>loaded</p></div>');
+  });
+
+  it('awaits Promises placed directly in the tree', async () => {
+    const html = (await collect({ ul: { children: [delay(5, { li: { text: 'one' } })] } })).join('');
+    expect(html).toBe('<ul><li>one</li></ul>');
+  });
+
+  it('flushes buffered output before awaiting', async () => {
+    const Slow = async () => {
+      await delay(5);
+      return { p: { text: 'late' } };
+    };
+    const chunks = await collect({ div: { children: [{ h1: { text: 'Title' } }, Slow] } });
+    expect(chunks[0]).toBe('<div><h1>Title</h1>');
+    expect(chunks.join('')).toBe('<div><h1>Title</h1><p>late</p></div>');
+  });
+
+  it('evaluates lazy() values, including async ones', async () => {
+    const Card = () => ({ span: { text: 'card' } });
+    const imported = lazy(async () => Card);
+    const html = (await collect({ div: { children: [lazy(() => 'sync'), imported] } })).join('');
+    expect(html).toBe('<div>sync<span>card</span></div>');
+  });
+});
+
+describe('Suspense in renderToStream', () => {
+  it('renders a synchronous subtree inline without a fallback', async () => {
+    const html = (await collect(Suspense({ fallback: 'loading', children: [{ b: { text: 'ready' } }] }))).join('');
+    expect(html).toBe('<b>ready</b>');
+  });
+
+  it('streams the fallback first and the resolved content out of order', async () => {
+    const Orders = async () => {
+      await delay(10);
+      return { table: { text: 'orders' } };
+    };
+    const chunks = await collect({
+      main: {
+        children: [
+          Suspense({ fallback: { p: { text: 'Loading...' } }, children: [Orders] }),
+          { footer: { text: 'end' } }
+        ]
+      }
+    });
+
+    expect(chunks[0]).toBe('<main><!--coh-s:0--><p>Loading...</p><!--/coh-s:0--><footer>end</footer></main>');
+    const tail = chunks.slice(1).join('');
+    expect(tail).toContain('function $cohS(');
+    expect(tail).toContain('<template id="coh-r:0"><table>orders</table></template><script>$cohS("0")</script>');
+  });
+
+  it('emits boundaries in the order they resolve and sends the swap script once', async () => {
+    const chunks = await collect([
+      Suspense({ fallback: 'a', children: [async () => delay(20, 'slow')] }),
+      Suspense({ fallback: 'b', children: [async () => delay(5, 'fast')] })
+    ]);
+    const tail = chunks.slice(1).join('');
+
+    expect(tail.indexOf('coh-r:1')).toBeLessThan(tail.indexOf('coh-r:0'));
+    expect(tail.match(/function \$cohS/g)).toHaveLength(1);
+  });
+
+  it('swaps a nested boundary only after its parent', async () => {
+    const Inner = async () => delay(1, { em: { text: 'inner' } });
+    const Outer = async () => {
+      await delay(15);
+      return { section: { children: [Suspense({ fallback: '...', children: [Inner] })] } };
+    };
+    const tail = (await collect(Suspense({ fallback: 'outer', children: [Outer] }))).slice(1).join('');
+
+    expect(tail.indexOf('<template id="coh-r:0">')).toBeLessThan(tail.indexOf('<template id="coh-r:1">'));
+    expect(tail).toContain('<template id="coh-r:0"><section><!--coh-s:1-->...<!--/coh-s:1--></section></template>');
+  });
+
+  it('keeps the fallback when the suspended subtree rejects', async () => {
+    const Broken = async () => {
+      await delay(1);
+      throw new Error('service down');
+    };
+    const chunks = await collect([
+      Suspense({ fallback: 'unavailable', children: [Broken] }),
+      { p: { text: 'rest' } }
+    ]);
+
+    expect(chunks[0]).toBe('<!--coh-s:0-->unavailable<!--/coh-s:0--><p>rest</p>');
+    expect(chunks.join('')).not.toContain('coh-r:0');
+    expect(chunks.join('')).toContain('<!-- Streaming Error: service down -->');
+  });
+
+  it('reports the rejection and its render path to the error handler', async () => {
+    const errorHandler = new GlobalErrorHandler();
+    const Broken = async () => {
+      await delay(1);
+      throw new Error('service down');
+    };
+
+    await collect({ main: { children: [Suspense({ fallback: 'unavailable', children: [Broken] })] } }, { errorHandler });
+
+    const [entry] = errorHandler.getErrors();
+    expect(entry.error.message).toBe('service down');
+    expect(entry.context).toEqual({ path: 'root.main.children[0].Suspense[0].Broken()', renderer: 'stream', boundary: '0' });
+  });
+
+  it('keeps error messages from closing the error comment', async () => {
+    const Broken = async () => {
+      await delay(1);
+      throw new Error('bad --><script>alert(1)</script>');
+    };
+
+    const html = (await collect(Suspense({ fallback: 'x', children: [Broken] }))).join('');
+
+    expect(html).toContain('<!-- Streaming Error: bad - -&gt;&lt;script&gt;alert(1)&lt;/script&gt; -->');
+    expect(html).not.toContain('<script>alert');
+  });
+
+  it('prefixes boundary ids with identifierPrefix', async () => {
+    const html = (await collect(
+      Suspense({ fallback: 'x', children: [async () => delay(1, 'y')] }),
+      { identifierPrefix: 'side-' }
+    )).join('');
+
+    expect(html).toContain('<!--coh-s:side-0-->');
+    expect(html).toContain('$cohS("side-0")');
+  });
+});
+
+describe('Suspense in synchronous render', () => {
+  it('renders the fallback when the subtree suspends', () => {
+    const Async = async () => ({ p: { text: 'never' } });
+    expect(render({ div: { children: [Suspense({ fallback: { span: { text: 'wait' } }, children: [Async] })] } }))
+      .toBe('<div><span>wait</span></div>');
+  });
+
+  it('renders synchronous children in place', () => {
+    expect(render(Suspense({ fallback: 'wait', children: [{ span: { text: 'now' } }] })))
+      .toBe('<span>now</span>');
+  });
+
+  it('throws a RenderingError for async components outside a boundary', () => {
+    const Async = async () => ({ p: { text: 'never' } });
+    expect(() => render({ div: { children: [Async] } })).toThrow(/Promise during synchronous render/);
+  });
+});
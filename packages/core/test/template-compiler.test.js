@@ -0,0 +1,154 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, compileComponent, dangerouslySetInnerContent } from '../src/index.js';
+
+const ProductCard = ({ id, name, price, url, onSale, badge, image }) => ({
+  article: {
+    key: id,
+    className: onSale ? 'card card--sale' : 'card',
+    'data-id': id,
+    children: [
+      image ? { img: { src: image.src, alt: image.alt || name } } : null,
+      { a: { href: url, text: name } },
+      badge && { span: { className: 'badge', text: badge } },
+      { span: { className: 'price', text: `$${price}` } },
+      price > 100 ? { small: { text: 'Free shipping' } } : null
+    ]
+  }
+});
+
+const products = [
+  { id: 1, name: 'Kettle', price: 25, url: '/p/kettle', onSale: false },
+  { id: 2, name: 'Fish & <Chips>', price: 120, url: '/p/fish?a=1&b="2"', onSale: true, badge: 'New' },
+  { id: 3, name: "O'Brien's mug", price: 9.5, url: '/p/mug', onSale: false, badge: '', image: { src: '/m.png' } },
+  { id: 4, name: 'Lamp', price: 0, url: '/p/lamp', onSale: true, image: { src: '/l.png', alt: 'A lamp' } },
+  { id: 5, name: 'Chair', price: 150, url: '/p/chair', onSale: false, badge: 'Sale' },
+  { id: 6, name: 'Kettle', price: 25, url: '/p/kettle', onSale: false }
+];
+
+function expectSameAsRender(component, propsList, options) {
+  const compiled = compileComponent(component, options);
+  for (const props of propsList) {
+    expect(compiled(props)).toBe(render(component(props)));
+  }
+  return compiled;
+}
+
+describe('compileComponent()', () => {
+  it('produces exactly the HTML render() produces', () => {
+    expectSameAsRender(ProductCard, [...products, ...products]);
+  });
+
+  it('stops calling the component once a variant is compiled', () => {
+    const Card = vi.fn(({ title, body }) => ({ div: { children: [{ h2: { text: title } }, { p: { text: body } }] } }));
+    const compiled = compileComponent(Card);
+
+    compiled({ title: 'A', body: 'first' });
+    const probeCalls = Card.mock.calls.length;
+
+    expect(compiled({ title: 'B', body: 'second <b>' })).toBe('<div><h2>B</h2><p>second &lt;b&gt;</p></div>');
+    expect(compiled({ title: 'C', body: 'third' })).toBe('<div><h2>C</h2><p>third</p></div>');
+    expect(Card.mock.calls.length).toBe(probeCalls);
+  });
+
+  it('handles nested props, attributes and style objects', () => {
+    const Profile = ({ user, theme }) => ({
+      section: {
+        style: { color: theme.color, fontSize: `${theme.size}px` },
+        children: [
+          { h1: { title: user.name, text: `Hello, ${user.name}!` } },
+          { p: user.bio },
+          user.address ? { address: { text: user.address.city } } : { p: { text: 'Unknown location' } }
+        ]
+      }
+    });
+
+    expectSameAsRender(Profile, [
+      { user: { name: 'Ada', bio: 'Math "and" engines' }, theme: { color: 'red', size: 14 } },
+      { user: { name: 'Grace', bio: 'COBOL', address: { city: 'Arlington' } }, theme: { color: '#00f', size: 16 } },
+      { user: { name: 'Linus', bio: 'Kernels & <git>', address: { city: 'Portland' } }, theme: { color: 'blue', size: 12 } }
+    ]);
+  });
+
+  it('keys variants on props that are transformed, compared or used as numbers', () => {
+    const Row = ({ label, count, currency }) => ({
+      tr: {
+        children: [
+          { td: { text: label.toUpperCase() } },
+          { td: { text: count + 1 } },
+          { td: { text: { usd: '$', eur: '€' }[currency] || '?' } },
+          { td: { text: String(count).padStart(3, '0') } }
+        ]
+      }
+    });
+
+    expectSameAsRender(Row, [
+      { label: 'apples', count: 3, currency: 'usd' },
+      { label: 'pears', count: 41, currency: 'eur' },
+      { label: 'plums', count: 3, currency: 'gbp' }
+    ]);
+  });
+
+  it('matches render() for raw and script content', () => {
+    const Snippet = ({ code, data }) => ({
+      div: {
+        children: [
+          { pre: { html: code } },
+          { script: { type: 'application/json', text: data } },
+          { p: { text: dangerouslySetInnerContent(code) } }
+        ]
+      }
+    });
+
+    expectSameAsRender(Snippet, [
+      { code: '<b>bold</b>', data: '{"a":"</script>"}' },
+      { code: '<i>it</i>', data: '{"b":2}' }
+    ]);
+  });
+
+  it('falls back to render() for props it cannot key', () => {
+    const List = ({ title, items }) => ({
+      section: { children: [{ h2: { text: title } }, { ul: { children: items.map(item => ({ li: { text: item } })) } }] }
+    });
+    const Spread = (props) => ({ div: { ...props } });
+
+    expectSameAsRender(List, [{ title: 'A', items: ['x', 'y'] }, { title: 'B', items: [] }]);
+    expectSameAsRender(Spread, [{ id: 'a', text: 'x' }, { id: 'b', text: 'y' }]);
+  });
+
+  it('caps the number of variants', () => {
+    const Tag = vi.fn(({ kind, text }) => ({ span: { className: `tag-${kind}`, text } }));
+    const compiled = compileComponent(Tag, { keyProps: ['kind'], maxVariants: 2 });
+
+    ['a', 'b', 'c', 'c'].forEach(kind => {
+      expect(compiled({ kind, text: 'x' })).toBe(`<span class="tag-${kind}">x</span>`);
+    });
+  });
+
+  it('checks each variant against render() on its first use', () => {
+    const Label = ({ value }) => ({
+      span: { className: typeof value === 'number' ? 'num' : 'text', text: value }
+    });
+    const Status = ({ status }) => ({
+      span: { className: status === 'sold' ? 'muted' : 'ok', text: status }
+    });
+
+    expectSameAsRender(Label, [{ value: 'a' }, { value: 'b' }, { value: 2 }, { value: 3 }]);
+    expectSameAsRender(Status, [{ status: 'sold' }, { status: 'available' }, { status: 'sold' }]);
+  });
+
+  it('uses keyProps for comparisons it cannot observe', () => {
+    const Status = ({ status }) => ({
+      span: { className: status === 'sold' ? 'muted' : 'ok', text: status }
+    });
+
+    const unkeyed = compileComponent(Status, { verify: true });
+    unkeyed({ status: 'available' });
+    expect(() => unkeyed({ status: 'sold' })).toThrow(/differs from render\(\)/);
+
+    expectSameAsRender(Status, [{ status: 'available' }, { status: 'sold' }, { status: 'reserved' }], { keyProps: ['status'] });
+  });
+
+  it('rejects non-functions', () => {
+    expect(() => compileComponent({ div: {} })).toThrow('compileComponent() expects a function component');
+  });
+});
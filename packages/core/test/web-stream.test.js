@@ -0,0 +1,138 @@
+import { describe, it, expect, vi } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { renderToReadableStream, streamWithTemplate, Suspense, useHead } from '../src/index.js';
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/** Every module specifier statically imported by a module and its relative imports */
+function staticImports(url, seen = new Set()) {
+  if (seen.has(url.href)) return [];
+  seen.add(url.href);
+  const source = readFileSync(url, 'utf8');
+  const specifiers = [...source.matchAll(/^(?:import|export)\s[^;]*?from\s+'([^']+)'|^import\s+'([^']+)'/gm)]
+    .map(match => match[1] || match[2]);
+  return specifiers.flatMap(specifier => specifier.startsWith('.')
+    ? staticImports(new URL(specifier, url), seen)
+    : [specifier]);
+}
+
+describe('renderToReadableStream()', () => {
+  it('streams UTF-8 bytes that a Response can read', async () => {
+    const stream = renderToReadableStream({ div: { children: [{ h1: 'Héllo' }, { p: 'wörld ✓' }] } });
+
+    expect(stream).toBeInstanceOf(ReadableStream);
+    expect(await new Response(stream).text()).toBe('<div><h1>Héllo</h1><p>wörld ✓</p></div>');
+  });
+
+  it('yields Uint8Array chunks, with Suspense content streamed after the shell', async () => {
+    const Slow = async () => {
+      await delay(5);
+      return { p: 'late' };
+    };
+    const reader = renderToReadableStream([{ h1: 'Page' }, Suspense({ fallback: { p: 'Loading' }, children: [Slow] })]).getReader();
+    const decoder = new TextDecoder();
+
+    const chunks = [];
+    for (let step = await reader.read(); !step.done; step = await reader.read()) {
+      expect(step.value).toBeInstanceOf(Uint8Array);
+      chunks.push(decoder.decode(step.value));
+    }
+
+    expect(chunks[0]).toBe('<h1>Page</h1><!--coh-s:0--><p>Loading</p><!--/coh-s:0-->');
+    expect(chunks.join('')).toContain('<template id="coh-r:0"><p>late</p></template>');
+  });
+
+  it('only renders the next chunk when the consumer asks for it', async () => {
+    let rendered = 0;
+    const Section = (index) => () => {
+      rendered++;
+      return { section: { text: `Section ${index}` } };
+    };
+    const stream = renderToReadableStream(Array.from({ length: 5 }, (_, index) => Section(index)), { chunkSize: 1 });
+    const reader = stream.getReader();
+
+    await reader.read();
+    await delay(10);
+    expect(rendered).toBeLessThan(5);
+
+    await reader.cancel();
+  });
+
+  it('stops rendering and errors the stream when the signal aborts', async () => {
+    const controller = new AbortController();
+    let footerRendered = false;
+    const Slow = async () => {
+      await delay(20);
+      return { p: 'late' };
+    };
+    const Footer = () => {
+      footerRendered = true;
+      return { footer: 'end' };
+    };
+
+    const reader = renderToReadableStream([{ h1: 'Page' }, Slow, Footer], { signal: controller.signal }).getReader();
+    await reader.read();
+
+    const pending = reader.read();
+    controller.abort(new Error('client went away'));
+
+    await expect(pending).rejects.toThrow('client went away');
+    await delay(30);
+    expect(footerRendered).toBe(false);
+  });
+
+  it('loads without Node builtins, for runtimes that have none', () => {
+    const imports = staticImports(new URL('../src/index.js', import.meta.url));
+
+    expect(imports.filter(specifier => specifier.startsWith('node:'))).toEqual([]);
+  });
+
+  it('loads from source where process.getBuiltinModule does not exist', async () => {
+    const getBuiltinModule = process.getBuiltinModule;
+    process.getBuiltinModule = undefined;
+    try {
+      vi.resetModules();
+      const { VERSION } = await import('../src/index.js');
+      expect(VERSION).toBe('0.0.0-dev');
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+      vi.resetModules();
+    }
+  });
+
+  it('errors straight away with an already aborted signal', async () => {
+    const stream = renderToReadableStream({ p: 'never' }, { signal: AbortSignal.abort() });
+
+    await expect(new Response(stream).text()).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
+
+describe('streamWithTemplate()', () => {
+  it('sends the template around the stream, with the head tags of the shell', async () => {
+    const Page = () => {
+      useHead({ title: 'Orders' });
+      return { main: { text: 'Orders' } };
+    };
+
+    const stream = streamWithTemplate(Page, {
+      template: '<!DOCTYPE html><html><head>{{head}}</head><body>{{content}}</body></html>'
+    });
+
+    expect(await new Response(stream).text()).toBe(
+      '<!DOCTYPE html><html><head><title>Orders</title></head><body><main>Orders</main></body></html>'
+    );
+  });
+
+  it('adds the tags once when the shell renders its own </head>', async () => {
+    const Page = () => {
+      useHead({ title: 'Orders' });
+      return { html: { children: [{ head: {} }, { body: { text: 'Orders' } }] } };
+    };
+
+    const stream = streamWithTemplate(Page, { template: '<!DOCTYPE html>{{head}}{{content}}' });
+
+    expect(await new Response(stream).text()).toBe(
+      '<!DOCTYPE html><html><head><title>Orders</title></head><body>Orders</body></html>'
+    );
+  });
+});
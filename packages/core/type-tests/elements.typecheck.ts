@@ -39,6 +39,9 @@ expectTypeOf<{ div: { className: 'my-class' } }>().toMatchTypeOf<StrictCoherentE
 // Element with class alias
 expectTypeOf<{ div: { class: 'my-class' } }>().toMatchTypeOf<StrictCoherentElement>();
 
+// Element with a view transition name
+expectTypeOf<{ img: { src: '/hero.jpg'; viewTransitionName: 'hero' } }>().toMatchTypeOf<StrictCoherentElement>();
+
 // Element with children array
 expectTypeOf<{ div: { children: [{ span: { text: 'child' } }] } }>().toMatchTypeOf<StrictCoherentElement>();
 
@@ -335,6 +338,16 @@ expectTypeOf<{
   button: { onClick: 'handleClick()' };
 }>().toMatchTypeOf<StrictCoherentElement>();
 
+// onClick with modifiers
+expectTypeOf<{
+  button: { onClick: { handler: (e: MouseEvent) => void; prevent: true; debounce: 200 } };
+}>().toMatchTypeOf<StrictCoherentElement>();
+
+// Modifiers as dotted suffixes of the prop name
+expectTypeOf<{
+  input: { 'onKeyDown.enter.prevent': (e: KeyboardEvent) => void };
+}>().toMatchTypeOf<StrictCoherentElement>();
+
 // onSubmit with SubmitEvent
 expectTypeOf<{
   form: { onSubmit: (e: SubmitEvent) => void };
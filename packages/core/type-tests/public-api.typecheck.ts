@@ -19,6 +19,30 @@ import {
   renderWithMonitoring,
   renderWithTemplate,
   renderComponentFactory,
+  renderToStream,
+  renderToReadableStream,
+  Suspense,
+  Fragment,
+  Portal,
+  PortalOutlet,
+  ErrorBoundary,
+  GlobalErrorHandler,
+  defaultErrorHandler,
+  useRenderContext,
+  Island,
+  createCSP,
+  signal,
+  computed,
+  effect,
+  batch,
+  untrack,
+  isSignal,
+  resumable,
+  isResumable,
+  createHead,
+  useHead,
+  Head,
+  compileComponent,
 
   // Utilities
   escapeHtml,
@@ -70,6 +94,9 @@ import type {
   CacheManagerOptions,
   CoherentComponent,
   ComponentProps,
+  ErrorBoundaryInfo,
+  ReadonlySignal,
+  ResumableHandler,
   // StateContainer, GlobalStateManager, VNode, VDOMPatch and ContextProvider
   // are still declared in types/index.d.ts but have no implementation to test.
 } from '@coherent.js/core';
@@ -132,6 +159,113 @@ expectTypeOf(renderComponentFactory).toBeCallableWith(
   { enablePerformanceMonitoring: false }
 );
 
+// renderToStream yields string chunks
+expectTypeOf(renderToStream).returns.toEqualTypeOf<AsyncGenerator<string, void, undefined>>();
+expectTypeOf(renderToStream).toBeCallableWith({ div: {} }, { chunkSize: 1024, identifierPrefix: 'a' });
+
+// async components are valid nodes
+const AsyncCard = async (): Promise<CoherentNode> => ({ div: { text: 'loaded' } });
+expectTypeOf(renderToStream).toBeCallableWith(AsyncCard);
+
+// Web streams for Fetch-based runtimes
+const webStream = renderToReadableStream(AsyncCard, { signal: new AbortController().signal });
+expectTypeOf(webStream).toEqualTypeOf<ReadableStream<Uint8Array>>();
+expectTypeOf(new Response(webStream)).toEqualTypeOf<Response>();
+
+// Suspense wraps async subtrees and is itself a node
+const boundary = Suspense({ fallback: { p: { text: 'Loading...' } }, children: [AsyncCard] });
+expectTypeOf(boundary.__suspense).toEqualTypeOf<true>();
+expectTypeOf(render).toBeCallableWith(boundary);
+
+// fragments and portals are nodes too
+expectTypeOf(render).toBeCallableWith({ dl: { children: [Fragment({ key: 'a', children: [{ dt: { text: 'A' } }, { dd: { text: '1' } }] })] } });
+expectTypeOf(render).toBeCallableWith({
+  body: { children: [Portal({ target: 'modals', children: { dialog: { text: 'Hi' } } }), PortalOutlet({ name: 'modals', className: 'overlay' })] }
+});
+// @ts-expect-error - target is required
+Portal({ children: 'x' });
+
+// error boundaries are nodes, and the error handler gets the render path
+const guarded = ErrorBoundary({
+  fallback: (error: Error, errorInfo: ErrorBoundaryInfo) => ({ p: { text: `${error.message} at ${errorInfo.path}` } }),
+  onError: (_error, errorInfo) => { expectTypeOf(errorInfo.path).toBeString(); },
+  children: [AsyncCard]
+});
+expectTypeOf(guarded.__errorBoundary).toEqualTypeOf<true>();
+expectTypeOf(render).toBeCallableWith(guarded, { errorHandler: new GlobalErrorHandler() });
+expectTypeOf(render).toBeCallableWith(guarded, { errorHandler: null });
+expectTypeOf(defaultErrorHandler).toEqualTypeOf<GlobalErrorHandler>();
+expectTypeOf(renderToStream).toBeCallableWith(ErrorBoundary(), { errorHandler: { captureError: (_error, context) => console.log(context.path) } });
+
+// render context
+expectTypeOf(render).toBeCallableWith({ div: {} }, { context: { locale: 'fr', user: { id: 1 } } });
+expectTypeOf(useRenderContext()).toMatchTypeOf<Readonly<Record<string, unknown>>>();
+expectTypeOf(useRenderContext('locale')).toBeUnknown();
+
+// content security policy
+const csp = createCSP({ nonce: 'r4nd0m', hashes: true });
+expectTypeOf(render).toBeCallableWith({ div: {} }, { csp });
+expectTypeOf(render).toBeCallableWith({ div: {} }, { csp: { nonce: 'r4nd0m' } });
+expectTypeOf(renderToStream).toBeCallableWith({ div: {} }, { csp });
+expectTypeOf(csp.header({ 'default-src': "'self'" })).toBeString();
+expectTypeOf(csp.hashes).toMatchTypeOf<{ script: string[]; style: string[] } | null | undefined>();
+
+// signals
+const count = signal(0);
+const label = computed(() => `Count: ${count.value}`);
+count.value = 1;
+count.update((value) => value + 1);
+expectTypeOf(count.peek()).toBeNumber();
+expectTypeOf(label.value).toBeString();
+expectTypeOf(effect(() => () => undefined)).toBeFunction();
+expectTypeOf(batch(() => 'done')).toBeString();
+expectTypeOf(untrack(() => count.value)).toBeNumber();
+expectTypeOf(isSignal).guards.toEqualTypeOf<ReadonlySignal<unknown>>();
+expectTypeOf(render).toBeCallableWith({
+  button: { className: label, disabled: computed(() => count.value > 3), text: count, children: [label] },
+});
+// @ts-expect-error computed values are read-only
+label.value = 'x';
+
+// resumable handlers
+const toggle = resumable('/js/menu.js#toggle', { open: false });
+expectTypeOf(toggle).toEqualTypeOf<ResumableHandler<{ open: boolean }>>();
+expectTypeOf(toggle.state.open).toBeBoolean();
+expectTypeOf(isResumable).guards.toEqualTypeOf<ResumableHandler>();
+expectTypeOf(render).toBeCallableWith({
+  button: { onClick: toggle, text: 'Menu' },
+});
+expectTypeOf(render).toBeCallableWith({
+  form: { onSubmit: { handler: resumable('/js/form.js#save'), prevent: true } },
+});
+
+// document head
+const head = createHead();
+expectTypeOf(render).toBeCallableWith({ div: {} }, { head });
+expectTypeOf(renderToStream).toBeCallableWith({ div: {} }, { head });
+expectTypeOf(useHead).toBeCallableWith({ title: 'About', meta: [{ name: 'description', content: 'x' }] });
+expectTypeOf(useHead).toBeCallableWith([{ link: { rel: 'canonical', href: '/about' } }, null]);
+expectTypeOf(head.add({ meta: { charset: 'utf-8' } }).toString()).toBeString();
+expectTypeOf(head.tags()).toEqualTypeOf<CoherentElement[]>();
+expectTypeOf(render).toBeCallableWith({ main: { children: [Head({ children: { title: 'About' } })] } });
+// @ts-expect-error - not a head tag
+useHead({ div: { text: 'x' } });
+
+// template compiler
+const renderCard = compileComponent(({ name, price }: { name: string; price: number }) => ({
+  article: { children: [{ h2: { text: name } }, { span: { text: `$${price}` } }] }
+}), { keyProps: ['price'], maxVariants: 50 });
+expectTypeOf(renderCard({ name: 'Lamp', price: 20 })).toBeString();
+// @ts-expect-error - missing prop
+renderCard({ name: 'Lamp' });
+
+// islands
+const Counter = () => ({ button: { text: '0' } });
+expectTypeOf(Island).toBeCallableWith(Counter, { name: 'Counter', hydrate: 'visible' });
+expectTypeOf(Island).toBeCallableWith(Counter, { hydrate: 'media', media: '(max-width: 600px)' });
+// @ts-expect-error - unknown strategy
+Island(Counter, { hydrate: 'hover' });
+
 // ============================================================================
 // Utility Functions
 // ============================================================================
@@ -116,6 +116,8 @@ export interface GlobalHTMLAttributes {
   className?: string;
   class?: string; // alias for className
   style?: string | Record<string, string | number>;
+  /** Rendered as the `view-transition-name` style */
+  viewTransitionName?: string;
   title?: string;
   lang?: string;
   dir?: 'ltr' | 'rtl' | 'auto';
@@ -176,75 +178,113 @@ export interface GlobalHTMLAttributes {
 // Global Event Handlers
 // ============================================================================
 
+/**
+ * A handler with modifiers, applied by the client's event delegation.
+ * Modifiers can also be written as dotted suffixes of the prop name, e.g.
+ * `'onKeyDown.enter.prevent'`.
+ */
+export interface EventHandlerSpec<E extends Event = Event> {
+  handler: ((event: E) => void) | ResumableHandler;
+  prevent?: boolean;
+  stop?: boolean;
+  once?: boolean;
+  passive?: boolean;
+  self?: boolean;
+  /** Milliseconds without another event before the handler runs */
+  debounce?: number;
+  ctrl?: boolean;
+  alt?: boolean;
+  shift?: boolean;
+  meta?: boolean;
+}
+
+/**
+ * A handler the browser imports on first use, from resumable(). The server
+ * renders it as a `data-coherent-<event>="module#export"` reference.
+ */
+export interface ResumableHandler<S = unknown> {
+  readonly __resumable: true;
+  /** `module#export` */
+  readonly ref: string;
+  /** JSON-serializable state handed to the handler */
+  readonly state: S;
+}
+
+/** Value of an event prop: an inline string, a handler, a resumable handler, or either with modifiers */
+export type EventProp<E extends Event = Event> = string | ((event: E) => void) | ResumableHandler | EventHandlerSpec<E>;
+
 /**
  * Event handler types matching runtime behavior.
  * Handlers can be either inline strings (for SSR) or functions (for hydration).
  */
 export interface GlobalEventHandlers {
+  /** Event props with dotted modifiers, e.g. `'onKeyDown.ctrl.s.prevent'` */
+  [prop: `on${string}.${string}`]: EventProp<any> | undefined;
+
   // Mouse events
-  onClick?: string | ((event: MouseEvent) => void);
-  onDblClick?: string | ((event: MouseEvent) => void);
-  onMouseDown?: string | ((event: MouseEvent) => void);
-  onMouseUp?: string | ((event: MouseEvent) => void);
-  onMouseEnter?: string | ((event: MouseEvent) => void);
-  onMouseLeave?: string | ((event: MouseEvent) => void);
-  onMouseMove?: string | ((event: MouseEvent) => void);
-  onMouseOver?: string | ((event: MouseEvent) => void);
-  onMouseOut?: string | ((event: MouseEvent) => void);
-  onContextMenu?: string | ((event: MouseEvent) => void);
+  onClick?: EventProp<MouseEvent>;
+  onDblClick?: EventProp<MouseEvent>;
+  onMouseDown?: EventProp<MouseEvent>;
+  onMouseUp?: EventProp<MouseEvent>;
+  onMouseEnter?: EventProp<MouseEvent>;
+  onMouseLeave?: EventProp<MouseEvent>;
+  onMouseMove?: EventProp<MouseEvent>;
+  onMouseOver?: EventProp<MouseEvent>;
+  onMouseOut?: EventProp<MouseEvent>;
+  onContextMenu?: EventProp<MouseEvent>;
 
   // Keyboard events
-  onKeyDown?: string | ((event: KeyboardEvent) => void);
-  onKeyUp?: string | ((event: KeyboardEvent) => void);
-  onKeyPress?: string | ((event: KeyboardEvent) => void);
+  onKeyDown?: EventProp<KeyboardEvent>;
+  onKeyUp?: EventProp<KeyboardEvent>;
+  onKeyPress?: EventProp<KeyboardEvent>;
 
   // Focus events
-  onFocus?: string | ((event: FocusEvent) => void);
-  onBlur?: string | ((event: FocusEvent) => void);
-  onFocusIn?: string | ((event: FocusEvent) => void);
-  onFocusOut?: string | ((event: FocusEvent) => void);
+  onFocus?: EventProp<FocusEvent>;
+  onBlur?: EventProp<FocusEvent>;
+  onFocusIn?: EventProp<FocusEvent>;
+  onFocusOut?: EventProp<FocusEvent>;
 
   // Form events
-  onChange?: string | ((event: Event) => void);
-  onInput?: string | ((event: Event) => void);
-  onSubmit?: string | ((event: SubmitEvent) => void);
-  onReset?: string | ((event: Event) => void);
-  onInvalid?: string | ((event: Event) => void);
+  onChange?: EventProp<Event>;
+  onInput?: EventProp<Event>;
+  onSubmit?: EventProp<SubmitEvent>;
+  onReset?: EventProp<Event>;
+  onInvalid?: EventProp<Event>;
 
   // Drag events
-  onDrag?: string | ((event: DragEvent) => void);
-  onDragEnd?: string | ((event: DragEvent) => void);
-  onDragEnter?: string | ((event: DragEvent) => void);
-  onDragLeave?: string | ((event: DragEvent) => void);
-  onDragOver?: string | ((event: DragEvent) => void);
-  onDragStart?: string | ((event: DragEvent) => void);
-  onDrop?: string | ((event: DragEvent) => void);
+  onDrag?: EventProp<DragEvent>;
+  onDragEnd?: EventProp<DragEvent>;
+  onDragEnter?: EventProp<DragEvent>;
+  onDragLeave?: EventProp<DragEvent>;
+  onDragOver?: EventProp<DragEvent>;
+  onDragStart?: EventProp<DragEvent>;
+  onDrop?: EventProp<DragEvent>;
 
   // Clipboard events
-  onCopy?: string | ((event: ClipboardEvent) => void);
-  onCut?: string | ((event: ClipboardEvent) => void);
-  onPaste?: string | ((event: ClipboardEvent) => void);
+  onCopy?: EventProp<ClipboardEvent>;
+  onCut?: EventProp<ClipboardEvent>;
+  onPaste?: EventProp<ClipboardEvent>;
 
   // Touch events
-  onTouchStart?: string | ((event: TouchEvent) => void);
-  onTouchMove?: string | ((event: TouchEvent) => void);
-  onTouchEnd?: string | ((event: TouchEvent) => void);
-  onTouchCancel?: string | ((event: TouchEvent) => void);
+  onTouchStart?: EventProp<TouchEvent>;
+  onTouchMove?: EventProp<TouchEvent>;
+  onTouchEnd?: EventProp<TouchEvent>;
+  onTouchCancel?: EventProp<TouchEvent>;
 
   // Wheel events
-  onWheel?: string | ((event: WheelEvent) => void);
-  onScroll?: string | ((event: Event) => void);
+  onWheel?: EventProp<WheelEvent>;
+  onScroll?: EventProp<Event>;
 
   // Animation events
-  onAnimationStart?: string | ((event: AnimationEvent) => void);
-  onAnimationEnd?: string | ((event: AnimationEvent) => void);
-  onAnimationIteration?: string | ((event: AnimationEvent) => void);
+  onAnimationStart?: EventProp<AnimationEvent>;
+  onAnimationEnd?: EventProp<AnimationEvent>;
+  onAnimationIteration?: EventProp<AnimationEvent>;
 
   // Transition events
-  onTransitionStart?: string | ((event: TransitionEvent) => void);
-  onTransitionEnd?: string | ((event: TransitionEvent) => void);
-  onTransitionCancel?: string | ((event: TransitionEvent) => void);
-  onTransitionRun?: string | ((event: TransitionEvent) => void);
+  onTransitionStart?: EventProp<TransitionEvent>;
+  onTransitionEnd?: EventProp<TransitionEvent>;
+  onTransitionCancel?: EventProp<TransitionEvent>;
+  onTransitionRun?: EventProp<TransitionEvent>;
 }
 
 // ============================================================================
@@ -403,8 +443,8 @@ export interface ImgAttributes extends GlobalHTMLAttributes, GlobalEventHandlers
   fetchPriority?: 'high' | 'low' | 'auto';
 
   // Event handlers
-  onLoad?: string | ((event: Event) => void);
-  onError?: string | ((event: Event) => void);
+  onLoad?: EventProp<Event>;
+  onError?: EventProp<Event>;
 }
 
 /**
@@ -532,8 +572,8 @@ export interface IframeAttributes extends BaseElementAttributes {
   referrerPolicy?: ReferrerPolicy;
 
   // Event handlers
-  onLoad?: string | ((event: Event) => void);
-  onError?: string | ((event: Event) => void);
+  onLoad?: EventProp<Event>;
+  onError?: EventProp<Event>;
 }
 
 /**
@@ -555,13 +595,13 @@ export interface VideoAttributes extends BaseElementAttributes {
   crossOrigin?: 'anonymous' | 'use-credentials' | '';
 
   // Event handlers
-  onPlay?: string | ((event: Event) => void);
-  onPause?: string | ((event: Event) => void);
-  onEnded?: string | ((event: Event) => void);
-  onLoadedMetadata?: string | ((event: Event) => void);
-  onTimeUpdate?: string | ((event: Event) => void);
-  onVolumeChange?: string | ((event: Event) => void);
-  onError?: string | ((event: Event) => void);
+  onPlay?: EventProp<Event>;
+  onPause?: EventProp<Event>;
+  onEnded?: EventProp<Event>;
+  onLoadedMetadata?: EventProp<Event>;
+  onTimeUpdate?: EventProp<Event>;
+  onVolumeChange?: EventProp<Event>;
+  onError?: EventProp<Event>;
 }
 
 /**
@@ -578,13 +618,13 @@ export interface AudioAttributes extends BaseElementAttributes {
   crossOrigin?: 'anonymous' | 'use-credentials' | '';
 
   // Event handlers
-  onPlay?: string | ((event: Event) => void);
-  onPause?: string | ((event: Event) => void);
-  onEnded?: string | ((event: Event) => void);
-  onLoadedMetadata?: string | ((event: Event) => void);
-  onTimeUpdate?: string | ((event: Event) => void);
-  onVolumeChange?: string | ((event: Event) => void);
-  onError?: string | ((event: Event) => void);
+  onPlay?: EventProp<Event>;
+  onPause?: EventProp<Event>;
+  onEnded?: EventProp<Event>;
+  onLoadedMetadata?: EventProp<Event>;
+  onTimeUpdate?: EventProp<Event>;
+  onVolumeChange?: EventProp<Event>;
+  onError?: EventProp<Event>;
 }
 
 /**
@@ -671,8 +711,8 @@ export interface ScriptAttributes extends BaseElementAttributes {
   fetchPriority?: 'high' | 'low' | 'auto';
 
   // Event handlers
-  onLoad?: string | ((event: Event) => void);
-  onError?: string | ((event: Event) => void);
+  onLoad?: EventProp<Event>;
+  onError?: EventProp<Event>;
 }
 
 /**
@@ -710,7 +750,7 @@ export interface MeterAttributes extends BaseElementAttributes {
  */
 export interface DetailsAttributes extends BaseElementAttributes {
   open?: boolean;
-  onToggle?: string | ((event: Event) => void);
+  onToggle?: EventProp<Event>;
 }
 
 /**
@@ -718,8 +758,8 @@ export interface DetailsAttributes extends BaseElementAttributes {
  */
 export interface DialogAttributes extends BaseElementAttributes {
   open?: boolean;
-  onClose?: string | ((event: Event) => void);
-  onCancel?: string | ((event: Event) => void);
+  onClose?: EventProp<Event>;
+  onCancel?: EventProp<Event>;
 }
 
 /**
@@ -8,7 +8,7 @@
 // Re-export strict element types. `export *` re-exports without binding the
 // names locally, so CoherentNode below needs its own import.
 export * from './elements';
-import type { StrictCoherentElement } from './elements';
+import type { StrictCoherentElement, EventProp, ResumableHandler } from './elements';
 
 // ============================================================================
 // Basic Types
@@ -20,22 +20,27 @@ export type Primitive = string | number | boolean | null | undefined;
 /** Allow objects and functions in attributes */
 export type AttributeValue = Primitive | object;
 
+/** A value or a signal holding it, which hydrate() keeps bound to the DOM */
+export type MaybeSignal<T> = T | ReadonlySignal<T>;
+
 /** HTML attributes object */
 export interface HTMLAttributes {
   [key: string]: AttributeValue;
-  className?: string;
-  class?: string;
+  className?: MaybeSignal<string>;
+  class?: MaybeSignal<string>;
   id?: string;
   style?: string | Record<string, string | number>;
-  onClick?: string | (() => void);
-  onSubmit?: string | (() => void);
+  /** Rendered as the `view-transition-name` style */
+  viewTransitionName?: MaybeSignal<string>;
+  onClick?: EventProp<MouseEvent>;
+  onSubmit?: EventProp<SubmitEvent>;
   href?: string;
   src?: string;
   alt?: string;
   title?: string;
-  disabled?: boolean;
-  checked?: boolean;
-  value?: string | number;
+  disabled?: MaybeSignal<boolean>;
+  checked?: MaybeSignal<boolean>;
+  value?: MaybeSignal<string | number>;
   placeholder?: string;
   type?: string;
   name?: string;
@@ -52,7 +57,7 @@ export interface HTMLAttributes {
 /** Element properties including children and text */
 export interface ElementProps extends HTMLAttributes {
   children?: CoherentNode | CoherentNode[];
-  text?: Primitive;
+  text?: MaybeSignal<Primitive>;
 }
 
 /**
@@ -203,7 +208,14 @@ export type CoherentNode =
   | CoherentNode[]
   | CoherentComponent
   | ContextProvider
-  | (() => CoherentNode);
+  | SuspenseNode
+  | FragmentNode
+  | PortalNode
+  | PortalOutletNode
+  | ErrorBoundaryNode
+  | ReadonlySignal<CoherentNode>
+  | (() => CoherentNode)
+  | (() => Promise<CoherentNode>);
 
 /** Text-only element for simple content */
 export interface TextElement {
@@ -524,14 +536,345 @@ export interface RenderOptions {
   cacheTTL?: number;
   scoped?: boolean;
   encapsulate?: boolean;
+  /** Values readable from any component through `useRenderContext()` */
+  context?: RenderContext;
+  /** Nonce and hash handling for inline `<script>`/`<style>` (disables the render cache) */
+  csp?: CSPOption;
+  /** Collector for `useHead()` tags, injected before the page's own `</head>` */
+  head?: HeadCollector;
+  /** Receives render errors with their render path, e.g. a {@link GlobalErrorHandler}; {@link defaultErrorHandler} by default, `null` for none */
+  errorHandler?: RenderErrorHandler | null;
+}
+
+/** The `errorHandler` render option */
+export interface RenderErrorHandler {
+  captureError(error: Error, context: RenderErrorContext): void;
+}
+
+/** Context passed to {@link RenderErrorHandler.captureError} */
+export interface RenderErrorContext {
+  /** Render path of the component that failed, e.g. `root.main.children[0].Orders()` */
+  path?: string;
+  renderer: 'html' | 'stream';
+  /** `true` when an `ErrorBoundary()` rendered its fallback; the id of a suspended boundary that failed while streaming */
+  boundary?: true | string;
+  [key: string]: unknown;
+}
+
+/**
+ * The `csp` render option. The nonce is stamped on every inline `<script>`
+ * and `<style>`; when `hashes` is set, their SHA-256 hashes are pushed into it.
+ */
+export interface CSPOption {
+  nonce?: string;
+  hashes?: { script: string[]; style: string[] } | null;
+}
+
+/** Options for createCSP(). */
+export interface CreateCSPOptions {
+  /** Per-response nonce, e.g. crypto.randomUUID() */
+  nonce?: string;
+  /** Collect SHA-256 hashes of inline code (default false) */
+  hashes?: boolean;
+}
+
+/** A `csp` render option that can build the policy header after rendering. */
+export interface CSPCollector extends CSPOption {
+  /**
+   * Content-Security-Policy header value: `script-src` and `style-src` with
+   * 'self', the nonce and the collected hashes, plus any extra directives.
+   */
+  header(directives?: Record<string, string | string[]>): string;
+}
+
+/** Create a `csp` render option that also builds the policy header. */
+export function createCSP(options?: CreateCSPOptions): CSPCollector;
+
+// ============================================================================
+// Signals
+// ============================================================================
+
+/** Value read by computed() and effect(), which track the read */
+export interface ReadonlySignal<T> {
+  readonly __signal: true;
+  /** Current value; reading it inside computed() or effect() subscribes them */
+  readonly value: T;
+  /** Current value, without tracking the read */
+  peek(): T;
+  /** Call `fn` with the current value now and with every new value; returns unsubscribe */
+  subscribe(fn: (value: T) => void): () => void;
+  toJSON(): T;
+}
+
+/** Writable signal created by `signal()` */
+export interface Signal<T> extends ReadonlySignal<T> {
+  value: T;
+  /** Set the value from the current one */
+  update(fn: (value: T) => T): void;
+}
+
+/** Options for `signal()` and `computed()` */
+export interface SignalOptions<T> {
+  /** Values it considers equal do not notify (default Object.is) */
+  equals?: (previous: T, next: T) => boolean;
+}
+
+/** Create a signal. */
+export function signal<T>(value: T, options?: SignalOptions<T>): Signal<T>;
+
+/** Create a value computed from the signals `getter` reads. */
+export function computed<T>(getter: () => T, options?: SignalOptions<T>): ReadonlySignal<T>;
+
+/** Run `fn` now and whenever a signal it read changes; returns dispose. */
+export function effect(fn: () => void | (() => void)): () => void;
+
+/** Apply several signal writes before any effect runs. */
+export function batch<T>(fn: () => T): T;
+
+/** Run `fn` without subscribing the current computation to what it reads. */
+export function untrack<T>(fn: () => T): T;
+
+/** Check whether a value is a signal or computed value. */
+export function isSignal(value: unknown): value is ReadonlySignal<unknown>;
+
+// ============================================================================
+// Resumable Event Handlers
+// ============================================================================
+
+/**
+ * Reference an event handler by module and export. The server renders it
+ * as `data-coherent-<event>="module#export"`, and @coherent.js/client imports
+ * the module on the first event and calls the export with the event and
+ * `state`. Throws a TypeError when `ref` is not `module#export`.
+ */
+export function resumable<S = undefined>(ref: string, state?: S): ResumableHandler<S>;
+
+/** Check whether a value was returned by resumable(). */
+export function isResumable(value: unknown): value is ResumableHandler;
+
+/**
+ * Per-render values such as the request user, locale or feature flags.
+ * Augment this interface to type your own keys.
+ */
+export interface RenderContext {
+  [key: string]: unknown;
+}
+
+/** Read the whole context of the render in progress (empty outside a render). */
+export function useRenderContext(): Readonly<RenderContext>;
+/** Read one key of the context of the render in progress. */
+export function useRenderContext<K extends keyof RenderContext>(key: K): RenderContext[K] | undefined;
+
+/** Tag names `useHead()` accepts */
+export type HeadTagName = 'title' | 'base' | 'meta' | 'link' | 'style' | 'script' | 'noscript';
+
+/** Props of one head tag; `key` dedupes tags that have no name or property */
+export interface HeadTagProps {
+  key?: string | number;
+  text?: string | TrustedContent;
+  html?: string | TrustedContent;
+  [attribute: string]: unknown;
+}
+
+/**
+ * Tags for `useHead()`: objects keyed by tag name whose value is the props,
+ * a list of them, or a string for `title`; or arrays of such objects.
+ */
+export type HeadInput =
+  | { [K in HeadTagName]?: string | HeadTagProps | Array<HeadTagProps | null | undefined | false> }
+  | ReadonlyArray<HeadInput | null | undefined | false>;
+
+/** Collects, dedupes and orders head tags during a render. */
+export interface HeadCollector {
+  /** Add tags, as `useHead()` does */
+  add(tags: HeadInput): HeadCollector;
+  /** Collected tags, deduped and ordered, as element objects */
+  tags(): CoherentElement[];
+  /** Collected tags as HTML; `csp` applies to `<script>` and `<style>` */
+  toString(options?: { csp?: CSPOption }): string;
+}
+
+/** Create a collector for the `head` render option. */
+export function createHead(): HeadCollector;
+
+/** Add tags to the document head of the render in progress. */
+export function useHead(tags: HeadInput): void;
+
+/** Props for `Head()` */
+export interface HeadProps {
+  children?: HeadInput;
+}
+
+/** Component form of `useHead()`: registers its tags when rendered, renders nothing. */
+export function Head(props: HeadProps): () => null;
+
+/** Options for `compileComponent()` */
+export interface CompileComponentOptions {
+  /** Props (dotted paths) that select a template by value instead of becoming placeholders */
+  keyProps?: string[];
+  /** Templates kept; further variants render normally (default 100) */
+  maxVariants?: number;
+  /** Also render normally and throw when the outputs differ */
+  verify?: boolean;
 }
 
+/** Compile a function component into a function returning the same HTML as `render(component(props))`. */
+export function compileComponent<P extends object>(
+  component: (props: P) => CoherentNode,
+  options?: CompileComponentOptions
+): (props: P) => string;
+
 /** Render a Coherent node to an HTML string */
 export function render(component: CoherentNode, options?: RenderOptions): string;
 
+/** Options for `renderToStream(component, options)` */
+export interface StreamRenderOptions {
+  /** Buffered characters before a chunk is yielded (default 8192) */
+  chunkSize?: number;
+  maxDepth?: number;
+  /** Yield control to the event loop every N elements (default 100) */
+  yieldThreshold?: number;
+  /** Prefix for Suspense boundary ids, when several streams share a document */
+  identifierPrefix?: string;
+  /** Values readable from any component through `useRenderContext()` */
+  context?: RenderContext;
+  /** Nonce and hash handling for inline `<script>`/`<style>`, including Suspense swap scripts */
+  csp?: CSPOption;
+  /**
+   * Collector for `useHead()` tags, injected before the page's `</head>`.
+   * The shell is held back until it has rendered completely.
+   */
+  head?: HeadCollector;
+  /** Receives render errors with their render path, e.g. a {@link GlobalErrorHandler}; {@link defaultErrorHandler} by default, `null` for none */
+  errorHandler?: RenderErrorHandler | null;
+  /** Stops rendering when aborted, e.g. `request.signal` */
+  signal?: AbortSignal;
+}
+
+/**
+ * Render a Coherent node as a stream of HTML chunks. Async components are
+ * awaited; Suspense() boundaries stream their fallback first and their
+ * resolved content out of order.
+ */
+export function renderToStream(
+  component: CoherentNode,
+  options?: StreamRenderOptions
+): AsyncGenerator<string, void, undefined>;
+
+/**
+ * Render a Coherent node to a WHATWG `ReadableStream` of UTF-8 bytes, ready
+ * for `new Response(stream)`. The next chunk is rendered when the consumer
+ * reads; aborting `signal` errors the stream and stops the render.
+ */
+export function renderToReadableStream(
+  component: CoherentNode,
+  options?: StreamRenderOptions
+): ReadableStream<Uint8Array>;
+
+/** Props for `Suspense()` */
+export interface SuspenseProps {
+  /** Content shown until the children resolve */
+  fallback?: CoherentNode;
+  /** Content that may contain async components */
+  children?: CoherentNode;
+}
+
+/** Suspense boundary node created by `Suspense()` */
+export interface SuspenseNode {
+  __suspense: true;
+  fallback: CoherentNode;
+  children: CoherentNode;
+}
+
+/** Mark a subtree whose components may return Promises. */
+export function Suspense(props: SuspenseProps): SuspenseNode;
+
+/** Props for `Fragment()` */
+export interface FragmentProps {
+  /** Identity of the group among its siblings */
+  key?: string | number;
+  children?: CoherentNode;
+}
+
+/** Fragment node created by `Fragment()` */
+export interface FragmentNode {
+  __fragment: true;
+  key: string | number | undefined;
+  children: CoherentNode;
+}
+
+/** Group children without a wrapping element. */
+export function Fragment(props: FragmentProps): FragmentNode;
+
+/** Props for `Portal()` */
+export interface PortalProps {
+  /** Name of the `PortalOutlet()` the children render into */
+  target: string;
+  children?: CoherentNode;
+}
+
+/** Portal node created by `Portal()` */
+export interface PortalNode {
+  __portal: true;
+  target: string;
+  children: CoherentNode;
+}
+
+/** Render children into the outlet named `target` instead of in place. */
+export function Portal(props: PortalProps): PortalNode;
+
+/** Props for `PortalOutlet()`; other props become attributes of its `<div>` */
+export interface PortalOutletProps {
+  /** Outlet name, matched by `Portal({ target })` */
+  name: string;
+  [attribute: string]: unknown;
+}
+
+/** Portal outlet node created by `PortalOutlet()` */
+export interface PortalOutletNode {
+  __portalOutlet: true;
+  name: string;
+  attributes: Record<string, unknown>;
+}
+
+/** Mark where the content of portals targeting `name` renders. */
+export function PortalOutlet(props: PortalOutletProps): PortalOutletNode;
+
+/** Second argument of an `ErrorBoundary()` fallback and `onError` */
+export interface ErrorBoundaryInfo {
+  /** Render path of the component that failed */
+  path: string;
+}
+
+/** Props for `ErrorBoundary()` */
+export interface ErrorBoundaryProps {
+  /** Content rendered instead of the children when they fail */
+  fallback?: CoherentNode | ((error: Error, errorInfo: ErrorBoundaryInfo) => CoherentNode);
+  /** Notified when the children fail */
+  onError?: ((error: Error, errorInfo: ErrorBoundaryInfo) => void) | null;
+  children?: CoherentNode;
+}
+
+/** Error boundary node created by `ErrorBoundary()` */
+export interface ErrorBoundaryNode {
+  __errorBoundary: true;
+  fallback: CoherentNode | ((error: Error, errorInfo: ErrorBoundaryInfo) => CoherentNode);
+  onError: ((error: Error, errorInfo: ErrorBoundaryInfo) => void) | null;
+  children: CoherentNode;
+}
+
+/**
+ * Render `fallback` in place of the children when they throw or, while
+ * streaming, reject. Recognized by `render()`, `renderHTML()` and `renderToStream()`.
+ */
+export function ErrorBoundary(props?: ErrorBoundaryProps): ErrorBoundaryNode;
+
 export interface RenderUtilityOptions {
   enablePerformanceMonitoring?: boolean;
+  /** HTML template with a `{{content}}` and an optional `{{head}}` placeholder */
   template?: string;
+  /** Collector for `useHead()` tags; a new one is used per render by default */
+  head?: HeadCollector;
 }
 
 export function renderWithMonitoring(component: CoherentNode, options?: RenderUtilityOptions): string;
@@ -541,6 +884,17 @@ export function renderComponentFactory(
   factoryArgs: any[],
   options?: RenderUtilityOptions
 ): Promise<string>;
+
+/** Options for `streamWithTemplate()`; other stream options are passed through */
+export interface StreamUtilityOptions extends RenderUtilityOptions, Omit<StreamRenderOptions, 'head'> {}
+
+/** Stream a component inside `template`, sending the part before `{{content}}` with the shell. */
+export function streamWithTemplate(component: CoherentNode, options?: StreamUtilityOptions): ReadableStream<Uint8Array>;
+export function streamComponentFactory(
+  componentFactory: (...args: any[]) => CoherentNode | Promise<CoherentNode>,
+  factoryArgs: any[],
+  options?: StreamUtilityOptions
+): Promise<ReadableStream<Uint8Array>>;
 export function isCoherentComponent(obj: unknown): boolean;
 export function createErrorResponse(
   error: Error,
@@ -1163,6 +1517,9 @@ export class GlobalErrorHandler {
 /** Create a {@link GlobalErrorHandler}. */
 export function createGlobalErrorHandler(options?: GlobalErrorHandlerOptions): GlobalErrorHandler;
 
+/** Receives caught render errors when no `errorHandler` render option is given. */
+export const defaultErrorHandler: GlobalErrorHandler;
+
 // ============================================================================
 // Event Bus
 // ============================================================================
@@ -1404,8 +1761,21 @@ export function memoize<C extends CoherentComponent>(
   options?: ComponentCacheEntryOptions
 ): C;
 
-/** Mark a component as an interactive island for client-side hydration. */
-export function Island(componentFn: CoherentComponent): CoherentComponent;
+/** Options for Island(). */
+export interface IslandOptions {
+  /** Registry name; defaults to the function name, which minifiers may rename */
+  name?: string;
+  /** When @coherent.js/client's hydrateIslands() hydrates the island (default: 'load') */
+  hydrate?: 'load' | 'idle' | 'visible' | 'media';
+  /** Media query for the 'media' strategy */
+  media?: string;
+}
+
+/**
+ * Mark a component as an interactive island for client-side hydration.
+ * Its props are serialized into `data-state` for hydrateIslands().
+ */
+export function Island(componentFn: CoherentComponent, options?: IslandOptions): CoherentComponent;
 
 /** Shadow DOM helpers; browser-only. */
 export const shadowDOM: {
@@ -4,6 +4,7 @@ const entries = [
   'src/index.js',
   'src/form-builder.js',
   'src/form-hydration.js',
+  'src/form-action.js',
   'src/validation.js',
   'src/validators.js'
 ];
@@ -0,0 +1,258 @@
+/**
+ * Form Actions for Coherent.js
+ *
+ * Progressive enhancement for forms that post to a server handler. Without
+ * JavaScript the form posts to its `action` as usual; once formAction() runs
+ * it is submitted with fetch instead, with a pending state, optimistic updates
+ * and the server's field errors shown where validation errors go.
+ *
+ * The server side is formActionHandler() from @coherent.js/api, which answers
+ * both kinds of submission from the same handler.
+ *
+ * @module forms/form-action
+ */
+
+import { hydrateForm } from './form-hydration.js';
+
+/**
+ * Header marking a fetch submission, so the server answers with JSON rather
+ * than a redirect or a page
+ */
+export const FORM_ACTION_HEADER = 'X-Coherent-Action';
+
+/**
+ * A submission the server rejected, or that never reached it
+ */
+export class FormActionError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {number} [details.status=0] - HTTP status; 0 when the request failed
+   * @param {Object<string, string>} [details.errors={}] - Field errors, by field name
+   * @param {*} [details.data=null] - Response body
+   */
+  constructor(message, { status = 0, errors = {}, data = null } = {}) {
+    super(message);
+    this.name = 'FormActionError';
+    this.status = status;
+    this.errors = errors;
+    this.data = data;
+  }
+}
+
+/**
+ * Field errors as `{ name: message }`, from either that shape or the
+ * `[{ field, message }]` list ValidationError carries
+ */
+function normalizeErrors(errors) {
+  if (!Array.isArray(errors)) return errors || {};
+
+  const byField = {};
+  for (const { field, message } of errors) {
+    if (!(field in byField)) byField[field] = message;
+  }
+  return byField;
+}
+
+/**
+ * A URL with the form's fields added to its query, as a GET form sends them;
+ * the fragment is dropped, since fetch never sends it
+ */
+function withQuery(url, data) {
+  const query = new URLSearchParams(data).toString();
+  const hashAt = url.indexOf('#');
+  const base = hashAt === -1 ? url : url.slice(0, hashAt);
+  if (!query) return base;
+  return `${base}${base.includes('?') ? '&' : '?'}${query}`;
+}
+
+async function readPayload(response) {
+  const type = response.headers.get('content-type') || '';
+  if (!type.includes('application/json')) return null;
+  try {
+    return await response.json();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Submit a server-rendered form with fetch
+ *
+ * The form is hydrated with hydrateForm(), so it validates in the browser
+ * first; the options hydrateForm takes are passed through. The request sends
+ * the form's own fields, encoded as the browser would, to the form's `action`,
+ * and the CSRF token buildForm() rendered, if any, as a header too. A GET or
+ * HEAD form sends its fields in the query instead of a body.
+ *
+ * @param {string|HTMLFormElement} formSelector - Form selector or element
+ * @param {Object} [options]
+ * @param {string} [options.url] - Where to submit; the form's `action` by default
+ * @param {string} [options.method] - HTTP method; the form's `method`, or POST
+ * @param {Object} [options.headers] - Extra request headers
+ * @param {Function} [options.optimistic] - `(values) => rollback`; applies the
+ *   expected result before the request, and may return a function that undoes
+ *   it, which runs if the submission fails
+ * @param {Function} [options.onPending] - `(pending) => void`
+ * @param {Function} [options.onSuccess] - `(data, values) => void`, with the
+ *   handler's result
+ * @param {Function} [options.onError] - `(error, values) => void`, with a
+ *   FormActionError
+ * @param {Function} [options.onInvalid] - Called with the errors when browser
+ *   validation stops the submission
+ * @param {boolean} [options.resetOnSuccess=false] - Clear the form after a success
+ * @param {boolean} [options.followRedirect=true] - Go where the server redirects
+ *   after a success; false to stay on the page, as after an optimistic update
+ * @param {string} [options.pendingClass='is-pending'] - Class on the form while pending
+ * @param {Function} [options.fetch=globalThis.fetch] - Fetch implementation
+ * @returns {Object|null} The hydrateForm controller, with `submit()` and `isPending()`
+ */
+export function formAction(formSelector, options = {}) {
+  // Browser-only check
+  if (typeof document === 'undefined') {
+    console.warn('formAction can only run in browser environment');
+    return null;
+  }
+
+  const form = typeof formSelector === 'string'
+    ? document.querySelector(formSelector)
+    : formSelector;
+
+  if (!form) {
+    console.warn(`Form not found: ${formSelector}`);
+    return null;
+  }
+
+  const {
+    url,
+    method,
+    headers,
+    optimistic,
+    onPending,
+    onSuccess,
+    onError,
+    onInvalid,
+    resetOnSuccess = false,
+    followRedirect = true,
+    pendingClass = 'is-pending',
+    fetch: fetchImpl = globalThis.fetch,
+    ...hydrationOptions
+  } = options;
+
+  let pending = false;
+  let disabled = [];
+
+  // Form-level errors have no field to sit next to; an element marked
+  // data-form-error shows them when the page has one.
+  const formError = form.querySelector('[data-form-error]');
+
+  function showFormError(message) {
+    if (!formError) return;
+    formError.textContent = message || '';
+    formError.style.display = message ? '' : 'none';
+  }
+
+  function setPending(value) {
+    pending = value;
+    form.setAttribute('aria-busy', String(value));
+    if (pendingClass) {
+      pendingClass.trim().split(/\s+/).forEach(name => form.classList[value ? 'add' : 'remove'](name));
+    }
+
+    // Only re-enable the buttons this disabled, not ones the page disabled
+    if (value) {
+      disabled = Array.from(form.querySelectorAll('button, input[type="submit"]'))
+        .filter(button => !button.disabled && (button.type || 'submit') === 'submit');
+      disabled.forEach(button => { button.disabled = true; });
+    } else {
+      disabled.forEach(button => { button.disabled = false; });
+      disabled = [];
+    }
+
+    if (onPending) onPending(value);
+  }
+
+  async function submit(values, event) {
+    const data = new FormData(form);
+    const submitter = event && event.submitter;
+    if (submitter && submitter.name) {
+      data.append(submitter.name, submitter.value);
+    }
+
+    setPending(true);
+    showFormError(null);
+
+    let rollback = null;
+    try {
+      rollback = optimistic ? optimistic(values) : null;
+
+      const action = url || form.getAttribute('action') || window.location.href;
+      const requestMethod = (method || form.getAttribute('method') || 'POST').toUpperCase();
+      // GET and HEAD requests cannot carry a body; their fields go in the query
+      const inQuery = requestMethod === 'GET' || requestMethod === 'HEAD';
+
+      let response;
+      try {
+        response = await fetchImpl(inQuery ? withQuery(action, data) : action, {
+          method: requestMethod,
+          headers: { Accept: 'application/json', [FORM_ACTION_HEADER]: '1', ...controller.getCsrfHeaders(), ...headers },
+          // multipart only when the form asks for it, as a native submit would
+          ...(inQuery ? {} : {
+            body: form.getAttribute('enctype') === 'multipart/form-data' ? data : new URLSearchParams(data)
+          }),
+          credentials: 'same-origin'
+        });
+      } catch (_error) {
+        throw new FormActionError(_error.message || 'Network error');
+      }
+
+      const payload = await readPayload(response);
+      if (!response.ok) {
+        throw new FormActionError(
+          (payload && (payload.message || payload._error)) || `Request failed with status ${response.status}`,
+          { status: response.status, errors: normalizeErrors(payload && payload.errors), data: payload }
+        );
+      }
+
+      const result = payload ? payload.data : null;
+      if (resetOnSuccess) controller.reset();
+      if (onSuccess) onSuccess(result, values);
+      if (followRedirect && payload && payload.redirect) {
+        window.location.assign(payload.redirect);
+      }
+    } catch (_error) {
+      const error = _error instanceof FormActionError ? _error : new FormActionError(_error.message);
+      if (typeof rollback === 'function') rollback(error);
+
+      const fieldNames = Object.keys(controller.getValues());
+      controller.setErrors(error.errors);
+      // The message goes above the form unless the field errors explain it
+      const errors = Object.entries(error.errors);
+      const unplaced = errors.find(([name]) => !fieldNames.includes(name));
+      showFormError(unplaced ? unplaced[1] : (errors.length ? null : error.message));
+
+      if (onError) onError(error, values);
+    } finally {
+      setPending(false);
+    }
+  }
+
+  const controller = hydrateForm(form, {
+    ...hydrationOptions,
+    // hydrateForm already prevented the native submit and validated; a
+    // second submit while one is in flight is dropped
+    onSubmit: (values, event) => (pending ? false : submit(values, event)),
+    onError: onInvalid
+  });
+
+  if (!controller) return null;
+
+  return {
+    ...controller,
+    /** Submit as if the user had, validation included */
+    submit: () => form.requestSubmit(),
+    isPending: () => pending
+  };
+}
+
+export default formAction;
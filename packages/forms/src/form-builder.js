@@ -6,7 +6,7 @@
  * @module forms/form-builder
  */
 
-import { render as renderToHTML } from '@coherent.js/core';
+import { render as renderToHTML, useRenderContext } from '@coherent.js/core';
 
 /**
  * Class applied to each structural slot. Consumers override any subset via
@@ -62,6 +62,29 @@ function safeAttributes(attributes) {
   return safe;
 }
 
+/**
+ * Where a CSRF token goes when the context gives only the token. The same
+ * names withCsrf() in @coherent.js/api checks by default.
+ */
+const CSRF_DEFAULTS = { fieldName: '_csrf', headerName: 'X-CSRF-Token' };
+
+/**
+ * Hidden field carrying a CSRF token, from a token string or the
+ * `{ token, fieldName, headerName }` object withCsrf() puts on `req.csrf`.
+ * `data-csrf` names the header hydrateForm sends the token in, and keeps the
+ * field out of the form's values.
+ */
+function buildCsrfField(csrf) {
+  const { token, fieldName, headerName } = typeof csrf === 'string'
+    ? { ...CSRF_DEFAULTS, token: csrf }
+    : { ...CSRF_DEFAULTS, ...csrf };
+  if (!token) return null;
+
+  return {
+    input: { type: 'hidden', name: fieldName, value: token, 'data-csrf': headerName }
+  };
+}
+
 /** Join class names, dropping empties so no element carries `class=""`. */
 function joinClasses(...names) {
   return names.filter(Boolean).join(' ');
@@ -598,6 +621,16 @@ export class FormBuilder {
       fields.push({ button });
     }
 
+    // A form that changes state carries the CSRF token: the `csrf` option, or
+    // else the render context's, read when the form renders rather than when
+    // it is built. GET forms never do, or the token would end up in URLs.
+    const method = String(settings.method || 'get').toLowerCase();
+    if (method !== 'get' && settings.csrf !== false) {
+      fields.unshift(settings.csrf
+        ? buildCsrfField(settings.csrf)
+        : () => buildCsrfField(useRenderContext('csrf')));
+    }
+
     const form = {};
 
     if (settings.action) form.action = settings.action;
@@ -734,7 +767,8 @@ export function createFormBuilder(options = {}) {
  *
  * @param {Object} config - Form configuration; `fields` may be an array of
  *   field objects or an object keyed by field name. Remaining keys (action,
- *   method, name, className, enctype, submitText) configure the form element.
+ *   method, name, className, enctype, submitText, csrf) configure the form
+ *   element.
  * @returns {Object} A Coherent.js component
  */
 export function buildForm(config = {}) {
@@ -90,6 +90,10 @@ export function hydrateForm(formSelector, options = {}) {
     const inputs = form.querySelectorAll('[name]');
 
     inputs.forEach(input => {
+      // The CSRF token is not a value the user edits, and reset() must not
+      // clear it
+      if (input.hasAttribute('data-csrf')) return;
+
       const name = input.getAttribute('name');
       const field = {
         name,
@@ -247,6 +251,30 @@ export function hydrateForm(formSelector, options = {}) {
     return isValid;
   }
 
+  /**
+   * Show errors decided elsewhere, such as by the server, on their fields.
+   * Names without a field are ignored.
+   */
+  function setErrors(errors) {
+    for (const [name, error] of Object.entries(errors || {})) {
+      if (!state.fields.has(name)) continue;
+
+      state.touched[name] = true;
+      state.errors[name] = error || null;
+      displayError(name, state.errors[name]);
+    }
+  }
+
+  /**
+   * The CSRF token the server rendered into the form, as the header it
+   * expects on a fetch submission; empty when the form has none
+   */
+  function getCsrfHeaders() {
+    const input = form.querySelector('[data-csrf]');
+    if (!input || !input.value) return {};
+    return { [input.getAttribute('data-csrf') || 'X-CSRF-Token']: input.value };
+  }
+
   /**
    * Handle input change
    */
@@ -418,6 +446,8 @@ export function hydrateForm(formSelector, options = {}) {
     getFieldValue: (name) => state.values[name],
     getError: (name) => state.errors[name],
     getErrors: () => ({ ...state.errors }),
+    setErrors,
+    getCsrfHeaders,
     getValues: () => ({ ...state.values }),
     setTouched: (name, touched = true) => {
       state.touched[name] = touched;
@@ -11,6 +11,7 @@ export { FormBuilder, createFormBuilder, buildForm, DEFAULT_CLASS_NAMES } from '
 
 // CLIENT-SIDE: Hydrate server-rendered forms
 export { hydrateForm } from './form-hydration.js';
+export { formAction, FormActionError, FORM_ACTION_HEADER } from './form-action.js';
 
 // SHARED: Validators (used by both server and client)
 export { validators, FormValidator, createValidator, validate } from './validation.js';
@@ -0,0 +1,364 @@
+/**
+ * Form action tests
+ *
+ * formAction() submits a hydrated form with fetch: pending state, optimistic
+ * updates rolled back on failure, and the server's field errors shown where
+ * hydrateForm shows its own.
+ *
+ * The forms package runs in the `node` environment, so this drives formAction
+ * against a DOM double covering what submission touches, and a stand-in for
+ * FormData that reads the double's fields.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { formAction, FormActionError, FORM_ACTION_HEADER } from '../src/form-action.js';
+
+function element(tag, attributes = {}) {
+  const node = {
+    tagName: tag.toUpperCase(),
+    attributes: { ...attributes },
+    dataset: {},
+    style: {},
+    children: [],
+    parentElement: null,
+    className: '',
+    textContent: '',
+    disabled: false,
+    listeners: {},
+    classList: {
+      _set: new Set(),
+      add(name) { this._set.add(name); },
+      remove(name) { this._set.delete(name); },
+      contains(name) { return this._set.has(name); }
+    },
+    value: attributes.value ?? '',
+    get type() { return node.attributes.type ?? (tag === 'button' ? 'submit' : 'text'); },
+    get name() { return node.attributes.name; },
+    getAttribute: name => node.attributes[name] ?? null,
+    setAttribute: (name, value) => { node.attributes[name] = String(value); },
+    hasAttribute: name => name in node.attributes,
+    addEventListener(type, listener) { node.listeners[type] = listener; },
+    removeEventListener(type) { delete node.listeners[type]; },
+    appendChild(child) {
+      child.parentElement = node;
+      node.children.push(child);
+      return child;
+    },
+    closest: () => null,
+    focus() {},
+    querySelectorAll: () => [],
+    querySelector: () => null
+  };
+  return node;
+}
+
+/** A form posting a title and a category to /todos, with a form-level error slot */
+function todoForm(attributes = {}) {
+  const title = element('input', { name: 'title', required: '' });
+  const category = element('input', { name: 'category' });
+  const button = element('button');
+  const formError = element('div', { 'data-form-error': '' });
+
+  const form = element('form', { action: '/todos', method: 'post', ...attributes });
+  for (const child of [title, category, button, formError]) form.appendChild(child);
+
+  form.querySelectorAll = selector => {
+    if (selector === '[name]') return [title, category];
+    if (selector.startsWith('button')) return [button];
+    return [];
+  };
+  form.querySelector = selector => (selector === '[data-form-error]' ? formError : null);
+  form.reset = vi.fn();
+  form.submit = vi.fn();
+
+  return { form, title, category, button, formError };
+}
+
+function jsonResponse(status, body) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    headers: new Headers({ 'content-type': 'application/json' }),
+    json: async () => body
+  };
+}
+
+/** Fire the form's submit listener the way the browser would */
+async function submit(form, submitter = null) {
+  const event = { preventDefault: vi.fn(), submitter };
+  form.listeners.submit(event);
+  // Let the fetch and the handlers after it settle
+  await new Promise(resolve => setTimeout(resolve, 0));
+  return event;
+}
+
+beforeEach(() => {
+  vi.stubGlobal('document', {
+    createElement: tag => element(tag),
+    getElementById: () => null,
+    querySelector: () => null
+  });
+  vi.stubGlobal('FormData', class {
+    constructor(form) {
+      this.entries = form.querySelectorAll('[name]').map(input => [input.name, input.value]);
+    }
+    append(name, value) { this.entries.push([name, value]); }
+    [Symbol.iterator]() { return this.entries[Symbol.iterator](); }
+  });
+  vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+  vi.restoreAllMocks();
+});
+
+describe('formAction', () => {
+  it('posts the form fields to the form action', async () => {
+    const { form, title, category } = todoForm();
+    title.value = 'Write docs';
+    category.value = 'work';
+    const fetch = vi.fn(async () => jsonResponse(200, { data: { id: 1 } }));
+    const onSuccess = vi.fn();
+
+    formAction(form, { fetch, onSuccess });
+    const event = await submit(form);
+
+    expect(event.preventDefault).toHaveBeenCalled();
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('/todos');
+    expect(init.method).toBe('POST');
+    expect(init.headers[FORM_ACTION_HEADER]).toBe('1');
+    expect(init.headers.Accept).toBe('application/json');
+    expect(String(init.body)).toBe('title=Write+docs&category=work');
+    expect(onSuccess).toHaveBeenCalledWith({ id: 1 }, { title: 'Write docs', category: 'work' });
+  });
+
+  it('sends the CSRF token the form carries as a header, not as a value', async () => {
+    const { form, title } = todoForm();
+    title.value = 'Write docs';
+    const csrf = element('input', { type: 'hidden', name: '_csrf', value: 'tok-123', 'data-csrf': 'X-CSRF-Token' });
+    form.appendChild(csrf);
+    const fields = form.querySelectorAll;
+    form.querySelectorAll = selector => (selector === '[name]' ? [...fields(selector), csrf] : fields(selector));
+    form.querySelector = selector => (selector === '[data-csrf]' ? csrf : null);
+    const fetch = vi.fn(async () => jsonResponse(200, { data: null }));
+    const onSuccess = vi.fn();
+
+    const controller = formAction(form, { fetch, onSuccess });
+    await submit(form);
+
+    expect(fetch.mock.calls[0][1].headers['X-CSRF-Token']).toBe('tok-123');
+    expect(onSuccess.mock.calls[0][1]).toEqual({ title: 'Write docs', category: '' });
+    controller.reset();
+    expect(csrf.value).toBe('tok-123');
+  });
+
+  it('sends the submit button that was used', async () => {
+    const { form, title } = todoForm();
+    title.value = 'Write docs';
+    const fetch = vi.fn(async () => jsonResponse(200, { data: null }));
+
+    formAction(form, { fetch });
+    await submit(form, element('button', { name: 'intent', value: 'archive' }));
+
+    expect(String(fetch.mock.calls[0][1].body)).toContain('intent=archive');
+  });
+
+  it('sends multipart only when the form asks for it', async () => {
+    const { form, title } = todoForm({ enctype: 'multipart/form-data' });
+    title.value = 'Write docs';
+    const fetch = vi.fn(async () => jsonResponse(200, { data: null }));
+
+    formAction(form, { fetch });
+    await submit(form);
+
+    expect(fetch.mock.calls[0][1].body).toBeInstanceOf(FormData);
+  });
+
+  it('sends the fields of a GET form in the query, without a body', async () => {
+    const { form, title, category } = todoForm({ action: '/todos?page=2#results', method: 'get' });
+    title.value = 'Write docs';
+    category.value = 'work';
+    const fetch = vi.fn(async () => jsonResponse(200, { data: [] }));
+    const onSuccess = vi.fn();
+    const onError = vi.fn();
+
+    formAction(form, { fetch, onSuccess, onError });
+    await submit(form);
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toBe('/todos?page=2&title=Write+docs&category=work');
+    expect(init.method).toBe('GET');
+    expect('body' in init).toBe(false);
+    expect(onSuccess).toHaveBeenCalledWith([], { title: 'Write docs', category: 'work' });
+    expect(onError).not.toHaveBeenCalled();
+  });
+
+  it('marks the form pending and disables its buttons until the server answers', async () => {
+    const { form, title, button } = todoForm();
+    title.value = 'Write docs';
+    let respond;
+    const fetch = vi.fn(() => new Promise(resolve => { respond = resolve; }));
+    const onPending = vi.fn();
+
+    const controller = formAction(form, { fetch, onPending });
+    await submit(form);
+
+    expect(controller.isPending()).toBe(true);
+    expect(form.getAttribute('aria-busy')).toBe('true');
+    expect(form.classList.contains('is-pending')).toBe(true);
+    expect(button.disabled).toBe(true);
+
+    // A second submit while the first is in flight is dropped
+    await submit(form);
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    respond(jsonResponse(200, { data: null }));
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(controller.isPending()).toBe(false);
+    expect(form.getAttribute('aria-busy')).toBe('false');
+    expect(form.classList.contains('is-pending')).toBe(false);
+    expect(button.disabled).toBe(false);
+    expect(onPending.mock.calls).toEqual([[true], [false]]);
+  });
+
+  it('does not submit while browser validation fails', async () => {
+    const { form } = todoForm();
+    const fetch = vi.fn();
+    const onInvalid = vi.fn();
+
+    formAction(form, { fetch, onInvalid });
+    await submit(form);
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(onInvalid).toHaveBeenCalledWith(expect.objectContaining({ title: 'This field is required' }));
+  });
+
+  it('applies the optimistic update and keeps it on success', async () => {
+    const { form, title } = todoForm();
+    title.value = 'Write docs';
+    const todos = [];
+    const rollback = vi.fn();
+
+    formAction(form, {
+      fetch: async () => jsonResponse(200, { data: { id: 1 } }),
+      optimistic: values => {
+        todos.push(values.title);
+        return rollback;
+      }
+    });
+    await submit(form);
+
+    expect(todos).toEqual(['Write docs']);
+    expect(rollback).not.toHaveBeenCalled();
+  });
+
+  it('rolls the optimistic update back when the server rejects the submission', async () => {
+    const { form, title } = todoForm();
+    title.value = 'Write docs';
+    const todos = [];
+    const onError = vi.fn();
+
+    formAction(form, {
+      fetch: async () => jsonResponse(500, { _error: 'Internal server error', errors: {} }),
+      optimistic: values => {
+        todos.push(values.title);
+        return () => todos.pop();
+      },
+      onError
+    });
+    await submit(form);
+
+    expect(todos).toEqual([]);
+    const [error] = onError.mock.calls[0];
+    expect(error).toBeInstanceOf(FormActionError);
+    expect(error.status).toBe(500);
+    expect(error.message).toBe('Internal server error');
+  });
+
+  it('rolls back when the request never reaches the server', async () => {
+    const { form, title, formError } = todoForm();
+    title.value = 'Write docs';
+    const rollback = vi.fn();
+    const onError = vi.fn();
+
+    formAction(form, {
+      fetch: async () => { throw new TypeError('Failed to fetch'); },
+      optimistic: () => rollback,
+      onError
+    });
+    await submit(form);
+
+    expect(rollback).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].status).toBe(0);
+    expect(formError.textContent).toBe('Failed to fetch');
+  });
+
+  it('shows the server field errors on their fields', async () => {
+    const { form, title, category, formError } = todoForm();
+    title.value = 'Write docs';
+    const onError = vi.fn();
+
+    const controller = formAction(form, {
+      fetch: async () => jsonResponse(400, {
+        _error: 'Validation failed',
+        errors: { title: 'A todo with this title exists', category: 'Unknown category' }
+      }),
+      onError
+    });
+    await submit(form);
+
+    expect(controller.getError('title')).toBe('A todo with this title exists');
+    expect(controller.getError('category')).toBe('Unknown category');
+    expect(title.getAttribute('aria-invalid')).toBe('true');
+    expect(category.getAttribute('aria-invalid')).toBe('true');
+    // The field errors explain the failure, so nothing goes above the form
+    expect(formError.textContent).toBe('');
+    expect(onError.mock.calls[0][0].errors).toEqual({
+      title: 'A todo with this title exists',
+      category: 'Unknown category'
+    });
+  });
+
+  it('shows errors without a field above the form', async () => {
+    const { form, title, formError } = todoForm();
+    title.value = 'Write docs';
+
+    formAction(form, {
+      fetch: async () => jsonResponse(400, {
+        _error: 'Validation failed',
+        errors: [{ field: '', message: 'Expected object, got string' }]
+      })
+    });
+    await submit(form);
+
+    expect(formError.textContent).toBe('Expected object, got string');
+  });
+
+  it('follows a redirect the server asks for, unless told not to', async () => {
+    const { form, title } = todoForm();
+    title.value = 'Write docs';
+    const assign = vi.fn();
+    vi.stubGlobal('window', { location: { assign } });
+    const fetch = async () => jsonResponse(200, { data: null, redirect: '/todos' });
+
+    formAction(form, { fetch });
+    await submit(form);
+    expect(assign).toHaveBeenCalledWith('/todos');
+
+    const other = todoForm();
+    other.title.value = 'Write docs';
+    formAction(other.form, { fetch, followRedirect: false });
+    await submit(other.form);
+    expect(assign).toHaveBeenCalledTimes(1);
+  });
+
+  it('returns null outside a browser', () => {
+    vi.unstubAllGlobals();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(formAction('#todo-form')).toBeNull();
+  });
+});
@@ -148,3 +148,38 @@ describe('declared FormBuilder methods', () => {
     expect(render(builder.render())).toBe(render(builder.build()));
   });
 });
+
+describe('CSRF token', () => {
+  const CSRF = { token: 'tok-123', fieldName: '_csrf', headerName: 'X-CSRF-Token' };
+  const HIDDEN = '<input type="hidden" name="_csrf" value="tok-123" data-csrf="X-CSRF-Token">';
+
+  it('renders the token the render context carries', () => {
+    const form = buildForm(CONFIG);
+
+    expect(render(form, { context: { csrf: CSRF } })).toContain(HIDDEN);
+    // Built once, the same form renders each request's own token
+    expect(render(form, { context: { csrf: { ...CSRF, token: 'tok-456' } } })).toContain('value="tok-456"');
+    expect(render(form)).not.toContain('_csrf');
+  });
+
+  it('takes the token as an option, with default field and header names', () => {
+    const html = render(buildForm({ ...CONFIG, csrf: 'tok-123' }));
+
+    expect(html).toContain(HIDDEN);
+  });
+
+  it('leaves the token out of GET forms and when told to', () => {
+    const context = { csrf: CSRF };
+
+    expect(render(buildForm({ ...CONFIG, method: 'get' }), { context })).not.toContain('_csrf');
+    expect(render(buildForm({ ...CONFIG, method: undefined }), { context })).not.toContain('_csrf');
+    expect(render(buildForm({ ...CONFIG, csrf: false }), { context })).not.toContain('_csrf');
+  });
+
+  it('renders it from FormBuilder too', () => {
+    const builder = createFormBuilder(CONFIG);
+
+    expect(builder.toHTML({ csrf: CSRF })).toContain(HIDDEN);
+    expect(render(builder.build(), { context: { csrf: CSRF } })).toContain(HIDDEN);
+  });
+});
@@ -184,9 +184,25 @@ export interface FormConfig {
   validateOnChange?: boolean;
   /** Validate a field when it loses focus; defaults to `true` */
   validateOnBlur?: boolean;
+  /**
+   * CSRF token rendered as a hidden field in forms whose method is not GET:
+   * a token, or the `{ token, fieldName, headerName }` object `withCsrf()`
+   * from @coherent.js/api puts on `req.csrf`. By default it is read from the
+   * render context's `csrf` key; `false` leaves it out.
+   */
+  csrf?: string | CsrfToken | false;
   [option: string]: unknown;
 }
 
+/** A CSRF token and where a request sends it back */
+export interface CsrfToken {
+  token: string;
+  /** Hidden field name; defaults to `'_csrf'` */
+  fieldName?: string;
+  /** Header formAction() sends it in; defaults to `'X-CSRF-Token'` */
+  headerName?: string;
+}
+
 /**
  * Accumulates fields and renders them as a Coherent component.
  *
@@ -355,6 +371,10 @@ export interface HydratedForm {
   getError(name: string): string | undefined;
   /** Copy of the current errors */
   getErrors(): ValidationErrors;
+  /** Show errors decided elsewhere, such as by the server, on their fields */
+  setErrors(errors: Record<string, string | null>): void;
+  /** The form's CSRF token as a request header; empty without one */
+  getCsrfHeaders(): Record<string, string>;
   /** Copy of the current values */
   getValues(): Record<string, unknown>;
 
@@ -387,6 +407,79 @@ export function hydrateForm(
   options?: HydrationOptions
 ): HydratedForm | null;
 
+// ============================================================================
+// Form Action Types
+// ============================================================================
+
+/** Header marking a fetch submission made by {@link formAction} */
+export const FORM_ACTION_HEADER: 'X-Coherent-Action';
+
+/**
+ * A submission the server rejected, or that never reached it
+ */
+export class FormActionError extends Error {
+  constructor(
+    message: string,
+    details?: { status?: number; errors?: Record<string, string>; data?: unknown }
+  );
+  /** HTTP status; `0` when the request failed */
+  status: number;
+  /** Field errors, by field name */
+  errors: Record<string, string>;
+  /** Response body */
+  data: unknown;
+}
+
+/**
+ * Options for {@link formAction}; hydration options are passed through
+ */
+export interface FormActionOptions<R = unknown> extends Omit<HydrationOptions, 'onSubmit' | 'onError' | 'onSuccess'> {
+  /** Where to submit; the form's `action` by default */
+  url?: string;
+  /** HTTP method; the form's `method`, or POST */
+  method?: string;
+  /** Extra request headers */
+  headers?: Record<string, string>;
+  /**
+   * Apply the expected result before the request. A returned function
+   * undoes it, and runs if the submission fails.
+   */
+  optimistic?: (values: Record<string, unknown>) => ((error: FormActionError) => void) | void;
+  onPending?: (pending: boolean) => void;
+  /** Called with the handler's result */
+  onSuccess?: (data: R, values: Record<string, unknown>) => void;
+  onError?: (error: FormActionError, values: Record<string, unknown>) => void;
+  /** Called with the errors when browser validation stops the submission */
+  onInvalid?: (errors: ValidationErrors) => void;
+  /** Clear the form after a success; defaults to `false` */
+  resetOnSuccess?: boolean;
+  /** Go where the server redirects after a success; defaults to `true` */
+  followRedirect?: boolean;
+  /** Class on the form while pending; defaults to `'is-pending'` */
+  pendingClass?: string;
+  fetch?: typeof fetch;
+}
+
+/**
+ * Controller returned by {@link formAction}.
+ */
+export interface FormActionController extends HydratedForm {
+  /** Submit as if the user had, validation included */
+  submit(): void;
+  isPending(): boolean;
+}
+
+/**
+ * Submit a server-rendered form with fetch, pairing with formActionHandler()
+ * from @coherent.js/api. Without JavaScript the form posts as usual.
+ *
+ * Returns `null` outside a browser, or when the selector matches nothing.
+ */
+export function formAction<R = unknown>(
+  formSelector: HTMLFormElement | string,
+  options?: FormActionOptions<R>
+): FormActionController | null;
+
 // ============================================================================
 // Validation Types
 // ============================================================================
@@ -7,7 +7,8 @@ import {
   render,
   performanceMonitor,
   importPeerDependency,
-  renderComponentFactory
+  renderComponentFactory,
+  streamComponentFactory
 } from '@coherent.js/core';
 
 /**
@@ -42,22 +43,26 @@ export function createCoherentNextHandler(componentFactory, options = {}) {
 /**
  * Create a Next.js App Router route handler for Coherent.js components
  *
+ * With `enableStreaming`, the response body is a ReadableStream: async
+ * components and Suspense() boundaries stream as they resolve, and the render
+ * stops when the request is aborted.
+ *
  * @param {Function} componentFactory - Function that returns a Coherent.js component
  * @param {Object} options - Handler options
+ * @param {boolean} options.enableStreaming - Stream the response instead of rendering it up front
+ * @param {string} options.template - HTML template with {{content}} placeholder
  * @returns {Function} Next.js App Router route handler
  */
 export function createCoherentAppRouterHandler(componentFactory, options = {}) {
   return async function handler(request) {
     try {
       // Use shared rendering utility
-      const finalHtml = await renderComponentFactory(
-        componentFactory,
-        [request],
-        options
-      );
+      const body = options.enableStreaming
+        ? await streamComponentFactory(componentFactory, [request], { ...options, signal: request.signal })
+        : await renderComponentFactory(componentFactory, [request], options);
 
       // Send HTML response
-      return new Response(finalHtml, {
+      return new Response(body, {
         status: 200,
         headers: { 'Content-Type': 'text/html; charset=utf-8' }
       });
@@ -8,20 +8,28 @@
 // Usage:
 //   import { createRemixAdapter } from '@coherent.js/integrations/remix';
 
-import { render } from '@coherent.js/core';
+import { render, renderToReadableStream } from '@coherent.js/core';
 
 /**
  * Create a Remix adapter for Coherent.js
  *
  * @param {Object} [options] - Adapter options
  * @param {boolean} [options.hydrate] - Enable client-side hydration
+ * @param {boolean} [options.streaming] - Stream loader and action responses,
+ *   so async components and Suspense() boundaries are sent as they resolve
  * @returns {Object} Remix adapter utilities
  *
  * @example
- * const adapter = createRemixAdapter();
- * const html = adapter.renderComponent(MyComponent, { title: 'Hello' });
+ * const adapter = createRemixAdapter({ streaming: true });
+ * export const loader = adapter.createLoader(OrdersPage, getOrders);
  */
-export function createRemixAdapter(_options = {}) {
+export function createRemixAdapter(options = {}) {
+  // A stream stops rendering when the request is aborted
+  const respond = (def, request) => new Response(
+    options.streaming ? renderToReadableStream(def, { signal: request.signal }) : render(def),
+    { headers: { 'Content-Type': 'text/html; charset=utf-8' } }
+  );
+
   return {
     /**
      * Render a Coherent.js component to HTML
@@ -41,11 +49,7 @@ export function createRemixAdapter(_options = {}) {
           : { request, params };
 
         const def = typeof component === 'function' ? component(props) : component;
-        const html = render(def);
-
-        return new Response(html, {
-          headers: { 'Content-Type': 'text/html; charset=utf-8' }
-        });
+        return respond(def, request);
       };
     },
 
@@ -62,11 +66,7 @@ export function createRemixAdapter(_options = {}) {
         if (result instanceof Response) return result;
 
         const def = typeof component === 'function' ? component(result) : component;
-        const html = render(def);
-
-        return new Response(html, {
-          headers: { 'Content-Type': 'text/html; charset=utf-8' }
-        });
+        return respond(def, request);
       };
     }
   };
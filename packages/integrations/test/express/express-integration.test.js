@@ -12,7 +12,7 @@ import {
   createCoherentHandler,
   setupCoherent
 } from '../../src/express/coherent-express.js';
-import { render } from '@coherent.js/core';
+import { render, useHead } from '@coherent.js/core';
 
 describe('Express.js Integration', () => {
   it('should create coherentMiddleware', () => {
@@ -57,4 +57,16 @@ describe('Express.js Integration', () => {
     const html = render(testComponent);
     expect(html).toContain('Hello Coherent.js!');
   });
+
+  it('should place useHead() tags in the page head', async () => {
+    const Page = () => () => {
+      useHead({ title: 'Home', meta: { name: 'description', content: 'Welcome' } });
+      return { html: { children: [{ head: {} }, { body: { text: 'Hi' } }] } };
+    };
+    const res = { set: () => {}, send(html) { this.body = html; } };
+
+    await createCoherentHandler(Page)({}, res, (error) => { throw error; });
+
+    expect(res.body).toContain('<head><title>Home</title><meta name="description" content="Welcome"></head>');
+  });
 });
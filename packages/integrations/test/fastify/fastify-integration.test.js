@@ -12,7 +12,7 @@ import {
   createHandler,
   setupCoherent
 } from '../../src/fastify/coherent-fastify.js';
-import { render } from '@coherent.js/core';
+import { render, useHead } from '@coherent.js/core';
 
 describe('Fastify Integration', () => {
   it('should create coherentFastify plugin', () => {
@@ -80,4 +80,22 @@ describe('Fastify Integration', () => {
       coherentFastify(mockFastify, {}, () => {});
     }).not.toThrow();
   });
+
+  it('should fill the {{head}} placeholder when auto-rendering', async () => {
+    const hooks = {};
+    const mockFastify = {
+      decorateReply: () => {},
+      addHook: (name, hook) => { hooks[name] = hook; }
+    };
+    coherentFastify(mockFastify, { template: '<html><head>{{head}}</head><body>{{content}}</body></html>' }, () => {});
+
+    const reply = { isCoherentObject: () => true, header: () => {}, serializer: () => {} };
+    const Title = () => {
+      useHead({ title: 'Dashboard' });
+      return null;
+    };
+    const html = await hooks.preSerialization({}, reply, { main: { children: [Title, { h1: { text: 'Dashboard' } }] } });
+
+    expect(html).toBe('<html><head><title>Dashboard</title></head><body><main><h1>Dashboard</h1></main></body></html>');
+  });
 });
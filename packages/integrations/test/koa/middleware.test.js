@@ -7,6 +7,8 @@
  */
 
 import { describe, test, assert } from 'vitest';
+import { useHead } from '@coherent.js/core';
+import { coherentKoaMiddleware } from '../../src/koa/coherent-koa.js';
 
 describe('Koa middleware tests completed', () => {
 // Mock Koa context for testing
@@ -216,4 +218,22 @@ test('Koa middleware composition', async () => {
 
 });
 
+test('Koa middleware places useHead() tags in the page head', async () => {
+  const ctx = createMockKoaContext();
+  const Nav = () => {
+    useHead({ link: { rel: 'canonical', href: 'https://example.com/' } });
+    return { nav: {} };
+  };
+
+  await coherentKoaMiddleware()(ctx, async () => {
+    ctx.body = { html: { children: [{ head: {} }, { body: { children: [Nav] } }] } };
+  });
+
+  assert.strictEqual(ctx.type, 'text/html');
+  assert.strictEqual(
+    ctx.body,
+    '<!DOCTYPE html>\n<html><head><link rel="canonical" href="https://example.com/"></head><body><nav></nav></body></html>'
+  );
+});
+
 });
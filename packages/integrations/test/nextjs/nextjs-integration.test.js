@@ -70,4 +70,18 @@ describe('Next.js Integration', () => {
       handler(mockReq, mockRes);
     }).not.toThrow();
   });
+
+  it('should stream app router responses when streaming is enabled', async () => {
+    const Orders = async () => ({ ul: { children: [{ li: { text: 'Order 1' } }] } });
+    const handler = createCoherentAppRouterHandler(
+      (request) => ({ main: { children: [{ h1: { text: new URL(request.url).pathname } }, Orders] } }),
+      { enableStreaming: true, template: '<!DOCTYPE html><body>{{content}}</body>' }
+    );
+
+    const response = await handler(new Request('https://example.com/orders'));
+
+    expect(response.body).toBeInstanceOf(ReadableStream);
+    expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    expect(await response.text()).toBe('<!DOCTYPE html><body><main><h1>/orders</h1><ul><li>Order 1</li></ul></main></body>');
+  });
 });
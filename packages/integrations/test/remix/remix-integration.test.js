@@ -0,0 +1,46 @@
+/**
+ * Tests for the Remix integration with Coherent.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createRemixAdapter } from '../../src/remix/index.js';
+
+const OrdersPage = ({ orders }) => ({
+  ul: { children: orders.map((order) => ({ li: { text: order } })) }
+});
+
+describe('Remix Integration', () => {
+  it('should render loader responses', async () => {
+    const loader = createRemixAdapter().createLoader(OrdersPage, async () => ({ orders: ['a', 'b'] }));
+
+    const response = await loader({ request: new Request('https://example.com/orders'), params: {} });
+
+    expect(response.headers.get('Content-Type')).toBe('text/html; charset=utf-8');
+    expect(await response.text()).toBe('<ul><li>a</li><li>b</li></ul>');
+  });
+
+  it('should stream loader responses when streaming is enabled', async () => {
+    const Page = () => ({ main: { children: [{ h1: { text: 'Orders' } }, async () => OrdersPage({ orders: ['a'] })] } });
+    const loader = createRemixAdapter({ streaming: true }).createLoader(Page);
+
+    const response = await loader({ request: new Request('https://example.com/orders'), params: {} });
+
+    expect(response.body).toBeInstanceOf(ReadableStream);
+    expect(await response.text()).toBe('<main><h1>Orders</h1><ul><li>a</li></ul></main>');
+  });
+
+  it('should stop streaming when the request is aborted', async () => {
+    const controller = new AbortController();
+    const Page = () => [{ h1: { text: 'Orders' } }, new Promise(() => {})];
+    const loader = createRemixAdapter({ streaming: true }).createLoader(Page);
+
+    const response = await loader({ request: new Request('https://example.com/orders', { signal: controller.signal }), params: {} });
+    const reader = response.body.getReader();
+    await reader.read();
+
+    const pending = reader.read();
+    controller.abort();
+
+    await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -22,7 +22,9 @@ export interface CoherentNextHandlerOptions {
   template?: string;
 
   /**
-   * Enable streaming rendering for large components
+   * Stream App Router responses as a `ReadableStream`, so async components
+   * and Suspense() boundaries are sent as they resolve. The render stops
+   * when the request is aborted.
    * @default false
    */
   enableStreaming?: boolean;
@@ -73,6 +73,11 @@ export const globalStateManager = {
 
 /**
  * Context stack for managing nested context providers
+ *
+ * The stack is module-level, so concurrent renders that interleave across
+ * `await` points see each other's values. For per-request values (user,
+ * locale, CSP nonce, feature flags) pass `context` to render() and read it
+ * with useRenderContext() from @coherent.js/core instead.
  */
 const contextStacks = new Map();
 